@@ -0,0 +1,25 @@
+import { UpdateExtensionRequestDto } from '../update-extension-request.dto';
+
+describe('UpdateExtensionRequestDto', () => {
+	describe('Valid requests', () => {
+		test.each([
+			{ name: 'enabling', request: { enabled: true } },
+			{ name: 'disabling', request: { enabled: false } },
+		])('should validate $name', ({ request }) => {
+			const result = UpdateExtensionRequestDto.safeParse(request);
+			expect(result.success).toBe(true);
+		});
+	});
+
+	describe('Invalid requests', () => {
+		test.each([
+			{ name: 'missing enabled', request: {}, expectedErrorPath: ['enabled'] },
+			{ name: 'enabled as string', request: { enabled: 'true' }, expectedErrorPath: ['enabled'] },
+		])('should fail validation for $name', ({ request, expectedErrorPath }) => {
+			const result = UpdateExtensionRequestDto.safeParse(request);
+
+			expect(result.success).toBe(false);
+			expect(result.error?.issues[0].path).toEqual(expectedErrorPath);
+		});
+	});
+});
@@ -0,0 +1,6 @@
+import { z } from 'zod';
+import { Z } from 'zod-class';
+
+export class UpdateExtensionRequestDto extends Z.class({
+	enabled: z.boolean(),
+}) {}
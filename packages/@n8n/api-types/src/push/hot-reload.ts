@@ -18,4 +18,16 @@ export type NodeDescriptionUpdated = {
 	data: {};
 };
 
-export type HotReloadPushMessage = ReloadNodeType | RemoveNodeType | NodeDescriptionUpdated;
+export type ExtensionFrontendUpdated = {
+	type: 'extensionFrontendUpdated';
+	data: {
+		/** Name of the extension whose frontend entry was rebuilt */
+		name: string;
+	};
+};
+
+export type HotReloadPushMessage =
+	| ReloadNodeType
+	| RemoveNodeType
+	| NodeDescriptionUpdated
+	| ExtensionFrontendUpdated;
@@ -75,6 +75,42 @@ describe('parse', () => {
 		expect(typeof result.args[1]).toBe('string');
 	});
 
+	it('should not take a positional argument as the value of a boolean flag', () => {
+		const cliParser = new CliParser(mock());
+		const flagsSchema = z.object({
+			textconv: z.boolean().optional(),
+			format: z.string().default('text'),
+		});
+
+		const result = cliParser.parse({
+			argv: ['node', 'script.js', '--textconv', 'a.n8n', '--format', 'json'],
+			flagsSchema,
+		});
+
+		expect(result).toEqual({
+			flags: { textconv: true, format: 'json' },
+			args: ['a.n8n'],
+		});
+	});
+
+	it('should collect repeated array flags', () => {
+		const cliParser = new CliParser(mock());
+		const flagsSchema = z.object({
+			ignore: z.array(z.string()).optional(),
+			only: z.array(z.string()).optional(),
+		});
+
+		const result = cliParser.parse({
+			argv: ['node', 'script.js', '--ignore', '$..a,b', '--ignore', '123', '--only', 'x', 'arg1'],
+			flagsSchema,
+		});
+
+		expect(result).toEqual({
+			flags: { ignore: ['$..a,b', '123'], only: ['x'] },
+			args: ['arg1'],
+		});
+	});
+
 	it('should handle required flags with aliases', () => {
 		const cliParser = new CliParser(mock());
 		const flagsSchema = z.object({
@@ -23,29 +23,37 @@ export class CliParser {
 	parse<Flags extends z.ZodRawShape>(
 		input: CliInput<Flags>,
 	): ParsedArgs<z.infer<z.ZodObject<Flags>>> {
+		// Boolean flags never take a value, so that `--flag arg` leaves `arg` positional
+		const booleanFlags = Object.entries(input.flagsSchema?.shape ?? {})
+			.filter(([, flagSchema]) => this.getFlagDef(flagSchema).typeName === 'ZodBoolean')
+			.flatMap(([key, flagSchema]) => {
+				const alias = this.getFlagDef(flagSchema)._alias;
+				return alias ? [key, alias] : [key];
+			});
+
+		// Array flags are given by repeating them, their values are kept as strings
+		const arrayFlags = Object.entries(input.flagsSchema?.shape ?? {})
+			.filter(([, flagSchema]) => this.getFlagDef(flagSchema).typeName === 'ZodArray')
+			.map(([key]) => key);
+
+		// eslint-disable-next-line id-denylist
+		const parserOptions = { string: ['id', ...arrayFlags], boolean: booleanFlags };
 		// eslint-disable-next-line id-denylist
-		const { _: rest, ...rawFlags } = argvParser(input.argv, { string: ['id'] });
+		const { _: rest, ...rawFlags } = argvParser(input.argv, parserOptions);
 
 		let flags = {} as z.infer<z.ZodObject<Flags>>;
 		if (input.flagsSchema) {
 			for (const key in input.flagsSchema.shape) {
-				const flagSchema = input.flagsSchema.shape[key];
-				let schemaDef = flagSchema._def as z.ZodTypeDef & {
-					typeName: string;
-					innerType?: z.ZodType;
-					_alias?: string;
-				};
-
-				if (schemaDef.typeName === 'ZodOptional' && schemaDef.innerType) {
-					schemaDef = schemaDef.innerType._def as typeof schemaDef;
-				}
-
-				const alias = schemaDef._alias;
+				const alias = this.getFlagDef(input.flagsSchema.shape[key])._alias;
 				if (alias?.length && !(key in rawFlags) && rawFlags[alias]) {
 					rawFlags[key] = rawFlags[alias] as unknown;
 				}
 			}
 
+			for (const key of arrayFlags) {
+				if (key in rawFlags && !Array.isArray(rawFlags[key])) rawFlags[key] = [rawFlags[key]];
+			}
+
 			flags = input.flagsSchema.parse(rawFlags);
 		}
 
@@ -60,4 +68,22 @@ export class CliParser {
 
 		return { flags, args };
 	}
+
+	/** Definition of a flag's type, looking through optional and default values */
+	private getFlagDef(flagSchema: z.ZodTypeAny) {
+		let schemaDef = flagSchema._def as z.ZodTypeDef & {
+			typeName: string;
+			innerType?: z.ZodType;
+			_alias?: string;
+		};
+
+		while (
+			(schemaDef.typeName === 'ZodOptional' || schemaDef.typeName === 'ZodDefault') &&
+			schemaDef.innerType
+		) {
+			schemaDef = schemaDef.innerType._def as typeof schemaDef;
+		}
+
+		return schemaDef;
+	}
 }
@@ -30,6 +30,8 @@ export const LOG_SCOPES = [
 	'circuit-breaker',
 	'dynamic-credentials',
 	'workflow-history-compaction',
+	'workflow-lint',
+	'extensions',
 ] as const;
 
 export type LogScope = (typeof LOG_SCOPES)[number];
@@ -12,6 +12,7 @@ export type CommandOptions = {
 
 export type ICommand = {
 	flags?: object;
+	args?: string[];
 	init?: () => Promise<void>;
 	run: () => Promise<void>;
 	catch?: (e: Error) => Promise<void>;
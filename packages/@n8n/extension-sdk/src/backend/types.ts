@@ -1,8 +1,110 @@
+export type ExtensionEventHandler = (payload: unknown) => void | Promise<void>;
+
+export type ExtensionEvents = {
+	/**
+	 * Subscribe to an n8n event, only events listed in `events` of the manifest can be subscribed to.
+	 */
+	on: (eventName: string, handler: ExtensionEventHandler) => void;
+};
+
+export type ExtensionRequest = {
+	params: Record<string, string>;
+	query: Record<string, unknown>;
+	body: unknown;
+	/** The signed in user making the request */
+	user: { id: string; email: string; role: string };
+};
+
+/**
+ * Handles a request, what it returns is sent as JSON in `data` of the response
+ */
+export type ExtensionRouteHandler = (request: ExtensionRequest) => unknown;
+
+type RegisterRoute = (path: string, handler: ExtensionRouteHandler) => void;
+
+/**
+ * Routes are registered below `/rest/extensions/routes/<extension name>` and require a signed in user.
+ */
+export type ExtensionRoutes = {
+	get: RegisterRoute;
+	post: RegisterRoute;
+	put: RegisterRoute;
+	patch: RegisterRoute;
+	delete: RegisterRoute;
+};
+
+/**
+ * Key-value storage in the database, the keys are scoped to the extension.
+ * Values are stored as JSON.
+ */
+export type ExtensionStorage = {
+	get: <T = unknown>(key: string) => Promise<T | undefined>;
+	set: (key: string, value: unknown) => Promise<void>;
+	delete: (key: string) => Promise<void>;
+	keys: () => Promise<string[]>;
+};
+
+export type ExtensionWorkflow = {
+	id: string;
+	name: string;
+	active: boolean;
+	nodes: unknown[];
+	connections: Record<string, unknown>;
+	settings?: Record<string, unknown>;
+	createdAt: Date;
+	updatedAt: Date;
+};
+
+export type ExtensionWorkflowSummary = Omit<ExtensionWorkflow, 'nodes' | 'connections'>;
+
+/** Reads the workflows of all projects of the instance */
+export type ExtensionWorkflows = {
+	get: (id: string) => Promise<ExtensionWorkflow | undefined>;
+	list: (options?: { limit?: number }) => Promise<ExtensionWorkflowSummary[]>;
+};
+
+export type ExtensionExecution = {
+	id: string;
+	workflowId: string;
+	mode: string;
+	status: string;
+	startedAt: Date | null;
+	stoppedAt?: Date;
+};
+
+/** Reads the executions of all workflows of the instance */
+export type ExtensionExecutions = {
+	get: (id: string) => Promise<ExtensionExecution | undefined>;
+	list: (options?: { workflowId?: string; limit?: number }) => Promise<ExtensionExecution[]>;
+};
+
+export type ExtensionLogger = {
+	debug: (message: string, metadata?: Record<string, unknown>) => void;
+	info: (message: string, metadata?: Record<string, unknown>) => void;
+	warn: (message: string, metadata?: Record<string, unknown>) => void;
+	error: (message: string, metadata?: Record<string, unknown>) => void;
+};
+
+/**
+ * Each capability requires a permission in `permissions.backend` of the manifest,
+ * using one without it throws.
+ */
 export type BackendExtensionContext = {
-	example?: string;
+	/** Requires the `events:subscribe` permission */
+	events: ExtensionEvents;
+	/** Requires the `routes:register` permission */
+	routes: ExtensionRoutes;
+	/** Requires the `storage:use` permission */
+	storage: ExtensionStorage;
+	/** Requires the `workflows:read` permission */
+	workflows: ExtensionWorkflows;
+	/** Requires the `executions:read` permission */
+	executions: ExtensionExecutions;
+	/** Requires the `logger:use` permission */
+	logger: ExtensionLogger;
 };
 
-export type BackendExtensionSetupFn = (context: BackendExtension) => void;
+export type BackendExtensionSetupFn = (context: BackendExtensionContext) => void | Promise<void>;
 
 export type BackendExtension = {
 	setup: BackendExtensionSetupFn;
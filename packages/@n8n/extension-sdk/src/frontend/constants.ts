@@ -0,0 +1,5 @@
+/**
+ * Global the UMD build of a frontend entry assigns the extension to,
+ * the `build.lib.name` of its Vite config. Vue is taken from the `Vue` global.
+ */
+export const FRONTEND_EXTENSION_GLOBAL_NAME = 'n8nFrontEndSdk';
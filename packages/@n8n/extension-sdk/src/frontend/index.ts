@@ -1,2 +1,3 @@
+export * from './constants';
 export * from './define';
 export type * from './types';
@@ -1,13 +1,33 @@
 import type { RouteRecordRaw } from 'vue-router';
 import type { App, Component } from 'vue';
 
+/**
+ * Item in the main sidebar, linking to a route of the extension
+ */
+export type ExtensionSidebarItem = {
+	id: string;
+	label: string;
+	/** Name of an n8n design system icon */
+	icon?: string;
+	/** Path of a route registered with `defineRoutes` */
+	path: string;
+};
+
+/**
+ * Each capability requires a permission in `permissions.frontend` of the manifest,
+ * using one without it throws. `app` is always available.
+ */
 export type FrontendExtensionContext = {
 	app: App;
+	/** Requires the `routes:register` permission */
 	defineRoutes: (routes: RouteRecordRaw[]) => void;
+	/** Requires the `ui:views` permission, the manifest places components in `extends.views` */
 	registerComponent: (name: string, component: Component) => void;
+	/** Requires the `ui:sidebar` permission */
+	registerSidebarItem: (item: ExtensionSidebarItem) => void;
 };
 
-export type FrontendExtensionSetupFn = (context: FrontendExtensionContext) => void;
+export type FrontendExtensionSetupFn = (context: FrontendExtensionContext) => void | Promise<void>;
 
 export type FrontendExtension = {
 	setup: FrontendExtensionSetupFn;
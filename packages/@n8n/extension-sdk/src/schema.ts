@@ -1,5 +1,27 @@
 import { z } from 'zod';
 
+/**
+ * Capabilities of the backend extension context, using one that is not listed in `permissions.backend` throws.
+ * `workflows:read` and `executions:read` are instance-wide, they are not scoped to a project or user.
+ */
+export const BACKEND_PERMISSIONS = [
+	'events:subscribe',
+	'routes:register',
+	'storage:use',
+	'workflows:read',
+	'executions:read',
+	'logger:use',
+] as const;
+
+export type BackendPermission = (typeof BACKEND_PERMISSIONS)[number];
+
+/**
+ * Capabilities of the frontend extension context, using one that is not listed in `permissions.frontend` throws.
+ */
+export const FRONTEND_PERMISSIONS = ['routes:register', 'ui:views', 'ui:sidebar'] as const;
+
+export type FrontendPermission = (typeof FRONTEND_PERMISSIONS)[number];
+
 /**
  * Schema for the extension configuration.
  */
@@ -58,17 +80,17 @@ export const extensionManifestSchema = z.object({
 	 */
 	permissions: z.object({
 		/**
-		 * List of frontend permissions (array of strings).
+		 * List of frontend permissions, see `FRONTEND_PERMISSIONS`.
 		 */
-		frontend: z.array(z.string()),
+		frontend: z.array(z.enum(FRONTEND_PERMISSIONS)),
 		/**
-		 * List of backend permissions (array of strings).
+		 * List of backend permissions, see `BACKEND_PERMISSIONS`.
 		 */
-		backend: z.array(z.string()),
+		backend: z.array(z.enum(BACKEND_PERMISSIONS)),
 	}),
 
 	/**
-	 * List of events that the extension listens to.
+	 * List of events that the extension listens to, requires the `events:subscribe` backend permission.
 	 */
 	events: z.array(z.string()),
 
@@ -0,0 +1,117 @@
+import type { Config } from '@oclif/core';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { mock } from 'vitest-mock-extended';
+
+import ExtensionDev from './dev';
+import { setupTestPackage } from '../../test-utils/package-setup';
+import { tmpdirTest } from '../../test-utils/temp-fs';
+import { createSymlink } from '../../utils/filesystem';
+import { onCancel } from '../../utils/prompts';
+import { runCommands } from '../dev/utils';
+
+vi.mock('../dev/utils', async () => {
+	const actual = await vi.importActual('../dev/utils');
+	return {
+		...actual,
+		runCommands: vi.fn(),
+		buildHelpText: vi.fn(() => 'Press q to quit'),
+	};
+});
+
+vi.mock('../../utils/prompts', () => ({
+	onCancel: vi.fn((_msg: string, code?: number) => {
+		throw new Error(`EEXIT: ${code ?? 0}`);
+	}),
+	getCommandHeader: vi.fn().mockResolvedValue('Command Header'),
+}));
+
+vi.mock('../../utils/filesystem', async () => {
+	const actual = await vi.importActual('../../utils/filesystem');
+	return {
+		...actual,
+		createSymlink: vi.fn(),
+	};
+});
+
+describe('extension dev command', () => {
+	const createMockConfig = (tmpdir: string): Config =>
+		mock<Config>({
+			root: tmpdir,
+			runHook: async () => await Promise.resolve({ successes: [], failures: [] }),
+		});
+
+	const setupTestExtension = async (
+		tmpdir: string,
+		entry: { backend?: string; frontend?: string } = {
+			backend: './dist/backend/index.cjs',
+			frontend: './dist/frontend/index.umd.cjs',
+		},
+	) => {
+		await setupTestPackage(tmpdir, { packageJson: { name: 'n8n-extension-test' } });
+		await fs.writeFile(
+			path.join(tmpdir, 'n8n.manifest.json'),
+			JSON.stringify({ name: 'n8n-extension-test', entry }),
+		);
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	tmpdirTest('links the extension into the n8n nodes folder', async ({ tmpdir }) => {
+		await setupTestExtension(tmpdir);
+
+		const customFolder = path.join(tmpdir, 'custom');
+		const command = new ExtensionDev(
+			['--custom-user-folder', customFolder],
+			createMockConfig(tmpdir),
+		);
+		await command.run();
+
+		const calls = vi.mocked(createSymlink).mock.calls[0];
+		expect(calls?.[0]).toContain(tmpdir.split('/').pop());
+		expect(calls?.[1]).toBe(
+			path.join(customFolder, '.n8n', 'nodes', 'node_modules', 'n8n-extension-test'),
+		);
+	});
+
+	tmpdirTest('watches the backend and frontend builds', async ({ tmpdir }) => {
+		await setupTestExtension(tmpdir);
+
+		const command = new ExtensionDev([], createMockConfig(tmpdir));
+		await command.run();
+
+		const calls = vi.mocked(runCommands).mock.calls[0]?.[0];
+		expect(calls?.commands.map((c) => c.name)).toEqual([
+			'Backend Build (watching)',
+			'Frontend Build (watching)',
+		]);
+		expect(calls?.commands[0]?.args).toEqual(['exec', '--', 'tsdown', '--watch']);
+		expect(calls?.commands[1]?.args).toEqual(['exec', '--', 'vite', 'build', '--watch']);
+	});
+
+	tmpdirTest('only watches the entries the manifest declares', async ({ tmpdir }) => {
+		await setupTestExtension(tmpdir, { frontend: './dist/frontend/index.umd.cjs' });
+
+		const command = new ExtensionDev([], createMockConfig(tmpdir));
+		await command.run();
+
+		const calls = vi.mocked(runCommands).mock.calls[0]?.[0];
+		expect(calls?.commands.map((c) => c.name)).toEqual(['Frontend Build (watching)']);
+	});
+
+	tmpdirTest('fails without an extension manifest', async ({ tmpdir }) => {
+		await setupTestPackage(tmpdir, { packageJson: { name: 'n8n-extension-test' } });
+
+		const command = new ExtensionDev([], createMockConfig(tmpdir));
+
+		await expect(command.run()).rejects.toThrow('EEXIT');
+
+		expect(onCancel).toHaveBeenCalledWith(
+			'No valid n8n.manifest.json found in the current directory',
+		);
+		expect(createSymlink).not.toHaveBeenCalled();
+		expect(runCommands).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,94 @@
+import { Command, Flags } from '@oclif/core';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createSymlink, ensureFolder } from '../../utils/filesystem';
+import { jsonParse } from '../../utils/json';
+import { detectPackageManager } from '../../utils/package-manager';
+import { getCommandHeader, onCancel } from '../../utils/prompts';
+import { buildHelpText, type CommandConfig, readPackageName, runCommands } from '../dev/utils';
+
+const EXTENSION_MANIFEST_FILE = 'n8n.manifest.json';
+
+interface ExtensionManifestEntries {
+	entry?: { backend?: string; frontend?: string };
+}
+
+async function readManifestEntries(): Promise<ExtensionManifestEntries | null> {
+	return await fs
+		.readFile(EXTENSION_MANIFEST_FILE, 'utf-8')
+		.then((manifest) => jsonParse<ExtensionManifestEntries>(manifest))
+		.catch(() => null);
+}
+
+export default class ExtensionDev extends Command {
+	static override description =
+		'Rebuild the extension backend and frontend on changes, which n8n reloads without a restart. Start n8n yourself with N8N_DEV_RELOAD=true and N8N_USER_FOLDER set to the custom user folder.';
+	static override examples = [
+		'<%= config.bin %> <%= command.id %>',
+		'<%= config.bin %> <%= command.id %> --custom-user-folder /Users/test',
+	];
+	static override flags = {
+		'custom-user-folder': Flags.directory({
+			default: path.join(os.homedir(), '.n8n-node-cli'),
+			description:
+				'Folder to use to store user-specific n8n data. By default it will use ~/.n8n-node-cli. The node CLI will install your extension here, start n8n with N8N_USER_FOLDER set to it.',
+		}),
+	};
+
+	async run(): Promise<void> {
+		const { flags } = await this.parse(ExtensionDev);
+
+		const n8nUserFolder = flags['custom-user-folder'];
+		const manifest = await readManifestEntries();
+		if (!manifest) {
+			return onCancel(`No valid ${EXTENSION_MANIFEST_FILE} found in the current directory`);
+		}
+
+		const packageManager = (await detectPackageManager()) ?? 'npm';
+
+		// n8n loads extensions from the folder community packages are installed into
+		const nodeModulesFolder = path.join(n8nUserFolder, '.n8n', 'nodes', 'node_modules');
+
+		await ensureFolder(nodeModulesFolder);
+
+		const packageName = await readPackageName();
+		const symlinkPath = path.join(nodeModulesFolder, packageName);
+
+		try {
+			await createSymlink(process.cwd(), symlinkPath);
+		} catch (error) {
+			const message =
+				error instanceof Error ? error.message : 'Unknown error creating symbolic link';
+			return onCancel(`Failed to create symbolic link: ${message}`);
+		}
+
+		const commandsList: CommandConfig[] = [];
+
+		if (manifest.entry?.backend) {
+			commandsList.push({
+				cmd: packageManager,
+				args: ['exec', '--', 'tsdown', '--watch'],
+				name: 'Backend Build (watching)',
+			});
+		}
+
+		if (manifest.entry?.frontend) {
+			commandsList.push({
+				cmd: packageManager,
+				args: ['exec', '--', 'vite', 'build', '--watch'],
+				name: 'Frontend Build (watching)',
+			});
+		}
+
+		const headerText = await getCommandHeader('n8n-node extension dev');
+
+		runCommands({
+			commands: commandsList,
+			keyHandlers: [],
+			helpText: () => buildHelpText(false, false),
+			headerText,
+		});
+	}
+}
@@ -1,6 +1,7 @@
 import Build from './commands/build';
 import CloudSupport from './commands/cloud-support';
 import Dev from './commands/dev';
+import ExtensionDev from './commands/extension/dev';
 import Lint from './commands/lint';
 import New from './commands/new';
 import Prerelease from './commands/prerelease';
@@ -15,4 +16,6 @@ export const commands = {
 	lint: Lint,
 	// eslint-disable-next-line @typescript-eslint/naming-convention
 	'cloud-support': CloudSupport,
+	// eslint-disable-next-line @typescript-eslint/naming-convention
+	'extension:dev': ExtensionDev,
 };
@@ -0,0 +1,188 @@
+import { createWebviewBridge, type WebviewBridgeOptions } from './bridge';
+import { PROTOCOL_VERSION, WebviewProtocolError, WebviewRequestTimeoutError } from './protocol';
+import type { WebviewMessage } from './schema';
+
+const ORIGIN = 'vscode-webview://webview-id';
+
+function setup(options: Partial<WebviewBridgeOptions> = {}) {
+	const target = new EventTarget();
+	const posted: WebviewMessage[] = [];
+	const bridge = createWebviewBridge({
+		postMessage: (message) => posted.push(message),
+		target: target as unknown as WebviewBridgeOptions['target'],
+		ownOrigin: ORIGIN,
+		...options,
+	});
+
+	const receive = (data: unknown, origin = ORIGIN) =>
+		target.dispatchEvent(new MessageEvent('message', { data, origin }));
+
+	return { bridge, posted, receive };
+}
+
+describe('createWebviewBridge', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('should validate outgoing messages', () => {
+		const { bridge, posted } = setup();
+
+		bridge.send({
+			type: 'workflowSyncConflict',
+			workflowId: 'wf-1',
+			workflowName: 'My workflow',
+			conflicts: ['node-1'],
+		});
+
+		expect(posted).toHaveLength(1);
+		expect(() =>
+			bridge.send({ type: 'workflowUpdate', shouldSave: true } as unknown as WebviewMessage),
+		).toThrow();
+		expect(posted).toHaveLength(1);
+	});
+
+	it('should post legacy commands to hosts predating the protocol until a handshake succeeded', async () => {
+		const legacy: string[] = [];
+		const { bridge, posted, receive } = setup({
+			legacyTarget: { postMessage: (message) => legacy.push(message) },
+		});
+		const conflict = {
+			type: 'workflowSyncConflict' as const,
+			workflowId: 'wf-1',
+			workflowName: 'My workflow',
+			conflicts: ['node-1'],
+		};
+
+		bridge.send(conflict);
+		bridge.send({
+			type: 'workflowUpdate',
+			workflow: { name: 'My workflow', nodes: [], connections: {} },
+			shouldSave: false,
+		});
+
+		expect(legacy).toEqual([
+			JSON.stringify({
+				command: 'workflowSyncConflict',
+				workflowId: 'wf-1',
+				workflowName: 'My workflow',
+				conflicts: ['node-1'],
+			}),
+		]);
+
+		const handshake = bridge.handshake('1.0.0');
+		const { requestId } = posted[2] as { requestId: string };
+		receive({ type: 'hostReady', requestId, protocolVersion: 1, minProtocolVersion: 1 });
+		await handshake;
+
+		bridge.send(conflict);
+		expect(legacy).toHaveLength(1);
+		expect(posted.filter((message) => message.type === 'workflowSyncConflict')).toHaveLength(2);
+	});
+
+	it('should resolve a request with the response carrying its request id', async () => {
+		const { bridge, posted, receive } = setup();
+
+		const first = bridge.request({ type: 'listDataFiles' });
+		const second = bridge.request({ type: 'listDataFiles' });
+		const [firstId, secondId] = posted.map(
+			(message) => (message as { requestId: string }).requestId,
+		);
+
+		expect(firstId).not.toBe(secondId);
+
+		receive({ type: 'dataFileList', requestId: secondId, files: [] });
+		receive({ type: 'dataFileList', requestId: firstId, files: [{ path: '/a.data', name: 'a' }] });
+
+		await expect(first).resolves.toMatchObject({ files: [{ path: '/a.data', name: 'a' }] });
+		await expect(second).resolves.toMatchObject({ files: [] });
+	});
+
+	it('should reject a request when the host answers with an error', async () => {
+		const { bridge, posted, receive } = setup();
+
+		const request = bridge.request({ type: 'loadDataFile', filePath: '/a.data' });
+		const { requestId } = posted[0] as { requestId: string };
+		receive({ type: 'dataFileError', requestId, error: 'File not found' });
+
+		await expect(request).rejects.toThrow(new WebviewProtocolError('File not found'));
+	});
+
+	it('should settle the oldest matching request for responses without a request id', async () => {
+		const { bridge, receive } = setup();
+
+		const request = bridge.request({ type: 'loadDataFile' });
+		receive({ type: 'dataFileLoaded', runData: {} });
+
+		await expect(request).resolves.toMatchObject({ type: 'dataFileLoaded' });
+	});
+
+	it('should ignore messages from untrusted origins and invalid messages', () => {
+		const { bridge, receive } = setup({ allowedOrigins: ['https://allowed.example'] });
+		const handler = vi.fn();
+		bridge.on('dataFileError', handler);
+
+		receive({ type: 'dataFileError', error: 'foreign' }, 'https://evil.example');
+		receive({ type: 'unknown' });
+		receive(JSON.stringify({ command: 'openWorkflow' }));
+		receive({ type: 'dataFileError', error: 'allowed' }, 'https://allowed.example');
+
+		expect(handler).toHaveBeenCalledTimes(1);
+		expect(handler).toHaveBeenCalledWith({ type: 'dataFileError', error: 'allowed' });
+	});
+
+	it('should reject a request that is not answered in time', async () => {
+		vi.useFakeTimers();
+		const { bridge } = setup({ requestTimeout: 100 });
+
+		const request = bridge.request({ type: 'listDataFiles' });
+		vi.advanceTimersByTime(100);
+
+		await expect(request).rejects.toBeInstanceOf(WebviewRequestTimeoutError);
+	});
+
+	describe('handshake', () => {
+		it('should negotiate the protocol version with the host', async () => {
+			const { bridge, posted, receive } = setup();
+
+			const handshake = bridge.handshake('1.0.0');
+			expect(posted[0]).toMatchObject({
+				type: 'n8nReady',
+				n8nVersion: '1.0.0',
+				protocolVersion: PROTOCOL_VERSION,
+			});
+
+			const { requestId } = posted[0] as { requestId: string };
+			receive({ type: 'hostReady', requestId, protocolVersion: 1, minProtocolVersion: 1 });
+
+			await expect(handshake).resolves.toBe(1);
+			expect(bridge.protocolVersion).toBe(1);
+		});
+
+		it('should fail when the host no longer supports this version', async () => {
+			const { bridge, posted, receive } = setup();
+
+			const handshake = bridge.handshake('1.0.0');
+			const { requestId } = posted[0] as { requestId: string };
+			receive({
+				type: 'hostReady',
+				requestId,
+				protocolVersion: PROTOCOL_VERSION + 2,
+				minProtocolVersion: PROTOCOL_VERSION + 1,
+			});
+
+			await expect(handshake).rejects.toThrow('Incompatible webview protocol');
+			expect(bridge.protocolVersion).toBeUndefined();
+		});
+
+		it('should resolve without a version when the host does not answer', async () => {
+			vi.useFakeTimers();
+			const { bridge } = setup({ handshakeTimeout: 100 });
+
+			const handshake = bridge.handshake('1.0.0');
+			vi.advanceTimersByTime(100);
+
+			await expect(handshake).resolves.toBeUndefined();
+		});
+	});
+});
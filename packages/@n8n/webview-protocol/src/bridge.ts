@@ -0,0 +1,268 @@
+import {
+	createRequestId,
+	isTrustedOrigin,
+	LEGACY_COMMANDS,
+	MIN_PROTOCOL_VERSION,
+	negotiateProtocolVersion,
+	parseHostMessage,
+	PROTOCOL_VERSION,
+	REQUEST_RESPONSES,
+	WebviewProtocolError,
+	WebviewRequestTimeoutError,
+	type HostResponse,
+	type WebviewRequest,
+	type WebviewRequestType,
+} from './protocol';
+import {
+	webviewMessageSchema,
+	type HostMessage,
+	type HostMessageType,
+	type WebviewMessage,
+} from './schema';
+
+type MessageTarget = {
+	addEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+	removeEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+};
+
+export interface WebviewBridgeOptions {
+	/**
+	 * Delivers a message to the extension host, usually `acquireVsCodeApi().postMessage`.
+	 */
+	postMessage: (message: WebviewMessage) => void;
+	/**
+	 * Receives the host messages, usually `window`.
+	 */
+	target: MessageTarget;
+	/**
+	 * Origin of the webview itself, usually `window.location.origin`.
+	 */
+	ownOrigin: string;
+	/**
+	 * Additional origins host messages are accepted from.
+	 */
+	allowedOrigins?: string[];
+	/**
+	 * Where hosts predating the protocol listen, usually `window.parent`.
+	 * Until a handshake succeeded, the `LEGACY_COMMANDS` are also posted there in their old shape.
+	 */
+	legacyTarget?: { postMessage: (message: string, targetOrigin: string) => void };
+	/**
+	 * Milliseconds to wait for a response before a request is rejected.
+	 */
+	requestTimeout?: number;
+	/**
+	 * Milliseconds to wait for the host to answer the handshake.
+	 */
+	handshakeTimeout?: number;
+}
+
+type HostMessageHandler<T extends HostMessageType> = (
+	message: Extract<HostMessage, { type: T }>,
+) => void;
+
+type PendingRequest = {
+	type: WebviewRequestType;
+	resolve: (message: HostMessage) => void;
+	reject: (error: Error) => void;
+	timer: ReturnType<typeof setTimeout>;
+};
+
+type OmitRequestId<T> = T extends unknown ? Omit<T, 'requestId'> : never;
+
+export type WebviewBridge = ReturnType<typeof createWebviewBridge>;
+
+/**
+ * Creates the webview side of the protocol: validates outgoing and incoming messages,
+ * correlates requests with their responses and performs the version handshake.
+ *
+ * @example
+ * ```ts
+ * const bridge = createWebviewBridge({
+ *   postMessage: (message) => vscode.postMessage(message),
+ *   target: window,
+ *   ownOrigin: window.location.origin,
+ * });
+ * await bridge.handshake('1.100.0');
+ * const { files } = await bridge.request({ type: 'listDataFiles' });
+ * ```
+ */
+export function createWebviewBridge({
+	postMessage,
+	target,
+	ownOrigin,
+	allowedOrigins = [],
+	legacyTarget,
+	requestTimeout = 60_000,
+	handshakeTimeout = 5_000,
+}: WebviewBridgeOptions) {
+	const pending = new Map<string, PendingRequest>();
+	const handlers = new Map<HostMessageType, Set<(message: HostMessage) => void>>();
+	let protocolVersion: number | undefined;
+
+	/**
+	 * Hosts predating request ids answer without one,
+	 * their responses settle the oldest request waiting for that response type.
+	 */
+	function findPendingRequest(message: HostMessage): [string, PendingRequest] | undefined {
+		const { requestId } = message as { requestId?: string };
+		if (requestId !== undefined) {
+			const request = pending.get(requestId);
+			return request ? [requestId, request] : undefined;
+		}
+
+		for (const entry of pending) {
+			const responses: { success: HostMessageType; error?: HostMessageType } =
+				REQUEST_RESPONSES[entry[1].type];
+			if (responses.success === message.type || responses.error === message.type) {
+				return entry;
+			}
+		}
+
+		return undefined;
+	}
+
+	function settle(message: HostMessage) {
+		const entry = findPendingRequest(message);
+		if (!entry) return;
+
+		const [requestId, request] = entry;
+		pending.delete(requestId);
+		clearTimeout(request.timer);
+
+		if (REQUEST_RESPONSES[request.type].success === message.type) {
+			request.resolve(message);
+		} else {
+			const { error } = message as { error?: string };
+			request.reject(new WebviewProtocolError(error ?? `Request "${request.type}" failed`));
+		}
+	}
+
+	function onMessage(event: MessageEvent) {
+		if (!isTrustedOrigin(event.origin, ownOrigin, allowedOrigins)) return;
+
+		const message = parseHostMessage(event.data);
+		if (!message) return;
+
+		settle(message);
+		handlers.get(message.type)?.forEach((handler) => handler(message));
+	}
+
+	target.addEventListener('message', onMessage);
+
+	/**
+	 * Posts a message in the `{ command }` shape of hosts predating the protocol.
+	 * Those hosts never told their origin, so the message goes to any.
+	 */
+	function sendLegacy(message: WebviewMessage) {
+		const { type, ...fields } = message;
+		if (!legacyTarget || !(LEGACY_COMMANDS as readonly string[]).includes(type)) return;
+
+		legacyTarget.postMessage(JSON.stringify({ command: type, ...fields }), '*');
+	}
+
+	/**
+	 * Validates and posts a message to the extension host.
+	 */
+	function send(message: WebviewMessage) {
+		const outgoing = webviewMessageSchema.parse(message);
+		postMessage(outgoing);
+		if (protocolVersion === undefined) sendLegacy(outgoing);
+	}
+
+	/**
+	 * Posts a request and resolves with the host's response to it.
+	 * Rejects when the host answers with an error or does not answer in time.
+	 */
+	async function request<T extends WebviewRequestType>(
+		message: OmitRequestId<WebviewRequest<T>> & { type: T },
+		{ timeout = requestTimeout }: { timeout?: number } = {},
+	): Promise<HostResponse<T>> {
+		const requestId = createRequestId();
+		const outgoing = webviewMessageSchema.parse({ ...message, requestId });
+		const { type } = message;
+
+		return await new Promise<HostResponse<T>>((resolve, reject) => {
+			pending.set(requestId, {
+				type,
+				resolve: (response) => resolve(response as HostResponse<T>),
+				reject,
+				timer: setTimeout(() => {
+					pending.delete(requestId);
+					reject(new WebviewRequestTimeoutError(type, timeout));
+				}, timeout),
+			});
+
+			try {
+				postMessage(outgoing);
+			} catch (error) {
+				clearTimeout(pending.get(requestId)?.timer);
+				pending.delete(requestId);
+				reject(error instanceof Error ? error : new WebviewProtocolError(String(error)));
+			}
+		});
+	}
+
+	/**
+	 * Announces the webview as ready and negotiates the protocol version.
+	 * Resolves with `undefined` when the host does not take part in the handshake.
+	 *
+	 * @throws {WebviewProtocolError} when the host speaks an incompatible version
+	 */
+	async function handshake(n8nVersion: string): Promise<number | undefined> {
+		let reply: HostResponse<'n8nReady'>;
+		try {
+			reply = await request<'n8nReady'>(
+				{
+					type: 'n8nReady',
+					n8nVersion,
+					protocolVersion: PROTOCOL_VERSION,
+					minProtocolVersion: MIN_PROTOCOL_VERSION,
+				},
+				{ timeout: handshakeTimeout },
+			);
+		} catch (error) {
+			if (error instanceof WebviewRequestTimeoutError) return undefined;
+			throw error;
+		}
+
+		protocolVersion = negotiateProtocolVersion(reply);
+		return protocolVersion;
+	}
+
+	/**
+	 * Subscribes to a host message type, returns a function removing the handler.
+	 */
+	function on<T extends HostMessageType>(type: T, handler: HostMessageHandler<T>): () => void {
+		const typeHandlers = handlers.get(type) ?? new Set();
+		const listener = handler as (message: HostMessage) => void;
+		typeHandlers.add(listener);
+		handlers.set(type, typeHandlers);
+
+		return () => typeHandlers.delete(listener);
+	}
+
+	function dispose() {
+		target.removeEventListener('message', onMessage);
+		for (const request of pending.values()) {
+			clearTimeout(request.timer);
+			request.reject(new WebviewProtocolError('Webview bridge disposed'));
+		}
+		pending.clear();
+		handlers.clear();
+	}
+
+	return {
+		send,
+		request,
+		handshake,
+		on,
+		dispose,
+		/**
+		 * Negotiated protocol version, `undefined` until a handshake succeeded.
+		 */
+		get protocolVersion() {
+			return protocolVersion;
+		},
+	};
+}
@@ -0,0 +1,85 @@
+import { selectDataFilesToRotate, STRIPPED_BINARY_DATA, stripBinaryData } from './data-files';
+
+const now = Date.parse('2026-03-10T12:00:00.000Z');
+
+const dataFile = (name: string, daysAgo: number, size = 100, golden = false) => ({
+	path: `/workflows/${name}`,
+	name,
+	size,
+	createdAt: new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+	golden,
+});
+
+const names = (files: Array<{ name: string }>) => files.map((file) => file.name);
+
+describe('selectDataFilesToRotate', () => {
+	const files = [
+		dataFile('b.data', 2),
+		dataFile('a.data', 1),
+		dataFile('golden.data', 30, 100, true),
+		dataFile('d.data', 10),
+		dataFile('c.data', 5),
+	];
+
+	it('should keep every file without limits', () => {
+		expect(selectDataFilesToRotate(files, {}, now)).toEqual([]);
+	});
+
+	it('should keep the last files and never rotate golden files', () => {
+		expect(names(selectDataFilesToRotate(files, { keepLast: 2 }, now))).toEqual([
+			'c.data',
+			'd.data',
+		]);
+	});
+
+	it('should rotate files older than the maximum age', () => {
+		expect(names(selectDataFilesToRotate(files, { maxAgeDays: 3 }, now))).toEqual([
+			'c.data',
+			'd.data',
+		]);
+	});
+
+	it('should rotate the oldest files over the total size, golden files included', () => {
+		expect(names(selectDataFilesToRotate(files, { maxTotalSize: 400 }, now))).toEqual(['d.data']);
+	});
+
+	it('should always keep the newest file', () => {
+		expect(
+			names(selectDataFilesToRotate([dataFile('a.data', 100, 1000)], { maxTotalSize: 10 }, now)),
+		).toEqual([]);
+	});
+});
+
+describe('stripBinaryData', () => {
+	it('should leave out inlined binary contents and keep their metadata', () => {
+		const runData = {
+			readFile: [
+				{
+					startTime: 1,
+					data: {
+						main: [
+							[
+								{
+									json: { binary: { data: 'not binary data' } },
+									binary: {
+										file: { data: 'aGVsbG8=', mimeType: 'text/plain', fileName: 'a.txt' },
+										stored: { data: 'filesystem-v2', id: 'filesystem-v2:1', mimeType: 'image/png' },
+									},
+								},
+							],
+						],
+					},
+				},
+			],
+		};
+
+		expect(stripBinaryData(runData).readFile[0].data.main[0][0]).toEqual({
+			json: { binary: { data: 'not binary data' } },
+			binary: {
+				file: { data: STRIPPED_BINARY_DATA, mimeType: 'text/plain', fileName: 'a.txt' },
+				stored: { data: 'filesystem-v2', id: 'filesystem-v2:1', mimeType: 'image/png' },
+			},
+		});
+		expect(runData.readFile[0].data.main[0][0].binary.file.data).toBe('aGVsbG8=');
+	});
+});
@@ -0,0 +1,71 @@
+import type { DataFile, DataFileRetention } from './schema';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function getTime(file: DataFile): number {
+	const time = file.createdAt ? Date.parse(file.createdAt) : NaN;
+	return Number.isNaN(time) ? -Infinity : time;
+}
+
+/**
+ * Picks the .data files of a workflow the host should delete after writing a new one.
+ * Files are kept newest first while they stay within every limit of the policy.
+ * The newest file is always kept and golden files are never rotated.
+ * Files without a date count as the oldest.
+ */
+export function selectDataFilesToRotate<T extends DataFile>(
+	files: T[],
+	{ keepLast, maxAgeDays, maxTotalSize }: DataFileRetention,
+	now = Date.now(),
+): T[] {
+	const rotating = files.filter((file) => !file.golden).sort((a, b) => getTime(b) - getTime(a));
+	let totalSize = files
+		.filter((file) => file.golden)
+		.reduce((total, file) => total + (file.size ?? 0), 0);
+
+	return rotating.filter((file, index) => {
+		const size = file.size ?? 0;
+		const rotate =
+			index > 0 &&
+			((keepLast !== undefined && index >= keepLast) ||
+				(maxAgeDays !== undefined && now - getTime(file) > maxAgeDays * DAY) ||
+				(maxTotalSize !== undefined && totalSize + size > maxTotalSize));
+
+		if (!rotate) totalSize += size;
+		return rotate;
+	});
+}
+
+/**
+ * Stands in for the contents of binary data left out of .data files.
+ */
+export const STRIPPED_BINARY_DATA = '[BINARY DATA]';
+
+function isObject(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null;
+}
+
+/**
+ * Leaves the inlined contents of binary data out of run data written to a .data file.
+ * Items keep the mime type, file name and size of their binary data, and the id of binary data
+ * n8n stores outside the execution, only the base64 contents are replaced with `STRIPPED_BINARY_DATA`.
+ */
+export function stripBinaryData<T>(runData: T): T {
+	if (Array.isArray(runData)) {
+		return runData.map((value: unknown) => stripBinaryData(value)) as T;
+	}
+	if (!isObject(runData)) return runData;
+
+	const stripped = Object.fromEntries(
+		Object.entries(runData).map(([key, value]) => [key, stripBinaryData(value)]),
+	);
+	if ('json' in runData && isObject(runData.binary)) {
+		stripped.binary = Object.fromEntries(
+			Object.entries(runData.binary).map(([key, binary]) => [
+				key,
+				isObject(binary) && !binary.id ? { ...binary, data: STRIPPED_BINARY_DATA } : binary,
+			]),
+		);
+	}
+	return stripped as T;
+}
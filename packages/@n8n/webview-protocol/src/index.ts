@@ -0,0 +1,4 @@
+export * from './bridge';
+export * from './data-files';
+export * from './protocol';
+export * from './schema';
@@ -0,0 +1,145 @@
+import {
+	isTrustedOrigin,
+	negotiateProtocolVersion,
+	parseHostMessage,
+	parseWebviewMessage,
+} from './protocol';
+
+describe('negotiateProtocolVersion', () => {
+	it('should pick the newest version both sides support', () => {
+		expect(
+			negotiateProtocolVersion(
+				{ protocolVersion: 4, minProtocolVersion: 2 },
+				{ protocolVersion: 3, minProtocolVersion: 1 },
+			),
+		).toBe(3);
+	});
+
+	it('should throw when the supported versions do not overlap', () => {
+		expect(() =>
+			negotiateProtocolVersion(
+				{ protocolVersion: 1, minProtocolVersion: 1 },
+				{ protocolVersion: 3, minProtocolVersion: 2 },
+			),
+		).toThrow('Incompatible webview protocol');
+	});
+});
+
+describe('parseHostMessage', () => {
+	it('should accept a workflow sync message', () => {
+		const message = {
+			type: 'workflowSync',
+			workflow: {
+				id: 'wf-1',
+				name: 'My workflow',
+				nodes: [{ name: 'Start', type: 'n8n-nodes-base.manualTrigger', parameters: {} }],
+				connections: {},
+			},
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+	});
+
+	it('should accept a workspace sync request', () => {
+		const message = {
+			type: 'workspaceSync',
+			requestId: 'r-1',
+			operation: 'status',
+			target: { projectId: 'p-1' },
+			files: [
+				{
+					path: 'billing/invoices.n8n',
+					workflow: { name: 'Invoices', nodes: [], connections: {} },
+				},
+			],
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+		expect(parseHostMessage({ ...message, operation: 'delete' })).toBeNull();
+	});
+
+	it('should accept the files of a workflow directory', () => {
+		const manifest = 'workflow.json';
+		const code = 'nodes/Code/jsCode.js';
+		const message = {
+			type: 'workflowDirectorySync',
+			files: { [manifest]: '{}', [code]: 'return items;' },
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+		expect(parseHostMessage({ ...message, files: { [manifest]: {} } })).toBeNull();
+	});
+
+	it('should accept redaction rules in the handshake reply', () => {
+		const message = {
+			type: 'hostReady',
+			requestId: 'r-1',
+			protocolVersion: 1,
+			minProtocolVersion: 1,
+			redaction: { paths: ['$..json.email'], detectors: [{ name: 'iban', pattern: 'DE\\d{20}' }] },
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+		expect(parseHostMessage({ ...message, redaction: { detectors: [/DE\d{20}/] } })).toBeNull();
+	});
+
+	it('should accept a workflow at a git revision, or none when the file did not exist', () => {
+		const message = {
+			type: 'workflowGitDiff',
+			revision: 'HEAD',
+			workflow: { name: 'My workflow', nodes: [], connections: {} },
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+		expect(parseHostMessage({ type: 'workflowGitDiff', revision: 'a1b2c3d' })).toEqual({
+			type: 'workflowGitDiff',
+			revision: 'a1b2c3d',
+		});
+		expect(parseHostMessage({ ...message, revision: '' })).toBeNull();
+	});
+
+	it('should accept compressed and golden data files', () => {
+		const message = {
+			type: 'dataFileList',
+			requestId: 'r-1',
+			files: [{ path: '/a.data.gz', name: 'a', golden: true, compressed: true }],
+		};
+
+		expect(parseHostMessage(message)).toEqual(message);
+	});
+
+	it('should reject malformed and legacy string messages', () => {
+		expect(parseHostMessage({ type: 'workflowSync', workflow: { name: '' } })).toBeNull();
+		expect(parseHostMessage({ type: 'dataFileList', files: 'a.data' })).toBeNull();
+		expect(parseHostMessage('{"command":"openWorkflow"}')).toBeNull();
+		expect(parseHostMessage(null)).toBeNull();
+	});
+});
+
+describe('parseWebviewMessage', () => {
+	it('should require a request id on requests', () => {
+		expect(parseWebviewMessage({ type: 'listDataFiles' })).toBeNull();
+		expect(parseWebviewMessage({ type: 'listDataFiles', requestId: 'r-1' })).toEqual({
+			type: 'listDataFiles',
+			requestId: 'r-1',
+		});
+	});
+
+	it('should accept marking a data file as golden', () => {
+		const message = { type: 'setDataFileGolden', requestId: 'r-1', filePath: '/a.data' };
+
+		expect(parseWebviewMessage({ ...message, golden: true })).toEqual({ ...message, golden: true });
+		expect(parseWebviewMessage(message)).toBeNull();
+	});
+});
+
+describe('isTrustedOrigin', () => {
+	it('should only trust the own origin and allowed origins', () => {
+		const own = 'vscode-webview://webview-id';
+
+		expect(isTrustedOrigin(own, own)).toBe(true);
+		expect(isTrustedOrigin('https://example.com', own)).toBe(false);
+		expect(isTrustedOrigin('https://example.com', own, ['https://example.com'])).toBe(true);
+		expect(isTrustedOrigin('', '')).toBe(false);
+	});
+});
@@ -0,0 +1,123 @@
+import {
+	hostMessageSchema,
+	webviewMessageSchema,
+	type HostMessage,
+	type HostMessageType,
+	type WebviewMessage,
+	type WebviewMessageType,
+} from './schema';
+
+/**
+ * Version of the protocol implemented by this package.
+ * Bump it on any change an older host or webview would not understand.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Oldest protocol version this package still understands.
+ */
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Webview messages hosts predating the protocol understand, posted to them as
+ * `JSON.stringify({ command: type, ...fields })` until a handshake succeeded.
+ */
+export const LEGACY_COMMANDS = [
+	'workflowSyncComplete',
+	'workflowSyncConflict',
+	'error',
+] as const satisfies WebviewMessageType[];
+
+/**
+ * Webview requests and the host messages answering them.
+ */
+export const REQUEST_RESPONSES = {
+	n8nReady: { success: 'hostReady' },
+	loadDataFile: { success: 'dataFileLoaded', error: 'dataFileError' },
+	listDataFiles: { success: 'dataFileList', error: 'dataFileListError' },
+	setDataFileGolden: { success: 'dataFileList', error: 'dataFileListError' },
+} as const satisfies Record<string, { success: HostMessageType; error?: HostMessageType }>;
+
+export type WebviewRequestType = keyof typeof REQUEST_RESPONSES;
+
+export type WebviewRequest<T extends WebviewRequestType = WebviewRequestType> = Extract<
+	WebviewMessage,
+	{ type: T }
+>;
+
+export type HostResponse<T extends WebviewRequestType> = Extract<
+	HostMessage,
+	{ type: (typeof REQUEST_RESPONSES)[T]['success'] }
+>;
+
+export class WebviewProtocolError extends Error {
+	name = 'WebviewProtocolError';
+}
+
+export class WebviewRequestTimeoutError extends WebviewProtocolError {
+	name = 'WebviewRequestTimeoutError';
+
+	constructor(type: WebviewRequestType, timeout: number) {
+		super(`No response to "${type}" within ${timeout}ms`);
+	}
+}
+
+type HandshakeVersions = { protocolVersion: number; minProtocolVersion: number };
+
+/**
+ * Picks the newest protocol version both sides understand.
+ *
+ * @throws {WebviewProtocolError} when the version ranges do not overlap
+ */
+export function negotiateProtocolVersion(
+	remote: HandshakeVersions,
+	local: HandshakeVersions = {
+		protocolVersion: PROTOCOL_VERSION,
+		minProtocolVersion: MIN_PROTOCOL_VERSION,
+	},
+): number {
+	const version = Math.min(local.protocolVersion, remote.protocolVersion);
+	if (version < local.minProtocolVersion || version < remote.minProtocolVersion) {
+		throw new WebviewProtocolError(
+			`Incompatible webview protocol: local supports ${local.minProtocolVersion}-${local.protocolVersion}, remote supports ${remote.minProtocolVersion}-${remote.protocolVersion}`,
+		);
+	}
+
+	return version;
+}
+
+/**
+ * Validates a message received from the extension host.
+ * Returns `null` for anything that is not a protocol message.
+ */
+export function parseHostMessage(data: unknown): HostMessage | null {
+	const result = hostMessageSchema.safeParse(data);
+	return result.success ? result.data : null;
+}
+
+/**
+ * Validates a message received from the n8n webview.
+ * Returns `null` for anything that is not a protocol message.
+ */
+export function parseWebviewMessage(data: unknown): WebviewMessage | null {
+	const result = webviewMessageSchema.safeParse(data);
+	return result.success ? result.data : null;
+}
+
+/**
+ * Messages are only accepted from the webview's own origin, which is the one
+ * VS Code delivers host messages with, or from explicitly allowed origins.
+ */
+export function isTrustedOrigin(
+	origin: string,
+	ownOrigin: string,
+	allowedOrigins: readonly string[] = [],
+): boolean {
+	return origin !== '' && (origin === ownOrigin || allowedOrigins.includes(origin));
+}
+
+export function createRequestId(): string {
+	return (
+		globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`
+	);
+}
@@ -0,0 +1,370 @@
+import { z } from 'zod';
+
+/**
+ * Workflow as stored in a .n8n file. Node and connection details are owned by n8n,
+ * so only the fields the protocol relies on are validated.
+ */
+export const workflowFileSchema = z
+	.object({
+		/**
+		 * Backend workflow id, the stable identity of the file.
+		 */
+		id: z.string().optional(),
+		name: z.string().min(1),
+		nodes: z.array(z.object({ name: z.string(), type: z.string() }).passthrough()),
+		connections: z.record(z.unknown()),
+		settings: z.record(z.unknown()).optional(),
+		pinData: z.record(z.unknown()).optional(),
+		/**
+		 * Backend version the file content was last synced with.
+		 */
+		versionId: z.string().optional(),
+		meta: z
+			.object({
+				instanceId: z.string().optional(),
+				/**
+				 * Checksums of name, settings and pinData as last synced, see `getChangedWorkflowFields()`.
+				 */
+				syncChecksums: z.record(z.string()).optional(),
+			})
+			.passthrough()
+			.optional(),
+	})
+	.passthrough();
+
+/**
+ * Files of a workflow stored as a directory, by path relative to the directory.
+ * Assembled and split with `assembleWorkflow()` and `splitWorkflow()` from `n8n-workflow`.
+ */
+export const workflowDirectoryFilesSchema = z.record(z.string());
+
+export const dataFileSchema = z.object({
+	path: z.string(),
+	name: z.string(),
+	/**
+	 * Size on disk in bytes.
+	 */
+	size: z.number().optional(),
+	/**
+	 * ISO date the run was written at.
+	 */
+	createdAt: z.string().optional(),
+	/**
+	 * Golden files are never rotated, e.g. runs kept as test fixtures.
+	 */
+	golden: z.boolean().optional(),
+	/**
+	 * Stored gzip compressed, the host decompresses it on load.
+	 */
+	compressed: z.boolean().optional(),
+});
+
+/**
+ * Retention policy for the .data files of a workflow, read by the host from its settings.
+ * Unset limits keep every file.
+ */
+export const dataFileRetentionSchema = z.object({
+	/**
+	 * Number of files to keep, golden files not included.
+	 */
+	keepLast: z.number().int().positive().optional(),
+	/**
+	 * Rotate files older than this.
+	 */
+	maxAgeDays: z.number().positive().optional(),
+	/**
+	 * Total size in bytes of the files of a workflow, golden files included.
+	 */
+	maxTotalSize: z.number().int().positive().optional(),
+	/**
+	 * Write new files gzip compressed.
+	 */
+	compress: z.boolean().optional(),
+});
+
+/**
+ * Project and folder the root directory of a workspace maps to.
+ */
+export const workspaceTargetSchema = z.object({
+	/**
+	 * Defaults to the personal project of the user.
+	 */
+	projectId: z.string().optional(),
+	/**
+	 * Defaults to the project root.
+	 */
+	folderId: z.string().optional(),
+});
+
+export const workspaceFileSchema = z.object({
+	/**
+	 * Path relative to the workspace root with `/` separators, directories map to folders.
+	 */
+	path: z.string().min(1),
+	workflow: workflowFileSchema,
+});
+
+export const workspaceFileResultSchema = z.object({
+	path: z.string(),
+	/**
+	 * How the file relates to the backend, missing when it could not be checked.
+	 * `remoteOnly` workflows live in the mapped folders but have no file yet.
+	 */
+	status: z
+		.enum(['new', 'unchanged', 'fileChanged', 'backendChanged', 'diverged', 'remoteOnly'])
+		.optional(),
+	workflowId: z.string().optional(),
+	/**
+	 * The backend workflow lives in another folder than the directory of the file maps to.
+	 */
+	moved: z.boolean().optional(),
+	/**
+	 * What a push or pull did with the file.
+	 */
+	action: z
+		.enum(['created', 'updated', 'unchanged', 'conflict', 'pulled', 'skipped', 'failed'])
+		.optional(),
+	/**
+	 * Content to write to `path` after a push or pull.
+	 */
+	workflow: workflowFileSchema.optional(),
+	/**
+	 * Path the file has to move to after a pull, because the workflow moved to another folder.
+	 */
+	movedTo: z.string().optional(),
+	error: z.string().optional(),
+});
+
+const requestId = z.string().min(1);
+
+/**
+ * Rules for masking secrets and personal data in run data and pinned data before the webview
+ * sends them, applied with `redactData()` from `n8n-workflow`.
+ */
+export const redactionRulesSchema = z.object({
+	/**
+	 * Defaults to `true`.
+	 */
+	enabled: z.boolean().optional(),
+	/**
+	 * JSON paths of values to mask, e.g. `$..json.customer.email`.
+	 */
+	paths: z.array(z.string()).optional(),
+	/**
+	 * Field names masked wherever they appear, next to the built-in credential field names.
+	 */
+	fieldNames: z.array(z.string()).optional(),
+	/**
+	 * Regular expressions masking the parts of strings they match, next to the built-in detectors.
+	 */
+	detectors: z.array(z.object({ name: z.string(), pattern: z.string() })).optional(),
+	/**
+	 * Set to `false` to only apply the rules above.
+	 */
+	useDefaults: z.boolean().optional(),
+});
+
+export const redactionReportEntrySchema = z.object({
+	path: z.string(),
+	reason: z.enum(['path', 'field', 'detector']),
+	rule: z.string(),
+});
+
+const handshake = {
+	/**
+	 * Protocol version the sender speaks.
+	 */
+	protocolVersion: z.number().int().positive(),
+	/**
+	 * Oldest protocol version the sender still understands.
+	 */
+	minProtocolVersion: z.number().int().positive(),
+};
+
+/**
+ * Messages posted by the n8n webview to the extension host.
+ */
+export const webviewMessageSchema = z.discriminatedUnion('type', [
+	/**
+	 * Sent once the canvas is ready, starts the version handshake.
+	 */
+	z.object({
+		type: z.literal('n8nReady'),
+		requestId,
+		n8nVersion: z.string(),
+		...handshake,
+	}),
+	/**
+	 * Workflow edited in the UI, to be written to the .n8n file.
+	 */
+	z.object({
+		type: z.literal('workflowUpdate'),
+		workflow: workflowFileSchema,
+		/**
+		 * Save the document instead of only applying the edit.
+		 */
+		shouldSave: z.boolean(),
+		/**
+		 * `workflow` split into files, set when the document was opened as a workflow directory.
+		 */
+		files: workflowDirectoryFilesSchema.optional(),
+		/**
+		 * Run data to be written to the .data file, without the contents of binary data, see `stripBinaryData()`.
+		 */
+		executionData: z.unknown().optional(),
+		executionTiming: z
+			.object({ startedAt: z.string().optional(), stoppedAt: z.string().optional() })
+			.optional(),
+		/**
+		 * Values masked in `executionData` and the pinned data of `workflow`, without the values.
+		 */
+		redactionReport: z.array(redactionReportEntrySchema).optional(),
+	}),
+	z.object({
+		type: z.literal('loadDataFile'),
+		requestId,
+		/**
+		 * Defaults to the .data file next to the .n8n file.
+		 */
+		filePath: z.string().optional(),
+	}),
+	z.object({
+		type: z.literal('listDataFiles'),
+		requestId,
+	}),
+	z.object({
+		type: z.literal('setDataFileGolden'),
+		requestId,
+		filePath: z.string(),
+		golden: z.boolean(),
+	}),
+	z.object({
+		type: z.literal('workflowSyncComplete'),
+		workflowId: z.string(),
+		workflowName: z.string(),
+		instanceId: z.string().optional(),
+		action: z.enum(['created', 'updated', 'unchanged']),
+		matchedBy: z.enum(['id', 'name']).optional(),
+		renamedFrom: z.string().optional(),
+	}),
+	z.object({
+		type: z.literal('workflowSyncConflict'),
+		workflowId: z.string(),
+		workflowName: z.string(),
+		/**
+		 * Ids of the nodes changed in both the file and n8n.
+		 */
+		conflicts: z.array(z.string()),
+	}),
+	z.object({
+		type: z.literal('error'),
+		message: z.string(),
+		error: z.string().optional(),
+	}),
+	/**
+	 * Answers `workspaceSync` with one entry per file, plus the `remoteOnly` workflows.
+	 */
+	z.object({
+		type: z.literal('workspaceSyncResult'),
+		requestId,
+		operation: z.enum(['status', 'push', 'pull']),
+		files: z.array(workspaceFileResultSchema),
+	}),
+	z.object({
+		type: z.literal('workspaceSyncError'),
+		requestId,
+		error: z.string(),
+	}),
+]);
+
+/**
+ * Messages posted by the extension host to the n8n webview.
+ * Responses echo the `requestId` of the request they answer.
+ */
+export const hostMessageSchema = z.discriminatedUnion('type', [
+	/**
+	 * Reply to `n8nReady`, completes the version handshake.
+	 */
+	z.object({
+		type: z.literal('hostReady'),
+		requestId,
+		...handshake,
+		/**
+		 * Defaults to the built-in rules.
+		 */
+		redaction: redactionRulesSchema.optional(),
+	}),
+	/**
+	 * Content of the opened .n8n file, to be synced to the backend.
+	 */
+	z.object({
+		type: z.literal('workflowSync'),
+		workflow: workflowFileSchema,
+	}),
+	/**
+	 * Content of an opened workflow directory, to be assembled and synced to the backend.
+	 */
+	z.object({
+		type: z.literal('workflowDirectorySync'),
+		files: workflowDirectoryFilesSchema,
+	}),
+	/**
+	 * Compares (`status`), uploads (`push`) or downloads (`pull`) a whole directory of .n8n files.
+	 */
+	z.object({
+		type: z.literal('workspaceSync'),
+		requestId,
+		operation: z.enum(['status', 'push', 'pull']),
+		target: workspaceTargetSchema,
+		files: z.array(workspaceFileSchema),
+	}),
+	/**
+	 * The .n8n file at a git revision, to be compared with the current canvas in the diff view.
+	 */
+	z.object({
+		type: z.literal('workflowGitDiff'),
+		/**
+		 * Revision the workflow was read at, as shown to the user, e.g. `HEAD` or a commit hash.
+		 */
+		revision: z.string().min(1),
+		/**
+		 * Missing when the file does not exist at the revision.
+		 */
+		workflow: workflowFileSchema.optional(),
+	}),
+	z.object({
+		type: z.literal('dataFileLoaded'),
+		requestId: requestId.optional(),
+		runData: z.record(z.unknown()),
+		filePath: z.string().optional(),
+	}),
+	z.object({
+		type: z.literal('dataFileError'),
+		requestId: requestId.optional(),
+		error: z.string().optional(),
+	}),
+	z.object({
+		type: z.literal('dataFileList'),
+		requestId: requestId.optional(),
+		files: z.array(dataFileSchema),
+	}),
+	z.object({
+		type: z.literal('dataFileListError'),
+		requestId: requestId.optional(),
+		error: z.string().optional(),
+	}),
+]);
+
+export type WorkflowFile = z.infer<typeof workflowFileSchema>;
+export type WorkflowDirectoryFiles = z.infer<typeof workflowDirectoryFilesSchema>;
+export type DataFile = z.infer<typeof dataFileSchema>;
+export type DataFileRetention = z.infer<typeof dataFileRetentionSchema>;
+export type RedactionRules = z.infer<typeof redactionRulesSchema>;
+export type RedactionReportEntry = z.infer<typeof redactionReportEntrySchema>;
+export type WorkspaceTarget = z.infer<typeof workspaceTargetSchema>;
+export type WorkspaceFileResult = z.infer<typeof workspaceFileResultSchema>;
+
+export type WebviewMessage = z.infer<typeof webviewMessageSchema>;
+export type WebviewMessageType = WebviewMessage['type'];
+export type HostMessage = z.infer<typeof hostMessageSchema>;
+export type HostMessageType = HostMessage['type'];
@@ -0,0 +1,3 @@
+import { vitestConfig } from '@n8n/vitest-config/node';
+
+export default vitestConfig;
@@ -23,6 +23,8 @@ describe('CommandRegistry', () => {
 	class TestCommand {
 		flags: any;
 
+		args: string[];
+
 		init = jest.fn();
 
 		run = jest.fn();
@@ -119,6 +121,16 @@ describe('CommandRegistry', () => {
 		});
 	});
 
+	it('should pass positional arguments after the command name', async () => {
+		process.argv = ['node', 'n8n', 'test-command', 'a.n8n', '--flag2', 'b.n8n'];
+
+		commandRegistry = new CommandRegistry(commandMetadata, moduleRegistry, logger, cliParser);
+		await commandRegistry.execute();
+
+		const commandInstance = Container.get(commandMetadata.get('test-command')!.class);
+		expect(commandInstance.args).toEqual(['a.n8n', 'b.n8n']);
+	});
+
 	it('should exit with error when command not found', async () => {
 		process.argv = ['node', 'n8n', 'non-existent-command'];
 
@@ -57,8 +57,9 @@ export class CommandRegistry {
 		}
 
 		let flags: Record<string, unknown>;
+		let args: string[];
 		try {
-			({ flags } = this.cliParser.parse({
+			({ flags, args } = this.cliParser.parse({
 				argv: process.argv,
 				flagsSchema: commandEntry.flagsSchema,
 			}));
@@ -76,6 +77,8 @@ export class CommandRegistry {
 
 		const command = Container.get(commandEntry.class);
 		command.flags = flags;
+		// Positional arguments after the command name
+		command.args = args.slice(1);
 
 		let error: Error | undefined = undefined;
 		try {
@@ -41,6 +41,9 @@ import { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
 export abstract class BaseCommand<F = never> {
 	readonly flags: F;
 
+	/** Positional arguments given after the command name */
+	readonly args: string[] = [];
+
 	protected logger = Container.get(Logger);
 
 	protected dbConnection: DbConnection;
@@ -0,0 +1,104 @@
+import { DbConnection } from '@n8n/db';
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import fs from 'fs';
+import { UserError } from 'n8n-workflow';
+import { z } from 'zod';
+
+import { BaseCommand } from './base-command';
+
+import type { DiffableWorkflowFile } from '@/workflow-diff/workflow-diff-report';
+import {
+	diffWorkflows,
+	formatWorkflowDiff,
+	formatWorkflowText,
+} from '@/workflow-diff/workflow-diff-report';
+import { readWorkflowFile } from '@/workflows/workflow-files';
+
+const flagsSchema = z.object({
+	format: z.enum(['text', 'json']).describe('Format of the diff: text or json').default('text'),
+	color: z
+		.boolean()
+		.describe('Color the text diff, by default only when writing to a terminal')
+		.optional(),
+	textconv: z
+		.boolean()
+		.describe('Print a single workflow as line-based text, for use as a git textconv filter')
+		.optional(),
+});
+
+/** Git passes this for the missing side of added and deleted files */
+const NULL_FILE = '/dev/null';
+
+/** Number of arguments git passes to a `diff.<driver>.command` external diff */
+const GIT_EXTERNAL_DIFF_ARGS = 7;
+
+@Command({
+	name: 'diff',
+	description:
+		'Show the changes between two .n8n workflow files node by node.\n' +
+		'Also usable from git, e.g. `git config diff.n8n.textconv "n8n diff --textconv"` ' +
+		'or `git config difftool.n8n.cmd "n8n diff \\$LOCAL \\$REMOTE"` ' +
+		'with `*.n8n diff=n8n` in .gitattributes',
+	examples: [
+		'workflows/orders.n8n workflows/orders-v2.n8n',
+		'workflows/orders.n8n workflows/orders-v2.n8n --format=json',
+		'--textconv workflows/orders.n8n',
+	],
+	flagsSchema,
+})
+export class DiffCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	/** Only files are compared, so neither the database nor other services are set up */
+	async init() {
+		this.dbConnection = Container.get(DbConnection);
+	}
+
+	async run() {
+		const { flags } = this;
+
+		if (flags.textconv) {
+			if (this.args.length !== 1) {
+				throw new UserError('Pass exactly one workflow file with --textconv');
+			}
+			this.log(formatWorkflowText(this.readWorkflow(this.args[0])));
+			return;
+		}
+
+		const [basePath, targetPath] = this.getFilePaths();
+		const report = diffWorkflows(this.readWorkflow(basePath), this.readWorkflow(targetPath));
+
+		if (flags.format === 'json') {
+			this.log(JSON.stringify(report, null, 2));
+			return;
+		}
+
+		if (this.args.length === GIT_EXTERNAL_DIFF_ARGS) {
+			this.log(`diff ${this.args[0]}`);
+		}
+		this.log(formatWorkflowDiff(report, { color: flags.color ?? process.stdout.isTTY }));
+	}
+
+	async catch(error: Error) {
+		this.logger.error('An error occurred while comparing workflows. See log messages for details.');
+		this.logger.error(error.message);
+	}
+
+	/**
+	 * The base and target files, either given directly or as git passes them to an
+	 * external diff: `path old-file old-hex old-mode new-file new-hex new-mode`.
+	 */
+	private getFilePaths(): [string, string] {
+		const { args } = this;
+		if (args.length === 2) return [args[0], args[1]];
+		if (args.length === GIT_EXTERNAL_DIFF_ARGS) return [args[1], args[4]];
+		throw new UserError('Pass the two workflow files to compare, e.g. `n8n diff a.n8n b.n8n`');
+	}
+
+	private readWorkflow(filePath: string): DiffableWorkflowFile {
+		if (filePath === NULL_FILE) return { name: '', nodes: [], connections: {} };
+		if (!fs.existsSync(filePath)) {
+			throw new UserError(`The path "${filePath}" does not exist`);
+		}
+		return readWorkflowFile(filePath);
+	}
+}
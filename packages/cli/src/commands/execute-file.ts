@@ -1,4 +1,5 @@
 import {
+	ExecutionRepository,
 	WorkflowRepository,
 	SharedWorkflowRepository,
 	ProjectRepository,
@@ -7,28 +8,112 @@ import {
 import { Command } from '@n8n/decorators';
 import { Container } from '@n8n/di';
 import fs from 'fs';
+import isEqual from 'lodash/isEqual';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import type { IWorkflowBase, IWorkflowExecutionDataProcess } from 'n8n-workflow';
+import { normalizeItems } from 'n8n-core';
+import type {
+	INodeExecutionData,
+	IPinData,
+	IRun,
+	IRunData,
+	IWorkflowBase,
+	IWorkflowExecutionDataProcess,
+} from 'n8n-workflow';
 import { ExecutionBaseError, jsonParse, UnexpectedError, UserError } from 'n8n-workflow';
 import { z } from 'zod';
 
 import { ActiveExecutions } from '@/active-executions';
+import {
+	EXECUTION_OUTPUT_FORMATS,
+	formatExecutionOutput,
+	toNodeFinishedEvent,
+} from '@/execution-output/execution-output';
+import { NodeEventStream } from '@/execution-output/node-event-stream.service';
 import { OwnershipService } from '@/services/ownership.service';
 import { findCliWorkflowStart, isWorkflowIdValid } from '@/utils';
 import { WorkflowRunner } from '@/workflow-runner';
+import {
+	diffRunData,
+	formatRunChanges,
+	formatRunDataDrift,
+} from '@/workflow-testing/run-data-diff';
+import { getDirtyNodeNames } from '@/workflows/dirty-nodes';
+import type { WorkflowFileRunOptions } from '@/workflows/workflow-file-execution.service';
+import { WorkflowFileExecutionService } from '@/workflows/workflow-file-execution.service';
+import { readDataFile, readWorkflowFile, writeDataFile } from '@/workflows/workflow-files';
 
 import { BaseCommand } from './base-command';
 
 const flagsSchema = z.object({
 	file: z.string().describe('Path to the JSON workflow file to execute'),
 	rawOutput: z.boolean().describe('Outputs only JSON data, with no other text').optional(),
+	output: z
+		.enum(EXECUTION_OUTPUT_FORMATS)
+		.describe('Format of the output: json, ndjson, junit or summary')
+		.optional(),
+	trigger: z
+		.string()
+		.describe('Name of the trigger to start at, for workflows with several triggers')
+		.optional(),
+	destination: z
+		.string()
+		.describe('Name of the node to stop at, only the nodes it depends on are executed')
+		.optional(),
+	input: z
+		.string()
+		.describe('Path to a JSON file with the items the trigger outputs instead of running')
+		.optional(),
+	usePinData: z
+		.boolean()
+		.describe('Use the pinned data of the workflow, like manual executions in the editor')
+		.optional(),
+	ephemeral: z
+		.boolean()
+		.describe('Run without leaving the workflow or its execution behind in the database')
+		.optional(),
+	discardExecution: z
+		.boolean()
+		.describe('Delete the execution once it finished, the results are only printed')
+		.optional(),
+	dataFile: z.string().describe('Path to a .data file to write the run data to').optional(),
+	watch: z
+		.boolean()
+		.describe(
+			'Execute again on every change of the file without persisting it, only the changed nodes and the nodes depending on them run again',
+		)
+		.optional(),
+	compare: z
+		.string()
+		.describe('Path to a .data file to compare the run data with, fails if they differ')
+		.optional(),
+	ignore: z
+		.array(z.string())
+		.describe(
+			'JSON path into the items that may differ from the --compare file, repeat it for several paths',
+		)
+		.optional(),
+	updateSnapshot: z
+		.boolean()
+		.describe('Write the run data to the --compare file instead of comparing')
+		.optional(),
 });
 
 @Command({
 	name: 'execute-file',
 	description: 'Executes a workflow from a JSON file',
-	examples: ['--file=workflow.json', '--file=/path/to/workflow.json --rawOutput'],
+	examples: [
+		'--file=workflow.json',
+		'--file=/path/to/workflow.json --rawOutput',
+		'--file=workflow.json --usePinData --destination="Format order"',
+		'--file=workflow.json --trigger="Order webhook" --input=order.json',
+		'--file=workflow.json --ephemeral --dataFile=workflow.data',
+		'--file=workflow.n8n --watch',
+		'--file=workflow.json --output=summary',
+		'--file=workflow.json --output=junit > results.xml',
+		'--file=orders.n8n --compare=orders.golden.data --ignore=$..json.createdAt --ignore=$..json.id',
+		'--file=orders.n8n --compare=orders.golden.data --updateSnapshot',
+	],
 	flagsSchema,
 })
 export class ExecuteFile extends BaseCommand<z.infer<typeof flagsSchema>> {
@@ -59,24 +144,99 @@ export class ExecuteFile extends BaseCommand<z.infer<typeof flagsSchema>> {
 			throw new UserError(`The workflow file does not exist: ${filePath}`);
 		}
 
-		let workflowData: IWorkflowBase;
-		try {
-			const fileContent = fs.readFileSync(filePath, { encoding: 'utf8' });
-			workflowData = jsonParse<IWorkflowBase>(fileContent);
-		} catch (error) {
+		if (flags.updateSnapshot && !flags.compare) {
+			throw new UserError('The --updateSnapshot flag requires --compare.');
+		}
+		if (flags.compare && !flags.updateSnapshot && !fs.existsSync(flags.compare)) {
 			throw new UserError(
-				`Failed to parse workflow file: ${error instanceof Error ? error.message : String(error)}`,
+				`The snapshot does not exist: ${flags.compare}. Use --updateSnapshot to create it.`,
 			);
 		}
 
-		// Validate basic workflow structure
-		if (!workflowData.nodes || !Array.isArray(workflowData.nodes)) {
-			throw new UserError('The workflow file does not contain valid nodes.');
+		if (flags.watch && flags.compare) {
+			throw new UserError('The --watch flag cannot be combined with --compare.');
+		}
+		if (flags.compare && (flags.output || flags.rawOutput)) {
+			throw new UserError('The --compare flag cannot be combined with --output or --rawOutput.');
 		}
 
-		if (!workflowData.connections || typeof workflowData.connections !== 'object') {
-			throw new UserError('The workflow file does not contain valid connections.');
+		const input = flags.input ? this.readInput(path.resolve(flags.input)) : undefined;
+
+		if (flags.watch) {
+			await this.watch(filePath, input);
+			return;
+		}
+
+		const workflowData = this.readWorkflow(filePath);
+
+		const stopStreaming =
+			flags.output === 'ndjson'
+				? Container.get(NodeEventStream).subscribe((nodeRun) =>
+						this.log(JSON.stringify(toNodeFinishedEvent(nodeRun))),
+					)
+				: undefined;
+		let data: IRun;
+		try {
+			data = flags.ephemeral
+				? await this.runEphemeral(workflowData, input)
+				: await this.runWithTemporaryWorkflow(workflowData, input);
+		} finally {
+			stopStreaming?.();
+		}
+
+		if (flags.dataFile) {
+			writeDataFile(path.resolve(flags.dataFile), data.data.resultData.runData);
+		}
+
+		if (flags.output) {
+			this.log(formatExecutionOutput(flags.output, data, workflowData.name));
+			const { error } = data.data.resultData;
+			if (error) throw new UserError(`Execution failed: ${error.message}`);
+		} else {
+			if (data.data.resultData.error) {
+				this.logger.info('Execution was NOT successful. See log message for details.');
+				this.logger.info('Execution error:');
+				this.logger.info('====================================');
+				this.logger.info(JSON.stringify(data, null, 2));
+
+				const { error } = data.data.resultData;
+				// eslint-disable-next-line @typescript-eslint/only-throw-error
+				throw {
+					...error,
+					stack: error.stack,
+				};
+			}
+
+			if (flags.rawOutput === undefined) {
+				this.log('Execution was successful:');
+				this.log('====================================');
+			}
+			this.log(JSON.stringify(data, null, 2));
+		}
+
+		if (flags.compare) {
+			this.compareWithSnapshot(flags.compare, data.data.resultData.runData);
 		}
+	}
+
+	async catch(error: Error) {
+		this.logger.error('Error executing workflow. See log messages for details.');
+		this.logger.error('\nExecution error:');
+		this.logger.info('====================================');
+		this.logger.error(error.message);
+		if (error instanceof ExecutionBaseError) this.logger.error(error.description!);
+		this.logger.error(error.stack!);
+	}
+
+	/**
+	 * Run the workflow under its workflow in the database, which is created from
+	 * the file if it does not exist yet.
+	 */
+	private async runWithTemporaryWorkflow(
+		workflowData: IWorkflowBase,
+		input?: INodeExecutionData[],
+	): Promise<IRun> {
+		const { flags } = this;
 
 		const user = await Container.get(OwnershipService).getInstanceOwner();
 		const workflowRepository = Container.get(WorkflowRepository);
@@ -117,12 +277,15 @@ export class ExecuteFile extends BaseCommand<z.infer<typeof flagsSchema>> {
 			);
 		}
 
-		const startingNode = findCliWorkflowStart(workflowData.nodes);
+		const target = this.getRunTarget(workflowData);
+		const pinData = this.getPinData(workflowData, target.startNodes[0].name, input);
 
 		const runData: IWorkflowExecutionDataProcess = {
-			executionMode: 'cli',
-			startNodes: [{ name: startingNode.name, sourceData: null }],
+			// Pinned data is only used by manual executions
+			executionMode: pinData ? 'manual' : 'cli',
+			...target,
 			workflowData,
+			pinData,
 			userId: user.id,
 		};
 
@@ -144,34 +307,194 @@ export class ExecuteFile extends BaseCommand<z.infer<typeof flagsSchema>> {
 			throw new UnexpectedError('Workflow did not return any data');
 		}
 
-		if (data.data.resultData.error) {
-			this.logger.info('Execution was NOT successful. See log message for details.');
-			this.logger.info('Execution error:');
-			this.logger.info('====================================');
-			this.logger.info(JSON.stringify(data, null, 2));
+		if (flags.discardExecution) {
+			await Container.get(ExecutionRepository).hardDelete({ workflowId, executionId });
+		}
 
-			const { error } = data.data.resultData;
-			// eslint-disable-next-line @typescript-eslint/only-throw-error
-			throw {
-				...error,
-				stack: error.stack,
+		return data;
+	}
+
+	/**
+	 * Run the workflow under a throwaway copy, leaving neither the workflow nor its
+	 * execution behind.
+	 */
+	private async runEphemeral(
+		workflowData: IWorkflowBase,
+		input?: INodeExecutionData[],
+		previousRun?: Pick<WorkflowFileRunOptions, 'runData' | 'dirtyNodeNames'>,
+	): Promise<IRun> {
+		const target = this.getRunTarget(workflowData);
+		return await Container.get(WorkflowFileExecutionService).run(workflowData, {
+			pinData: this.getPinData(workflowData, target.startNodes[0].name, input),
+			startNodeName: target.startNodes[0].name,
+			destinationNodeName: this.flags.destination,
+			...previousRun,
+		});
+	}
+
+	/**
+	 * Run the workflow again whenever its file, or a file of its workflow directory, changes.
+	 * Only the changed nodes and the nodes depending on them run again, up to the destination
+	 * node or otherwise up to the last nodes of the changed branches.
+	 */
+	private async watch(filePath: string, input?: INodeExecutionData[]) {
+		const { subscribe } = await import('@parcel/watcher');
+		const { default: debounce } = await import('lodash/debounce');
+
+		let previous: { workflow: IWorkflowBase; runData: IRunData } | undefined;
+		const rerun = async () => {
+			try {
+				const workflow = this.readWorkflow(filePath);
+				if (previous && isEqual(previous.workflow, workflow)) return;
+
+				const dirtyNodeNames = previous ? getDirtyNodeNames(previous.workflow, workflow) : [];
+				const run = await this.runEphemeral(
+					workflow,
+					input,
+					previous && { runData: previous.runData, dirtyNodeNames },
+				);
+				const { runData, error } = run.data.resultData;
+				if (this.flags.dataFile) writeDataFile(path.resolve(this.flags.dataFile), runData);
+
+				const changes = dirtyNodeNames.length
+					? ` after changes to ${dirtyNodeNames.join(', ')}`
+					: '';
+				this.log(`\n[${new Date().toLocaleTimeString()}] Executed the workflow${changes}:`);
+				this.log(formatRunChanges(previous?.runData, runData));
+				if (error) this.log(`Execution failed: ${error.message}`);
+
+				previous = { workflow, runData };
+			} catch (error) {
+				this.logger.error(error instanceof Error ? error.message : String(error));
+			}
+		};
+
+		// Runs one after another, saving several files at once only runs once
+		let running = rerun();
+		const onChange = debounce(() => {
+			running = running.then(rerun);
+		}, 100);
+
+		const isDirectory = fs.lstatSync(filePath).isDirectory();
+		await subscribe(
+			isDirectory ? filePath : path.dirname(filePath),
+			(error, events) => {
+				if (error) {
+					this.logger.error(`Watching ${filePath} failed: ${error.message}`);
+				} else if (isDirectory || events.some((event) => event.path === filePath)) {
+					onChange();
+				}
+			},
+			{ ignore: ['.git', 'node_modules'] },
+		);
+
+		await running;
+		this.log(`Watching ${filePath} for changes, press Ctrl+C to stop.`);
+		await new Promise(() => {});
+	}
+
+	private readWorkflow(filePath: string): IWorkflowBase {
+		// Large workflows can be stored as a directory with one file per code parameter
+		if (fs.lstatSync(filePath).isDirectory()) {
+			return readWorkflowFile(filePath) as IWorkflowBase;
+		}
+
+		let workflowData: IWorkflowBase;
+		try {
+			const fileContent = fs.readFileSync(filePath, { encoding: 'utf8' });
+			workflowData = jsonParse<IWorkflowBase>(fileContent);
+		} catch (error) {
+			throw new UserError(
+				`Failed to parse workflow file: ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+
+		// Validate basic workflow structure
+		if (!workflowData.nodes || !Array.isArray(workflowData.nodes)) {
+			throw new UserError('The workflow file does not contain valid nodes.');
+		}
+
+		if (!workflowData.connections || typeof workflowData.connections !== 'object') {
+			throw new UserError('The workflow file does not contain valid connections.');
+		}
+
+		return workflowData;
+	}
+
+	private getRunTarget(workflowData: IWorkflowBase) {
+		const { flags } = this;
+		if (!flags.trigger && !flags.destination) {
+			return {
+				startNodes: [{ name: findCliWorkflowStart(workflowData.nodes).name, sourceData: null }],
 			};
 		}
 
-		if (flags.rawOutput === undefined) {
-			this.log('Execution was successful:');
-			this.log('====================================');
+		return Container.get(WorkflowFileExecutionService).getRunTarget(workflowData, {
+			pinData: flags.usePinData ? workflowData.pinData : undefined,
+			startNodeName: flags.trigger,
+			destinationNodeName: flags.destination,
+		});
+	}
+
+	/**
+	 * Pinned data of the run: the pinned data of the workflow if used, and the input
+	 * as the output of the trigger.
+	 */
+	private getPinData(
+		workflowData: IWorkflowBase,
+		triggerName: string,
+		input?: INodeExecutionData[],
+	): IPinData | undefined {
+		if (!this.flags.usePinData && !input) return undefined;
+
+		const pinData: IPinData = this.flags.usePinData ? { ...workflowData.pinData } : {};
+		if (input) pinData[triggerName] = input;
+		return pinData;
+	}
+
+	/**
+	 * Read the items of an input file, either JSON objects or items with a `json` key.
+	 */
+	private readInput(inputPath: string): INodeExecutionData[] {
+		if (!fs.existsSync(inputPath)) {
+			throw new UserError(`The input file does not exist: ${inputPath}`);
+		}
+
+		const input = jsonParse<unknown>(fs.readFileSync(inputPath, { encoding: 'utf8' }), {
+			errorMessage: `The input file is not valid JSON: ${inputPath}`,
+		});
+		const isObject = (value: unknown) =>
+			typeof value === 'object' && value !== null && !Array.isArray(value);
+		if (Array.isArray(input) ? !input.every(isObject) : !isObject(input)) {
+			throw new UserError('The input file must contain an object or an array of objects.');
+		}
+
+		try {
+			return normalizeItems(input as INodeExecutionData | INodeExecutionData[]);
+		} catch {
+			throw new UserError('The input file mixes items with and without a `json` key.');
 		}
-		this.log(JSON.stringify(data, null, 2));
 	}
 
-	async catch(error: Error) {
-		this.logger.error('Error executing workflow. See log messages for details.');
-		this.logger.error('\nExecution error:');
-		this.logger.info('====================================');
-		this.logger.error(error.message);
-		if (error instanceof ExecutionBaseError) this.logger.error(error.description!);
-		this.logger.error(error.stack!);
+	private compareWithSnapshot(snapshotPath: string, runData: IRunData) {
+		const { flags } = this;
+
+		if (flags.updateSnapshot) {
+			writeDataFile(snapshotPath, runData);
+			this.log(`Updated the snapshot ${snapshotPath}`);
+			return;
+		}
+
+		const drift = diffRunData(readDataFile(snapshotPath), runData, flags.ignore ?? []);
+		if (drift.length === 0) {
+			this.log(`The run matches the snapshot ${snapshotPath}`);
+			return;
+		}
+
+		this.log(formatRunDataDrift(drift, { color: process.stdout.isTTY }));
+		throw new UserError(
+			`The run differs from the snapshot ${snapshotPath} in ${drift.length} ${drift.length === 1 ? 'place' : 'places'}.`,
+		);
 	}
 
 	private async createTemporaryWorkflow(
@@ -1,11 +1,17 @@
 import { WorkflowRepository } from '@n8n/db';
 import { Command } from '@n8n/decorators';
 import { Container } from '@n8n/di';
-import type { IWorkflowBase, IWorkflowExecutionDataProcess } from 'n8n-workflow';
+import type { IRun, IWorkflowBase, IWorkflowExecutionDataProcess } from 'n8n-workflow';
 import { ExecutionBaseError, UnexpectedError, UserError } from 'n8n-workflow';
 import { z } from 'zod';
 
 import { ActiveExecutions } from '@/active-executions';
+import {
+	EXECUTION_OUTPUT_FORMATS,
+	formatExecutionOutput,
+	toNodeFinishedEvent,
+} from '@/execution-output/execution-output';
+import { NodeEventStream } from '@/execution-output/node-event-stream.service';
 import { OwnershipService } from '@/services/ownership.service';
 import { findCliWorkflowStart, isWorkflowIdValid } from '@/utils';
 import { WorkflowRunner } from '@/workflow-runner';
@@ -15,6 +21,10 @@ import { BaseCommand } from './base-command';
 const flagsSchema = z.object({
 	id: z.string().describe('id of the workflow to execute').optional(),
 	rawOutput: z.boolean().describe('Outputs only JSON data, with no other text').optional(),
+	output: z
+		.enum(EXECUTION_OUTPUT_FORMATS)
+		.describe('Format of the output: json, ndjson, junit or summary')
+		.optional(),
 	/**@deprecated */
 	file: z.string().describe('DEPRECATED: Please use --id instead').optional(),
 });
@@ -22,7 +32,7 @@ const flagsSchema = z.object({
 @Command({
 	name: 'execute',
 	description: 'Executes a given workflow',
-	examples: ['--id=5'],
+	examples: ['--id=5', '--id=5 --output=summary', '--id=5 --output=ndjson'],
 	flagsSchema,
 })
 export class Execute extends BaseCommand<z.infer<typeof flagsSchema>> {
@@ -92,15 +102,33 @@ export class Execute extends BaseCommand<z.infer<typeof flagsSchema>> {
 			this.globalConfig.executions.mode = 'regular';
 		}
 
-		const executionId = await workflowRunner.run(runData);
-
-		const activeExecutions = Container.get(ActiveExecutions);
-		const data = await activeExecutions.getPostExecutePromise(executionId);
+		const stopStreaming =
+			flags.output === 'ndjson'
+				? Container.get(NodeEventStream).subscribe((nodeRun) =>
+						this.log(JSON.stringify(toNodeFinishedEvent(nodeRun))),
+					)
+				: undefined;
+		let data: IRun | undefined;
+		try {
+			const executionId = await workflowRunner.run(runData);
+
+			const activeExecutions = Container.get(ActiveExecutions);
+			data = await activeExecutions.getPostExecutePromise(executionId);
+		} finally {
+			stopStreaming?.();
+		}
 
 		if (data === undefined) {
 			throw new UnexpectedError('Workflow did not return any data');
 		}
 
+		if (flags.output) {
+			this.log(formatExecutionOutput(flags.output, data, workflowData.name));
+			const { error } = data.data.resultData;
+			if (error) throw new UserError(`Execution failed: ${error.message}`);
+			return;
+		}
+
 		if (data.data.resultData.error) {
 			this.logger.info('Execution was NOT successful. See log message for details.');
 			this.logger.info('Execution error:');
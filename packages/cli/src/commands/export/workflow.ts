@@ -2,7 +2,7 @@ import { WorkflowRepository } from '@n8n/db';
 import { Command } from '@n8n/decorators';
 import { Container } from '@n8n/di';
 import fs from 'fs';
-import { UserError } from 'n8n-workflow';
+import { serializeWorkflow, UserError } from 'n8n-workflow';
 import path from 'path';
 import { z } from 'zod';
 
@@ -29,6 +29,12 @@ const flagsSchema = z.object({
 			'Exports one file per workflow (useful for versioning). Must inform a directory via --output.',
 		)
 		.optional(),
+	omitVolatile: z
+		.boolean()
+		.describe(
+			'Leaves out fields that change on every save, like updatedAt and webhookId. The versionId is kept for syncing the files. Only used with --separate.',
+		)
+		.optional(),
 });
 
 @Command({
@@ -39,6 +45,7 @@ const flagsSchema = z.object({
 		'--id=5 --output=file.json',
 		'--all --output=backups/latest/',
 		'--backup --output=backups/latest/',
+		'--all --separate --omitVolatile --pretty --output=workflows/',
 	],
 	flagsSchema,
 })
@@ -114,7 +121,11 @@ export class ExportWorkflowsCommand extends BaseCommand<z.infer<typeof flagsSche
 			let fileContents: string;
 			let i: number;
 			for (i = 0; i < workflows.length; i++) {
-				fileContents = JSON.stringify(workflows[i], null, flags.pretty ? 2 : undefined);
+				// Canonical order, so re-exporting unchanged workflows leaves the files untouched
+				fileContents = serializeWorkflow(workflows[i], {
+					indent: flags.pretty ? 2 : 0,
+					omitVolatileFields: flags.omitVolatile,
+				});
 				const filename = `${
 					(flags.output!.endsWith(path.sep) ? flags.output : flags.output + path.sep) +
 					workflows[i].id
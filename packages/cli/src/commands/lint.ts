@@ -0,0 +1,105 @@
+import { DbConnection } from '@n8n/db';
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import fs from 'fs';
+import { UserError, WORKFLOW_MANIFEST_FILE } from 'n8n-workflow';
+import path from 'path';
+import { z } from 'zod';
+
+import { BaseCommand } from './base-command';
+
+import { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
+import type { WorkflowLintReport } from '@/workflow-lint/types';
+import { WorkflowLintService } from '@/workflow-lint/workflow-lint.service';
+import type { WorkflowFile } from '@/workflows/workflow-file-sync.service';
+import { readWorkflowFile, readWorkflowFiles } from '@/workflows/workflow-files';
+
+const flagsSchema = z.object({
+	input: z
+		.string()
+		.alias('i')
+		.describe('A .n8n file or workflow directory, or a directory containing them'),
+	format: z
+		.enum(['text', 'json', 'sarif'])
+		.describe('Format of the report: text, json or sarif')
+		.default('text'),
+	output: z
+		.string()
+		.alias('o')
+		.describe('File to write the report to instead of the console')
+		.optional(),
+});
+
+@Command({
+	name: 'lint',
+	description: 'Check .n8n workflow files for problems without a running instance',
+	examples: [
+		'--input=workflows/',
+		'--input=workflows/orders.n8n',
+		'--input=workflows/ --format=sarif --output=n8n-lint.sarif',
+	],
+	flagsSchema,
+})
+export class LintCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	/** Only the node descriptions are needed, so neither the database nor other services are set up */
+	async init() {
+		this.dbConnection = Container.get(DbConnection);
+		await Container.get(LoadNodesAndCredentials).init();
+	}
+
+	async run() {
+		const { flags } = this;
+
+		if (!fs.existsSync(flags.input)) {
+			throw new UserError(`The path "${flags.input}" does not exist`);
+		}
+
+		const files = await this.readFiles(flags.input);
+		const lintService = Container.get(WorkflowLintService);
+		const nodeTypes = lintService.createNodeTypes(
+			Container.get(LoadNodesAndCredentials).types.nodes,
+		);
+		const report = lintService.lint(files, nodeTypes);
+
+		const formatted =
+			flags.format === 'text'
+				? this.formatText(report, files.length)
+				: JSON.stringify(flags.format === 'sarif' ? lintService.toSarif(report) : report, null, 2);
+
+		if (flags.output) {
+			fs.writeFileSync(flags.output, formatted);
+		} else {
+			this.log(formatted);
+		}
+
+		if (report.errorCount > 0) {
+			throw new UserError(
+				`Found ${report.errorCount} ${report.errorCount === 1 ? 'error' : 'errors'} in the workflow files.`,
+			);
+		}
+	}
+
+	async catch(error: Error) {
+		this.logger.error('An error occurred while linting workflows. See log messages for details.');
+		this.logger.error(error.message);
+	}
+
+	private async readFiles(input: string): Promise<WorkflowFile[]> {
+		const isWorkflowDirectory = fs.existsSync(path.join(input, WORKFLOW_MANIFEST_FILE));
+		if (!fs.lstatSync(input).isDirectory() || isWorkflowDirectory) {
+			return [{ path: input, workflow: readWorkflowFile(input) }];
+		}
+		return await readWorkflowFiles(input);
+	}
+
+	private formatText({ results, errorCount, warningCount }: WorkflowLintReport, fileCount: number) {
+		const lines = results.map(
+			(result) =>
+				`${result.filePath}: ${result.level.padEnd(7)} ${result.message} [${result.ruleId}]`,
+		);
+		lines.push(
+			`Checked ${fileCount} ${fileCount === 1 ? 'workflow' : 'workflows'}: ${errorCount} ${errorCount === 1 ? 'error' : 'errors'}, ${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}.`,
+		);
+		return lines.join('\n');
+	}
+}
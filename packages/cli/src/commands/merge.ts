@@ -0,0 +1,80 @@
+import { DbConnection } from '@n8n/db';
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import fs from 'fs';
+import { UserError } from 'n8n-workflow';
+import { z } from 'zod';
+
+import { BaseCommand } from './base-command';
+
+import { mergeWorkflowFiles, serializeMergedWorkflow } from '@/workflows/workflow-file-merge';
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+import { readWorkflowFile } from '@/workflows/workflow-files';
+
+const flagsSchema = z.object({
+	markerSize: z.number().describe('Length of the conflict markers, git passes it as %L').optional(),
+});
+
+@Command({
+	name: 'merge',
+	description:
+		'Three-way merge of .n8n workflow files for use as a git merge driver.\n' +
+		'Merges <base> and <theirs> into <ours>, with conflict markers only around conflicting values. ' +
+		'Set it up with `git config merge.n8n.driver "n8n merge %O %A %B %P --markerSize=%L"` ' +
+		'and `*.n8n merge=n8n` in .gitattributes',
+	examples: ['base.n8n ours.n8n theirs.n8n', 'base.n8n ours.n8n theirs.n8n workflows/orders.n8n'],
+	flagsSchema,
+})
+export class MergeCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	/** Only files are merged, so neither the database nor other services are set up */
+	async init() {
+		this.dbConnection = Container.get(DbConnection);
+	}
+
+	async run() {
+		const [basePath, oursPath, theirsPath, filePath = oursPath] = this.args;
+		if (!basePath || !oursPath || !theirsPath) {
+			throw new UserError(
+				'Pass the base, ours and theirs workflow files, e.g. `n8n merge %O %A %B`',
+			);
+		}
+
+		const ours = fs.readFileSync(oursPath, { encoding: 'utf8' });
+		const merge = mergeWorkflowFiles(
+			this.readWorkflow(basePath),
+			this.readWorkflow(oursPath),
+			this.readWorkflow(theirsPath),
+		);
+		fs.writeFileSync(
+			oursPath,
+			serializeMergedWorkflow(merge, {
+				indent: this.detectIndent(ours),
+				markerSize: this.flags.markerSize,
+			}),
+		);
+
+		// A non-zero exit code tells git to leave the file for manual resolution
+		if (merge.conflicts.length > 0) {
+			throw new UserError(
+				`Merged ${filePath} with ${merge.conflicts.length} ${merge.conflicts.length === 1 ? 'conflict' : 'conflicts'}.`,
+			);
+		}
+	}
+
+	async catch(error: Error) {
+		this.logger.error(error.message);
+	}
+
+	/** Git passes an empty base when both sides added the file */
+	private readWorkflow(filePath: string): WorkflowFileData {
+		if (fs.statSync(filePath).size === 0) return { name: '', nodes: [], connections: {} };
+		return readWorkflowFile(filePath);
+	}
+
+	/** Keep the indentation of the file, so that merging does not rewrite every line */
+	private detectIndent(content: string) {
+		const indent = /^[ \t]+/m.exec(content)?.[0];
+		if (!indent) return undefined;
+		return indent.startsWith('\t') ? '\t' : indent.length;
+	}
+}
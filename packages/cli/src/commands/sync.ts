@@ -0,0 +1,172 @@
+import { GLOBAL_OWNER_ROLE, ProjectRepository, UserRepository } from '@n8n/db';
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import fs from 'fs';
+import { UserError } from 'n8n-workflow';
+import path from 'path';
+import { z } from 'zod';
+
+import { BaseCommand } from './base-command';
+
+import { UM_FIX_INSTRUCTION } from '@/constants';
+import type {
+	WorkflowSyncPlanEntry,
+	WorkflowSyncResult,
+} from '@/workflows/workflow-file-sync.service';
+import { WorkflowFileSyncService } from '@/workflows/workflow-file-sync.service';
+import { readWorkflowFiles, writeWorkflowFile } from '@/workflows/workflow-files';
+
+const flagsSchema = z.object({
+	input: z
+		.string()
+		.alias('i')
+		.describe('Directory containing the .n8n files and .n8n workflow directories to sync'),
+	projectId: z
+		.string()
+		.describe('The ID of the project to sync the workflows with. Defaults to the owner')
+		.optional(),
+	userId: z
+		.string()
+		.describe('The ID of the user whose personal project to sync the workflows with')
+		.optional(),
+	folderId: z
+		.string()
+		.describe('The ID of the folder the directory maps to. Defaults to the project root')
+		.optional(),
+	archive: z
+		.boolean()
+		.describe('Archive workflows in the synced folders that have no .n8n file')
+		.default(false),
+	dryRun: z
+		.boolean()
+		.describe('Print what would be synced without changing anything')
+		.default(false),
+});
+
+@Command({
+	name: 'sync',
+	description: 'Sync a directory of .n8n workflow files with a project',
+	examples: [
+		'--input=workflows/',
+		'--input=workflows/ --dryRun',
+		'--input=workflows/ --projectId=Ox8O54VQrmBrb4qL --archive',
+		'--input=workflows/ --projectId=Ox8O54VQrmBrb4qL --folderId=ZbbQEaJZnHcLrTjN',
+	],
+	flagsSchema,
+})
+export class SyncCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	async run() {
+		const { flags } = this;
+
+		if (!fs.existsSync(flags.input) || !fs.lstatSync(flags.input).isDirectory()) {
+			throw new UserError('The argument to --input must be a directory');
+		}
+
+		if (flags.projectId && flags.userId) {
+			throw new UserError(
+				'You cannot use `--userId` and `--projectId` together. Use one or the other.',
+			);
+		}
+
+		const user = await this.getUser(flags.userId);
+		const projectId =
+			flags.projectId ??
+			(await Container.get(ProjectRepository).getPersonalProjectForUserOrFail(user.id)).id;
+
+		const files = await readWorkflowFiles(flags.input);
+		this.logger.info(`Found ${files.length} workflow files in ${flags.input}`);
+
+		const syncService = Container.get(WorkflowFileSyncService);
+		const plan = await syncService.plan(
+			files,
+			{ projectId, folderId: flags.folderId },
+			{ archive: flags.archive },
+		);
+
+		if (flags.dryRun) {
+			plan.entries.forEach((entry) => this.reportEntry(entry));
+			this.logger.info('Dry run, nothing was changed.');
+			this.assertNoConflicts(plan.entries);
+			return;
+		}
+
+		const results = await syncService.apply(plan, user);
+		results.forEach((result) => this.reportEntry(result));
+		// Bind the files to the saved versions, so the next run finds nothing to sync
+		for (const { path: filePath, syncedFile } of results) {
+			if (syncedFile) writeWorkflowFile(path.join(flags.input, filePath), syncedFile);
+		}
+		this.reportSummary(results);
+
+		this.logger.info(
+			'Note: Changes to published workflows will not take effect if n8n is running.',
+		);
+		this.assertNoConflicts(results);
+	}
+
+	async catch(error: Error) {
+		this.logger.error('An error occurred while syncing workflows. See log messages for details.');
+		this.logger.error(error.message);
+	}
+
+	private reportEntry(entry: WorkflowSyncPlanEntry | WorkflowSyncResult) {
+		const details: string[] = [];
+		if (entry.moved && entry.action !== 'conflict' && entry.action !== 'skip') {
+			details.push('moved to its directory');
+		}
+		if (entry.status === 'backendChanged') {
+			details.push('changed in n8n since the last sync');
+		}
+		if (entry.conflicts?.length) {
+			details.push(`conflicting nodes: ${entry.conflicts.join(', ')}`);
+		} else if (entry.action === 'conflict') {
+			details.push('another file is bound to the same workflow');
+		}
+		if ('error' in entry && entry.error) {
+			details.push(`failed: ${entry.error.message}`);
+		}
+
+		const suffix = details.length > 0 ? ` (${details.join('; ')})` : '';
+		this.logger.info(`${entry.action.padEnd(9)} ${entry.path}${suffix}`);
+	}
+
+	private reportSummary(results: WorkflowSyncResult[]) {
+		const failed = results.filter((result) => result.error).length;
+		const changed = results.filter(
+			(result) => !result.error && !['unchanged', 'skip', 'conflict'].includes(result.action),
+		).length;
+
+		this.logger.info(
+			`Synced ${results.length} ${results.length === 1 ? 'workflow' : 'workflows'}: ${changed} changed, ${failed} failed.`,
+		);
+	}
+
+	private assertNoConflicts(entries: Array<WorkflowSyncPlanEntry | WorkflowSyncResult>) {
+		// Fail the run so CI notices files that need a decision in the editor
+		const unsynced = entries.filter(
+			(entry) => entry.action === 'conflict' || ('error' in entry && entry.error),
+		);
+		if (unsynced.length > 0) {
+			throw new UserError(
+				`${unsynced.length} ${unsynced.length === 1 ? 'file' : 'files'} could not be synced.`,
+			);
+		}
+	}
+
+	private async getUser(userId?: string) {
+		const userRepository = Container.get(UserRepository);
+		const user = userId
+			? await userRepository.findOneBy({ id: userId })
+			: await userRepository.findOneBy({ role: { slug: GLOBAL_OWNER_ROLE.slug } });
+
+		if (!user) {
+			throw new UserError(
+				userId
+					? `Failed to find user with ID "${userId}"`
+					: `Failed to find owner. ${UM_FIX_INSTRUCTION}`,
+			);
+		}
+
+		return user;
+	}
+}
@@ -0,0 +1,151 @@
+import { Command } from '@n8n/decorators';
+import { Container } from '@n8n/di';
+import fs from 'fs';
+import { diffString } from 'json-diff';
+import type { IRunData } from 'n8n-workflow';
+import { jsonParse, UserError } from 'n8n-workflow';
+import path from 'path';
+import { z } from 'zod';
+
+import { BaseCommand } from './base-command';
+
+import type { WorkflowTest, WorkflowTestSpec } from '@/workflow-testing/workflow-test-spec';
+import { workflowTestSpecSchema } from '@/workflow-testing/workflow-test-spec';
+import type { WorkflowTestResult } from '@/workflow-testing/workflow-test.service';
+import { WorkflowTestService } from '@/workflow-testing/workflow-test.service';
+import { WorkflowFileExecutionService } from '@/workflows/workflow-file-execution.service';
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+import { readDataFile, readWorkflowFile } from '@/workflows/workflow-files';
+
+const flagsSchema = z.object({
+	file: z.string().describe('Path to the .n8n file or workflow directory to test'),
+	spec: z
+		.string()
+		.describe('Path to the test spec. Defaults to the workflow file name ending in .test.json')
+		.optional(),
+	format: z.enum(['text', 'json']).describe('Format of the results: text or json').default('text'),
+});
+
+@Command({
+	name: 'test',
+	description: 'Runs the tests of a .n8n workflow file, stubbing nodes from recorded .data files',
+	examples: [
+		'--file=workflows/orders.n8n',
+		'--file=workflows/orders.n8n --spec=tests/orders.test.json',
+		'--file=workflows/orders.n8n --format=json',
+	],
+	flagsSchema,
+})
+export class TestCommand extends BaseCommand<z.infer<typeof flagsSchema>> {
+	override needsCommunityPackages = true;
+
+	async init() {
+		await super.init();
+		await this.initBinaryDataService();
+		await this.initDataDeduplicationService();
+		await this.initExternalHooks();
+	}
+
+	async run() {
+		const { flags } = this;
+
+		const filePath = path.resolve(flags.file);
+		if (!fs.existsSync(filePath)) {
+			throw new UserError(`The workflow file does not exist: ${filePath}`);
+		}
+		const specPath = path.resolve(flags.spec ?? `${filePath.replace(/\.n8n$/, '')}.test.json`);
+		if (!fs.existsSync(specPath)) {
+			throw new UserError(`The test spec does not exist: ${specPath}`);
+		}
+
+		const workflow = readWorkflowFile(filePath);
+		const spec = this.readSpec(specPath);
+
+		const results: WorkflowTestResult[] = [];
+		for (const test of spec.tests) {
+			results.push(await this.runTest(workflow, spec, test, path.dirname(specPath)));
+		}
+
+		this.log(flags.format === 'json' ? JSON.stringify(results, null, 2) : this.formatText(results));
+
+		const failed = results.filter((result) => !result.passed).length;
+		if (failed > 0) {
+			throw new UserError(`${failed} of ${results.length} tests failed.`);
+		}
+	}
+
+	async catch(error: Error) {
+		this.logger.error(
+			'An error occurred while testing the workflow. See log messages for details.',
+		);
+		this.logger.error(error.message);
+	}
+
+	private readSpec(specPath: string): WorkflowTestSpec {
+		const result = workflowTestSpecSchema.safeParse(
+			jsonParse(fs.readFileSync(specPath, { encoding: 'utf8' }), {
+				errorMessage: `The test spec is not valid JSON: ${specPath}`,
+			}),
+		);
+		if (!result.success) {
+			const issues = result.error.issues.map(
+				(issue) => `${issue.path.join('.')}: ${issue.message}`,
+			);
+			throw new UserError(`The test spec is not valid: ${issues.join('; ')}`);
+		}
+		return result.data;
+	}
+
+	private async runTest(
+		workflow: WorkflowFileData,
+		spec: WorkflowTestSpec,
+		test: WorkflowTest,
+		specDirectory: string,
+	): Promise<WorkflowTestResult> {
+		const testService = Container.get(WorkflowTestService);
+
+		const fixturePath = test.fixture ?? spec.fixture;
+		const fixture: IRunData | undefined = fixturePath
+			? readDataFile(path.resolve(specDirectory, fixturePath))
+			: undefined;
+		const stubbedNodes = testService.getStubbedNodes(workflow, spec);
+		const pinData = testService.buildPinData(stubbedNodes, test, fixture);
+
+		const run = await Container.get(WorkflowFileExecutionService).run(workflow, {
+			pinData,
+			startNodeName: testService.getStartNodeName(workflow, pinData),
+		});
+
+		const result = testService.evaluate(spec, test, run.data.resultData.runData, {
+			fixture,
+			stubbedNodes,
+		});
+		const { error, lastNodeExecuted } = run.data.resultData;
+		if (error) {
+			result.passed = false;
+			result.failures.unshift({
+				nodeName: lastNodeExecuted ?? '',
+				message: `Execution failed: ${error.message}`,
+			});
+		}
+		return result;
+	}
+
+	private formatText(results: WorkflowTestResult[]) {
+		const lines = results.flatMap((result) => [
+			`${result.passed ? '✓' : '✗'} ${result.name}`,
+			...result.failures.flatMap((failure) => [
+				`    ${failure.message}`,
+				...(failure.diff
+					? diffString(failure.expected, failure.actual, { color: process.stdout.isTTY })
+							.trimEnd()
+							.split('\n')
+							.map((line) => `      ${line}`)
+					: []),
+			]),
+		]);
+		const passed = results.filter((result) => result.passed).length;
+		lines.push(`${passed} of ${results.length} tests passed.`);
+		return lines.join('\n');
+	}
+}
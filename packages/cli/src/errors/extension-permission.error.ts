@@ -0,0 +1,10 @@
+import type { BackendPermission } from '@n8n/extension-sdk';
+import { UserError } from 'n8n-workflow';
+
+export class ExtensionPermissionError extends UserError {
+	constructor(extensionName: string, permission: BackendPermission) {
+		super(
+			`Extension "${extensionName}" lacks the "${permission}" permission. Add it to permissions.backend of its n8n.manifest.json.`,
+		);
+	}
+}
@@ -6,7 +6,7 @@ import type { AiEventMap } from './maps/ai.event-map';
 import type { QueueMetricsEventMap } from './maps/queue-metrics.event-map';
 import type { RelayEventMap } from './maps/relay.event-map';
 
-type EventMap = RelayEventMap & QueueMetricsEventMap & AiEventMap;
+export type EventMap = RelayEventMap & QueueMetricsEventMap & AiEventMap;
 
 @Service()
 export class EventService extends TypedEmitter<EventMap> {}
@@ -0,0 +1,116 @@
+import type { IDataObject, IRun, IRunData, ITaskData } from 'n8n-workflow';
+import { createRunExecutionData, WorkflowOperationError } from 'n8n-workflow';
+
+import { formatExecutionOutput, summarizeNodes } from '../execution-output';
+
+const task = (
+	executionIndex: number,
+	previousNode: string | undefined,
+	outputs: IDataObject[][],
+	error?: string,
+): ITaskData => ({
+	startTime: 0,
+	executionTime: 10 * (executionIndex + 1),
+	executionIndex,
+	source: previousNode ? [{ previousNode }] : [],
+	data: { main: outputs.map((items) => items.map((json) => ({ json }))) },
+	error: error ? new WorkflowOperationError(error) : undefined,
+});
+
+describe('execution output', () => {
+	const runData: IRunData = {
+		Filter: [task(2, 'Fetch', [[{ id: 1 }], [{ id: 2 }, { id: 3 }]])],
+		Trigger: [task(0, undefined, [[{}]])],
+		Fetch: [task(1, 'Trigger', [[{ id: 1 }, { id: 2 }, { id: 3 }]])],
+		'Send <mail>': [task(3, 'Filter', [], 'Invalid "recipient" & subject')],
+	};
+	const run: IRun = {
+		mode: 'cli',
+		status: 'error',
+		startedAt: new Date(),
+		data: createRunExecutionData({
+			resultData: {
+				runData,
+				lastNodeExecuted: 'Send <mail>',
+				error: new WorkflowOperationError('Invalid "recipient" & subject'),
+			},
+		}),
+	};
+
+	it('should summarize nodes in the order they ran', () => {
+		expect(summarizeNodes(runData)).toEqual([
+			{
+				nodeName: 'Trigger',
+				status: 'success',
+				runs: 1,
+				itemsIn: 0,
+				itemsOut: 1,
+				duration: 10,
+				error: undefined,
+			},
+			{
+				nodeName: 'Fetch',
+				status: 'success',
+				runs: 1,
+				itemsIn: 1,
+				itemsOut: 3,
+				duration: 20,
+				error: undefined,
+			},
+			{
+				nodeName: 'Filter',
+				status: 'success',
+				runs: 1,
+				itemsIn: 3,
+				itemsOut: 3,
+				duration: 30,
+				error: undefined,
+			},
+			{
+				nodeName: 'Send <mail>',
+				status: 'error',
+				runs: 1,
+				itemsIn: 1,
+				itemsOut: 0,
+				duration: 40,
+				error: 'Invalid "recipient" & subject',
+			},
+		]);
+	});
+
+	it('should print a summary table', () => {
+		expect(formatExecutionOutput('summary', run, 'Orders').split('\n')).toEqual([
+			'Node         Status   Runs  Items in  Items out  Duration',
+			'-----------  -------  ----  --------  ---------  --------',
+			'Trigger      success     1         0          1     10 ms',
+			'Fetch        success     1         1          3     20 ms',
+			'Filter       success     1         3          3     30 ms',
+			'Send <mail>  error       1         1          0     40 ms',
+			'',
+			'Execution error: Invalid "recipient" & subject',
+		]);
+	});
+
+	it('should report each node as a JUnit test case', () => {
+		const junit = formatExecutionOutput('junit', run, 'Orders');
+
+		expect(junit).toContain('<testsuite name="Orders" tests="4" failures="1" time="0.100">');
+		expect(junit).toContain('<testcase name="Fetch" classname="Orders" time="0.020" />');
+		expect(junit).toContain(
+			[
+				'<testcase name="Send &lt;mail&gt;" classname="Orders" time="0.040">',
+				'      <failure message="Invalid &quot;recipient&quot; &amp; subject">Invalid &quot;recipient&quot; &amp; subject</failure>',
+				'    </testcase>',
+			].join('\n'),
+		);
+	});
+
+	it('should end the ndjson output with a workflow finished event', () => {
+		expect(JSON.parse(formatExecutionOutput('ndjson', run, 'Orders'))).toMatchObject({
+			event: 'workflowFinished',
+			status: 'error',
+			lastNodeExecuted: 'Send <mail>',
+			error: 'Invalid "recipient" & subject',
+		});
+	});
+});
@@ -0,0 +1,53 @@
+import type { NodeExecuteAfterContext } from '@n8n/decorators';
+import { mock } from 'jest-mock-extended';
+import type { ITaskData, IWorkflowBase } from 'n8n-workflow';
+import { createRunExecutionData } from 'n8n-workflow';
+
+import { NodeEventStream } from '../node-event-stream.service';
+
+describe('NodeEventStream', () => {
+	const trigger: ITaskData = {
+		startTime: 0,
+		executionTime: 5,
+		executionIndex: 0,
+		source: [],
+		data: { main: [[{ json: { id: 1 } }, { json: { id: 2 } }]] },
+	};
+	const set: ITaskData = {
+		startTime: 0,
+		executionTime: 3,
+		executionIndex: 1,
+		source: [{ previousNode: 'Trigger' }],
+		data: { main: [[{ json: { id: 1 } }]] },
+	};
+	const context: NodeExecuteAfterContext = {
+		type: 'nodeExecuteAfter',
+		workflow: mock<IWorkflowBase>(),
+		nodeName: 'Set',
+		taskData: set,
+		executionData: createRunExecutionData({
+			resultData: { runData: { Trigger: [trigger], Set: [set] } },
+		}),
+	};
+
+	it('should send node runs to subscribed listeners only', () => {
+		const stream = new NodeEventStream();
+		const listener = jest.fn();
+
+		const unsubscribe = stream.subscribe(listener);
+		stream.onNodeExecuteAfter(context);
+		unsubscribe();
+		stream.onNodeExecuteAfter(context);
+
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(listener).toHaveBeenCalledWith({
+			nodeName: 'Set',
+			runIndex: 0,
+			status: 'success',
+			itemsIn: 2,
+			itemsOut: 1,
+			duration: 3,
+			error: undefined,
+		});
+	});
+});
@@ -0,0 +1,180 @@
+import type { IRun, IRunData, ITaskData } from 'n8n-workflow';
+
+export const EXECUTION_OUTPUT_FORMATS = ['json', 'ndjson', 'junit', 'summary'] as const;
+
+export type ExecutionOutputFormat = (typeof EXECUTION_OUTPUT_FORMATS)[number];
+
+export interface NodeRunSummary {
+	nodeName: string;
+	runIndex: number;
+	status: 'success' | 'error';
+	itemsIn: number;
+	itemsOut: number;
+	/** Execution time in milliseconds */
+	duration: number;
+	error?: string;
+}
+
+export interface NodeSummary {
+	nodeName: string;
+	status: 'success' | 'error';
+	runs: number;
+	itemsIn: number;
+	itemsOut: number;
+	/** Execution time of all runs in milliseconds */
+	duration: number;
+	error?: string;
+}
+
+const countItems = (outputs: ITaskData['data']) =>
+	(outputs?.main ?? []).reduce((count, items) => count + (items?.length ?? 0), 0);
+
+/**
+ * Summarize one run of a node, counting its input items from the outputs of the nodes
+ * it got them from.
+ */
+export function summarizeNodeRun(
+	nodeName: string,
+	runIndex: number,
+	taskData: ITaskData,
+	runData: IRunData,
+): NodeRunSummary {
+	const itemsIn = (taskData.source ?? []).reduce((count, source) => {
+		if (!source) return count;
+		const parentRun = runData[source.previousNode]?.[source.previousNodeRun ?? 0];
+		return count + (parentRun?.data?.main?.[source.previousNodeOutput ?? 0]?.length ?? 0);
+	}, 0);
+
+	return {
+		nodeName,
+		runIndex,
+		status: taskData.error ? 'error' : 'success',
+		itemsIn,
+		itemsOut: countItems(taskData.data),
+		duration: taskData.executionTime,
+		error: taskData.error?.message,
+	};
+}
+
+/**
+ * Summarize the runs of every node, in the order the nodes first ran.
+ */
+export function summarizeNodes(runData: IRunData): NodeSummary[] {
+	return Object.entries(runData)
+		.sort(([, a], [, b]) => (a[0]?.executionIndex ?? 0) - (b[0]?.executionIndex ?? 0))
+		.map(([nodeName, runs]) => {
+			const nodeRuns = runs.map((taskData, runIndex) =>
+				summarizeNodeRun(nodeName, runIndex, taskData, runData),
+			);
+			const failedRun = nodeRuns.find((nodeRun) => nodeRun.status === 'error');
+			return {
+				nodeName,
+				status: failedRun ? 'error' : 'success',
+				runs: nodeRuns.length,
+				itemsIn: nodeRuns.reduce((count, nodeRun) => count + nodeRun.itemsIn, 0),
+				itemsOut: nodeRuns.reduce((count, nodeRun) => count + nodeRun.itemsOut, 0),
+				duration: nodeRuns.reduce((duration, nodeRun) => duration + nodeRun.duration, 0),
+				error: failedRun?.error,
+			};
+		});
+}
+
+function formatSummary(run: IRun) {
+	const nodes = summarizeNodes(run.data.resultData.runData);
+	const rows = [
+		['Node', 'Status', 'Runs', 'Items in', 'Items out', 'Duration'],
+		...nodes.map((node) => [
+			node.nodeName,
+			node.status,
+			String(node.runs),
+			String(node.itemsIn),
+			String(node.itemsOut),
+			`${node.duration} ms`,
+		]),
+	];
+	const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+	const lines = rows.map((row) =>
+		row
+			.map((cell, column) =>
+				column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]),
+			)
+			.join('  ')
+			.trimEnd(),
+	);
+	lines.splice(1, 0, widths.map((width) => '-'.repeat(width)).join('  '));
+
+	const { error } = run.data.resultData;
+	lines.push('', `Execution ${run.status}${error ? `: ${error.message}` : ''}`);
+	return lines.join('\n');
+}
+
+const escapeXml = (value: string) =>
+	value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toSeconds = (milliseconds: number) => (milliseconds / 1000).toFixed(3);
+
+/**
+ * Report the run as a JUnit test suite with one test case per node.
+ */
+function formatJUnit(run: IRun, workflowName: string) {
+	const nodes = summarizeNodes(run.data.resultData.runData);
+	const failures = nodes.filter((node) => node.status === 'error').length;
+	const time = toSeconds(nodes.reduce((duration, node) => duration + node.duration, 0));
+	const suite = escapeXml(workflowName);
+
+	const testCases = nodes.map((node) => {
+		const attributes = `name="${escapeXml(node.nodeName)}" classname="${suite}" time="${toSeconds(node.duration)}"`;
+		if (node.status === 'success') return `    <testcase ${attributes} />`;
+
+		const message = escapeXml(node.error ?? 'Node failed');
+		return [
+			`    <testcase ${attributes}>`,
+			`      <failure message="${message}">${message}</failure>`,
+			'    </testcase>',
+		].join('\n');
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="${suite}" tests="${nodes.length}" failures="${failures}" time="${time}">`,
+		`  <testsuite name="${suite}" tests="${nodes.length}" failures="${failures}" time="${time}">`,
+		...testCases,
+		'  </testsuite>',
+		'</testsuites>',
+	].join('\n');
+}
+
+export const toNodeFinishedEvent = (nodeRun: NodeRunSummary) => ({
+	event: 'nodeFinished',
+	...nodeRun,
+});
+
+export const toWorkflowFinishedEvent = (run: IRun) => ({
+	event: 'workflowFinished',
+	status: run.status,
+	startedAt: run.startedAt,
+	stoppedAt: run.stoppedAt,
+	lastNodeExecuted: run.data.resultData.lastNodeExecuted,
+	error: run.data.resultData.error?.message,
+});
+
+/**
+ * Format a finished run for the `--output` flag of the execute commands. For `ndjson`
+ * this is only the last event, the node events are streamed while the workflow runs.
+ */
+export function formatExecutionOutput(
+	format: ExecutionOutputFormat,
+	run: IRun,
+	workflowName: string,
+): string {
+	switch (format) {
+		case 'json':
+			return JSON.stringify(run, null, 2);
+		case 'ndjson':
+			return JSON.stringify(toWorkflowFinishedEvent(run));
+		case 'junit':
+			return formatJUnit(run, workflowName);
+		case 'summary':
+			return formatSummary(run);
+	}
+}
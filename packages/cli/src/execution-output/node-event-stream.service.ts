@@ -0,0 +1,34 @@
+import { OnLifecycleEvent, type NodeExecuteAfterContext } from '@n8n/decorators';
+import { Service } from '@n8n/di';
+
+import { summarizeNodeRun, type NodeRunSummary } from './execution-output';
+
+type NodeFinishedListener = (nodeRun: NodeRunSummary) => void;
+
+/**
+ * Streams a summary of every node run of top-level executions in this process,
+ * for commands printing progress while a workflow runs.
+ */
+@Service()
+export class NodeEventStream {
+	private readonly listeners = new Set<NodeFinishedListener>();
+
+	/** Returns a function to unsubscribe the listener */
+	subscribe(listener: NodeFinishedListener) {
+		this.listeners.add(listener);
+		return () => {
+			this.listeners.delete(listener);
+		};
+	}
+
+	@OnLifecycleEvent('nodeExecuteAfter')
+	onNodeExecuteAfter({ nodeName, taskData, executionData }: NodeExecuteAfterContext) {
+		if (this.listeners.size === 0) return;
+
+		const { runData } = executionData.resultData;
+		const runs = runData[nodeName] ?? [];
+		const runIndex = runs.includes(taskData) ? runs.indexOf(taskData) : runs.length;
+		const nodeRun = summarizeNodeRun(nodeName, runIndex, taskData, runData);
+		for (const listener of this.listeners) listener(nodeRun);
+	}
+}
@@ -0,0 +1,168 @@
+import type { Logger } from '@n8n/backend-common';
+import type {
+	ExecutionRepository,
+	Settings,
+	SettingsRepository,
+	WorkflowRepository,
+} from '@n8n/db';
+import type { ExtensionManifest } from '@n8n/extension-sdk';
+import { mock } from 'jest-mock-extended';
+import type { ErrorReporter } from 'n8n-core';
+
+import type { AuthService } from '@/auth/auth.service';
+import { EventService } from '@/events/event.service';
+import type { RelayEventMap } from '@/events/maps/relay.event-map';
+
+import { ExtensionContextFactory } from '../extension-context.service';
+import type { LoadedExtension } from '../extension-loader.service';
+
+const createExtension = (
+	backend: ExtensionManifest['permissions']['backend'],
+	events: string[] = [],
+): LoadedExtension => ({
+	directory: '/node_modules/n8n-extension-reports',
+	enabled: true,
+	isSetUp: false,
+	manifest: {
+		name: 'n8n-extension-reports',
+		displayName: 'Reports',
+		description: 'Weekly reports',
+		publisher: 'acme',
+		version: '1.0.0',
+		categories: [],
+		entry: { backend: './dist/backend.cjs', frontend: './dist/frontend.js' },
+		minSDKVersion: '0.1.0',
+		permissions: { frontend: [], backend },
+		events,
+		extends: { views: { workflows: { header: 'ReportsHeader' } } },
+	},
+});
+
+describe('ExtensionContextFactory', () => {
+	const logger = mock<Logger>({ scoped: jest.fn().mockReturnThis() });
+	const errorReporter = mock<ErrorReporter>();
+	const settingsRepository = mock<SettingsRepository>();
+	const workflowRepository = mock<WorkflowRepository>();
+	const executionRepository = mock<ExecutionRepository>();
+	let eventService: EventService;
+	let factory: ExtensionContextFactory;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		eventService = new EventService();
+		factory = new ExtensionContextFactory(
+			logger,
+			errorReporter,
+			eventService,
+			mock<AuthService>(),
+			settingsRepository,
+			workflowRepository,
+			executionRepository,
+		);
+	});
+
+	it('should throw when using capabilities the manifest has no permission for', async () => {
+		const { storage, workflows } = factory.create(createExtension(['storage:use']));
+
+		await storage.set('count', 3);
+
+		// The proxy throws before any promise is created
+		expect(() => {
+			void workflows.list();
+		}).toThrow('Extension "n8n-extension-reports" lacks the "workflows:read" permission');
+		expect(workflowRepository.find).not.toHaveBeenCalled();
+	});
+
+	it('should only subscribe to events listed in the manifest', async () => {
+		const { events } = factory.create(
+			createExtension(['events:subscribe'], ['workflow-post-execute']),
+		);
+		const handler = jest.fn();
+
+		events.on('workflow-post-execute', handler);
+		eventService.emit('workflow-post-execute', mock<RelayEventMap['workflow-post-execute']>());
+		await new Promise(setImmediate);
+
+		expect(handler).toHaveBeenCalledTimes(1);
+		expect(() => events.on('user-deleted', handler)).toThrow(
+			'Extension "n8n-extension-reports" cannot subscribe to "user-deleted", it is not listed in the events of its manifest',
+		);
+	});
+
+	it('should skip event handlers while the extension is disabled', async () => {
+		const extension = createExtension(['events:subscribe'], ['workflow-post-execute']);
+		const handler = jest.fn();
+
+		factory.create(extension).events.on('workflow-post-execute', handler);
+		extension.enabled = false;
+		eventService.emit('workflow-post-execute', mock<RelayEventMap['workflow-post-execute']>());
+		await new Promise(setImmediate);
+
+		expect(handler).not.toHaveBeenCalled();
+	});
+
+	it('should remove the event listeners of an extension when disposing it', async () => {
+		const extension = createExtension(['events:subscribe'], ['workflow-post-execute']);
+		const handler = jest.fn();
+
+		factory.create(extension).events.on('workflow-post-execute', handler);
+		factory.dispose(extension);
+		eventService.emit('workflow-post-execute', mock<RelayEventMap['workflow-post-execute']>());
+		await new Promise(setImmediate);
+
+		expect(handler).not.toHaveBeenCalled();
+		expect(eventService.listenerCount('workflow-post-execute')).toBe(0);
+	});
+
+	it('should report failing event handlers without affecting other listeners', async () => {
+		const { events } = factory.create(
+			createExtension(['events:subscribe'], ['workflow-post-execute']),
+		);
+		const error = new Error('boom');
+		const otherListener = jest.fn();
+
+		events.on('workflow-post-execute', async () => {
+			throw error;
+		});
+		eventService.on('workflow-post-execute', otherListener);
+		eventService.emit('workflow-post-execute', mock<RelayEventMap['workflow-post-execute']>());
+		await new Promise(setImmediate);
+
+		expect(otherListener).toHaveBeenCalled();
+		expect(errorReporter.error).toHaveBeenCalledWith(error);
+	});
+
+	it('should scope storage keys to the extension', async () => {
+		const { storage } = factory.create(createExtension(['storage:use']));
+		settingsRepository.findByKey.mockResolvedValue(
+			mock<Settings>({ key: 'extensions.n8n-extension-reports.count', value: '3' }),
+		);
+		settingsRepository.findByKeyPrefix.mockResolvedValue([
+			mock<Settings>({ key: 'extensions.n8n-extension-reports.count' }),
+			mock<Settings>({ key: 'extensions.n8n-extension-reportsXsecret' }),
+		]);
+
+		await storage.set('count', 3);
+
+		expect(settingsRepository.upsert).toHaveBeenCalledWith(
+			{ key: 'extensions.n8n-extension-reports.count', value: '3', loadOnStartup: false },
+			['key'],
+		);
+		expect(await storage.get('count')).toBe(3);
+		expect(settingsRepository.findByKey).toHaveBeenCalledWith(
+			'extensions.n8n-extension-reports.count',
+		);
+		expect(await storage.keys()).toEqual(['count']);
+	});
+
+	it('should add the extension name to log metadata', () => {
+		const { logger: extensionLogger } = factory.create(createExtension(['logger:use']));
+
+		extensionLogger.info('Report sent', { recipients: 2 });
+
+		expect(logger.info).toHaveBeenCalledWith('Report sent', {
+			recipients: 2,
+			extension: 'n8n-extension-reports',
+		});
+	});
+});
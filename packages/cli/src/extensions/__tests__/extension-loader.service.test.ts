@@ -0,0 +1,231 @@
+import type { Logger } from '@n8n/backend-common';
+import type { Settings, SettingsRepository } from '@n8n/db';
+import type { ExtensionManifest } from '@n8n/extension-sdk';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { mock } from 'jest-mock-extended';
+import type { ErrorReporter, InstanceSettings } from 'n8n-core';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import type { ExtensionContextFactory } from '../extension-context.service';
+import { ExtensionLoader } from '../extension-loader.service';
+
+const createManifest = (overrides: Partial<ExtensionManifest> = {}): ExtensionManifest => ({
+	name: '@acme/n8n-extension-reports',
+	displayName: 'Reports',
+	description: 'Weekly reports',
+	publisher: 'acme',
+	version: '1.0.0',
+	categories: [],
+	entry: { backend: './dist/backend.cjs', frontend: './dist/frontend.js' },
+	minSDKVersion: '0.1.0',
+	permissions: { frontend: [], backend: [] },
+	events: [],
+	extends: { views: { workflows: { header: 'ReportsHeader' } } },
+	...overrides,
+});
+
+describe('ExtensionLoader', () => {
+	const logger = mock<Logger>({ scoped: jest.fn().mockReturnThis() });
+	const errorReporter = mock<ErrorReporter>();
+	const contextFactory = mock<ExtensionContextFactory>();
+	const settingsRepository = mock<SettingsRepository>();
+	let rootDir: string;
+	let nodeModulesDir: string;
+	let loader: ExtensionLoader;
+
+	/** Install a package with the given manifest, its backend entry records the `setup` call */
+	const installExtension = (packageName: string, manifest: object, backendEntry?: string) => {
+		const directory = path.join(nodeModulesDir, packageName);
+		mkdirSync(path.join(directory, 'dist'), { recursive: true });
+		writeFileSync(path.join(directory, 'n8n.manifest.json'), JSON.stringify(manifest));
+		writeFileSync(
+			path.join(directory, 'dist', 'backend.cjs'),
+			backendEntry ??
+				'module.exports = { setup: () => { globalThis.setupCalls = (globalThis.setupCalls ?? 0) + 1; } };',
+		);
+		writeFileSync(path.join(directory, 'dist', 'frontend.js'), 'export default {};');
+		return directory;
+	};
+
+	const setupCalls = () => (globalThis as { setupCalls?: number }).setupCalls ?? 0;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		settingsRepository.findByKey.mockResolvedValue(null);
+		delete (globalThis as { setupCalls?: number }).setupCalls;
+		rootDir = mkdtempSync(path.join(tmpdir(), 'n8n-extensions-'));
+		nodeModulesDir = path.join(rootDir, 'node_modules');
+		loader = new ExtensionLoader(
+			logger,
+			errorReporter,
+			mock<InstanceSettings>({ nodesDownloadDir: rootDir }),
+			contextFactory,
+			settingsRepository,
+		);
+		jest.spyOn(loader, 'getNodeModulesDirs').mockReturnValue([nodeModulesDir]);
+	});
+
+	afterEach(() => {
+		rmSync(rootDir, { recursive: true, force: true });
+	});
+
+	it('should discover installed extensions and run their backend setup', async () => {
+		const directory = installExtension('@acme/n8n-extension-reports', createManifest());
+		mkdirSync(path.join(nodeModulesDir, 'lodash'));
+
+		await loader.init();
+
+		expect(loader.loaded).toEqual([
+			{ manifest: createManifest(), directory, enabled: true, isSetUp: true },
+		]);
+		expect(setupCalls()).toBe(1);
+		expect(contextFactory.create).toHaveBeenCalledWith(loader.loaded[0]);
+		expect(loader.getFrontendExtensions()).toEqual([
+			{
+				name: '@acme/n8n-extension-reports',
+				displayName: 'Reports',
+				version: '1.0.0',
+				permissions: { frontend: [], backend: [] },
+				extends: { views: { workflows: { header: 'ReportsHeader' } } },
+			},
+		]);
+		expect(loader.resolveFrontendEntry('@acme/n8n-extension-reports')).toBe(
+			path.join(directory, 'dist', 'frontend.js'),
+		);
+	});
+
+	it('should skip extensions with an invalid manifest', async () => {
+		installExtension('n8n-extension-broken', { name: 'n8n-extension-broken' });
+
+		await loader.init();
+
+		expect(loader.loaded).toEqual([]);
+		expect(setupCalls()).toBe(0);
+		expect(logger.error).toHaveBeenCalledWith(
+			expect.stringContaining('Invalid n8n.manifest.json: displayName: Required'),
+		);
+	});
+
+	it('should reject extensions requiring a newer SDK', async () => {
+		const directory = installExtension(
+			'n8n-extension-future',
+			createManifest({ name: 'n8n-extension-future', minSDKVersion: '99.0.0' }),
+		);
+
+		await expect(loader.loadExtension(directory, '0.9.0')).rejects.toThrow(
+			'Extension "n8n-extension-future" requires extension SDK 99.0.0, installed is 0.9.0',
+		);
+		expect(setupCalls()).toBe(0);
+	});
+
+	it('should reject backend entries without a setup function', async () => {
+		const directory = installExtension(
+			'n8n-extension-empty',
+			createManifest({ name: 'n8n-extension-empty' }),
+			'module.exports = {};',
+		);
+
+		await expect(loader.loadExtension(directory, '0.9.0')).rejects.toThrow(
+			'The backend entry of "n8n-extension-empty" has no setup function',
+		);
+		expect(loader.getInstalledExtensions()).toEqual([
+			expect.objectContaining({
+				name: 'n8n-extension-empty',
+				setupError: 'The backend entry of "n8n-extension-empty" has no setup function',
+			}),
+		]);
+	});
+
+	it('should keep extensions failing to set up, for admins to disable them', async () => {
+		installExtension(
+			'@acme/n8n-extension-reports',
+			createManifest(),
+			'module.exports = { setup: () => { throw new Error("Reports table is missing"); } };',
+		);
+
+		await loader.init();
+
+		expect(loader.loaded).toEqual([
+			expect.objectContaining({
+				enabled: true,
+				isSetUp: false,
+				setupError: 'Reports table is missing',
+			}),
+		]);
+		expect(contextFactory.dispose).toHaveBeenCalledWith(loader.loaded[0]);
+		expect(errorReporter.error).toHaveBeenCalled();
+		await expect(loader.setEnabled('@acme/n8n-extension-reports', false)).resolves.toEqual(
+			expect.objectContaining({ enabled: false, setupError: 'Reports table is missing' }),
+		);
+		expect(loader.getFrontendExtensions()).toEqual([]);
+	});
+
+	it('should not resolve entries outside of the package directory', async () => {
+		const directory = installExtension(
+			'n8n-extension-escape',
+			createManifest({
+				name: 'n8n-extension-escape',
+				entry: { backend: './dist/backend.cjs', frontend: '../../secret.js' },
+			}),
+		);
+
+		await loader.loadExtension(directory, '0.9.0');
+
+		expect(loader.resolveFrontendEntry('n8n-extension-escape')).toBeUndefined();
+		expect(loader.resolveFrontendEntry('unknown')).toBeUndefined();
+	});
+
+	it('should set up the backend again with a fresh context when reloading it', async () => {
+		const directory = installExtension('@acme/n8n-extension-reports', createManifest());
+		await loader.init();
+		const [extension] = loader.loaded;
+
+		// Jest loads modules through its own registry, the reload cannot drop them from `require.cache`
+		await loader.reloadBackend(extension, path.join(directory, 'dist'));
+
+		expect(setupCalls()).toBe(2);
+		expect(contextFactory.dispose).toHaveBeenCalledWith(extension);
+		expect(contextFactory.create).toHaveBeenCalledTimes(2);
+		expect(extension.isSetUp).toBe(true);
+	});
+
+	it('should not set up extensions disabled by an admin', async () => {
+		installExtension('@acme/n8n-extension-reports', createManifest());
+		settingsRepository.findByKey.mockResolvedValue(
+			mock<Settings>({ value: JSON.stringify(['@acme/n8n-extension-reports']) }),
+		);
+
+		await loader.init();
+
+		expect(setupCalls()).toBe(0);
+		expect(loader.getInstalledExtensions()).toEqual([
+			expect.objectContaining({ name: '@acme/n8n-extension-reports', enabled: false }),
+		]);
+		expect(loader.getFrontendExtensions()).toEqual([]);
+		expect(loader.resolveFrontendEntry('@acme/n8n-extension-reports')).toBeUndefined();
+	});
+
+	it('should set up an extension once when it is enabled and remember disabled extensions', async () => {
+		installExtension('@acme/n8n-extension-reports', createManifest());
+		settingsRepository.findByKey.mockResolvedValue(
+			mock<Settings>({ value: JSON.stringify(['@acme/n8n-extension-reports']) }),
+		);
+		await loader.init();
+
+		await expect(loader.setEnabled('@acme/n8n-extension-reports', true)).resolves.toEqual(
+			expect.objectContaining({ enabled: true }),
+		);
+		await loader.setEnabled('@acme/n8n-extension-reports', false);
+		await loader.setEnabled('@acme/n8n-extension-reports', true);
+
+		expect(setupCalls()).toBe(1);
+		expect(settingsRepository.upsert).toHaveBeenLastCalledWith(
+			{ key: 'extensions.disabled', value: '[]', loadOnStartup: false },
+			['key'],
+		);
+		await expect(loader.setEnabled('unknown', false)).rejects.toThrow(
+			'Extension "unknown" is not installed',
+		);
+	});
+});
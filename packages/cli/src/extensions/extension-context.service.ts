@@ -0,0 +1,317 @@
+import { Logger } from '@n8n/backend-common';
+import {
+	ExecutionRepository,
+	SettingsRepository,
+	WorkflowRepository,
+	type AuthenticatedRequest,
+	type ExecutionEntity,
+	type WorkflowEntity,
+} from '@n8n/db';
+import { Service } from '@n8n/di';
+import type { BackendPermission, ExtensionManifest } from '@n8n/extension-sdk';
+import type {
+	BackendExtensionContext,
+	ExtensionEvents,
+	ExtensionExecution,
+	ExtensionExecutions,
+	ExtensionLogger,
+	ExtensionRoutes,
+	ExtensionStorage,
+	ExtensionWorkflowSummary,
+	ExtensionWorkflows,
+} from '@n8n/extension-sdk/backend';
+import { Router, type RequestHandler } from 'express';
+import { ErrorReporter } from 'n8n-core';
+import { jsonParse, UserError } from 'n8n-workflow';
+
+import type { LoadedExtension } from './extension-loader.service';
+
+import { AuthService } from '@/auth/auth.service';
+import { ExtensionPermissionError } from '@/errors/extension-permission.error';
+import { EventService, type EventMap } from '@/events/event.service';
+import { send } from '@/response-helper';
+
+/** Limit of `list` on workflows and executions when the extension passes none */
+const DEFAULT_LIST_LIMIT = 100;
+
+const toWorkflowSummary = (workflow: WorkflowEntity): ExtensionWorkflowSummary => ({
+	id: workflow.id,
+	name: workflow.name,
+	active: workflow.active,
+	settings: workflow.settings && { ...workflow.settings },
+	createdAt: workflow.createdAt,
+	updatedAt: workflow.updatedAt,
+});
+
+const toExecution = (execution: ExecutionEntity): ExtensionExecution => ({
+	id: execution.id,
+	workflowId: execution.workflowId,
+	mode: execution.mode,
+	status: execution.status,
+	startedAt: execution.startedAt,
+	stoppedAt: execution.stoppedAt,
+});
+
+/**
+ * Builds the context passed to the backend `setup` of an extension. Capabilities whose permission
+ * the manifest does not list in `permissions.backend` are proxies that throw when used.
+ */
+@Service()
+export class ExtensionContextFactory {
+	/** Routes of all extensions, the server mounts it below `/rest/extensions/routes` */
+	readonly router = Router();
+
+	/** Current router of each extension with routes, replaced when its backend is set up again */
+	private readonly extensionRouters = new Map<string, Router>();
+
+	/** Event listeners added for each extension, removed by `dispose` */
+	private readonly extensionListeners = new Map<
+		string,
+		Array<{ eventName: keyof EventMap; listener: (payload: unknown) => void }>
+	>();
+
+	constructor(
+		private readonly logger: Logger,
+		private readonly errorReporter: ErrorReporter,
+		private readonly eventService: EventService,
+		private readonly authService: AuthService,
+		private readonly settingsRepository: SettingsRepository,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly executionRepository: ExecutionRepository,
+	) {
+		this.logger = this.logger.scoped('extensions');
+	}
+
+	create(extension: LoadedExtension): BackendExtensionContext {
+		const { manifest } = extension;
+
+		if (manifest.events.length > 0 && !manifest.permissions.backend.includes('events:subscribe')) {
+			this.logger.warn(
+				`Extension "${manifest.name}" lists events but lacks the "events:subscribe" permission to subscribe to them`,
+			);
+		}
+
+		return {
+			events: this.guard(manifest, 'events:subscribe', () => this.createEvents(extension)),
+			routes: this.guard(manifest, 'routes:register', () => this.createRoutes(extension)),
+			storage: this.guard(manifest, 'storage:use', () => this.createStorage(manifest)),
+			workflows: this.guard(manifest, 'workflows:read', () => this.createWorkflows()),
+			executions: this.guard(manifest, 'executions:read', () => this.createExecutions()),
+			logger: this.guard(manifest, 'logger:use', () => this.createLogger(manifest)),
+		};
+	}
+
+	/**
+	 * Remove the event listeners and routes the extension registered on its context,
+	 * so that its backend can be set up again
+	 */
+	dispose({ manifest }: LoadedExtension) {
+		for (const { eventName, listener } of this.extensionListeners.get(manifest.name) ?? []) {
+			this.eventService.off(eventName, listener);
+		}
+		this.extensionListeners.delete(manifest.name);
+		// The mount stays in place, an empty router answers until routes are registered again
+		if (this.extensionRouters.has(manifest.name)) {
+			this.extensionRouters.set(manifest.name, Router({ mergeParams: true }));
+		}
+	}
+
+	/**
+	 * The capability if the manifest lists its permission, otherwise a proxy whose methods throw,
+	 * so that destructuring the context in `setup` does not throw by itself
+	 */
+	private guard<T extends object>(
+		manifest: ExtensionManifest,
+		permission: BackendPermission,
+		createCapability: () => T,
+	): T {
+		if (manifest.permissions.backend.includes(permission)) return createCapability();
+
+		return new Proxy({} as T, {
+			get: () => () => {
+				throw new ExtensionPermissionError(manifest.name, permission);
+			},
+		});
+	}
+
+	private createEvents(extension: LoadedExtension): ExtensionEvents {
+		const { manifest } = extension;
+
+		return {
+			on: (eventName, handler) => {
+				if (!manifest.events.includes(eventName)) {
+					throw new UserError(
+						`Extension "${manifest.name}" cannot subscribe to "${eventName}", it is not listed in the events of its manifest`,
+					);
+				}
+
+				// A failing handler must neither break the emitter nor the other listeners
+				const listener = (payload: unknown) => {
+					if (!extension.enabled) return;
+
+					void (async () => {
+						try {
+							await handler(payload);
+						} catch (error) {
+							this.reportError(manifest, `Handler of "${eventName}" failed`, error);
+						}
+					})();
+				};
+
+				this.eventService.on(eventName as keyof EventMap, listener);
+				const listeners = this.extensionListeners.get(manifest.name) ?? [];
+				listeners.push({ eventName: eventName as keyof EventMap, listener });
+				this.extensionListeners.set(manifest.name, listeners);
+			},
+		};
+	}
+
+	private createRoutes(extension: LoadedExtension): ExtensionRoutes {
+		const { manifest } = extension;
+		const router = Router({ mergeParams: true });
+		if (!this.extensionRouters.has(manifest.name)) {
+			this.mountExtensionRouter(extension);
+		}
+		this.extensionRouters.set(manifest.name, router);
+
+		const register =
+			(method: keyof ExtensionRoutes): ExtensionRoutes[typeof method] =>
+			(path, handler) => {
+				router[method](
+					path,
+					send(
+						async (req: AuthenticatedRequest) =>
+							await handler({
+								params: req.params as Record<string, string>,
+								query: req.query,
+								body: req.body as unknown,
+								user: { id: req.user.id, email: req.user.email, role: req.user.role.slug },
+							}),
+					),
+				);
+			};
+
+		return {
+			get: register('get'),
+			post: register('post'),
+			put: register('put'),
+			patch: register('patch'),
+			delete: register('delete'),
+		};
+	}
+
+	/**
+	 * Express cannot unmount routers, so requests go through the current router of the extension
+	 */
+	private mountExtensionRouter(extension: LoadedExtension) {
+		const { manifest } = extension;
+		const dispatch: RequestHandler = async (req, res, next) => {
+			const router = this.extensionRouters.get(manifest.name);
+			if (router) await router(req, res, next);
+			else next();
+		};
+
+		this.router.use(
+			`/${manifest.name}`,
+			this.authService.createAuthMiddleware({ allowSkipMFA: false, allowSkipPreviewAuth: false }),
+			(_req, res, next) => {
+				if (extension.enabled) return next();
+				res
+					.status(404)
+					.json({ status: 'error', message: `Extension "${manifest.name}" is disabled` });
+			},
+			dispatch,
+		);
+	}
+
+	private createStorage(manifest: ExtensionManifest): ExtensionStorage {
+		const prefix = `extensions.${manifest.name}.`;
+
+		return {
+			get: async <T>(key: string) => {
+				const setting = await this.settingsRepository.findByKey(prefix + key);
+				return setting ? jsonParse<T>(setting.value) : undefined;
+			},
+			set: async (key, value) => {
+				await this.settingsRepository.upsert(
+					{ key: prefix + key, value: JSON.stringify(value), loadOnStartup: false },
+					['key'],
+				);
+			},
+			delete: async (key) => {
+				await this.settingsRepository.delete({ key: prefix + key });
+			},
+			keys: async () => {
+				// `_` in extension names is a wildcard for LIKE, so filter the exact prefix
+				const settings = await this.settingsRepository.findByKeyPrefix(prefix);
+				return settings
+					.filter(({ key }) => key.startsWith(prefix))
+					.map(({ key }) => key.slice(prefix.length));
+			},
+		};
+	}
+
+	private createWorkflows(): ExtensionWorkflows {
+		return {
+			get: async (id) => {
+				const workflow = await this.workflowRepository.findOneBy({ id });
+				if (!workflow) return undefined;
+
+				return {
+					...toWorkflowSummary(workflow),
+					nodes: workflow.nodes,
+					connections: workflow.connections,
+				};
+			},
+			list: async ({ limit = DEFAULT_LIST_LIMIT } = {}) => {
+				const workflows = await this.workflowRepository.find({
+					select: ['id', 'name', 'active', 'settings', 'createdAt', 'updatedAt'],
+					order: { updatedAt: 'DESC' },
+					take: limit,
+				});
+				return workflows.map(toWorkflowSummary);
+			},
+		};
+	}
+
+	private createExecutions(): ExtensionExecutions {
+		const select: Array<keyof ExecutionEntity> = [
+			'id',
+			'workflowId',
+			'mode',
+			'status',
+			'startedAt',
+			'stoppedAt',
+		];
+
+		return {
+			get: async (id) => {
+				const execution = await this.executionRepository.findOne({ select, where: { id } });
+				return execution ? toExecution(execution) : undefined;
+			},
+			list: async ({ workflowId, limit = DEFAULT_LIST_LIMIT } = {}) => {
+				const executions = await this.executionRepository.find({
+					select,
+					where: workflowId ? { workflowId } : {},
+					order: { id: 'DESC' },
+					take: limit,
+				});
+				return executions.map(toExecution);
+			},
+		};
+	}
+
+	private createLogger({ name }: ExtensionManifest): ExtensionLogger {
+		return {
+			debug: (message, metadata) => this.logger.debug(message, { ...metadata, extension: name }),
+			info: (message, metadata) => this.logger.info(message, { ...metadata, extension: name }),
+			warn: (message, metadata) => this.logger.warn(message, { ...metadata, extension: name }),
+			error: (message, metadata) => this.logger.error(message, { ...metadata, extension: name }),
+		};
+	}
+
+	private reportError({ name }: ExtensionManifest, message: string, error: unknown) {
+		this.logger.error(`Extension "${name}": ${message}`, { error });
+		this.errorReporter.error(error);
+	}
+}
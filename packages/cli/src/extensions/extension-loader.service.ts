@@ -0,0 +1,349 @@
+import { isContainedWithin, Logger } from '@n8n/backend-common';
+import { SettingsRepository } from '@n8n/db';
+import { Container, Service } from '@n8n/di';
+import { extensionManifestSchema, type ExtensionManifest } from '@n8n/extension-sdk';
+import type { BackendExtension } from '@n8n/extension-sdk/backend';
+import type ParcelWatcher from '@parcel/watcher';
+import glob from 'fast-glob';
+import { readFile, realpath } from 'fs/promises';
+import { ErrorReporter, InstanceSettings } from 'n8n-core';
+import { jsonParse, UserError } from 'n8n-workflow';
+import path from 'path';
+import semver from 'semver';
+
+import { ExtensionContextFactory } from './extension-context.service';
+
+import { CLI_DIR } from '@/constants';
+import { NotFoundError } from '@/errors/response-errors/not-found.error';
+
+export const EXTENSION_MANIFEST_FILE = 'n8n.manifest.json';
+
+/** Settings key of the names of the extensions disabled by an admin */
+const DISABLED_EXTENSIONS_KEY = 'extensions.disabled';
+
+const sdkPackageJson = require.resolve('@n8n/extension-sdk/package.json');
+
+export type LoadedExtension = {
+	manifest: ExtensionManifest;
+	/** Directory of the installed package */
+	directory: string;
+	/** Disabled extensions are not set up, and skip their event handlers and routes when disabled later */
+	enabled: boolean;
+	/** Whether the `setup` of the backend entry ran */
+	isSetUp: boolean;
+	/** Message of the error the last `setup` of the backend entry failed with */
+	setupError?: string;
+};
+
+/**
+ * What the editor needs to load the frontend of an extension, see `ExtensionsController`
+ */
+export type FrontendExtensionDescription = Pick<
+	ExtensionManifest,
+	'name' | 'displayName' | 'version' | 'permissions' | 'extends'
+>;
+
+/**
+ * What admins see of an installed extension in the settings, see `ExtensionsController`
+ */
+export type InstalledExtension = Pick<
+	ExtensionManifest,
+	'name' | 'displayName' | 'description' | 'publisher' | 'version' | 'permissions' | 'events'
+> & { enabled: boolean; setupError?: string };
+
+/**
+ * Discovers installed packages shipping an `n8n.manifest.json`, validates their manifests
+ * and runs the `setup` of their backend entry. The frontend entry is served to the editor,
+ * which loads it on its own.
+ */
+@Service()
+export class ExtensionLoader {
+	private readonly extensions = new Map<string, LoadedExtension>();
+
+	private disabledNames = new Set<string>();
+
+	constructor(
+		private readonly logger: Logger,
+		private readonly errorReporter: ErrorReporter,
+		private readonly instanceSettings: InstanceSettings,
+		private readonly contextFactory: ExtensionContextFactory,
+		private readonly settingsRepository: SettingsRepository,
+	) {
+		this.logger = this.logger.scoped('extensions');
+	}
+
+	async init() {
+		const sdkVersion = await this.getSdkVersion();
+		const disabled = await this.settingsRepository.findByKey(DISABLED_EXTENSIONS_KEY);
+		this.disabledNames = new Set(disabled ? jsonParse<string[]>(disabled.value) : []);
+
+		for (const nodeModulesDir of this.getNodeModulesDirs()) {
+			await this.loadExtensionsFromNodeModules(nodeModulesDir, sdkVersion);
+		}
+	}
+
+	get loaded(): LoadedExtension[] {
+		return [...this.extensions.values()];
+	}
+
+	/**
+	 * Directories extensions are installed into: next to the `n8n` package,
+	 * below it, and the directory community packages are installed into.
+	 */
+	getNodeModulesDirs(): string[] {
+		return [
+			path.join(CLI_DIR, '..'),
+			path.join(CLI_DIR, 'node_modules'),
+			path.join(this.instanceSettings.nodesDownloadDir, 'node_modules'),
+		];
+	}
+
+	getFrontendExtensions(): FrontendExtensionDescription[] {
+		return this.loaded
+			.filter(({ manifest, enabled }) => enabled && manifest.entry.frontend)
+			.map(({ manifest }) => ({
+				name: manifest.name,
+				displayName: manifest.displayName,
+				version: manifest.version,
+				permissions: manifest.permissions,
+				extends: manifest.extends,
+			}));
+	}
+
+	getInstalledExtensions(): InstalledExtension[] {
+		return this.loaded.map((extension) => this.toInstalledExtension(extension));
+	}
+
+	/**
+	 * Enable or disable an extension, which is remembered across restarts.
+	 * Enabling an extension that was disabled on start runs its backend setup.
+	 *
+	 * @throws {NotFoundError} when no extension with this name is installed
+	 */
+	async setEnabled(name: string, enabled: boolean): Promise<InstalledExtension> {
+		const extension = this.extensions.get(name);
+		if (!extension) throw new NotFoundError(`Extension "${name}" is not installed`);
+
+		if (enabled && !extension.isSetUp) await this.setupBackend(extension);
+		extension.enabled = enabled;
+
+		if (enabled) this.disabledNames.delete(name);
+		else this.disabledNames.add(name);
+		await this.settingsRepository.upsert(
+			{
+				key: DISABLED_EXTENSIONS_KEY,
+				value: JSON.stringify([...this.disabledNames]),
+				loadOnStartup: false,
+			},
+			['key'],
+		);
+
+		this.logger.info(`Extension "${name}" ${enabled ? 'enabled' : 'disabled'}`);
+		return this.toInstalledExtension(extension);
+	}
+
+	/**
+	 * Path of the frontend entry of an enabled extension, `undefined` for unknown or disabled extensions
+	 */
+	resolveFrontendEntry(name: string): string | undefined {
+		const extension = this.extensions.get(name);
+		if (!extension?.enabled) return undefined;
+
+		return this.resolveEntry(extension, extension.manifest.entry.frontend);
+	}
+
+	/**
+	 * Watch the built entries of the loaded extensions, for `n8n-node extension dev`.
+	 * A changed backend entry is set up again, a changed frontend entry is reloaded by the editor.
+	 */
+	async setupHotReload() {
+		const { default: debounce } = await import('lodash/debounce');
+		const { subscribe } = await import('@parcel/watcher');
+		const { Push } = await import('@/push');
+		const push = Container.get(Push);
+
+		for (const extension of this.loaded) {
+			const { name, entry } = extension.manifest;
+			// Extensions are usually symlinked, the require cache and the watcher use real paths
+			const directory = await realpath(extension.directory);
+			const entryDir = (entryPath: string | undefined) => {
+				const resolved = this.resolveEntry(extension, entryPath);
+				if (!resolved) return undefined;
+				return path.dirname(path.join(directory, path.relative(extension.directory, resolved)));
+			};
+			const backendDir = entryDir(entry.backend);
+			const frontendDir = entryDir(entry.frontend);
+
+			const reloadBackend = debounce(async (dir: string) => {
+				this.logger.info(`Hot reload triggered for the backend of extension "${name}"`);
+				try {
+					await this.reloadBackend(extension, dir);
+				} catch (error) {
+					this.logger.error(
+						`Hot reload failed for the backend of extension "${name}": ${(error as Error).message}`,
+					);
+				}
+			}, 100);
+
+			const reloadFrontend = debounce(() => {
+				this.logger.info(`Hot reload triggered for the frontend of extension "${name}"`);
+				push.broadcast({ type: 'extensionFrontendUpdated', data: { name } });
+			}, 100);
+
+			const onFileEvent: ParcelWatcher.SubscribeCallback = (_error, events) => {
+				const changedPaths = events
+					.filter((event) => event.type !== 'delete')
+					.map((event) => event.path);
+
+				if (backendDir && changedPaths.some((p) => isContainedWithin(backendDir, p))) {
+					void reloadBackend(backendDir);
+				}
+				if (frontendDir && changedPaths.some((p) => isContainedWithin(frontendDir, p))) {
+					reloadFrontend();
+				}
+			};
+
+			this.logger.debug(`Watching extension "${name}" for hot reload`, { directory });
+			await subscribe(directory, onFileEvent, { ignore: ['**/node_modules/**'] });
+		}
+	}
+
+	/**
+	 * Set up the backend of an enabled extension again with a fresh context,
+	 * after dropping the modules below `backendDir` from the require cache
+	 */
+	async reloadBackend(extension: LoadedExtension, backendDir: string) {
+		for (const module of Object.keys(require.cache)) {
+			if (isContainedWithin(backendDir, module)) delete require.cache[module];
+		}
+
+		this.contextFactory.dispose(extension);
+		extension.isSetUp = false;
+		if (extension.enabled) await this.setupBackend(extension);
+	}
+
+	private async loadExtensionsFromNodeModules(nodeModulesDir: string, sdkVersion: string) {
+		const manifestPaths = await glob(
+			[`*/${EXTENSION_MANIFEST_FILE}`, `@*/*/${EXTENSION_MANIFEST_FILE}`],
+			{ cwd: nodeModulesDir },
+		);
+
+		for (const manifestPath of manifestPaths) {
+			const directory = path.join(nodeModulesDir, path.dirname(manifestPath));
+			try {
+				await this.loadExtension(directory, sdkVersion);
+			} catch (error) {
+				this.logger.error(`Failed to load extension in ${directory}: ${(error as Error).message}`);
+				this.errorReporter.error(error);
+			}
+		}
+	}
+
+	/**
+	 * Load the extension installed in `directory`, unless one with the same name is loaded already
+	 *
+	 * @throws {UserError} when the manifest is invalid or requires a newer SDK
+	 * @throws when the backend setup fails, the extension is loaded with the `setupError` then
+	 */
+	async loadExtension(directory: string, sdkVersion: string): Promise<LoadedExtension | undefined> {
+		const manifest = await this.readManifest(directory);
+
+		if (this.extensions.has(manifest.name)) {
+			this.logger.debug(`Extension "${manifest.name}" is loaded already, skipping ${directory}`);
+			return undefined;
+		}
+
+		if (!semver.valid(manifest.minSDKVersion)) {
+			throw new UserError(`Invalid minSDKVersion "${manifest.minSDKVersion}"`);
+		}
+
+		if (semver.lt(sdkVersion, manifest.minSDKVersion)) {
+			throw new UserError(
+				`Extension "${manifest.name}" requires extension SDK ${manifest.minSDKVersion}, installed is ${sdkVersion}`,
+			);
+		}
+
+		const enabled = !this.disabledNames.has(manifest.name);
+		const extension: LoadedExtension = { manifest, directory, enabled, isSetUp: false };
+		// Registered before the setup, so admins can see and disable an extension failing to set up
+		this.extensions.set(manifest.name, extension);
+		if (enabled) await this.setupBackend(extension);
+		this.logger.debug(
+			`Loaded extension "${manifest.name}" from ${directory}${enabled ? '' : ', it is disabled'}`,
+		);
+
+		return extension;
+	}
+
+	private async readManifest(directory: string): Promise<ExtensionManifest> {
+		const content = await readFile(path.join(directory, EXTENSION_MANIFEST_FILE), 'utf8');
+		const result = extensionManifestSchema.safeParse(jsonParse(content));
+
+		if (!result.success) {
+			const issues = result.error.issues
+				.map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+				.join(', ');
+			throw new UserError(`Invalid ${EXTENSION_MANIFEST_FILE}: ${issues}`);
+		}
+
+		return result.data;
+	}
+
+	private async setupBackend(extension: LoadedExtension) {
+		const entryPath = this.resolveEntry(extension, extension.manifest.entry.backend);
+		if (!entryPath) return;
+
+		try {
+			// eslint-disable-next-line @typescript-eslint/no-require-imports
+			const exports = require(entryPath) as BackendExtension | { default: BackendExtension };
+			const backend = 'default' in exports ? exports.default : exports;
+
+			if (typeof backend?.setup !== 'function') {
+				throw new UserError(
+					`The backend entry of "${extension.manifest.name}" has no setup function`,
+				);
+			}
+
+			await backend.setup(this.contextFactory.create(extension));
+			extension.isSetUp = true;
+			extension.setupError = undefined;
+		} catch (error) {
+			// Drop what a partial setup registered
+			this.contextFactory.dispose(extension);
+			extension.setupError = (error as Error).message;
+			throw error;
+		}
+	}
+
+	private toInstalledExtension({
+		manifest,
+		enabled,
+		setupError,
+	}: LoadedExtension): InstalledExtension {
+		const { name, displayName, description, publisher, version, permissions, events } = manifest;
+		return {
+			name,
+			displayName,
+			description,
+			publisher,
+			version,
+			permissions,
+			events,
+			enabled,
+			setupError,
+		};
+	}
+
+	/** Entries outside of the package directory are ignored */
+	private resolveEntry({ directory }: LoadedExtension, entry: string | undefined) {
+		if (!entry) return undefined;
+
+		const entryPath = path.resolve(directory, entry);
+		return isContainedWithin(directory, entryPath) ? entryPath : undefined;
+	}
+
+	private async getSdkVersion() {
+		const { version } = jsonParse<{ version: string }>(await readFile(sdkPackageJson, 'utf8'));
+		return version;
+	}
+}
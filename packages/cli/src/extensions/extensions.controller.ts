@@ -0,0 +1,42 @@
+import { UpdateExtensionRequestDto } from '@n8n/api-types';
+import { AuthenticatedRequest } from '@n8n/db';
+import { Body, Get, GlobalScope, Param, Patch, RestController } from '@n8n/decorators';
+import type { Response } from 'express';
+
+import { ExtensionLoader } from './extension-loader.service';
+
+@RestController('/extensions')
+export class ExtensionsController {
+	constructor(private readonly extensionLoader: ExtensionLoader) {}
+
+	/**
+	 * @returns the enabled extensions with a frontend entry, served at `/extensions/<name>/frontend.js`
+	 */
+	@Get('/')
+	getFrontendExtensions() {
+		return this.extensionLoader.getFrontendExtensions();
+	}
+
+	/**
+	 * @returns all installed extensions with the permissions they request, including disabled ones
+	 */
+	@Get('/installed')
+	@GlobalScope('communityPackage:list')
+	getInstalledExtensions() {
+		return this.extensionLoader.getInstalledExtensions();
+	}
+
+	/**
+	 * Enable or disable an extension, scoped names are passed URI encoded
+	 */
+	@Patch('/installed/:name')
+	@GlobalScope('communityPackage:update')
+	async updateExtension(
+		_req: AuthenticatedRequest,
+		_res: Response,
+		@Param('name') name: string,
+		@Body body: UpdateExtensionRequestDto,
+	) {
+		return await this.extensionLoader.setEnabled(name, body.enabled);
+	}
+}
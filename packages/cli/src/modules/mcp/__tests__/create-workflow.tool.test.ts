@@ -0,0 +1,86 @@
+import type { User, WorkflowEntity, WorkflowRepository } from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+import { MANUAL_TRIGGER_NODE_TYPE, type INode } from 'n8n-workflow';
+
+import { createCreateWorkflowTool, createWorkflow } from '../tools/create-workflow.tool';
+
+import { BadRequestError } from '@/errors/response-errors/bad-request.error';
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowCreationService } from '@/workflows/workflow-creation.service';
+
+const nodes: INode[] = [
+	{
+		id: 'node-1',
+		name: 'Start',
+		type: MANUAL_TRIGGER_NODE_TYPE,
+		typeVersion: 1,
+		position: [0, 0],
+		parameters: {},
+	},
+];
+
+describe('create-workflow MCP tool', () => {
+	const user = mock<User>({ id: 'user-1' });
+	const workflowRepository = mock<WorkflowRepository>();
+	const workflowCreationService = mock<WorkflowCreationService>();
+
+	const create = async (projectId?: string) =>
+		await createWorkflow(user, workflowRepository, workflowCreationService, {
+			name: 'Invoices',
+			nodes,
+			connections: {},
+			projectId,
+		});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		workflowRepository.create.mockImplementation((entity) => entity as never);
+		workflowCreationService.create.mockImplementation(
+			async (_user, workflow) =>
+				({
+					...workflow,
+					id: 'wf-1',
+					updatedAt: new Date('2024-01-02T00:00:00.000Z'),
+				}) as WorkflowEntity,
+		);
+	});
+
+	test('it creates tool correctly', () => {
+		const tool = createCreateWorkflowTool(
+			user,
+			workflowRepository,
+			workflowCreationService,
+			mock<Telemetry>(),
+		);
+
+		expect(tool.name).toBe('create_workflow');
+		expect(tool.config.inputSchema).toBeDefined();
+		expect(tool.config.outputSchema).toBeDefined();
+		expect(tool.config.annotations?.readOnlyHint).toBe(false);
+	});
+
+	test('creates the workflow like the editor does and makes it available in MCP', async () => {
+		const result = await create('team-1');
+
+		expect(workflowCreationService.create).toHaveBeenCalledWith(
+			user,
+			expect.objectContaining({
+				name: 'Invoices',
+				active: false,
+				settings: { availableInMCP: true },
+			}),
+			{ projectId: 'team-1' },
+		);
+		expect(result).toEqual(expect.objectContaining({ id: 'wf-1', name: 'Invoices', nodeCount: 1 }));
+	});
+
+	test('throws when the workflow cannot be created', async () => {
+		workflowCreationService.create.mockRejectedValue(
+			new BadRequestError("You don't have the permissions to save the workflow in this project."),
+		);
+
+		await expect(create('team-1')).rejects.toThrow(
+			"You don't have the permissions to save the workflow in this project.",
+		);
+	});
+});
@@ -0,0 +1,107 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { User } from '@n8n/db';
+import { UserError } from 'n8n-workflow';
+
+import { createWorkflow } from './mock.utils';
+import {
+	createExecuteWorkflowToNodeTool,
+	executeWorkflowToNode,
+} from '../tools/execute-workflow-to-node.tool';
+
+import { ActiveExecutions } from '@/active-executions';
+import { Telemetry } from '@/telemetry';
+import { WorkflowExecutionService } from '@/workflows/workflow-execution.service';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+describe('execute-workflow-to-node MCP tool', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	let workflowFinderService: WorkflowFinderService;
+	let workflowExecutionService: WorkflowExecutionService;
+	let activeExecutions: ActiveExecutions;
+
+	const execute = async (nodeName: string) =>
+		await executeWorkflowToNode(
+			user,
+			workflowFinderService,
+			workflowExecutionService,
+			activeExecutions,
+			{ workflowId: 'wf-1', nodeName },
+		);
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService);
+		workflowExecutionService = mockInstance(WorkflowExecutionService);
+		activeExecutions = mockInstance(ActiveExecutions);
+	});
+
+	test('it creates tool correctly', () => {
+		const tool = createExecuteWorkflowToNodeTool(
+			user,
+			workflowFinderService,
+			workflowExecutionService,
+			activeExecutions,
+			mockInstance(Telemetry),
+		);
+
+		expect(tool.name).toBe('execute_workflow_to_node');
+		expect(tool.config.inputSchema).toBeDefined();
+		expect(tool.config.outputSchema).toBeDefined();
+	});
+
+	test('runs the draft up to the node and returns its output', async () => {
+		const workflow = createWorkflow();
+		const nodeOutput = { main: [[{ json: { ok: true } }]] };
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+		(workflowExecutionService.executeManually as jest.Mock).mockResolvedValue({
+			executionId: 'exec-1',
+		});
+		(activeExecutions.getPostExecutePromise as jest.Mock).mockResolvedValue({
+			status: 'success',
+			data: { resultData: { runData: { Start: [{ data: nodeOutput }] } } },
+		});
+
+		const result = await execute('Start');
+
+		expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+			'workflow:execute',
+		]);
+		expect(workflowExecutionService.executeManually).toHaveBeenCalledWith(
+			{ workflowData: workflow, destinationNode: { nodeName: 'Start', mode: 'inclusive' } },
+			user,
+		);
+		expect(result).toEqual({
+			success: true,
+			executionId: 'exec-1',
+			nodeOutput,
+			error: undefined,
+		});
+	});
+
+	test('throws when the workflow waits for a trigger event', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(createWorkflow());
+		(workflowExecutionService.executeManually as jest.Mock).mockResolvedValue({
+			waitingForWebhook: true,
+		});
+
+		await expect(execute('Webhook')).rejects.toThrow(
+			'The workflow is waiting for its trigger to be called',
+		);
+		expect(activeExecutions.getPostExecutePromise).not.toHaveBeenCalled();
+	});
+
+	test('throws when the node does not exist', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(createWorkflow());
+
+		await expect(execute('Missing')).rejects.toThrow(UserError);
+		expect(workflowExecutionService.executeManually).not.toHaveBeenCalled();
+	});
+
+	test('throws when the workflow is not available in MCP', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(
+			createWorkflow({ settings: { availableInMCP: false } }),
+		);
+
+		await expect(execute('Start')).rejects.toThrow('Workflow is not available via MCP');
+		expect(workflowExecutionService.executeManually).not.toHaveBeenCalled();
+	});
+});
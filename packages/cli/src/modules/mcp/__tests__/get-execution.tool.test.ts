@@ -0,0 +1,92 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { ExecutionRepository, User, type IExecutionResponse } from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+
+import { createWorkflow } from './mock.utils';
+import { createGetExecutionTool, getExecution } from '../tools/get-execution.tool';
+
+import { Telemetry } from '@/telemetry';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+describe('get-execution MCP tool', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	let workflowFinderService: WorkflowFinderService;
+	let executionRepository: ExecutionRepository;
+
+	const runData = {
+		Start: [mock({ data: { main: [[{ json: {} }]] } })],
+		'HTTP Request': [mock({ data: { main: [[{ json: { status: 200 } }]] } })],
+	};
+	const execution = mock<IExecutionResponse>({
+		id: 'exec-1',
+		workflowId: 'wf-1',
+		mode: 'manual',
+		status: 'success',
+		startedAt: new Date('2024-01-01T00:00:00.000Z'),
+		stoppedAt: new Date('2024-01-01T00:00:01.000Z'),
+		data: { resultData: { runData, lastNodeExecuted: 'HTTP Request', error: undefined } },
+	});
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService);
+		executionRepository = mockInstance(ExecutionRepository);
+	});
+
+	test('it creates tool correctly', () => {
+		const tool = createGetExecutionTool(
+			user,
+			workflowFinderService,
+			executionRepository,
+			mockInstance(Telemetry),
+		);
+
+		expect(tool.name).toBe('get_execution');
+		expect(tool.config.annotations?.readOnlyHint).toBe(true);
+	});
+
+	test('returns the run data of the requested nodes', async () => {
+		(executionRepository.findSingleExecution as jest.Mock).mockResolvedValue(execution);
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(createWorkflow());
+
+		const result = await getExecution(user, workflowFinderService, executionRepository, {
+			executionId: 'exec-1',
+			nodeNames: ['HTTP Request'],
+		});
+
+		expect(executionRepository.findSingleExecution).toHaveBeenCalledWith('exec-1', {
+			includeData: true,
+			unflattenData: true,
+		});
+		expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+			'workflow:read',
+		]);
+		expect(result.execution).toEqual({
+			id: 'exec-1',
+			workflowId: 'wf-1',
+			mode: 'manual',
+			status: 'success',
+			startedAt: '2024-01-01T00:00:00.000Z',
+			stoppedAt: '2024-01-01T00:00:01.000Z',
+			lastNodeExecuted: 'HTTP Request',
+			error: undefined,
+			runData: { 'HTTP Request': runData['HTTP Request'] },
+		});
+	});
+
+	test('throws when the execution does not exist', async () => {
+		(executionRepository.findSingleExecution as jest.Mock).mockResolvedValue(undefined);
+
+		await expect(
+			getExecution(user, workflowFinderService, executionRepository, { executionId: 'missing' }),
+		).rejects.toThrow('Execution not found');
+	});
+
+	test('throws when the user cannot read the workflow of the execution', async () => {
+		(executionRepository.findSingleExecution as jest.Mock).mockResolvedValue(execution);
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(null);
+
+		await expect(
+			getExecution(user, workflowFinderService, executionRepository, { executionId: 'exec-1' }),
+		).rejects.toThrow('Workflow not found');
+	});
+});
@@ -0,0 +1,71 @@
+import type { INodeProperties, INodeTypeDescription } from 'n8n-workflow';
+
+import { listNodeTypes } from '../tools/list-node-types.tool';
+
+const createDescription = (overrides: Partial<INodeTypeDescription>) =>
+	({
+		name: 'n8n-nodes-base.httpRequest',
+		displayName: 'HTTP Request',
+		description: 'Makes an HTTP request and returns the response data',
+		version: 1,
+		group: ['output'],
+		hidden: undefined,
+		properties: [],
+		credentials: undefined,
+		...overrides,
+	}) as INodeTypeDescription;
+
+describe('list-node-types MCP tool', () => {
+	const descriptions = [
+		createDescription({ version: [1, 2], properties: [{ name: 'url' } as INodeProperties] }),
+		createDescription({ version: 4.2, properties: [{ name: 'method' } as INodeProperties] }),
+		createDescription({ version: 3 }),
+		createDescription({
+			name: 'n8n-nodes-base.slack',
+			displayName: 'Slack',
+			description: 'Consume Slack API',
+			version: 2,
+		}),
+		createDescription({ name: 'n8n-nodes-base.internal', displayName: 'Internal', hidden: true }),
+	];
+
+	test('lists each visible node type once with all its versions', () => {
+		const result = listNodeTypes(descriptions, {});
+
+		expect(result.count).toBe(2);
+		expect(result.data).toEqual([
+			{
+				name: 'n8n-nodes-base.httpRequest',
+				displayName: 'HTTP Request',
+				description: 'Makes an HTTP request and returns the response data',
+				versions: [1, 2, 3, 4.2],
+				group: ['output'],
+			},
+			{
+				name: 'n8n-nodes-base.slack',
+				displayName: 'Slack',
+				description: 'Consume Slack API',
+				versions: [2],
+				group: ['output'],
+			},
+		]);
+	});
+
+	test('filters by query and limits the results', () => {
+		expect(listNodeTypes(descriptions, { query: 'slack' }).data.map(({ name }) => name)).toEqual([
+			'n8n-nodes-base.slack',
+		]);
+
+		const limited = listNodeTypes(descriptions, { limit: 1 });
+		expect(limited.data).toHaveLength(1);
+		expect(limited.count).toBe(2);
+	});
+
+	test('returns the parameters of the latest version for requested node types', () => {
+		const { data } = listNodeTypes(descriptions, { nodeTypes: ['n8n-nodes-base.httpRequest'] });
+
+		expect(data).toHaveLength(1);
+		expect(data[0].properties).toEqual([expect.objectContaining({ name: 'method' })]);
+		expect(data[0].credentials).toEqual([]);
+	});
+});
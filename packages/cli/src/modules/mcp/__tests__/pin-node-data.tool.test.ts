@@ -0,0 +1,106 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { User } from '@n8n/db';
+
+import { createWorkflow } from './mock.utils';
+import { createPinNodeDataTool, pinNodeData } from '../tools/pin-node-data.tool';
+
+import { Telemetry } from '@/telemetry';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import { WorkflowService } from '@/workflows/workflow.service';
+
+describe('pin-node-data MCP tool', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	let workflowFinderService: WorkflowFinderService;
+	let workflowService: WorkflowService;
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService);
+		workflowService = mockInstance(WorkflowService);
+	});
+
+	test('it creates tool correctly', () => {
+		const tool = createPinNodeDataTool(
+			user,
+			workflowFinderService,
+			workflowService,
+			mockInstance(Telemetry),
+		);
+
+		expect(tool.name).toBe('pin_node_data');
+		expect(tool.config.inputSchema).toBeDefined();
+		expect(tool.config.outputSchema).toBeDefined();
+	});
+
+	test('pins items on a node and keeps the pin data of other nodes', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(
+			createWorkflow({ pinData: { Webhook: [{ json: { body: {} } }] } }),
+		);
+
+		const result = await pinNodeData(user, workflowFinderService, workflowService, {
+			workflowId: 'wf-1',
+			nodeName: 'Start',
+			items: [{ id: 1 }, { id: 2 }],
+		});
+
+		expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+			'workflow:update',
+		]);
+		expect(workflowService.update).toHaveBeenCalledWith(
+			user,
+			expect.objectContaining({
+				pinData: {
+					Webhook: [{ json: { body: {} } }],
+					Start: [{ json: { id: 1 } }, { json: { id: 2 } }],
+				},
+			}),
+			'wf-1',
+		);
+		expect(result).toEqual({ workflowId: 'wf-1', nodeName: 'Start', pinnedItemCount: 2 });
+	});
+
+	test('removes the pin data of a node when items is null', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(
+			createWorkflow({ pinData: { Webhook: [{ json: { body: {} } }] } }),
+		);
+
+		const result = await pinNodeData(user, workflowFinderService, workflowService, {
+			workflowId: 'wf-1',
+			nodeName: 'Webhook',
+			items: null,
+		});
+
+		expect(workflowService.update).toHaveBeenCalledWith(
+			user,
+			expect.objectContaining({ pinData: {} }),
+			'wf-1',
+		);
+		expect(result.pinnedItemCount).toBe(0);
+	});
+
+	test('throws when the node does not exist', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(createWorkflow());
+
+		await expect(
+			pinNodeData(user, workflowFinderService, workflowService, {
+				workflowId: 'wf-1',
+				nodeName: 'Missing',
+				items: [],
+			}),
+		).rejects.toThrow('Node "Missing" does not exist in the workflow');
+		expect(workflowService.update).not.toHaveBeenCalled();
+	});
+
+	test('throws when the workflow is archived', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(
+			createWorkflow({ isArchived: true }),
+		);
+
+		await expect(
+			pinNodeData(user, workflowFinderService, workflowService, {
+				workflowId: 'wf-1',
+				nodeName: 'Start',
+				items: [],
+			}),
+		).rejects.toThrow('Workflow not found');
+	});
+});
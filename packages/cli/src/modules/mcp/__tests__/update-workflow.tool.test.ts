@@ -0,0 +1,100 @@
+import { mockInstance } from '@n8n/backend-test-utils';
+import { User, WorkflowEntity } from '@n8n/db';
+import { UserError } from 'n8n-workflow';
+
+import { createWorkflow } from './mock.utils';
+import { createUpdateWorkflowTool, updateWorkflow } from '../tools/update-workflow.tool';
+
+import { Telemetry } from '@/telemetry';
+import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import { EnterpriseWorkflowService } from '@/workflows/workflow.service.ee';
+import { WorkflowService } from '@/workflows/workflow.service';
+
+describe('update-workflow MCP tool', () => {
+	const user = Object.assign(new User(), { id: 'user-1' });
+	let workflowFinderService: WorkflowFinderService;
+	let workflowService: WorkflowService;
+	let enterpriseWorkflowService: EnterpriseWorkflowService;
+
+	beforeEach(() => {
+		workflowFinderService = mockInstance(WorkflowFinderService);
+		workflowService = mockInstance(WorkflowService);
+		enterpriseWorkflowService = mockInstance(EnterpriseWorkflowService);
+	});
+
+	test('it creates tool correctly', () => {
+		const tool = createUpdateWorkflowTool(
+			user,
+			workflowFinderService,
+			workflowService,
+			enterpriseWorkflowService,
+			mockInstance(Telemetry),
+		);
+
+		expect(tool.name).toBe('update_workflow');
+		expect(tool.config.inputSchema).toBeDefined();
+		expect(tool.config.outputSchema).toBeDefined();
+	});
+
+	test('checks the update permission before saving the changes', async () => {
+		const workflow = createWorkflow();
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+		(workflowService.update as jest.Mock).mockResolvedValue({ ...workflow, name: 'Renamed' });
+
+		const result = await updateWorkflow(
+			user,
+			workflowFinderService,
+			workflowService,
+			enterpriseWorkflowService,
+			{ workflowId: 'wf-1', name: 'Renamed' },
+		);
+
+		expect(workflowFinderService.findWorkflowForUser).toHaveBeenCalledWith('wf-1', user, [
+			'workflow:update',
+		]);
+		expect(enterpriseWorkflowService.preventTampering).not.toHaveBeenCalled();
+		expect(workflowService.update).toHaveBeenCalledWith(user, expect.any(WorkflowEntity), 'wf-1');
+		const [, updateData] = (workflowService.update as jest.Mock).mock.calls[0];
+		expect(updateData).toEqual(expect.objectContaining({ name: 'Renamed' }));
+		expect(updateData.nodes).toBeUndefined();
+		expect(result).toEqual(expect.objectContaining({ id: 'wf-1', name: 'Renamed' }));
+	});
+
+	test('keeps credentials the user cannot access when nodes change', async () => {
+		const workflow = createWorkflow();
+		const tampered = Object.assign(new WorkflowEntity(), { nodes: workflow.nodes });
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(workflow);
+		(enterpriseWorkflowService.preventTampering as jest.Mock).mockResolvedValue(tampered);
+		(workflowService.update as jest.Mock).mockResolvedValue(workflow);
+
+		await updateWorkflow(user, workflowFinderService, workflowService, enterpriseWorkflowService, {
+			workflowId: 'wf-1',
+			nodes: workflow.nodes,
+		});
+
+		expect(enterpriseWorkflowService.preventTampering).toHaveBeenCalledWith(
+			expect.objectContaining({ nodes: workflow.nodes }),
+			'wf-1',
+			user,
+		);
+		expect(workflowService.update).toHaveBeenCalledWith(user, tampered, 'wf-1');
+	});
+
+	test('throws when the workflow is not available in MCP', async () => {
+		(workflowFinderService.findWorkflowForUser as jest.Mock).mockResolvedValue(
+			createWorkflow({ settings: { availableInMCP: false } }),
+		);
+
+		const update = updateWorkflow(
+			user,
+			workflowFinderService,
+			workflowService,
+			enterpriseWorkflowService,
+			{ workflowId: 'wf-1', name: 'Renamed' },
+		);
+
+		await expect(update).rejects.toThrow(UserError);
+		await expect(update).rejects.toThrow('Workflow is not available via MCP');
+		expect(workflowService.update).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,81 @@
+import { mock } from 'jest-mock-extended';
+import type { INode } from 'n8n-workflow';
+
+import { validateWorkflow } from '../tools/validate-workflow.tool';
+
+import type { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
+import type { WorkflowLintService } from '@/workflow-lint/workflow-lint.service';
+
+describe('validate-workflow MCP tool', () => {
+	const workflowLintService = mock<WorkflowLintService>();
+	const loadNodesAndCredentials = mock<LoadNodesAndCredentials>({
+		types: { nodes: [], credentials: [] },
+	});
+	const nodes = [mock<INode>({ name: 'HTTP Request' })];
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+	});
+
+	test('lints the draft with the loaded node types', () => {
+		const nodeTypes = mock<ReturnType<WorkflowLintService['createNodeTypes']>>();
+		workflowLintService.createNodeTypes.mockReturnValue(nodeTypes);
+		workflowLintService.lint.mockReturnValue({
+			results: [
+				{
+					ruleId: 'unknown-node-type',
+					level: 'error',
+					message: 'Unknown node type',
+					filePath: 'Invoices',
+					nodeId: 'node-1',
+					nodeName: 'HTTP Request',
+				},
+				{ ruleId: 'empty-workflow', level: 'warning', message: 'No trigger', filePath: 'Invoices' },
+			],
+			errorCount: 1,
+			warningCount: 1,
+		});
+
+		const result = validateWorkflow(workflowLintService, loadNodesAndCredentials, {
+			name: 'Invoices',
+			nodes,
+			connections: {},
+		});
+
+		expect(workflowLintService.lint).toHaveBeenCalledWith(
+			[{ path: 'Invoices', workflow: { name: 'Invoices', nodes, connections: {} } }],
+			nodeTypes,
+		);
+		expect(result).toEqual({
+			valid: false,
+			errorCount: 1,
+			warningCount: 1,
+			issues: [
+				{
+					ruleId: 'unknown-node-type',
+					level: 'error',
+					message: 'Unknown node type',
+					nodeName: 'HTTP Request',
+				},
+				{ ruleId: 'empty-workflow', level: 'warning', message: 'No trigger' },
+			],
+		});
+	});
+
+	test('treats drafts with only warnings as valid', () => {
+		workflowLintService.lint.mockReturnValue({
+			results: [
+				{ ruleId: 'empty-workflow', level: 'warning', message: 'No trigger', filePath: 'Draft' },
+			],
+			errorCount: 0,
+			warningCount: 1,
+		});
+
+		const result = validateWorkflow(workflowLintService, loadNodesAndCredentials, {
+			nodes,
+			connections: {},
+		});
+
+		expect(result.valid).toBe(true);
+	});
+});
@@ -1,18 +1,30 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { GlobalConfig } from '@n8n/config';
-import { User } from '@n8n/db';
+import { ExecutionRepository, User, WorkflowRepository } from '@n8n/db';
 import { Service } from '@n8n/di';
 
+import { createCreateWorkflowTool } from './tools/create-workflow.tool';
+import { createExecuteWorkflowToNodeTool } from './tools/execute-workflow-to-node.tool';
 import { createExecuteWorkflowTool } from './tools/execute-workflow.tool';
+import { createGetExecutionTool } from './tools/get-execution.tool';
 import { createWorkflowDetailsTool } from './tools/get-workflow-details.tool';
+import { createListNodeTypesTool } from './tools/list-node-types.tool';
+import { createPinNodeDataTool } from './tools/pin-node-data.tool';
 import { createSearchWorkflowsTool } from './tools/search-workflows.tool';
+import { createUpdateWorkflowTool } from './tools/update-workflow.tool';
+import { createValidateWorkflowTool } from './tools/validate-workflow.tool';
 
 import { ActiveExecutions } from '@/active-executions';
 import { CredentialsService } from '@/credentials/credentials.service';
+import { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
 import { UrlService } from '@/services/url.service';
 import { Telemetry } from '@/telemetry';
+import { WorkflowLintService } from '@/workflow-lint/workflow-lint.service';
 import { WorkflowRunner } from '@/workflow-runner';
+import { WorkflowCreationService } from '@/workflows/workflow-creation.service';
+import { WorkflowExecutionService } from '@/workflows/workflow-execution.service';
 import { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import { EnterpriseWorkflowService } from '@/workflows/workflow.service.ee';
 import { WorkflowService } from '@/workflows/workflow.service';
 
 @Service()
@@ -26,6 +38,13 @@ export class McpService {
 		private readonly globalConfig: GlobalConfig,
 		private readonly telemetry: Telemetry,
 		private readonly workflowRunner: WorkflowRunner,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly enterpriseWorkflowService: EnterpriseWorkflowService,
+		private readonly workflowExecutionService: WorkflowExecutionService,
+		private readonly executionRepository: ExecutionRepository,
+		private readonly loadNodesAndCredentials: LoadNodesAndCredentials,
+		private readonly workflowLintService: WorkflowLintService,
+		private readonly workflowCreationService: WorkflowCreationService,
 	) {}
 
 	getServer(user: User) {
@@ -75,6 +94,84 @@ export class McpService {
 			workflowDetailsTool.handler,
 		);
 
+		// Authoring tools work on the saved draft of a workflow instead of its active version
+		const createWorkflowTool = createCreateWorkflowTool(
+			user,
+			this.workflowRepository,
+			this.workflowCreationService,
+			this.telemetry,
+		);
+		server.registerTool(
+			createWorkflowTool.name,
+			createWorkflowTool.config,
+			createWorkflowTool.handler,
+		);
+
+		const updateWorkflowTool = createUpdateWorkflowTool(
+			user,
+			this.workflowFinderService,
+			this.workflowService,
+			this.enterpriseWorkflowService,
+			this.telemetry,
+		);
+		server.registerTool(
+			updateWorkflowTool.name,
+			updateWorkflowTool.config,
+			updateWorkflowTool.handler,
+		);
+
+		const listNodeTypesTool = createListNodeTypesTool(
+			user,
+			this.loadNodesAndCredentials,
+			this.telemetry,
+		);
+		server.registerTool(
+			listNodeTypesTool.name,
+			listNodeTypesTool.config,
+			listNodeTypesTool.handler,
+		);
+
+		const validateWorkflowTool = createValidateWorkflowTool(
+			user,
+			this.workflowLintService,
+			this.loadNodesAndCredentials,
+			this.telemetry,
+		);
+		server.registerTool(
+			validateWorkflowTool.name,
+			validateWorkflowTool.config,
+			validateWorkflowTool.handler,
+		);
+
+		const pinNodeDataTool = createPinNodeDataTool(
+			user,
+			this.workflowFinderService,
+			this.workflowService,
+			this.telemetry,
+		);
+		server.registerTool(pinNodeDataTool.name, pinNodeDataTool.config, pinNodeDataTool.handler);
+
+		const executeWorkflowToNodeTool = createExecuteWorkflowToNodeTool(
+			user,
+			this.workflowFinderService,
+			this.workflowExecutionService,
+			this.activeExecutions,
+			this.telemetry,
+		);
+		server.registerTool(
+			executeWorkflowToNodeTool.name,
+			executeWorkflowToNodeTool.config,
+			executeWorkflowToNodeTool.handler,
+		);
+
+		const getExecutionTool = createGetExecutionTool(
+			user,
+			this.workflowFinderService,
+			this.executionRepository,
+			this.telemetry,
+		);
+		server.registerTool(getExecutionTool.name, getExecutionTool.config, getExecutionTool.handler);
+
 		return server;
 	}
 }
@@ -1,10 +1,22 @@
 import { type ToolCallback } from '@modelcontextprotocol/sdk/server/mcp.js';
 import type { User } from '@n8n/db';
-import type { INode } from 'n8n-workflow';
+import type {
+	ExecutionError,
+	ExecutionStatus,
+	INode,
+	INodeCredentialDescription,
+	INodeProperties,
+	IRunData,
+	ITaskDataConnections,
+	WorkflowExecuteMode,
+} from 'n8n-workflow';
 import type z from 'zod';
 
 import type { SUPPORTED_MCP_TRIGGERS } from './mcp.constants';
 import type { WorkflowDetailsOutputSchema } from './tools/get-workflow-details.tool';
+import type { authoredWorkflowSchema } from './tools/schemas';
+
+import type { WorkflowLintLevel } from '@/workflow-lint/types';
 
 export type ToolDefinition<InputArgs extends z.ZodRawShape = z.ZodRawShape> = {
 	name: string;
@@ -49,6 +61,68 @@ export type WorkflowDetailsResult = z.infer<WorkflowDetailsOutputSchema>;
 export type WorkflowDetailsWorkflow = WorkflowDetailsResult['workflow'];
 export type WorkflowDetailsNode = WorkflowDetailsWorkflow['nodes'][number];
 
+export type AuthoredWorkflow = z.infer<typeof authoredWorkflowSchema>;
+
+export type ListNodeTypesParams = {
+	query?: string;
+	nodeTypes?: string[];
+	limit?: number;
+};
+
+export type ListNodeTypesItem = {
+	name: string;
+	displayName: string;
+	description: string;
+	versions: number[];
+	group: string[];
+	properties?: INodeProperties[];
+	credentials?: INodeCredentialDescription[];
+};
+
+export type ListNodeTypesResult = {
+	data: ListNodeTypesItem[];
+	count: number;
+};
+
+export type ValidateWorkflowResult = {
+	valid: boolean;
+	errorCount: number;
+	warningCount: number;
+	issues: Array<{
+		ruleId: string;
+		level: WorkflowLintLevel;
+		message: string;
+		nodeName?: string;
+	}>;
+};
+
+export type PinNodeDataResult = {
+	workflowId: string;
+	nodeName: string;
+	pinnedItemCount: number;
+};
+
+export type ExecuteWorkflowToNodeResult = {
+	success: boolean;
+	executionId: string | null;
+	nodeOutput?: ITaskDataConnections;
+	error?: unknown;
+};
+
+export type GetExecutionResult = {
+	execution: {
+		id: string;
+		workflowId: string;
+		mode: WorkflowExecuteMode;
+		status: ExecutionStatus;
+		startedAt: string | null;
+		stoppedAt: string | null;
+		lastNodeExecuted: string | null;
+		error?: ExecutionError;
+		runData: IRunData;
+	};
+};
+
 // JSON-RPC types for MCP protocol
 export type JSONRPCRequest = {
 	jsonrpc?: string;
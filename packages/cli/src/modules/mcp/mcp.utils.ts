@@ -1,9 +1,13 @@
-import type { AuthenticatedRequest } from '@n8n/db';
+import type { AuthenticatedRequest, User, WorkflowEntity } from '@n8n/db';
+import type { Scope } from '@n8n/permissions';
 import type { Request } from 'express';
-import type { INode } from 'n8n-workflow';
+import { UserError, type INode } from 'n8n-workflow';
 
 import { SUPPORTED_MCP_TRIGGERS } from './mcp.constants';
 import { isRecord, isJSONRPCRequest } from './mcp.typeguards';
+import type { AuthoredWorkflow } from './mcp.types';
+
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
 
 export const getClientInfo = (req: Request | AuthenticatedRequest) => {
 	let clientInfo: { name?: string; version?: string } | undefined;
@@ -59,3 +63,40 @@ export const findMcpSupportedTrigger = (nodes: INode[]): INode | undefined => {
 	const triggerNodeTypes = Object.keys(SUPPORTED_MCP_TRIGGERS);
 	return nodes.find((node) => triggerNodeTypes.includes(node.type) && !node.disabled);
 };
+
+/**
+ * Finds a workflow the user has all `scopes` on and that is enabled for MCP access in its settings.
+ * Authoring tools work on the saved draft, so the active version is not loaded.
+ * @throws {UserError} when the workflow is not found, archived or not available in MCP
+ */
+export const findMcpWorkflowForUser = async (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowId: string,
+	scopes: Scope[],
+) => {
+	const workflow = await workflowFinderService.findWorkflowForUser(workflowId, user, scopes);
+
+	if (!workflow || workflow.isArchived) {
+		throw new UserError('Workflow not found');
+	}
+
+	if (!workflow.settings?.availableInMCP) {
+		throw new UserError(
+			'Workflow is not available via MCP. Enable access in the workflow settings to make it available.',
+		);
+	}
+
+	return workflow;
+};
+
+/**
+ * Summary of a workflow saved by the authoring tools
+ */
+export const toAuthoredWorkflow = (workflow: WorkflowEntity): AuthoredWorkflow => ({
+	id: workflow.id,
+	name: workflow.name,
+	versionId: workflow.versionId,
+	nodeCount: workflow.nodes.length,
+	updatedAt: workflow.updatedAt?.toISOString() ?? null,
+});
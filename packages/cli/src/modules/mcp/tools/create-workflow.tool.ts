@@ -0,0 +1,116 @@
+import type { User, WorkflowRepository } from '@n8n/db';
+import type { IConnections, INode } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type { AuthoredWorkflow, ToolDefinition, UserCalledMCPToolEventPayload } from '../mcp.types';
+import { toAuthoredWorkflow } from '../mcp.utils';
+import { authoredWorkflowSchema, draftConnectionsSchema, draftNodeSchema } from './schemas';
+
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowCreationService } from '@/workflows/workflow-creation.service';
+
+const inputSchema = {
+	name: z.string().min(1).describe('The name of the workflow'),
+	description: z.string().optional().describe('What the workflow does'),
+	nodes: z.array(draftNodeSchema).describe('The nodes of the workflow'),
+	connections: draftConnectionsSchema,
+	projectId: z
+		.string()
+		.optional()
+		.describe('The project to create the workflow in, defaults to the personal project'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	workflow: authoredWorkflowSchema,
+} satisfies z.ZodRawShape;
+
+type CreateWorkflowParams = {
+	name: string;
+	description?: string;
+	nodes: INode[];
+	connections: IConnections;
+	projectId?: string;
+};
+
+/**
+ * Creates mcp tool definition for creating a workflow from JSON. The workflow is created inactive
+ * and available in MCP, so that the other authoring tools can work on it.
+ */
+export const createCreateWorkflowTool = (
+	user: User,
+	workflowRepository: WorkflowRepository,
+	workflowCreationService: WorkflowCreationService,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'create_workflow',
+	config: {
+		description:
+			'Create a new inactive workflow from nodes and connections. Use list_node_types to look up the parameters of node types and validate_workflow to check the workflow before creating it.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Create Workflow',
+			readOnlyHint: false, // Creates a workflow
+			destructiveHint: false, // Does not change existing data
+			idempotentHint: false, // Every call creates another workflow
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ name, description, nodes, connections, projectId }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'create_workflow',
+			parameters: { node_count: nodes.length, projectId },
+		};
+
+		try {
+			const workflow = await createWorkflow(user, workflowRepository, workflowCreationService, {
+				name,
+				description,
+				nodes: nodes as INode[],
+				connections: connections as IConnections,
+				projectId,
+			});
+			const payload = { workflow };
+
+			telemetryPayload.results = {
+				success: true,
+				data: { workflow_id: workflow.id, node_count: workflow.nodeCount },
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: JSON.stringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export async function createWorkflow(
+	user: User,
+	workflowRepository: WorkflowRepository,
+	workflowCreationService: WorkflowCreationService,
+	{ name, description, nodes, connections, projectId }: CreateWorkflowParams,
+): Promise<AuthoredWorkflow> {
+	const workflow = workflowRepository.create({
+		name,
+		description: description ?? null,
+		nodes,
+		connections,
+		settings: { availableInMCP: true },
+		active: false,
+	});
+
+	const saved = await workflowCreationService.create(user, workflow, { projectId });
+
+	return toAuthoredWorkflow(saved);
+}
@@ -0,0 +1,142 @@
+import { Time } from '@n8n/constants';
+import type { User } from '@n8n/db';
+import { ensureError, jsonStringify, UserError } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import { McpExecutionTimeoutError } from '../mcp.errors';
+import type {
+	ExecuteWorkflowToNodeResult,
+	ToolDefinition,
+	UserCalledMCPToolEventPayload,
+} from '../mcp.types';
+import { findMcpWorkflowForUser } from '../mcp.utils';
+import { WORKFLOW_EXECUTION_TIMEOUT_MS, waitForExecution } from './execute-workflow.tool';
+
+import type { ActiveExecutions } from '@/active-executions';
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowExecutionService } from '@/workflows/workflow-execution.service';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+const inputSchema = {
+	workflowId: z.string().describe('The ID of the workflow to execute'),
+	nodeName: z.string().describe('The name of the node to execute the workflow up to'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	success: z.boolean(),
+	executionId: z.string().nullable(),
+	nodeOutput: z
+		.unknown()
+		.optional()
+		.describe('Output of the node, use get_execution for the data of the other nodes'),
+	error: z.unknown().optional(),
+} satisfies z.ZodRawShape;
+
+/**
+ * Creates mcp tool definition for a manual partial execution of the saved draft of a workflow.
+ * Runs the nodes leading to the given node and the node itself, like "Execute step" in the editor.
+ */
+export const createExecuteWorkflowToNodeTool = (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowExecutionService: WorkflowExecutionService,
+	activeExecutions: ActiveExecutions,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'execute_workflow_to_node',
+	config: {
+		description:
+			'Run the saved draft of a workflow up to and including a node, to test the workflow while building it. Nodes with pinned data are not run, pin data on the trigger first with pin_node_data.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Execute Workflow To Node',
+			readOnlyHint: false, // Can read and write data via workflows
+			destructiveHint: true, // Can cause changes in external systems via workflows
+			idempotentHint: false, // Every call runs the nodes again
+			openWorldHint: true, // Can access external systems via workflows
+		},
+	},
+	handler: async ({ workflowId, nodeName }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'execute_workflow_to_node',
+			parameters: { workflowId },
+		};
+
+		let output: ExecuteWorkflowToNodeResult;
+		try {
+			output = await executeWorkflowToNode(
+				user,
+				workflowFinderService,
+				workflowExecutionService,
+				activeExecutions,
+				{ workflowId, nodeName },
+			);
+
+			telemetryPayload.results = {
+				success: output.success,
+				data: { executionId: output.executionId },
+			};
+		} catch (er) {
+			const error = ensureError(er);
+			const isTimeout = error instanceof McpExecutionTimeoutError;
+			output = {
+				success: false,
+				executionId: isTimeout ? error.executionId : null,
+				error: isTimeout
+					? `Workflow execution timed out after ${WORKFLOW_EXECUTION_TIMEOUT_MS / Time.milliseconds.toSeconds} seconds`
+					: error.message,
+			};
+
+			telemetryPayload.results = {
+				success: false,
+				error: isTimeout ? 'Workflow execution timed out' : error.message,
+			};
+		}
+		telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+		return {
+			content: [{ type: 'text', text: jsonStringify(output) }],
+			structuredContent: output,
+		};
+	},
+});
+
+export const executeWorkflowToNode = async (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowExecutionService: WorkflowExecutionService,
+	activeExecutions: ActiveExecutions,
+	{ workflowId, nodeName }: { workflowId: string; nodeName: string },
+): Promise<ExecuteWorkflowToNodeResult> => {
+	const workflow = await findMcpWorkflowForUser(user, workflowFinderService, workflowId, [
+		'workflow:execute',
+	]);
+
+	if (!workflow.nodes.some((node) => node.name === nodeName)) {
+		throw new UserError(`Node "${nodeName}" does not exist in the workflow`);
+	}
+
+	const started = await workflowExecutionService.executeManually(
+		{ workflowData: workflow, destinationNode: { nodeName, mode: 'inclusive' } },
+		user,
+	);
+
+	if (!('executionId' in started)) {
+		throw new UserError(
+			'The workflow is waiting for its trigger to be called. Pin data on the trigger with pin_node_data to run it without a trigger event.',
+		);
+	}
+
+	const data = await waitForExecution(activeExecutions, started.executionId);
+	const { resultData } = data.data;
+
+	return {
+		success: data.status !== 'error' && !resultData.error,
+		executionId: started.executionId,
+		nodeOutput: resultData.runData[nodeName]?.at(-1)?.data,
+		error: resultData.error,
+	};
+};
@@ -7,6 +7,7 @@ import {
 	WEBHOOK_NODE_TYPE,
 	type INode,
 	type IPinData,
+	type IRun,
 	type IRunExecutionData,
 	type IWorkflowExecutionDataProcess,
 	type WorkflowExecuteMode,
@@ -34,7 +35,7 @@ import type { Telemetry } from '@/telemetry';
 import type { WorkflowRunner } from '@/workflow-runner';
 import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
 
-const WORKFLOW_EXECUTION_TIMEOUT_MS = 5 * Time.minutes.toMilliseconds; // 5 minutes
+export const WORKFLOW_EXECUTION_TIMEOUT_MS = 5 * Time.minutes.toMilliseconds; // 5 minutes
 
 const inputSchema = z.object({
 	workflowId: z.string().describe('The ID of the workflow to execute'),
@@ -239,7 +240,24 @@ export const executeWorkflow = async (
 	});
 
 	const executionId = await workflowRunner.run(runData);
+	const data = await waitForExecution(activeExecutions, executionId);
 
+	return {
+		success: data.status !== 'error' && !data.data.resultData?.error,
+		executionId,
+		result: data.data.resultData,
+		error: data.data.resultData?.error,
+	};
+};
+
+/**
+ * Waits for an execution to finish, stopping it when it takes longer than the MCP execution timeout.
+ * @throws {McpExecutionTimeoutError} when the execution timed out
+ */
+export const waitForExecution = async (
+	activeExecutions: ActiveExecutions,
+	executionId: string,
+): Promise<IRun> => {
 	// Create a timeout promise
 	let timeoutId: NodeJS.Timeout | undefined;
 	const timeoutPromise = new Promise<never>((_, reject) => {
@@ -261,12 +279,7 @@ export const executeWorkflow = async (
 			throw new UnexpectedError('Workflow did not return any data');
 		}
 
-		return {
-			success: data.status !== 'error' && !data.data.resultData?.error,
-			executionId,
-			result: data.data.resultData,
-			error: data.data.resultData?.error,
-		};
+		return data;
 	} catch (error) {
 		if (timeoutId) clearTimeout(timeoutId);
 
@@ -0,0 +1,138 @@
+import type { ExecutionRepository, User } from '@n8n/db';
+import { jsonStringify, UserError, type IRunData } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type {
+	GetExecutionResult,
+	ToolDefinition,
+	UserCalledMCPToolEventPayload,
+} from '../mcp.types';
+import { findMcpWorkflowForUser } from '../mcp.utils';
+
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+
+const inputSchema = {
+	executionId: z.string().describe('The ID of the execution'),
+	nodeNames: z
+		.array(z.string())
+		.optional()
+		.describe('Only return the run data of these nodes, defaults to all nodes'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	execution: z
+		.object({
+			id: z.string(),
+			workflowId: z.string(),
+			mode: z.string(),
+			status: z.string(),
+			startedAt: z.string().nullable(),
+			stoppedAt: z.string().nullable(),
+			lastNodeExecuted: z.string().nullable(),
+			error: z.unknown().optional(),
+			runData: z
+				.record(z.unknown())
+				.describe('Runs of each executed node by node name, with their input and output data'),
+		})
+		.describe('The execution with the run data of its nodes'),
+} satisfies z.ZodRawShape;
+
+/**
+ * Creates mcp tool definition for fetching an execution with the run data of its nodes.
+ */
+export const createGetExecutionTool = (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'get_execution',
+	config: {
+		description:
+			'Get an execution of a workflow, including the run data of its nodes, e.g. to inspect the result of execute_workflow_to_node.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Get Execution',
+			readOnlyHint: true, // This tool only reads data
+			destructiveHint: false, // No destructive operations
+			idempotentHint: true, // Safe to retry multiple times
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ executionId, nodeNames }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'get_execution',
+			parameters: { executionId },
+		};
+
+		try {
+			const payload = await getExecution(user, workflowFinderService, executionRepository, {
+				executionId,
+				nodeNames,
+			});
+
+			telemetryPayload.results = {
+				success: true,
+				data: { execution_id: executionId, status: payload.execution.status },
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: jsonStringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export async function getExecution(
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	executionRepository: ExecutionRepository,
+	{ executionId, nodeNames }: { executionId: string; nodeNames?: string[] },
+): Promise<GetExecutionResult> {
+	const execution = await executionRepository.findSingleExecution(executionId, {
+		includeData: true,
+		unflattenData: true,
+	});
+
+	if (!execution) {
+		throw new UserError('Execution not found');
+	}
+
+	await findMcpWorkflowForUser(user, workflowFinderService, execution.workflowId, [
+		'workflow:read',
+	]);
+
+	const { resultData } = execution.data;
+	const runData: IRunData = nodeNames
+		? Object.fromEntries(
+				Object.entries(resultData.runData).filter(([nodeName]) => nodeNames.includes(nodeName)),
+			)
+		: resultData.runData;
+
+	return {
+		execution: {
+			id: execution.id,
+			workflowId: execution.workflowId,
+			mode: execution.mode,
+			status: execution.status,
+			startedAt: execution.startedAt?.toISOString() ?? null,
+			stoppedAt: execution.stoppedAt?.toISOString() ?? null,
+			lastNodeExecuted: resultData.lastNodeExecuted ?? null,
+			error: resultData.error,
+			runData,
+		},
+	};
+}
@@ -0,0 +1,174 @@
+import type { User } from '@n8n/db';
+import type { INodeTypeDescription } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type {
+	ListNodeTypesItem,
+	ListNodeTypesParams,
+	ListNodeTypesResult,
+	ToolDefinition,
+	UserCalledMCPToolEventPayload,
+} from '../mcp.types';
+
+import type { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
+import type { Telemetry } from '@/telemetry';
+
+const MAX_RESULTS = 200;
+
+const inputSchema = {
+	query: z.string().optional().describe('Filter by type name, display name or description'),
+	nodeTypes: z
+		.array(z.string())
+		.optional()
+		.describe(
+			'Exact node types to return with their parameter schemas, e.g. ["n8n-nodes-base.httpRequest"]',
+		),
+	limit: z
+		.number()
+		.int()
+		.positive()
+		.max(MAX_RESULTS)
+		.optional()
+		.describe(`Limit the number of results (max ${MAX_RESULTS})`),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	data: z
+		.array(
+			z
+				.object({
+					name: z.string().describe('The node type to use in the "type" of a node'),
+					displayName: z.string(),
+					description: z.string(),
+					versions: z.array(z.number()).describe('Supported values of "typeVersion"'),
+					group: z.array(z.string()),
+					properties: z
+						.array(z.unknown())
+						.optional()
+						.describe('Parameter schemas of the latest version, only with nodeTypes'),
+					credentials: z
+						.array(z.unknown())
+						.optional()
+						.describe('Credential types of the latest version, only with nodeTypes'),
+				})
+				.passthrough(),
+		)
+		.describe('Node types matching the filters'),
+	count: z.number().int().min(0).describe('Total number of node types that match the filters'),
+} satisfies z.ZodRawShape;
+
+/**
+ * Creates mcp tool definition for listing the node types of the instance.
+ * Parameter schemas are only included for the node types requested by name, since they are large.
+ */
+export const createListNodeTypesTool = (
+	user: User,
+	loadNodesAndCredentials: LoadNodesAndCredentials,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'list_node_types',
+	config: {
+		description:
+			'List the node types available to build workflows with. Search with query first, then pass the types you want to use in nodeTypes to get their parameter schemas.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'List Node Types',
+			readOnlyHint: true, // This tool only reads data
+			destructiveHint: false, // No destructive operations
+			idempotentHint: true, // Safe to retry multiple times
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ query, nodeTypes, limit = MAX_RESULTS }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'list_node_types',
+			parameters: { query, nodeTypes, limit },
+		};
+
+		try {
+			const payload = listNodeTypes(loadNodesAndCredentials.types.nodes, {
+				query,
+				nodeTypes,
+				limit,
+			});
+
+			telemetryPayload.results = { success: true, data: { count: payload.count } };
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: JSON.stringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export function listNodeTypes(
+	descriptions: INodeTypeDescription[],
+	{ query, nodeTypes, limit = MAX_RESULTS }: ListNodeTypesParams,
+): ListNodeTypesResult {
+	// Versioned node types have a description per version, keep the one of the latest version
+	const byType = new Map<
+		string,
+		{ description: INodeTypeDescription; versions: number[]; latestVersion: number }
+	>();
+	for (const description of descriptions) {
+		if (description.hidden) continue;
+
+		const versions = Array.isArray(description.version)
+			? description.version
+			: [description.version];
+		const latestVersion = Math.max(...versions);
+		const entry = byType.get(description.name);
+
+		if (!entry) {
+			byType.set(description.name, { description, versions: [...versions], latestVersion });
+			continue;
+		}
+
+		entry.versions.push(...versions);
+		if (latestVersion > entry.latestVersion) {
+			entry.description = description;
+			entry.latestVersion = latestVersion;
+		}
+	}
+
+	const search = query?.toLowerCase();
+	const matches = [...byType.values()].filter(({ description }) => {
+		if (nodeTypes && !nodeTypes.includes(description.name)) return false;
+		if (!search) return true;
+		return [description.name, description.displayName, description.description].some((value) =>
+			value?.toLowerCase().includes(search),
+		);
+	});
+
+	const safeLimit = Math.min(Math.max(1, limit), MAX_RESULTS);
+	const data = matches.slice(0, safeLimit).map(({ description, versions }) => {
+		const item: ListNodeTypesItem = {
+			name: description.name,
+			displayName: description.displayName,
+			description: description.description,
+			versions: [...new Set(versions)].sort((a, b) => a - b),
+			group: description.group,
+		};
+
+		if (nodeTypes) {
+			item.properties = description.properties;
+			item.credentials = description.credentials ?? [];
+		}
+
+		return item;
+	});
+
+	return { data, count: matches.length };
+}
@@ -0,0 +1,116 @@
+import { WorkflowEntity, type User } from '@n8n/db';
+import { UserError, type IDataObject, type IPinData } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type {
+	PinNodeDataResult,
+	ToolDefinition,
+	UserCalledMCPToolEventPayload,
+} from '../mcp.types';
+import { findMcpWorkflowForUser } from '../mcp.utils';
+
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import type { WorkflowService } from '@/workflows/workflow.service';
+
+const inputSchema = {
+	workflowId: z.string().describe('The ID of the workflow'),
+	nodeName: z.string().describe('The name of the node to pin data on'),
+	items: z
+		.array(z.record(z.unknown()))
+		.nullable()
+		.describe('JSON items the node outputs instead of running, null removes the pinned data'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	workflowId: z.string(),
+	nodeName: z.string(),
+	pinnedItemCount: z.number().int().min(0).describe('Number of items pinned on the node'),
+} satisfies z.ZodRawShape;
+
+/**
+ * Creates mcp tool definition for pinning test data on a node of a workflow, which manual and
+ * partial executions use instead of running the node.
+ */
+export const createPinNodeDataTool = (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowService: WorkflowService,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'pin_node_data',
+	config: {
+		description:
+			'Pin test data on a node, so that execute_workflow_to_node uses it as the output of the node instead of running it. Pin data on the trigger to test a workflow without triggering it.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Pin Node Data',
+			readOnlyHint: false, // Changes the pinned data of the workflow
+			destructiveHint: true, // Replaces the pinned data of the node
+			idempotentHint: true, // Same input leads to the same pinned data
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ workflowId, nodeName, items }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'pin_node_data',
+			parameters: { workflowId, item_count: items?.length ?? 0 },
+		};
+
+		try {
+			const payload = await pinNodeData(user, workflowFinderService, workflowService, {
+				workflowId,
+				nodeName,
+				items: items as IDataObject[] | null,
+			});
+
+			telemetryPayload.results = { success: true, data: { workflow_id: workflowId } };
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: JSON.stringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export async function pinNodeData(
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowService: WorkflowService,
+	{
+		workflowId,
+		nodeName,
+		items,
+	}: { workflowId: string; nodeName: string; items: IDataObject[] | null },
+): Promise<PinNodeDataResult> {
+	const workflow = await findMcpWorkflowForUser(user, workflowFinderService, workflowId, [
+		'workflow:update',
+	]);
+
+	if (!workflow.nodes.some((node) => node.name === nodeName)) {
+		throw new UserError(`Node "${nodeName}" does not exist in the workflow`);
+	}
+
+	const pinData: IPinData = { ...workflow.pinData };
+	if (items === null) {
+		delete pinData[nodeName];
+	} else {
+		pinData[nodeName] = items.map((json) => ({ json }));
+	}
+
+	await workflowService.update(user, Object.assign(new WorkflowEntity(), { pinData }), workflowId);
+
+	return { workflowId, nodeName, pinnedItemCount: items?.length ?? 0 };
+}
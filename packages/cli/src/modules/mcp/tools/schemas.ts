@@ -43,3 +43,39 @@ export const workflowDetailsOutputSchema = z.object({
 		.string()
 		.describe('Human-readable instructions describing how to trigger the workflow'),
 });
+
+/**
+ * Node of a workflow draft passed to the authoring tools, missing ids are generated on save
+ */
+export const draftNodeSchema = z
+	.object({
+		id: z.string().optional(),
+		name: z.string().describe('Unique name of the node within the workflow'),
+		type: z.string().describe('Node type, e.g. "n8n-nodes-base.httpRequest"'),
+		typeVersion: z.number().describe('Version of the node type'),
+		position: z
+			.tuple([z.number(), z.number()])
+			.default([0, 0])
+			.describe('Position of the node on the canvas'),
+		parameters: z
+			.record(z.unknown())
+			.default({})
+			.describe('Parameters of the node, see list_node_types for the parameters of a type'),
+	})
+	.passthrough();
+
+export const draftConnectionsSchema = z
+	.record(z.unknown())
+	.describe(
+		'Connections by source node name, e.g. { "Trigger": { "main": [[{ "node": "Set", "type": "main", "index": 0 }]] } }',
+	);
+
+export const authoredWorkflowSchema = z
+	.object({
+		id: z.string(),
+		name: z.string(),
+		versionId: z.string(),
+		nodeCount: z.number(),
+		updatedAt: z.string().nullable(),
+	})
+	.describe('The saved workflow');
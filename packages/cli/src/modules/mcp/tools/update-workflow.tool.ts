@@ -0,0 +1,131 @@
+import { WorkflowEntity, type User } from '@n8n/db';
+import type { IConnections, INode } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type { AuthoredWorkflow, ToolDefinition, UserCalledMCPToolEventPayload } from '../mcp.types';
+import { findMcpWorkflowForUser, toAuthoredWorkflow } from '../mcp.utils';
+import { authoredWorkflowSchema, draftConnectionsSchema, draftNodeSchema } from './schemas';
+
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowFinderService } from '@/workflows/workflow-finder.service';
+import type { EnterpriseWorkflowService } from '@/workflows/workflow.service.ee';
+import type { WorkflowService } from '@/workflows/workflow.service';
+
+const inputSchema = {
+	workflowId: z.string().describe('The ID of the workflow to update'),
+	name: z.string().min(1).optional().describe('The new name of the workflow'),
+	description: z.string().optional().describe('The new description of the workflow'),
+	nodes: z
+		.array(draftNodeSchema)
+		.optional()
+		.describe('All nodes of the workflow, replacing the current ones'),
+	connections: draftConnectionsSchema
+		.optional()
+		.describe('All connections of the workflow, replacing the current ones'),
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	workflow: authoredWorkflowSchema,
+} satisfies z.ZodRawShape;
+
+type UpdateWorkflowParams = {
+	workflowId: string;
+	name?: string;
+	description?: string;
+	nodes?: INode[];
+	connections?: IConnections;
+};
+
+/**
+ * Creates mcp tool definition for updating the draft of a workflow from JSON.
+ * Active workflows keep running their published version.
+ */
+export const createUpdateWorkflowTool = (
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowService: WorkflowService,
+	enterpriseWorkflowService: EnterpriseWorkflowService,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'update_workflow',
+	config: {
+		description:
+			'Update the name, description, nodes or connections of a workflow. Nodes and connections replace the current ones, so pass the complete workflow as returned by get_workflow_details with your changes applied.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Update Workflow',
+			readOnlyHint: false, // Changes the workflow
+			destructiveHint: true, // Replaces nodes and connections
+			idempotentHint: true, // Same input leads to the same workflow
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ workflowId, name, description, nodes, connections }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'update_workflow',
+			parameters: { workflowId, node_count: nodes?.length },
+		};
+
+		try {
+			const workflow = await updateWorkflow(
+				user,
+				workflowFinderService,
+				workflowService,
+				enterpriseWorkflowService,
+				{
+					workflowId,
+					name,
+					description,
+					nodes: nodes as INode[] | undefined,
+					connections: connections as IConnections | undefined,
+				},
+			);
+			const payload = { workflow };
+
+			telemetryPayload.results = {
+				success: true,
+				data: { workflow_id: workflow.id, node_count: workflow.nodeCount },
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: JSON.stringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export async function updateWorkflow(
+	user: User,
+	workflowFinderService: WorkflowFinderService,
+	workflowService: WorkflowService,
+	enterpriseWorkflowService: EnterpriseWorkflowService,
+	{ workflowId, ...changes }: UpdateWorkflowParams,
+): Promise<AuthoredWorkflow> {
+	await findMcpWorkflowForUser(user, workflowFinderService, workflowId, ['workflow:update']);
+
+	let updateData = new WorkflowEntity();
+	for (const [key, value] of Object.entries(changes)) {
+		if (value !== undefined) Object.assign(updateData, { [key]: value });
+	}
+
+	// Nodes may only keep credentials the user cannot access unchanged
+	if (updateData.nodes) {
+		updateData = await enterpriseWorkflowService.preventTampering(updateData, workflowId, user);
+	}
+
+	const updated = await workflowService.update(user, updateData, workflowId);
+
+	return toAuthoredWorkflow(updated);
+}
@@ -0,0 +1,124 @@
+import type { User } from '@n8n/db';
+import type { IConnections, INode } from 'n8n-workflow';
+import z from 'zod';
+
+import { USER_CALLED_MCP_TOOL_EVENT } from '../mcp.constants';
+import type {
+	ToolDefinition,
+	UserCalledMCPToolEventPayload,
+	ValidateWorkflowResult,
+} from '../mcp.types';
+import { draftConnectionsSchema, draftNodeSchema } from './schemas';
+
+import type { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
+import type { Telemetry } from '@/telemetry';
+import type { WorkflowLintService } from '@/workflow-lint/workflow-lint.service';
+
+const inputSchema = {
+	name: z.string().optional().describe('The name of the workflow'),
+	nodes: z.array(draftNodeSchema).describe('The nodes of the workflow draft'),
+	connections: draftConnectionsSchema,
+} satisfies z.ZodRawShape;
+
+const outputSchema = {
+	valid: z.boolean().describe('Whether the draft has no errors, warnings do not count'),
+	errorCount: z.number().int().min(0),
+	warningCount: z.number().int().min(0),
+	issues: z
+		.array(
+			z.object({
+				ruleId: z.string(),
+				level: z.enum(['error', 'warning', 'note']),
+				message: z.string(),
+				nodeName: z.string().optional(),
+			}),
+		)
+		.describe('Problems found in the draft'),
+} satisfies z.ZodRawShape;
+
+/**
+ * Creates mcp tool definition for checking a workflow draft with the rules of `n8n lint`,
+ * e.g. for unknown node types, invalid parameters and dangling connections.
+ */
+export const createValidateWorkflowTool = (
+	user: User,
+	workflowLintService: WorkflowLintService,
+	loadNodesAndCredentials: LoadNodesAndCredentials,
+	telemetry: Telemetry,
+): ToolDefinition<typeof inputSchema> => ({
+	name: 'validate_workflow',
+	config: {
+		description:
+			'Check a workflow draft for problems such as unknown node types, invalid parameters, dangling connections and unreachable nodes, without saving it.',
+		inputSchema,
+		outputSchema,
+		annotations: {
+			title: 'Validate Workflow',
+			readOnlyHint: true, // This tool only reads data
+			destructiveHint: false, // No destructive operations
+			idempotentHint: true, // Safe to retry multiple times
+			openWorldHint: false, // Works with internal n8n data only
+		},
+	},
+	handler: async ({ name, nodes, connections }) => {
+		const telemetryPayload: UserCalledMCPToolEventPayload = {
+			user_id: user.id,
+			tool_name: 'validate_workflow',
+			parameters: { node_count: nodes.length },
+		};
+
+		try {
+			const payload = validateWorkflow(workflowLintService, loadNodesAndCredentials, {
+				name,
+				nodes: nodes as INode[],
+				connections: connections as IConnections,
+			});
+
+			telemetryPayload.results = {
+				success: true,
+				data: { error_count: payload.errorCount, warning_count: payload.warningCount },
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+
+			return {
+				content: [{ type: 'text', text: JSON.stringify(payload) }],
+				structuredContent: payload,
+			};
+		} catch (error) {
+			telemetryPayload.results = {
+				success: false,
+				error: error instanceof Error ? error.message : String(error),
+			};
+			telemetry.track(USER_CALLED_MCP_TOOL_EVENT, telemetryPayload);
+			throw error;
+		}
+	},
+});
+
+export function validateWorkflow(
+	workflowLintService: WorkflowLintService,
+	loadNodesAndCredentials: LoadNodesAndCredentials,
+	{
+		name = 'Draft',
+		nodes,
+		connections,
+	}: { name?: string; nodes: INode[]; connections: IConnections },
+): ValidateWorkflowResult {
+	const nodeTypes = workflowLintService.createNodeTypes(loadNodesAndCredentials.types.nodes);
+	const report = workflowLintService.lint(
+		[{ path: name, workflow: { name, nodes, connections } }],
+		nodeTypes,
+	);
+
+	return {
+		valid: report.errorCount === 0,
+		errorCount: report.errorCount,
+		warningCount: report.warningCount,
+		issues: report.results.map(({ ruleId, level, message, nodeName }) => ({
+			ruleId,
+			level,
+			message,
+			...(nodeName ? { nodeName } : {}),
+		})),
+	};
+}
@@ -21,6 +21,8 @@ import { CredentialsOverwrites } from '@/credentials-overwrites';
 import { MessageEventBus } from '@/eventbus/message-event-bus/message-event-bus';
 import { EventService } from '@/events/event.service';
 import { LogStreamingEventRelay } from '@/events/relays/log-streaming.event-relay';
+import { ExtensionContextFactory } from '@/extensions/extension-context.service';
+import { ExtensionLoader } from '@/extensions/extension-loader.service';
 import type { ICredentialsOverwrite } from '@/interfaces';
 import { isLdapEnabled } from '@/ldap.ee/helpers.ee';
 import { LoadNodesAndCredentials } from '@/load-nodes-and-credentials';
@@ -94,6 +96,7 @@ export class Server extends AbstractServer {
 			this.frontendService = Container.get(FrontendService);
 			await import('@/controllers/module-settings.controller');
 			await import('@/controllers/third-party-licenses.controller');
+			await import('@/extensions/extensions.controller');
 		}
 
 		this.presetCredentialsLoaded = false;
@@ -105,6 +108,7 @@ export class Server extends AbstractServer {
 
 		if (inDevelopment && process.env.N8N_DEV_RELOAD === 'true') {
 			void this.loadNodesAndCredentials.setupHotReload();
+			void Container.get(ExtensionLoader).setupHotReload();
 		}
 
 		this.eventService.emit('server-started');
@@ -260,6 +264,10 @@ export class Server extends AbstractServer {
 		// register all known controllers
 		Container.get(ControllerRegistry).activate(app);
 
+		// Routes registered by extensions, namespaced by extension name below their own prefix,
+		// so they cannot shadow the routes of `ExtensionsController`
+		app.use(`/${restEndpoint}/extensions/routes`, Container.get(ExtensionContextFactory).router);
+
 		// ----------------------------------------
 		// Options
 		// ----------------------------------------
@@ -364,6 +372,24 @@ export class Server extends AbstractServer {
 				},
 			);
 
+			this.app.use('/extensions/{@:scope/}:extensionName/frontend.js', async (req, res) => {
+				// eslint-disable-next-line prefer-const
+				let { scope, extensionName } = req.params;
+				if (scope) extensionName = `@${scope}/${extensionName}`;
+				const filePath = Container.get(ExtensionLoader).resolveFrontendEntry(extensionName);
+				if (filePath) {
+					try {
+						await fsAccess(filePath);
+						return res.sendFile(filePath, {
+							...cacheOptions,
+							dotfiles: 'allow',
+							headers: { 'Content-Type': 'text/javascript; charset=utf-8' },
+						});
+					} catch {}
+				}
+				res.sendStatus(404);
+			});
+
 			const serveSchemas: express.RequestHandler = async (req, res) => {
 				const { node, version, resource, operation } = req.params;
 				const filePath = this.loadNodesAndCredentials.resolveSchema({
@@ -0,0 +1,211 @@
+import type { INode } from 'n8n-workflow';
+
+import type { DiffableWorkflowFile } from '../workflow-diff-report';
+import {
+	diffWorkflows,
+	formatValue,
+	formatWorkflowDiff,
+	formatWorkflowText,
+} from '../workflow-diff-report';
+
+const createNode = (name: string, type: string, parameters: INode['parameters'] = {}): INode => ({
+	id: name.toLowerCase(),
+	name,
+	type,
+	typeVersion: 1,
+	position: [0, 0],
+	parameters,
+});
+
+describe('workflow diff report', () => {
+	const base: DiffableWorkflowFile = {
+		name: 'Orders',
+		nodes: [
+			createNode('Trigger', 'n8n-nodes-base.manualTrigger'),
+			createNode('Fetch', 'n8n-nodes-base.httpRequest', {
+				url: 'https://example.com/orders',
+				options: { timeout: 1000 },
+			}),
+			createNode('Code', 'n8n-nodes-base.code', {
+				jsCode: 'const orders = $input.all();\nreturn orders;\n',
+			}),
+			createNode('Old', 'n8n-nodes-base.noOp'),
+		],
+		connections: {
+			Trigger: { main: [[{ node: 'Fetch', type: 'main', index: 0 }]] },
+			Fetch: { main: [[{ node: 'Code', type: 'main', index: 0 }]] },
+			Code: { main: [[{ node: 'Old', type: 'main', index: 0 }]] },
+		},
+	};
+
+	const target: DiffableWorkflowFile = {
+		name: 'Orders',
+		settings: { timezone: 'Europe/Berlin' },
+		nodes: [
+			{ ...base.nodes[0], position: [200, 200] },
+			createNode('Fetch', 'n8n-nodes-base.httpRequest', {
+				url: '={{ $json.ordersUrl }}',
+				options: { timeout: 1000 },
+			}),
+			{
+				...createNode('Format', 'n8n-nodes-base.code', {
+					jsCode: 'const orders = $input.all();\nreturn orders.slice(0, 10);\n',
+				}),
+				id: 'code',
+			},
+			createNode('Log', 'n8n-nodes-base.noOp'),
+		],
+		connections: {
+			Trigger: { main: [[{ node: 'Fetch', type: 'main', index: 0 }]] },
+			Fetch: { main: [[{ node: 'Format', type: 'main', index: 0 }]] },
+			Format: { main: [[{ node: 'Log', type: 'main', index: 0 }]] },
+		},
+	};
+
+	it('should list node, parameter and connection changes', () => {
+		expect(diffWorkflows(base, target)).toEqual({
+			workflow: [{ path: 'settings.timezone', before: undefined, after: 'Europe/Berlin' }],
+			nodes: [
+				{
+					status: 'modified',
+					name: 'Fetch',
+					type: 'n8n-nodes-base.httpRequest',
+					previousName: undefined,
+					changes: [
+						{
+							path: 'parameters.url',
+							before: 'https://example.com/orders',
+							after: '={{ $json.ordersUrl }}',
+						},
+					],
+				},
+				{
+					status: 'modified',
+					name: 'Format',
+					type: 'n8n-nodes-base.code',
+					previousName: 'Code',
+					changes: [
+						{
+							path: 'parameters.jsCode',
+							before: 'const orders = $input.all();\nreturn orders;\n',
+							after: 'const orders = $input.all();\nreturn orders.slice(0, 10);\n',
+						},
+					],
+				},
+				{ status: 'removed', name: 'Old', type: 'n8n-nodes-base.noOp', changes: [] },
+				{ status: 'added', name: 'Log', type: 'n8n-nodes-base.noOp', changes: [] },
+			],
+			connections: [
+				{
+					status: 'removed',
+					sourceNode: 'Fetch',
+					type: 'main',
+					outputIndex: 0,
+					destinationNode: 'Code',
+					inputIndex: 0,
+				},
+				{
+					status: 'removed',
+					sourceNode: 'Code',
+					type: 'main',
+					outputIndex: 0,
+					destinationNode: 'Old',
+					inputIndex: 0,
+				},
+				{
+					status: 'added',
+					sourceNode: 'Fetch',
+					type: 'main',
+					outputIndex: 0,
+					destinationNode: 'Format',
+					inputIndex: 0,
+				},
+				{
+					status: 'added',
+					sourceNode: 'Format',
+					type: 'main',
+					outputIndex: 0,
+					destinationNode: 'Log',
+					inputIndex: 0,
+				},
+			],
+		});
+	});
+
+	it('should print the changes as text', () => {
+		expect(formatWorkflowDiff(diffWorkflows(base, target)).split('\n')).toEqual([
+			'Workflow',
+			'    settings.timezone: (unset) → "Europe/Berlin"',
+			'',
+			'Nodes',
+			'~ Fetch (n8n-nodes-base.httpRequest)',
+			'    parameters.url: "https://example.com/orders" → {{ $json.ordersUrl }} (expression)',
+			'~ Code → Format (n8n-nodes-base.code)',
+			'    parameters.jsCode:',
+			'      @@ line 2 @@',
+			'      - return orders;',
+			'      + return orders.slice(0, 10);',
+			'- Old (n8n-nodes-base.noOp)',
+			'+ Log (n8n-nodes-base.noOp)',
+			'',
+			'Connections',
+			'- Fetch → Code',
+			'- Code → Old',
+			'+ Fetch → Format',
+			'+ Format → Log',
+		]);
+	});
+
+	it('should report workflows which only differ in node positions as unchanged', () => {
+		const moved = { ...base, nodes: base.nodes.map((node) => ({ ...node, position: [1, 1] })) };
+
+		expect(formatWorkflowDiff(diffWorkflows(base, moved as DiffableWorkflowFile))).toBe(
+			'No changes.',
+		);
+	});
+
+	it('should show resource locators by their value and mode', () => {
+		expect(formatValue({ __rl: true, mode: 'id', value: '={{ $json.sheetId }}' })).toBe(
+			'{{ $json.sheetId }} (expression) (id)',
+		);
+	});
+
+	it('should render a workflow as line-based text', () => {
+		const workflow: DiffableWorkflowFile = {
+			...target,
+			connections: {
+				...target.connections,
+				Model: { ai_languageModel: [[{ node: 'Agent', type: 'ai_languageModel', index: 0 }]] },
+			},
+		};
+
+		expect(formatWorkflowText(workflow).split('\n')).toEqual([
+			'Workflow: Orders',
+			'',
+			'Settings:',
+			'  timezone: "Europe/Berlin"',
+			'',
+			'Node: Fetch (n8n-nodes-base.httpRequest v1)',
+			'  parameters.url: {{ $json.ordersUrl }} (expression)',
+			'  parameters.options.timeout: 1000',
+			'',
+			'Node: Format (n8n-nodes-base.code v1)',
+			'  parameters.jsCode: |',
+			'    const orders = $input.all();',
+			'    return orders.slice(0, 10);',
+			'    ',
+			'',
+			'Node: Log (n8n-nodes-base.noOp v1)',
+			'  parameters: {}',
+			'',
+			'Node: Trigger (n8n-nodes-base.manualTrigger v1)',
+			'  parameters: {}',
+			'',
+			'Connections:',
+			'  Fetch → Format',
+			'  Format → Log',
+			'  Model (ai_languageModel) → Agent',
+			'  Trigger → Fetch',
+		]);
+	});
+});
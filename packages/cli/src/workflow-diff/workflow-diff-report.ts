@@ -0,0 +1,349 @@
+import isEqual from 'lodash/isEqual';
+import omit from 'lodash/omit';
+import {
+	compareWorkflowsNodes,
+	NodeDiffStatus,
+	WorkflowChangeSet,
+	type IConnections,
+	type INode,
+	type IWorkflowSettings,
+} from 'n8n-workflow';
+import picocolors from 'picocolors';
+
+export type DiffableWorkflowFile = {
+	name: string;
+	nodes: INode[];
+	connections: IConnections;
+	settings?: IWorkflowSettings;
+};
+
+export interface PropertyChange {
+	/** Path of the changed value, e.g. `parameters.options.timeout` */
+	path: string;
+	/** `undefined` when the value was added */
+	before?: unknown;
+	/** `undefined` when the value was removed */
+	after?: unknown;
+}
+
+export interface NodeChange {
+	status: 'added' | 'removed' | 'modified';
+	name: string;
+	type: string;
+	/** Set when the node was renamed */
+	previousName?: string;
+	changes: PropertyChange[];
+}
+
+export interface ConnectionChange {
+	status: 'added' | 'removed';
+	sourceNode: string;
+	type: string;
+	outputIndex: number;
+	destinationNode: string;
+	inputIndex: number;
+}
+
+export interface WorkflowDiffReport {
+	/** Changes to the workflow name and settings */
+	workflow: PropertyChange[];
+	nodes: NodeChange[];
+	connections: ConnectionChange[];
+}
+
+/** Node properties which only affect how the node is shown on the canvas */
+const CANVAS_NODE_PROPERTIES = ['id', 'position'] as const;
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+	typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** Resource locator values are shown as one value instead of their `__rl`, `mode` and `value` */
+const isResourceLocator = (value: unknown): value is { mode: string; value: unknown } =>
+	isPlainObject(value) && value.__rl === true;
+
+const isExpression = (value: unknown): value is string =>
+	typeof value === 'string' && value.startsWith('=');
+
+/**
+ * Flatten a value into its leaf values keyed by path, so that changes deep inside
+ * parameters are reported on their own instead of as a changed parent object.
+ */
+export function flattenValue(value: unknown, path = '', leaves = new Map<string, unknown>()) {
+	const isBranch =
+		(Array.isArray(value) && value.length > 0) ||
+		(isPlainObject(value) && Object.keys(value).length > 0 && !isResourceLocator(value));
+	if (!isBranch) {
+		leaves.set(path, value);
+		return leaves;
+	}
+
+	for (const [key, child] of Object.entries(value)) {
+		const childPath = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+		flattenValue(child, childPath, leaves);
+	}
+	return leaves;
+}
+
+function diffValues(before: unknown, after: unknown): PropertyChange[] {
+	const beforeLeaves = flattenValue(before);
+	const afterLeaves = flattenValue(after);
+	const paths = [...new Set([...beforeLeaves.keys(), ...afterLeaves.keys()])];
+	// An empty object which got filled, or the other way around, shows up by its new values
+	const hasChildren = (path: string) =>
+		paths.some((other) => other.startsWith(`${path}.`) || other.startsWith(`${path}[`));
+	return paths
+		.filter((path) => !isEqual(beforeLeaves.get(path), afterLeaves.get(path)))
+		.filter((path) => !hasChildren(path))
+		.map((path) => ({ path, before: beforeLeaves.get(path), after: afterLeaves.get(path) }));
+}
+
+function flattenConnections(
+	status: ConnectionChange['status'],
+	connections: WorkflowChangeSet<INode>['connections']['added'],
+): ConnectionChange[] {
+	return Object.entries(connections).flatMap(([sourceNode, connectionsByType]) =>
+		Object.entries(connectionsByType).flatMap(([type, entries]) =>
+			entries.flatMap(({ sourceIndex, value }) =>
+				value
+					? [
+							{
+								status,
+								sourceNode,
+								type,
+								outputIndex: sourceIndex,
+								destinationNode: value.connection.node,
+								inputIndex: value.connection.index,
+							},
+						]
+					: [],
+			),
+		),
+	);
+}
+
+/**
+ * Node ids are what identifies a node across versions, so that a renamed node shows up
+ * as modified. Nodes without an id, e.g. in hand-written files, fall back to their name.
+ */
+const withIds = (nodes: INode[]) => nodes.map((node) => ({ ...node, id: node.id || node.name }));
+
+/**
+ * Compare two versions of a workflow node by node and connection by connection,
+ * with parameter-level changes for modified nodes.
+ */
+export function diffWorkflows(
+	base: DiffableWorkflowFile,
+	target: DiffableWorkflowFile,
+): WorkflowDiffReport {
+	const from = { nodes: withIds(base.nodes), connections: base.connections };
+	const to = { nodes: withIds(target.nodes), connections: target.connections };
+	const changeSet = new WorkflowChangeSet(from, to);
+	const nodeDiff = compareWorkflowsNodes(from.nodes, to.nodes, (a, b) =>
+		isEqual(omit(a, CANVAS_NODE_PROPERTIES), omit(b, CANVAS_NODE_PROPERTIES)),
+	);
+	const targetNodes = new Map(to.nodes.map((node) => [node.id, node]));
+
+	const nodes: NodeChange[] = [];
+	for (const [id, { status, node }] of nodeDiff) {
+		if (status === NodeDiffStatus.Added) {
+			nodes.push({ status: 'added', name: node.name, type: node.type, changes: [] });
+		} else if (status === NodeDiffStatus.Deleted) {
+			nodes.push({ status: 'removed', name: node.name, type: node.type, changes: [] });
+		} else if (status === NodeDiffStatus.Modified) {
+			const targetNode = targetNodes.get(id)!;
+			nodes.push({
+				status: 'modified',
+				name: targetNode.name,
+				type: targetNode.type,
+				previousName: node.name !== targetNode.name ? node.name : undefined,
+				changes: diffValues(
+					omit(node, [...CANVAS_NODE_PROPERTIES, 'name']),
+					omit(targetNode, [...CANVAS_NODE_PROPERTIES, 'name']),
+				),
+			});
+		}
+	}
+
+	return {
+		workflow: diffValues(
+			{ name: base.name, settings: base.settings ?? {} },
+			{ name: target.name, settings: target.settings ?? {} },
+		),
+		nodes,
+		connections: [
+			...flattenConnections('removed', changeSet.connections.removed),
+			...flattenConnections('added', changeSet.connections.added),
+		],
+	};
+}
+
+export function hasChanges(report: WorkflowDiffReport) {
+	return report.workflow.length + report.nodes.length + report.connections.length > 0;
+}
+
+/**
+ * Show a value the way it is entered in the editor: expressions without their leading `=`
+ * and marked as such, resource locators by their value and mode.
+ */
+export function formatValue(value: unknown): string {
+	if (value === undefined) return '(unset)';
+	if (isExpression(value)) return `${value.slice(1)} (expression)`;
+	if (isResourceLocator(value)) return `${formatValue(value.value)} (${value.mode})`;
+	return JSON.stringify(value);
+}
+
+const isMultiline = (value: unknown): value is string =>
+	typeof value === 'string' && value.includes('\n');
+
+/** Lines of a changed multi-line value, e.g. code, without the unchanged lines around the change */
+function formatMultilineChange(before: string, after: string) {
+	const beforeLines = before.split('\n');
+	const afterLines = after.split('\n');
+	let start = 0;
+	while (
+		start < beforeLines.length &&
+		start < afterLines.length &&
+		beforeLines[start] === afterLines[start]
+	) {
+		start++;
+	}
+	let end = 0;
+	while (
+		end < beforeLines.length - start &&
+		end < afterLines.length - start &&
+		beforeLines[beforeLines.length - 1 - end] === afterLines[afterLines.length - 1 - end]
+	) {
+		end++;
+	}
+
+	return [
+		`@@ line ${start + 1} @@`,
+		...beforeLines.slice(start, beforeLines.length - end).map((line) => `- ${line}`),
+		...afterLines.slice(start, afterLines.length - end).map((line) => `+ ${line}`),
+	];
+}
+
+function formatPropertyChange({ path, before, after }: PropertyChange): string[] {
+	if (isMultiline(before) && isMultiline(after) && isExpression(before) === isExpression(after)) {
+		return [`${path}:`, ...formatMultilineChange(before, after).map((line) => `  ${line}`)];
+	}
+	return [`${path}: ${formatValue(before)} → ${formatValue(after)}`];
+}
+
+export function formatConnection(
+	connection: Pick<
+		ConnectionChange,
+		'sourceNode' | 'type' | 'outputIndex' | 'destinationNode' | 'inputIndex'
+	>,
+) {
+	const output = [
+		...(connection.type !== 'main' ? [connection.type] : []),
+		...(connection.outputIndex > 0 ? [`output ${connection.outputIndex}`] : []),
+	];
+	const source = output.length
+		? `${connection.sourceNode} (${output.join(', ')})`
+		: connection.sourceNode;
+	const destination =
+		connection.inputIndex > 0
+			? `${connection.destinationNode} (input ${connection.inputIndex})`
+			: connection.destinationNode;
+	return `${source} → ${destination}`;
+}
+
+/**
+ * Readable summary of a workflow diff for the console, with `+` for added,
+ * `-` for removed and `~` for modified nodes and connections.
+ */
+export function formatWorkflowDiff(report: WorkflowDiffReport, { color = false } = {}): string {
+	if (!hasChanges(report)) return 'No changes.';
+
+	const colors = picocolors.createColors(color);
+	const marks = {
+		added: colors.green('+'),
+		removed: colors.red('-'),
+		modified: colors.yellow('~'),
+	};
+	const sections: string[][] = [];
+
+	if (report.workflow.length > 0) {
+		sections.push([
+			colors.bold('Workflow'),
+			...report.workflow.flatMap(formatPropertyChange).map((line) => `    ${line}`),
+		]);
+	}
+
+	if (report.nodes.length > 0) {
+		sections.push([
+			colors.bold('Nodes'),
+			...report.nodes.flatMap((node) => [
+				`${marks[node.status]} ${node.previousName ? `${node.previousName} → ` : ''}${node.name} ${colors.dim(`(${node.type})`)}`,
+				...node.changes.flatMap(formatPropertyChange).map((line) => `    ${line}`),
+			]),
+		]);
+	}
+
+	if (report.connections.length > 0) {
+		sections.push([
+			colors.bold('Connections'),
+			...report.connections.map(
+				(connection) => `${marks[connection.status]} ${formatConnection(connection)}`,
+			),
+		]);
+	}
+
+	return sections.map((lines) => lines.join('\n')).join('\n\n');
+}
+
+/**
+ * Render a single workflow as stable, line-based text, one node property per line and
+ * multi-line values like code as indented blocks. Meant as a git `textconv` filter,
+ * so that `git diff` and `git log -p` show readable line changes for .n8n files.
+ */
+export function formatWorkflowText(workflow: DiffableWorkflowFile): string {
+	const formatLeaves = (value: unknown) =>
+		[...flattenValue(value)].flatMap(([path, leaf]) =>
+			isMultiline(leaf)
+				? [`  ${path}: |${isExpression(leaf) ? ' (expression)' : ''}`].concat(
+						(isExpression(leaf) ? leaf.slice(1) : leaf).split('\n').map((line) => `    ${line}`),
+					)
+				: [`  ${path}: ${formatValue(leaf)}`],
+		);
+
+	const lines = [`Workflow: ${workflow.name}`];
+	if (workflow.settings && Object.keys(workflow.settings).length > 0) {
+		lines.push('', 'Settings:', ...formatLeaves(workflow.settings));
+	}
+
+	const nodes = [...workflow.nodes].sort((a, b) => a.name.localeCompare(b.name));
+	for (const node of nodes) {
+		lines.push(
+			'',
+			`Node: ${node.name} (${node.type} v${node.typeVersion})`,
+			...formatLeaves(omit(node, [...CANVAS_NODE_PROPERTIES, 'name', 'type', 'typeVersion'])),
+		);
+	}
+
+	const connectionLines = Object.entries(workflow.connections)
+		.flatMap(([sourceNode, connectionsByType]) =>
+			Object.entries(connectionsByType).flatMap(([type, outputs]) =>
+				outputs.flatMap((destinations, outputIndex) =>
+					(destinations ?? []).map(
+						(destination) =>
+							`  ${formatConnection({
+								sourceNode,
+								type,
+								outputIndex,
+								destinationNode: destination.node,
+								inputIndex: destination.index,
+							})}`,
+					),
+				),
+			),
+		)
+		.sort();
+	if (connectionLines.length > 0) {
+		lines.push('', 'Connections:', ...connectionLines);
+	}
+
+	return lines.join('\n');
+}
@@ -0,0 +1,72 @@
+import type { IConnections, INode, INodeTypeDescription } from 'n8n-workflow';
+
+import type { WorkflowLintContext, WorkflowLintNodeTypes } from '../types';
+
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+
+export const createNode = (
+	name: string,
+	type = 'n8n-nodes-base.set',
+	overrides: Partial<INode> = {},
+): INode => ({
+	id: `node-${name}`,
+	name,
+	type,
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+export const createDescription = (
+	name: string,
+	overrides: Partial<INodeTypeDescription> = {},
+): INodeTypeDescription => ({
+	displayName: name,
+	name,
+	group: ['transform'],
+	version: 1,
+	description: '',
+	defaults: {},
+	inputs: ['main'],
+	outputs: ['main'],
+	properties: [],
+	...overrides,
+});
+
+export const createNodeTypes = (descriptions: INodeTypeDescription[]): WorkflowLintNodeTypes => ({
+	getVersions: (type) => {
+		const versions = descriptions
+			.filter((description) => description.name === type)
+			.flatMap((description) => description.version);
+		return versions.length > 0 ? versions : undefined;
+	},
+	getDescription: (type, version) =>
+		descriptions.find(
+			(description) => description.name === type && [description.version].flat().includes(version),
+		),
+});
+
+export const createContext = (
+	nodes: INode[],
+	connections: IConnections = {},
+	descriptions: INodeTypeDescription[] = [],
+	overrides: Partial<WorkflowFileData> = {},
+): WorkflowLintContext => ({
+	workflow: { name: 'Test Workflow', nodes, connections, ...overrides },
+	nodesGroupedByType: nodes.reduce((map, node) => {
+		map.set(node.type, [...(map.get(node.type) ?? []), node]);
+		return map;
+	}, new Map<string, INode[]>()),
+	nodeTypes: createNodeTypes(descriptions),
+});
+
+export const connect = (...names: string[]): IConnections =>
+	Object.fromEntries(
+		names
+			.slice(0, -1)
+			.map((name, index) => [
+				name,
+				{ main: [[{ node: names[index + 1], type: 'main' as const, index: 0 }]] },
+			]),
+	);
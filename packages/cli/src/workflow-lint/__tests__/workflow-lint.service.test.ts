@@ -0,0 +1,125 @@
+import type { Logger } from '@n8n/backend-common';
+import { mock } from 'jest-mock-extended';
+
+import { connect, createDescription, createNode } from './test-helpers';
+import type { IWorkflowLintRule } from '../types';
+import { WorkflowLintRuleRegistry } from '../workflow-lint.rule-registry.service';
+import { WorkflowLintService } from '../workflow-lint.service';
+
+describe('WorkflowLintService', () => {
+	const logger = mock<Logger>({
+		scoped: jest.fn().mockReturnThis(),
+		debug: jest.fn(),
+		warn: jest.fn(),
+	});
+
+	let registry: WorkflowLintRuleRegistry;
+	let service: WorkflowLintService;
+
+	const nodeTypes = () =>
+		service.createNodeTypes([
+			createDescription('n8n-nodes-base.manualTrigger', { group: ['trigger'] }),
+			createDescription('n8n-nodes-base.set', { version: [1, 2] }),
+			createDescription('n8n-nodes-base.set', { version: 3.4 }),
+		]);
+
+	const files = [
+		{
+			path: 'orders.n8n',
+			workflow: {
+				name: 'Orders',
+				nodes: [
+					createNode('Trigger', 'n8n-nodes-base.manualTrigger'),
+					createNode('Set', 'n8n-nodes-base.set', { typeVersion: 3.4 }),
+					createNode('Old', 'n8n-nodes-base.set', { typeVersion: 5 }),
+				],
+				connections: connect('Trigger', 'Set'),
+			},
+		},
+	];
+
+	beforeEach(() => {
+		registry = new WorkflowLintRuleRegistry(logger);
+		service = new WorkflowLintService(registry, logger);
+	});
+
+	it('should register all rules', () => {
+		expect(registry.getRules().map((rule) => rule.id)).toEqual([
+			'unknown-node-type',
+			'invalid-node-parameter',
+			'duplicate-node-name',
+			'dangling-connection',
+			'unreachable-node',
+			'expression-node-reference',
+		]);
+	});
+
+	it('should index node descriptions by type and version', () => {
+		const types = nodeTypes();
+
+		expect(types.getVersions('n8n-nodes-base.set')).toEqual([1, 2, 3.4]);
+		expect(types.getVersions('n8n-nodes-base.unknown')).toBeUndefined();
+		expect(types.getDescription('n8n-nodes-base.set', 3.4)?.version).toBe(3.4);
+	});
+
+	it('should collect the issues of all rules with their level', () => {
+		const report = service.lint(files, nodeTypes());
+
+		expect(report).toEqual({
+			results: [
+				expect.objectContaining({
+					ruleId: 'unknown-node-type',
+					level: 'error',
+					filePath: 'orders.n8n',
+					nodeName: 'Old',
+				}),
+				expect.objectContaining({
+					ruleId: 'unreachable-node',
+					level: 'warning',
+					filePath: 'orders.n8n',
+					nodeName: 'Old',
+				}),
+			],
+			errorCount: 1,
+			warningCount: 1,
+		});
+	});
+
+	it('should report rules that fail as errors', () => {
+		const failingRule = mock<IWorkflowLintRule>({ id: 'failing' });
+		failingRule.getMetadata.mockReturnValue({ title: '', description: '', level: 'note' });
+		failingRule.lint.mockImplementation(() => {
+			throw new Error('Boom');
+		});
+		registry.register(failingRule);
+
+		const report = service.lint(files, nodeTypes());
+
+		expect(report.results).toContainEqual({
+			ruleId: 'failing',
+			level: 'error',
+			message: 'Rule failed: Boom',
+			filePath: 'orders.n8n',
+		});
+	});
+
+	it('should convert a report to SARIF', () => {
+		const sarif = service.toSarif(service.lint(files, nodeTypes()));
+
+		const [run] = sarif.runs;
+		expect(sarif.version).toBe('2.1.0');
+		expect(run.tool.driver.rules).toHaveLength(6);
+		expect(run.results[0]).toEqual({
+			ruleId: 'unknown-node-type',
+			ruleIndex: 0,
+			level: 'error',
+			message: { text: expect.stringContaining("'Old'") },
+			locations: [
+				{
+					physicalLocation: { artifactLocation: { uri: 'orders.n8n' } },
+					logicalLocations: [{ name: 'Old', kind: 'member' }],
+				},
+			],
+		});
+	});
+});
@@ -0,0 +1,24 @@
+import { connect, createContext, createNode } from '../../__tests__/test-helpers';
+import { DanglingConnectionRule } from '../dangling-connection.rule';
+
+describe('DanglingConnectionRule', () => {
+	const rule = new DanglingConnectionRule();
+
+	it('should accept connections between existing nodes', () => {
+		const context = createContext([createNode('A'), createNode('B')], connect('A', 'B'));
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+
+	it('should report connections from and to missing nodes', () => {
+		const context = createContext([createNode('A'), createNode('B')], {
+			...connect('A', 'Deleted'),
+			...connect('Renamed', 'B'),
+		});
+
+		expect(rule.lint(context).map((issue) => issue.message)).toEqual([
+			"Node 'A' has a main connection to the missing node 'Deleted'",
+			"Connections start at the missing node 'Renamed'",
+		]);
+	});
+});
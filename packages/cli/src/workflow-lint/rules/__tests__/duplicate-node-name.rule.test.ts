@@ -0,0 +1,19 @@
+import { createContext, createNode } from '../../__tests__/test-helpers';
+import { DuplicateNodeNameRule } from '../duplicate-node-name.rule';
+
+describe('DuplicateNodeNameRule', () => {
+	const rule = new DuplicateNodeNameRule();
+
+	it('should report every node after the first one with the same name', () => {
+		const context = createContext([
+			createNode('Set', 'n8n-nodes-base.set', { id: 'a' }),
+			createNode('Set', 'n8n-nodes-base.set', { id: 'b' }),
+			createNode('Code'),
+		]);
+
+		const issues = rule.lint(context);
+
+		expect(issues).toHaveLength(1);
+		expect(issues[0]).toMatchObject({ nodeId: 'b', nodeName: 'Set' });
+	});
+});
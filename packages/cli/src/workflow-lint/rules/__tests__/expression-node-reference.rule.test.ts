@@ -0,0 +1,44 @@
+import { createContext, createNode } from '../../__tests__/test-helpers';
+import { ExpressionNodeReferenceRule } from '../expression-node-reference.rule';
+
+describe('ExpressionNodeReferenceRule', () => {
+	const rule = new ExpressionNodeReferenceRule();
+
+	it('should report expressions and code referencing missing nodes', () => {
+		const context = createContext([
+			createNode('Webhook'),
+			createNode('Set', 'n8n-nodes-base.set', {
+				parameters: {
+					values: [
+						{ value: "={{ $('Webhook').item.json.id }}" },
+						{ value: '={{ $("Old name").item.json.id }} {{ $node["Gone"].json.id }}' },
+						{ value: "={{ $items('Gone 2', 0) }} {{ $node.Legacy.json }}" },
+						{ value: "$('Not an expression')" },
+					],
+				},
+			}),
+			createNode('Code', 'n8n-nodes-base.code', {
+				parameters: { jsCode: "return $('It\\'s gone').all();" },
+			}),
+		]);
+
+		expect(rule.lint(context).map((issue) => issue.message)).toEqual([
+			"Node 'Set' references the missing node 'Old name'",
+			"Node 'Set' references the missing node 'Gone'",
+			"Node 'Set' references the missing node 'Gone 2'",
+			"Node 'Set' references the missing node 'Legacy'",
+			"Node 'Code' references the missing node 'It's gone'",
+		]);
+	});
+
+	it('should ignore node names built at runtime', () => {
+		const context = createContext([
+			createNode('Code', 'n8n-nodes-base.code', {
+				// eslint-disable-next-line n8n-local-rules/no-interpolation-in-regular-string
+				parameters: { jsCode: 'return $(`Node ${index}`).all();' },
+			}),
+		]);
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+});
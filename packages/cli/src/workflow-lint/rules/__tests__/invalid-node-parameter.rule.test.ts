@@ -0,0 +1,50 @@
+import { createContext, createDescription, createNode } from '../../__tests__/test-helpers';
+import { InvalidNodeParameterRule } from '../invalid-node-parameter.rule';
+
+describe('InvalidNodeParameterRule', () => {
+	const rule = new InvalidNodeParameterRule();
+	const descriptions = [
+		createDescription('n8n-nodes-base.httpRequest', {
+			properties: [
+				{ displayName: 'URL', name: 'url', type: 'string', default: '', required: true },
+				{ displayName: 'Method', name: 'method', type: 'string', default: 'GET', required: true },
+			],
+		}),
+	];
+
+	it('should report missing required parameters', () => {
+		const context = createContext(
+			[
+				createNode('Request', 'n8n-nodes-base.httpRequest'),
+				createNode('Configured', 'n8n-nodes-base.httpRequest', {
+					parameters: { url: 'https://n8n.io' },
+				}),
+			],
+			{},
+			descriptions,
+		);
+
+		expect(rule.lint(context)).toEqual([
+			{
+				message: 'Node \'Request\': Parameter "URL" is required.',
+				nodeId: 'node-Request',
+				nodeName: 'Request',
+			},
+		]);
+	});
+
+	it('should skip disabled, pinned and unknown nodes', () => {
+		const context = createContext(
+			[
+				createNode('Disabled', 'n8n-nodes-base.httpRequest', { disabled: true }),
+				createNode('Pinned', 'n8n-nodes-base.httpRequest'),
+				createNode('Unknown', 'n8n-nodes-custom.thing'),
+			],
+			{},
+			descriptions,
+			{ pinData: { Pinned: [{ json: {} }] } },
+		);
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+});
@@ -0,0 +1,41 @@
+import { createContext, createDescription, createNode } from '../../__tests__/test-helpers';
+import { UnknownNodeTypeRule } from '../unknown-node-type.rule';
+
+describe('UnknownNodeTypeRule', () => {
+	const rule = new UnknownNodeTypeRule();
+	const descriptions = [createDescription('n8n-nodes-base.set', { version: [1, 2] })];
+
+	it('should accept known node types and versions', () => {
+		const context = createContext(
+			[createNode('Set'), createNode('Set 2', 'n8n-nodes-base.set', { typeVersion: 2 })],
+			{},
+			descriptions,
+		);
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+
+	it('should report unknown node types and versions', () => {
+		const context = createContext(
+			[
+				createNode('Custom', 'n8n-nodes-custom.thing'),
+				createNode('Set', 'n8n-nodes-base.set', { typeVersion: 3 }),
+			],
+			{},
+			descriptions,
+		);
+
+		expect(rule.lint(context)).toEqual([
+			{
+				message: "Node 'Custom' uses the unknown node type 'n8n-nodes-custom.thing'",
+				nodeId: 'node-Custom',
+				nodeName: 'Custom',
+			},
+			{
+				message: "Node 'Set' uses version 3 of 'n8n-nodes-base.set', which only has versions 1, 2",
+				nodeId: 'node-Set',
+				nodeName: 'Set',
+			},
+		]);
+	});
+});
@@ -0,0 +1,59 @@
+import { NodeConnectionTypes } from 'n8n-workflow';
+
+import {
+	connect,
+	createContext,
+	createDescription,
+	createNode,
+} from '../../__tests__/test-helpers';
+import { UnreachableNodeRule } from '../unreachable-node.rule';
+
+describe('UnreachableNodeRule', () => {
+	const rule = new UnreachableNodeRule();
+	const descriptions = [
+		createDescription('n8n-nodes-base.webhook', { group: ['trigger'] }),
+		createDescription('n8n-nodes-base.set'),
+	];
+
+	it('should report nodes no trigger leads to', () => {
+		const context = createContext(
+			[
+				createNode('Webhook', 'n8n-nodes-base.webhook'),
+				createNode('Set'),
+				createNode('Orphan'),
+				createNode('Orphan child'),
+				createNode('Note', 'n8n-nodes-base.stickyNote'),
+			],
+			{ ...connect('Webhook', 'Set'), ...connect('Orphan', 'Orphan child') },
+			descriptions,
+		);
+
+		expect(rule.lint(context).map((issue) => issue.nodeName)).toEqual(['Orphan', 'Orphan child']);
+	});
+
+	it('should treat sub-nodes of reachable nodes as reachable', () => {
+		const context = createContext(
+			[
+				createNode('Chat', '@n8n/n8n-nodes-langchain.chatTrigger'),
+				createNode('Agent', '@n8n/n8n-nodes-langchain.agent'),
+				createNode('Model', '@n8n/n8n-nodes-langchain.lmChatOpenAi'),
+			],
+			{
+				...connect('Chat', 'Agent'),
+				Model: {
+					[NodeConnectionTypes.AiLanguageModel]: [
+						[{ node: 'Agent', type: NodeConnectionTypes.AiLanguageModel, index: 0 }],
+					],
+				},
+			},
+		);
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+
+	it('should not check workflows without a trigger', () => {
+		const context = createContext([createNode('A'), createNode('B')], {}, descriptions);
+
+		expect(rule.lint(context)).toEqual([]);
+	});
+});
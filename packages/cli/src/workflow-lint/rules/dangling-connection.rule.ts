@@ -0,0 +1,47 @@
+import { Service } from '@n8n/di';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+@Service()
+export class DanglingConnectionRule implements IWorkflowLintRule {
+	id: string = 'dangling-connection';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Dangling connection',
+			description: 'Connections have to start and end at nodes that exist in the workflow',
+			level: 'error',
+		};
+	}
+
+	lint({ workflow }: WorkflowLintContext): WorkflowLintIssue[] {
+		const nodeNames = new Set(workflow.nodes.map((node) => node.name));
+		const issues: WorkflowLintIssue[] = [];
+
+		for (const [sourceName, connectionsByType] of Object.entries(workflow.connections)) {
+			if (!nodeNames.has(sourceName)) {
+				issues.push({ message: `Connections start at the missing node '${sourceName}'` });
+				continue;
+			}
+
+			for (const [type, outputs] of Object.entries(connectionsByType)) {
+				for (const connections of outputs ?? []) {
+					for (const connection of connections ?? []) {
+						if (nodeNames.has(connection.node)) continue;
+						issues.push({
+							message: `Node '${sourceName}' has a ${type} connection to the missing node '${connection.node}'`,
+							nodeName: sourceName,
+						});
+					}
+				}
+			}
+		}
+
+		return issues;
+	}
+}
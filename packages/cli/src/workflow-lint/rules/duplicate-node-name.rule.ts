@@ -0,0 +1,40 @@
+import { Service } from '@n8n/di';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+@Service()
+export class DuplicateNodeNameRule implements IWorkflowLintRule {
+	id: string = 'duplicate-node-name';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Duplicate node name',
+			description:
+				'Node names identify nodes in connections and expressions, so they have to be unique',
+			level: 'error',
+		};
+	}
+
+	lint({ workflow }: WorkflowLintContext): WorkflowLintIssue[] {
+		const seen = new Set<string>();
+
+		return workflow.nodes.flatMap((node) => {
+			if (!seen.has(node.name)) {
+				seen.add(node.name);
+				return [];
+			}
+			return [
+				{
+					message: `Node name '${node.name}' is used by more than one node`,
+					nodeId: node.id,
+					nodeName: node.name,
+				},
+			];
+		});
+	}
+}
@@ -0,0 +1,73 @@
+import { Service } from '@n8n/di';
+import type { INode } from 'n8n-workflow';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+/** Ways to access the data of another node, the node name is the last capture group */
+const NODE_REFERENCES = [
+	/\$\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*\)/g,
+	/\$node\[\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*\]/g,
+	/\$items\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g,
+	/\$node\.([A-Za-z_$][\w$]*)/g,
+];
+
+/** Parameters holding JavaScript, which reference nodes like expressions do */
+const CODE_PARAMETERS = ['jsCode', 'functionCode', 'functionItemCode'];
+
+@Service()
+export class ExpressionNodeReferenceRule implements IWorkflowLintRule {
+	id: string = 'expression-node-reference';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Expression references a missing node',
+			description:
+				'Expressions and Code nodes can only read the data of nodes that exist in the workflow',
+			level: 'error',
+		};
+	}
+
+	lint({ workflow }: WorkflowLintContext): WorkflowLintIssue[] {
+		const nodeNames = new Set(workflow.nodes.map((node) => node.name));
+
+		return workflow.nodes.flatMap((node) => {
+			const missing = new Set(
+				this.findReferences(node).filter((name) => !nodeNames.has(name) && !/\$\{/.test(name)),
+			);
+			return [...missing].map((name) => ({
+				message: `Node '${node.name}' references the missing node '${name}'`,
+				nodeId: node.id,
+				nodeName: node.name,
+			}));
+		});
+	}
+
+	private findReferences(node: INode): string[] {
+		const references: string[] = [];
+
+		const visit = (value: unknown, key?: string) => {
+			if (Array.isArray(value)) {
+				value.forEach((item) => visit(item));
+			} else if (typeof value === 'object' && value !== null) {
+				Object.entries(value).forEach(([childKey, child]) => visit(child, childKey));
+			} else if (
+				typeof value === 'string' &&
+				(value.startsWith('=') || (key !== undefined && CODE_PARAMETERS.includes(key)))
+			) {
+				for (const pattern of NODE_REFERENCES) {
+					for (const match of value.matchAll(pattern)) {
+						references.push(match[match.length - 1].replace(/\\(.)/g, '$1'));
+					}
+				}
+			}
+		};
+		visit(node.parameters);
+
+		return references;
+	}
+}
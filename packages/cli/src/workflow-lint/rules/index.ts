@@ -0,0 +1,19 @@
+import { DanglingConnectionRule } from './dangling-connection.rule';
+import { DuplicateNodeNameRule } from './duplicate-node-name.rule';
+import { ExpressionNodeReferenceRule } from './expression-node-reference.rule';
+import { InvalidNodeParameterRule } from './invalid-node-parameter.rule';
+import { UnknownNodeTypeRule } from './unknown-node-type.rule';
+import { UnreachableNodeRule } from './unreachable-node.rule';
+
+const allRules = [
+	UnknownNodeTypeRule,
+	InvalidNodeParameterRule,
+	DuplicateNodeNameRule,
+	DanglingConnectionRule,
+	UnreachableNodeRule,
+	ExpressionNodeReferenceRule,
+];
+type RuleConstructors = (typeof allRules)[number];
+type RuleInstances = InstanceType<RuleConstructors>;
+
+export { allRules, type RuleInstances };
@@ -0,0 +1,56 @@
+import { Service } from '@n8n/di';
+import { NodeHelpers } from 'n8n-workflow';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+@Service()
+export class InvalidNodeParameterRule implements IWorkflowLintRule {
+	id: string = 'invalid-node-parameter';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Missing required or invalid node parameter',
+			description:
+				'Runs the parameter checks the editor shows as node issues, like missing required parameters. Disabled and pinned nodes are skipped.',
+			level: 'error',
+		};
+	}
+
+	lint({ workflow, nodeTypes }: WorkflowLintContext): WorkflowLintIssue[] {
+		const pinDataNodeNames = Object.keys(workflow.pinData ?? {});
+
+		return workflow.nodes.flatMap((node) => {
+			const description = nodeTypes.getDescription(node.type, node.typeVersion);
+			if (!description) return [];
+
+			// Files only store parameters that differ from the defaults, just like saved workflows
+			const parameters = NodeHelpers.getNodeParameters(
+				description.properties,
+				node.parameters,
+				true,
+				false,
+				node,
+				description,
+			);
+			const nodeIssues = NodeHelpers.getNodeParametersIssues(
+				description.properties,
+				{ ...node, parameters: parameters ?? {} },
+				description,
+				pinDataNodeNames,
+			);
+
+			return Object.values(nodeIssues?.parameters ?? {})
+				.flat()
+				.map((message) => ({
+					message: `Node '${node.name}': ${message}`,
+					nodeId: node.id,
+					nodeName: node.name,
+				}));
+		});
+	}
+}
@@ -0,0 +1,47 @@
+import { Service } from '@n8n/di';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+@Service()
+export class UnknownNodeTypeRule implements IWorkflowLintRule {
+	id: string = 'unknown-node-type';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Unknown node type or version',
+			description:
+				'Nodes have to use a node type and type version provided by the installed node packages',
+			level: 'error',
+		};
+	}
+
+	lint({ nodesGroupedByType, nodeTypes }: WorkflowLintContext): WorkflowLintIssue[] {
+		const issues: WorkflowLintIssue[] = [];
+
+		for (const [type, nodes] of nodesGroupedByType) {
+			const versions = nodeTypes.getVersions(type);
+			for (const node of nodes) {
+				if (versions === undefined) {
+					issues.push({
+						message: `Node '${node.name}' uses the unknown node type '${type}'`,
+						nodeId: node.id,
+						nodeName: node.name,
+					});
+				} else if (!versions.includes(node.typeVersion)) {
+					issues.push({
+						message: `Node '${node.name}' uses version ${node.typeVersion} of '${type}', which only has versions ${versions.join(', ')}`,
+						nodeId: node.id,
+						nodeName: node.name,
+					});
+				}
+			}
+		}
+
+		return issues;
+	}
+}
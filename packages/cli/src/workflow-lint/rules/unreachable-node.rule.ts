@@ -0,0 +1,69 @@
+import { Service } from '@n8n/di';
+import type { INode } from 'n8n-workflow';
+import { NodeConnectionTypes, STICKY_NODE_TYPE } from 'n8n-workflow';
+
+import type {
+	IWorkflowLintRule,
+	WorkflowLintContext,
+	WorkflowLintIssue,
+	WorkflowLintNodeTypes,
+	WorkflowLintRuleMetadata,
+} from '../types';
+
+@Service()
+export class UnreachableNodeRule implements IWorkflowLintRule {
+	id: string = 'unreachable-node';
+
+	getMetadata(): WorkflowLintRuleMetadata {
+		return {
+			title: 'Unreachable node',
+			description:
+				'Nodes that no trigger leads to never run. Workflows without a trigger are not checked.',
+			level: 'warning',
+		};
+	}
+
+	lint({ workflow, nodeTypes }: WorkflowLintContext): WorkflowLintIssue[] {
+		const nodes = workflow.nodes.filter((node) => node.type !== STICKY_NODE_TYPE);
+		const triggers = nodes.filter((node) => this.isTrigger(node, nodeTypes));
+		if (triggers.length === 0) return [];
+
+		// Main connections run from parent to child, sub-nodes connect to the node that uses them
+		const next = new Map<string, string[]>();
+		const addEdge = (from: string, to: string) => next.set(from, [...(next.get(from) ?? []), to]);
+		for (const [sourceName, connectionsByType] of Object.entries(workflow.connections)) {
+			for (const [type, outputs] of Object.entries(connectionsByType)) {
+				for (const connection of (outputs ?? []).flat()) {
+					if (!connection) continue;
+					if (type === NodeConnectionTypes.Main) addEdge(sourceName, connection.node);
+					else addEdge(connection.node, sourceName);
+				}
+			}
+		}
+
+		const reachable = new Set<string>();
+		const queue = triggers.map((node) => node.name);
+		while (queue.length > 0) {
+			const name = queue.shift()!;
+			if (reachable.has(name)) continue;
+			reachable.add(name);
+			queue.push(...(next.get(name) ?? []));
+		}
+
+		return nodes
+			.filter((node) => !reachable.has(node.name))
+			.map((node) => ({
+				message: `Node '${node.name}' is not connected to a trigger and will never run`,
+				nodeId: node.id,
+				nodeName: node.name,
+			}));
+	}
+
+	private isTrigger(node: INode, nodeTypes: WorkflowLintNodeTypes) {
+		const description = nodeTypes.getDescription(node.type, node.typeVersion);
+		if (description) return description.group.includes('trigger');
+
+		// Unknown node types are reported by their own rule, go by the name for those
+		return node.type.toLowerCase().endsWith('trigger');
+	}
+}
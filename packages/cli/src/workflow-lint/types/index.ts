@@ -0,0 +1,2 @@
+export type * from './rule.types';
+export type * from './result.types';
@@ -0,0 +1,17 @@
+import type { WorkflowLintLevel } from './rule.types';
+
+export interface WorkflowLintResult {
+	ruleId: string;
+	level: WorkflowLintLevel;
+	message: string;
+	/** Path of the .n8n file or directory */
+	filePath: string;
+	nodeId?: string;
+	nodeName?: string;
+}
+
+export interface WorkflowLintReport {
+	results: WorkflowLintResult[];
+	errorCount: number;
+	warningCount: number;
+}
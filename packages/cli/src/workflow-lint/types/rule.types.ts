@@ -0,0 +1,44 @@
+import type { INode, INodeTypeDescription } from 'n8n-workflow';
+
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+
+/**
+ * Levels as defined by SARIF, so results map onto code scanning annotations as they are.
+ */
+export type WorkflowLintLevel = 'error' | 'warning' | 'note';
+
+export interface WorkflowLintRuleMetadata {
+	title: string;
+	description: string;
+	/** Level of the issues the rule reports unless an issue sets its own */
+	level: WorkflowLintLevel;
+	documentationUrl?: string;
+}
+
+export interface WorkflowLintIssue {
+	message: string;
+	level?: WorkflowLintLevel;
+	nodeId?: string;
+	nodeName?: string;
+}
+
+/**
+ * Node descriptions the workflow is checked against, loaded without a running instance.
+ */
+export interface WorkflowLintNodeTypes {
+	/** Versions the node type is known in, `undefined` when the type is not known at all */
+	getVersions(type: string): number[] | undefined;
+	getDescription(type: string, version: number): INodeTypeDescription | undefined;
+}
+
+export interface WorkflowLintContext {
+	workflow: WorkflowFileData;
+	nodesGroupedByType: Map<string, INode[]>;
+	nodeTypes: WorkflowLintNodeTypes;
+}
+
+export interface IWorkflowLintRule {
+	id: string;
+	getMetadata(): WorkflowLintRuleMetadata;
+	lint(context: WorkflowLintContext): WorkflowLintIssue[];
+}
@@ -0,0 +1,33 @@
+import { Logger } from '@n8n/backend-common';
+import { Service } from '@n8n/di';
+
+import type { IWorkflowLintRule } from './types';
+
+@Service()
+export class WorkflowLintRuleRegistry {
+	private readonly rules = new Map<string, IWorkflowLintRule>();
+
+	constructor(private readonly logger: Logger) {
+		this.logger = logger.scoped('workflow-lint');
+	}
+
+	register(rule: IWorkflowLintRule): void {
+		if (this.rules.has(rule.id)) {
+			this.logger.warn(`Rule with ID ${rule.id} is already registered. Overwriting.`);
+		}
+		this.rules.set(rule.id, rule);
+		this.logger.debug(`Registered rule: ${rule.id}`);
+	}
+
+	registerAll(rules: IWorkflowLintRule[]): void {
+		rules.forEach((rule) => this.register(rule));
+	}
+
+	getRule(id: string): IWorkflowLintRule | undefined {
+		return this.rules.get(id);
+	}
+
+	getRules(): IWorkflowLintRule[] {
+		return Array.from(this.rules.values());
+	}
+}
@@ -0,0 +1,144 @@
+import { Logger } from '@n8n/backend-common';
+import { Container, Service } from '@n8n/di';
+import type { INode, INodeTypeDescription } from 'n8n-workflow';
+import { ensureError } from 'n8n-workflow';
+
+import { allRules, type RuleInstances } from './rules';
+import type { WorkflowLintNodeTypes, WorkflowLintReport, WorkflowLintResult } from './types';
+import { WorkflowLintRuleRegistry } from './workflow-lint.rule-registry.service';
+
+import { N8N_VERSION } from '@/constants';
+import type { WorkflowFile } from '@/workflows/workflow-file-sync.service';
+
+@Service()
+export class WorkflowLintService {
+	constructor(
+		private readonly ruleRegistry: WorkflowLintRuleRegistry,
+		private readonly logger: Logger,
+	) {
+		this.logger = logger.scoped('workflow-lint');
+		this.registerRules();
+	}
+
+	registerRules() {
+		const rulesServices: RuleInstances[] = allRules.map((rule) =>
+			Container.get<RuleInstances>(rule),
+		);
+		this.ruleRegistry.registerAll(rulesServices);
+	}
+
+	/**
+	 * Index node descriptions, as loaded by `LoadNodesAndCredentials`, by type and version.
+	 */
+	createNodeTypes(descriptions: INodeTypeDescription[]): WorkflowLintNodeTypes {
+		const byType = new Map<string, Map<number, INodeTypeDescription>>();
+		for (const description of descriptions) {
+			const versions = byType.get(description.name) ?? new Map<number, INodeTypeDescription>();
+			const descriptionVersions = Array.isArray(description.version)
+				? description.version
+				: [description.version];
+			descriptionVersions.forEach((version) => versions.set(version, description));
+			byType.set(description.name, versions);
+		}
+
+		return {
+			getVersions: (type) => {
+				const versions = byType.get(type);
+				return versions ? [...versions.keys()].sort((a, b) => a - b) : undefined;
+			},
+			getDescription: (type, version) => byType.get(type)?.get(version),
+		};
+	}
+
+	lint(files: WorkflowFile[], nodeTypes: WorkflowLintNodeTypes): WorkflowLintReport {
+		const results: WorkflowLintResult[] = [];
+
+		for (const { path, workflow } of files) {
+			const nodesGroupedByType = workflow.nodes.reduce((map, node) => {
+				map.set(node.type, [...(map.get(node.type) ?? []), node]);
+				return map;
+			}, new Map<string, INode[]>());
+
+			for (const rule of this.ruleRegistry.getRules()) {
+				const { level } = rule.getMetadata();
+				try {
+					const issues = rule.lint({ workflow, nodesGroupedByType, nodeTypes });
+					results.push(
+						...issues.map((issue) => ({
+							ruleId: rule.id,
+							level: issue.level ?? level,
+							message: issue.message,
+							filePath: path,
+							nodeId: issue.nodeId,
+							nodeName: issue.nodeName,
+						})),
+					);
+				} catch (e) {
+					// A broken rule must not let the file pass silently
+					const error = ensureError(e);
+					this.logger.debug(`Rule ${rule.id} failed on ${path}`, { error });
+					results.push({
+						ruleId: rule.id,
+						level: 'error',
+						message: `Rule failed: ${error.message}`,
+						filePath: path,
+					});
+				}
+			}
+		}
+
+		return {
+			results,
+			errorCount: results.filter((result) => result.level === 'error').length,
+			warningCount: results.filter((result) => result.level === 'warning').length,
+		};
+	}
+
+	/**
+	 * Convert a report to SARIF 2.1.0, the format code scanning tools annotate pull requests from.
+	 */
+	toSarif({ results }: WorkflowLintReport) {
+		const rules = this.ruleRegistry.getRules();
+		const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+
+		return {
+			$schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+			version: '2.1.0',
+			runs: [
+				{
+					tool: {
+						driver: {
+							name: 'n8n-workflow-lint',
+							version: N8N_VERSION,
+							rules: rules.map((rule) => {
+								const { title, description, level, documentationUrl } = rule.getMetadata();
+								return {
+									id: rule.id,
+									name: title,
+									shortDescription: { text: title },
+									fullDescription: { text: description },
+									helpUri: documentationUrl,
+									defaultConfiguration: { level },
+								};
+							}),
+						},
+					},
+					results: results.map((result) => ({
+						ruleId: result.ruleId,
+						ruleIndex: ruleIndexes.get(result.ruleId),
+						level: result.level,
+						message: { text: result.message },
+						locations: [
+							{
+								physicalLocation: { artifactLocation: { uri: result.filePath } },
+								logicalLocations: result.nodeName
+									? [{ name: result.nodeName, kind: 'member' }]
+									: undefined,
+							},
+						],
+					})),
+				},
+			],
+		};
+	}
+}
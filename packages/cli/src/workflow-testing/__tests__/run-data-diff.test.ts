@@ -0,0 +1,116 @@
+import type { IDataObject, IRunData, ITaskData } from 'n8n-workflow';
+
+import { diffRunData, formatRunChanges, formatRunDataDrift } from '../run-data-diff';
+
+const run = (...json: IDataObject[]): ITaskData => ({
+	startTime: 0,
+	executionTime: 1,
+	executionIndex: 0,
+	source: [],
+	data: { main: [json.map((item) => ({ json: item }))] },
+});
+
+describe('diffRunData', () => {
+	const expected: IRunData = {
+		Webhook: [run({ id: 1 })],
+		Set: [run({ id: 1, createdAt: '2026-01-01' }, { id: 2, createdAt: '2026-01-01' })],
+	};
+
+	it('should find no drift in identical run data', () => {
+		expect(diffRunData(expected, structuredClone(expected))).toEqual([]);
+	});
+
+	it('should ignore volatile paths', () => {
+		const actual: IRunData = {
+			...expected,
+			Set: [run({ id: 1, createdAt: '2026-02-01' }, { id: 2, createdAt: '2026-02-01' })],
+		};
+
+		expect(diffRunData(expected, actual)).toHaveLength(2);
+		expect(diffRunData(expected, actual, ['$..json.createdAt'])).toEqual([]);
+	});
+
+	it('should report changed, missing and new items', () => {
+		const actual: IRunData = { ...expected, Set: [run({ id: 3, createdAt: '2026-01-01' })] };
+
+		expect(diffRunData(expected, actual)).toEqual([
+			expect.objectContaining({ nodeName: 'Set', itemIndex: 0, message: 'Item changed' }),
+			expect.objectContaining({ nodeName: 'Set', itemIndex: 1, message: 'Item is missing' }),
+		]);
+		expect(diffRunData(actual, expected)).toEqual([
+			expect.objectContaining({ nodeName: 'Set', itemIndex: 0, message: 'Item changed' }),
+			expect.objectContaining({ nodeName: 'Set', itemIndex: 1, message: 'Item is new' }),
+		]);
+	});
+
+	it('should report nodes that did not run or ran unexpectedly', () => {
+		const actual: IRunData = { Webhook: expected.Webhook, Code: [run({ id: 1 })] };
+
+		expect(diffRunData(expected, actual)).toEqual([
+			{ nodeName: 'Set', message: 'Node did not run' },
+			{ nodeName: 'Code', message: 'Node ran but was not expected to' },
+		]);
+	});
+
+	it('should report a different number of runs and failures', () => {
+		const failed = { ...run(), error: { message: 'Bad request' } } as ITaskData;
+		const actual: IRunData = { ...expected, Webhook: [failed, run({ id: 1 })] };
+
+		expect(diffRunData(expected, actual)).toEqual([
+			{ nodeName: 'Webhook', message: 'Node ran 2 times instead of 1' },
+			{ nodeName: 'Webhook', runIndex: 0, message: 'Node failed: Bad request' },
+			expect.objectContaining({ nodeName: 'Webhook', itemIndex: 0, message: 'Item is missing' }),
+		]);
+	});
+});
+
+describe('formatRunDataDrift', () => {
+	it('should print the location of each difference followed by the item diff', () => {
+		const drift = diffRunData({ Set: [run({ id: 1 })], Code: [run()] }, { Set: [run({ id: 2 })] });
+
+		expect(formatRunDataDrift(drift).split('\n')).toEqual([
+			'Set (run 0, output 0, item 0): Item changed',
+			'     {',
+			'       json: {',
+			'    -    id: 1',
+			'    +    id: 2',
+			'       }',
+			'     }',
+			'Code: Node did not run',
+		]);
+	});
+});
+
+describe('formatRunChanges', () => {
+	const previous: IRunData = {
+		Trigger: [run({ id: 1 })],
+		Set: [run({ id: 1 }, { id: 2 })],
+		Log: [run({ id: 1 })],
+	};
+
+	it('should list the output of every node on the first run', () => {
+		expect(formatRunChanges(undefined, previous).split('\n')).toEqual([
+			'✓  Trigger  1 item',
+			'✓  Set      2 items',
+			'✓  Log      1 item',
+		]);
+	});
+
+	it('should mark what changed compared to the previous run', () => {
+		const failed = { ...run(), error: { message: 'Bad request' } } as ITaskData;
+		const current: IRunData = {
+			Trigger: [run({ id: 1 })],
+			Set: [run({ id: 1 }, { id: 3 }, { id: 4 })],
+			Code: [failed],
+			Filter: [run()],
+		};
+
+		expect(formatRunChanges(previous, current).split('\n')).toEqual([
+			'✓  Trigger  1 item',
+			'~  Set      3 items  2 changes',
+			'✗  Code     failed: Bad request',
+			'+  Filter   0 items  new',
+			'-  Log      did not run',
+		]);
+	});
+});
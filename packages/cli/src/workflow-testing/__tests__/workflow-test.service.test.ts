@@ -0,0 +1,136 @@
+import { mock } from 'jest-mock-extended';
+import type { INode, INodeType, IRunData } from 'n8n-workflow';
+
+import type { NodeTypes } from '@/node-types';
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+
+import { workflowTestSpecSchema } from '../workflow-test-spec';
+import { WorkflowTestService } from '../workflow-test.service';
+
+const createNode = (name: string, type: string): INode => ({
+	id: name,
+	name,
+	type,
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+});
+
+const output = (...json: Array<Record<string, unknown>>) => [
+	{
+		startTime: 0,
+		executionTime: 1,
+		executionIndex: 0,
+		source: [],
+		data: { main: [json.map((item) => ({ json: item }))] },
+	},
+];
+
+describe('WorkflowTestService', () => {
+	const nodeTypes = mock<NodeTypes>();
+	nodeTypes.getByNameAndVersion.mockImplementation((type) => {
+		if (type === 'n8n-nodes-base.webhook') {
+			return mock<INodeType>({ description: { group: ['trigger'] } });
+		}
+		if (type === 'n8n-nodes-base.slack') {
+			return mock<INodeType>({
+				description: { group: ['output'], credentials: [{ name: 'slackApi' }] },
+			});
+		}
+		return mock<INodeType>({ description: { group: ['transform'], credentials: undefined } });
+	});
+	const service = new WorkflowTestService(nodeTypes);
+
+	const workflow: WorkflowFileData = {
+		name: 'Orders',
+		nodes: [
+			createNode('Webhook', 'n8n-nodes-base.webhook'),
+			createNode('Fetch', 'n8n-nodes-base.httpRequest'),
+			createNode('Total', 'n8n-nodes-base.set'),
+			createNode('Notify', 'n8n-nodes-base.slack'),
+		],
+		connections: {
+			Webhook: { main: [[{ node: 'Fetch', type: 'main', index: 0 }]] },
+			Fetch: { main: [[{ node: 'Total', type: 'main', index: 0 }]] },
+			Total: { main: [[{ node: 'Notify', type: 'main', index: 0 }]] },
+		},
+	};
+
+	const fixture = {
+		Webhook: output({ orderId: 1 }),
+		Fetch: output({ price: 2, quantity: 3 }),
+		Total: output({ total: 6, at: '2025-01-01T10:00:00Z' }),
+		Notify: output({ ok: true }),
+	} as unknown as IRunData;
+
+	const createSpec = (spec: object) => workflowTestSpecSchema.parse(spec);
+
+	it('should stub triggers and nodes calling external services from the fixture', () => {
+		const spec = createSpec({
+			tests: [{ name: 'Test', pinData: { Fetch: [{ json: { price: 5 } }] } }],
+		});
+
+		const stubbedNodes = service.getStubbedNodes(workflow, spec);
+		const pinData = service.buildPinData(stubbedNodes, spec.tests[0], fixture);
+
+		expect(stubbedNodes).toEqual(['Webhook', 'Fetch', 'Notify']);
+		expect(pinData).toEqual({
+			Webhook: [{ json: { orderId: 1 } }],
+			Fetch: [{ json: { price: 5 } }],
+			Notify: [{ json: { ok: true } }],
+		});
+		expect(service.getStartNodeName(workflow, pinData)).toBe('Webhook');
+	});
+
+	it('should compare the output with the fixture, ignoring volatile paths', () => {
+		const spec = createSpec({ ignore: ['$..json.at'], tests: [{ name: 'Test' }] });
+		const runData = {
+			...fixture,
+			Total: output({ total: 7, at: '2025-06-01T10:00:00Z' }),
+		} as unknown as IRunData;
+
+		const result = service.evaluate(spec, spec.tests[0], runData, {
+			fixture,
+			stubbedNodes: ['Webhook', 'Fetch', 'Notify'],
+		});
+
+		expect(result.passed).toBe(false);
+		expect(result.failures).toEqual([
+			expect.objectContaining({
+				nodeName: 'Total',
+				message: "Output of node 'Total' differs",
+				diff: [['~', { json: { total: { __old: 6, __new: 7 } } }]],
+			}),
+		]);
+	});
+
+	it('should check JSON path matchers', () => {
+		const spec = createSpec({
+			tests: [
+				{
+					name: 'Test',
+					expect: {
+						Total: {
+							'$[0].json.total': 6,
+							'$[0].json.at': { $matches: '^2025-' },
+							'$[*].json.total': { $type: 'string' },
+							'$[0].json.error': { $exists: false },
+						},
+						Missing: { '$[0].json': { $exists: true } },
+					},
+				},
+			],
+		});
+
+		const result = service.evaluate(spec, spec.tests[0], fixture);
+
+		expect(result.failures).toEqual([
+			{
+				nodeName: 'Total',
+				path: '$[0].json.total',
+				message: '$[0].json.total: Expected a value of type string, got number',
+			},
+			{ nodeName: 'Missing', message: "Node 'Missing' did not run" },
+		]);
+	});
+});
@@ -0,0 +1,181 @@
+import { diff, diffString } from 'json-diff';
+import type { INodeExecutionData, IRunData } from 'n8n-workflow';
+import { deepCopy, queryJsonPath, setAtJsonPath } from 'n8n-workflow';
+
+import { summarizeNodes } from '@/execution-output/execution-output';
+
+/** Replaces values at ignored paths on both sides before comparing */
+const IGNORED_VALUE = '[IGNORED]';
+
+type Items = Array<Pick<INodeExecutionData, 'json'>>;
+
+export interface RunDataDrift {
+	nodeName: string;
+	message: string;
+	runIndex?: number;
+	outputIndex?: number;
+	itemIndex?: number;
+	/** Structured diff of the item JSON, as produced by `json-diff` */
+	diff?: unknown;
+	expected?: unknown;
+	actual?: unknown;
+}
+
+/**
+ * Keep only the JSON of items, masking the values at the ignored JSON paths,
+ * e.g. `$..json.createdAt`.
+ */
+export function normalizeItems(items: Items, ignore: string[] = []): Items {
+	const normalized = deepCopy(items.map((item) => ({ json: item.json })));
+	for (const path of ignore) {
+		for (const { location } of queryJsonPath(normalized, path)) {
+			setAtJsonPath(normalized, location, IGNORED_VALUE);
+		}
+	}
+	return normalized;
+}
+
+function diffItems(
+	nodeName: string,
+	runIndex: number,
+	outputIndex: number,
+	expectedItems: Items,
+	actualItems: Items,
+	ignore: string[],
+): RunDataDrift[] {
+	const expected = normalizeItems(expectedItems, ignore);
+	const actual = normalizeItems(actualItems, ignore);
+	const drift: RunDataDrift[] = [];
+
+	for (let itemIndex = 0; itemIndex < Math.max(expected.length, actual.length); itemIndex++) {
+		const location = { nodeName, runIndex, outputIndex, itemIndex };
+		if (itemIndex >= actual.length) {
+			drift.push({ ...location, message: 'Item is missing', expected: expected[itemIndex] });
+		} else if (itemIndex >= expected.length) {
+			drift.push({ ...location, message: 'Item is new', actual: actual[itemIndex] });
+		} else {
+			const changes: unknown = diff(expected[itemIndex], actual[itemIndex]);
+			if (changes !== undefined) {
+				drift.push({
+					...location,
+					message: 'Item changed',
+					diff: changes,
+					expected: expected[itemIndex],
+					actual: actual[itemIndex],
+				});
+			}
+		}
+	}
+
+	return drift;
+}
+
+/**
+ * Compare the run data of two executions node by node, run by run and item by item.
+ * Only the JSON of items on main outputs is compared.
+ */
+export function diffRunData(
+	expected: IRunData,
+	actual: IRunData,
+	ignore: string[] = [],
+): RunDataDrift[] {
+	const nodeNames = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+
+	return nodeNames.flatMap((nodeName) => {
+		const expectedRuns = expected[nodeName];
+		const actualRuns = actual[nodeName];
+		if (!actualRuns) return [{ nodeName, message: 'Node did not run' }];
+		if (!expectedRuns) return [{ nodeName, message: 'Node ran but was not expected to' }];
+
+		const drift: RunDataDrift[] = [];
+		if (expectedRuns.length !== actualRuns.length) {
+			drift.push({
+				nodeName,
+				message: `Node ran ${actualRuns.length} times instead of ${expectedRuns.length}`,
+			});
+		}
+
+		for (
+			let runIndex = 0;
+			runIndex < Math.min(expectedRuns.length, actualRuns.length);
+			runIndex++
+		) {
+			const expectedRun = expectedRuns[runIndex];
+			const actualRun = actualRuns[runIndex];
+			if (!expectedRun.error !== !actualRun.error) {
+				drift.push({
+					nodeName,
+					runIndex,
+					message: actualRun.error
+						? `Node failed: ${actualRun.error.message}`
+						: 'Node succeeded but was expected to fail',
+				});
+			}
+
+			const expectedOutputs = expectedRun.data?.main ?? [];
+			const actualOutputs = actualRun.data?.main ?? [];
+			const outputCount = Math.max(expectedOutputs.length, actualOutputs.length);
+			for (let outputIndex = 0; outputIndex < outputCount; outputIndex++) {
+				drift.push(
+					...diffItems(
+						nodeName,
+						runIndex,
+						outputIndex,
+						expectedOutputs[outputIndex] ?? [],
+						actualOutputs[outputIndex] ?? [],
+						ignore,
+					),
+				);
+			}
+		}
+
+		return drift;
+	});
+}
+
+/**
+ * Format drift as text, one line per difference followed by the diff of changed items.
+ */
+export function formatRunDataDrift(drift: RunDataDrift[], { color = false } = {}): string {
+	return drift
+		.flatMap((entry) => {
+			const location = [
+				entry.runIndex !== undefined && `run ${entry.runIndex}`,
+				entry.outputIndex !== undefined && `output ${entry.outputIndex}`,
+				entry.itemIndex !== undefined && `item ${entry.itemIndex}`,
+			].filter(Boolean);
+			const heading = `${entry.nodeName}${location.length ? ` (${location.join(', ')})` : ''}: ${entry.message}`;
+			if (entry.diff === undefined) return [heading];
+
+			const changes = diffString(entry.expected, entry.actual, { color }).trimEnd().split('\n');
+			return [heading, ...changes.map((line) => `    ${line}`)];
+		})
+		.join('\n');
+}
+
+const pluralize = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Format a run as one line per node with its output, marking what changed compared to
+ * the previous run: `~` changed, `+` new, `-` did not run anymore and `✗` failed.
+ */
+export function formatRunChanges(previous: IRunData | undefined, current: IRunData): string {
+	const drift = previous ? diffRunData(previous, current) : [];
+	const rows = summarizeNodes(current).map((node) => {
+		const changes = drift.filter((entry) => entry.nodeName === node.nodeName).length;
+		if (node.status === 'error') return ['✗', node.nodeName, `failed: ${node.error}`];
+
+		const items = pluralize(node.itemsOut, 'item');
+		if (previous && !previous[node.nodeName]) return ['+', node.nodeName, items, 'new'];
+		if (changes > 0) return ['~', node.nodeName, items, pluralize(changes, 'change')];
+		return ['✓', node.nodeName, items];
+	});
+	for (const nodeName of Object.keys(previous ?? {})) {
+		if (!current[nodeName]) rows.push(['-', nodeName, 'did not run']);
+	}
+
+	const width = Math.max(...rows.map(([, nodeName]) => nodeName.length));
+	return rows
+		.map(([mark, nodeName, ...details]) => [mark, nodeName.padEnd(width), ...details].join('  '))
+		.join('\n');
+}
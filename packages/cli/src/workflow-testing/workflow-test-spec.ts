@@ -0,0 +1,54 @@
+import { z } from 'zod';
+
+const itemsSchema = z.array(z.object({ json: z.record(z.unknown()) }).passthrough());
+
+/**
+ * Checks a value selected by a JSON path. Any other value is compared for equality.
+ */
+const matcherSchema = z.union([
+	z.object({ $equals: z.unknown() }).strict(),
+	z.object({ $matches: z.string() }).strict(),
+	z.object({ $type: z.enum(['string', 'number', 'boolean', 'object', 'array', 'null']) }).strict(),
+	z.object({ $exists: z.boolean() }).strict(),
+]);
+
+/**
+ * Expected output of a node: either all of its items, or JSON paths into its items with the
+ * value or matcher each has to satisfy, e.g. `{ "$[0].json.total": 42 }`.
+ */
+const expectationSchema = z.union([itemsSchema, z.record(z.unknown())]);
+
+const workflowTestSchema = z.object({
+	name: z.string(),
+	/** Overrides the fixture of the spec */
+	fixture: z.string().optional(),
+	/** Pinned output per node name, takes precedence over the fixture */
+	pinData: z.record(itemsSchema).default({}),
+	/** Expected output per node name, defaults to the output recorded in the fixture */
+	expect: z.record(expectationSchema).optional(),
+	/** JSON paths into the items of every node that may differ, added to those of the spec */
+	ignore: z.array(z.string()).default([]),
+});
+
+export const workflowTestSpecSchema = z.object({
+	/** .data file relative to the spec, whose run data stubs nodes and serves as expected output */
+	fixture: z.string().optional(),
+	/** Nodes to stub from the fixture, defaults to triggers and nodes calling external services */
+	stub: z.array(z.string()).optional(),
+	/** JSON paths into the items of every node that may differ, like timestamps or ids */
+	ignore: z.array(z.string()).default([]),
+	tests: z.array(workflowTestSchema).min(1),
+});
+
+export type WorkflowTestSpec = z.infer<typeof workflowTestSpecSchema>;
+export type WorkflowTest = z.infer<typeof workflowTestSchema>;
+export type WorkflowTestMatcher = z.infer<typeof matcherSchema>;
+
+export function isWorkflowTestMatcher(value: unknown): value is WorkflowTestMatcher {
+	return (
+		typeof value === 'object' &&
+		value !== null &&
+		Object.keys(value).length === 1 &&
+		matcherSchema.safeParse(value).success
+	);
+}
@@ -0,0 +1,219 @@
+import { Service } from '@n8n/di';
+import { diff } from 'json-diff';
+import type {
+	INode,
+	INodeExecutionData,
+	INodeTypeDescription,
+	IPinData,
+	IRunData,
+} from 'n8n-workflow';
+import { formatJsonPath, queryJsonPath } from 'n8n-workflow';
+
+import { normalizeItems } from './run-data-diff';
+import type { WorkflowTest, WorkflowTestMatcher, WorkflowTestSpec } from './workflow-test-spec';
+import { isWorkflowTestMatcher } from './workflow-test-spec';
+
+import { NodeTypes } from '@/node-types';
+import type { WorkflowFileData } from '@/workflows/workflow-file-sync.service';
+
+/** Nodes that reach out of the workflow without declaring credentials */
+const EXTERNAL_NODE_TYPES = ['n8n-nodes-base.httpRequest', 'n8n-nodes-base.executeWorkflow'];
+
+export interface WorkflowTestFailure {
+	nodeName: string;
+	message: string;
+	/** JSON path of the value that did not match */
+	path?: string;
+	/** Structured diff of the expected and actual items, as produced by `json-diff` */
+	diff?: unknown;
+	expected?: unknown;
+	actual?: unknown;
+}
+
+export interface WorkflowTestResult {
+	name: string;
+	passed: boolean;
+	failures: WorkflowTestFailure[];
+}
+
+type Items = Array<Pick<INodeExecutionData, 'json'>>;
+
+@Service()
+export class WorkflowTestService {
+	constructor(private readonly nodeTypes: NodeTypes) {}
+
+	/**
+	 * Nodes replaced by their recorded output: the ones listed in the spec, otherwise
+	 * triggers and nodes calling external services.
+	 */
+	getStubbedNodes(workflow: WorkflowFileData, spec: WorkflowTestSpec): string[] {
+		if (spec.stub) return spec.stub;
+
+		return workflow.nodes
+			.filter((node) => {
+				if (EXTERNAL_NODE_TYPES.includes(node.type)) return true;
+				const description = this.getDescription(node);
+				return (
+					!!description &&
+					(description.group.includes('trigger') || !!description.credentials?.length)
+				);
+			})
+			.map((node) => node.name);
+	}
+
+	/**
+	 * Pinned data of a test run: the fixture output of the stubbed nodes, overridden by the test.
+	 */
+	buildPinData(stubbedNodes: string[], test: WorkflowTest, fixture?: IRunData): IPinData {
+		const pinData: IPinData = {};
+		for (const nodeName of stubbedNodes) {
+			const items = this.getOutput(fixture, nodeName);
+			if (items) pinData[nodeName] = items;
+		}
+		return { ...pinData, ...(test.pinData as IPinData) };
+	}
+
+	/**
+	 * Node to start the run at, the pinned trigger if there is one.
+	 */
+	getStartNodeName(workflow: WorkflowFileData, pinData: IPinData): string | undefined {
+		const childNodes = new Set(
+			Object.values(workflow.connections).flatMap((connectionsByType) =>
+				(connectionsByType.main ?? []).flat().map((connection) => connection?.node),
+			),
+		);
+		return workflow.nodes.find((node) => node.name in pinData && !childNodes.has(node.name))?.name;
+	}
+
+	evaluate(
+		spec: WorkflowTestSpec,
+		test: WorkflowTest,
+		runData: IRunData,
+		{ fixture, stubbedNodes = [] }: { fixture?: IRunData; stubbedNodes?: string[] } = {},
+	): WorkflowTestResult {
+		const ignore = [...spec.ignore, ...test.ignore];
+		const expectations =
+			test.expect ??
+			Object.fromEntries(
+				Object.keys(fixture ?? {})
+					.filter((nodeName) => !stubbedNodes.includes(nodeName))
+					.map((nodeName) => [nodeName, this.getOutput(fixture, nodeName) ?? []]),
+			);
+
+		const failures = Object.entries(expectations).flatMap(([nodeName, expected]) => {
+			const actual = this.getOutput(runData, nodeName);
+			if (actual === undefined) {
+				return [{ nodeName, message: `Node '${nodeName}' did not run` }];
+			}
+
+			return Array.isArray(expected)
+				? this.compareItems(nodeName, expected as Items, actual, ignore)
+				: this.matchPaths(nodeName, expected, actual);
+		});
+
+		return { name: test.name, passed: failures.length === 0, failures };
+	}
+
+	private compareItems(
+		nodeName: string,
+		expected: Items,
+		actual: Items,
+		ignore: string[],
+	): WorkflowTestFailure[] {
+		const expectedItems = normalizeItems(expected, ignore);
+		const actualItems = normalizeItems(actual, ignore);
+		const changes: unknown = diff(expectedItems, actualItems);
+		if (changes === undefined) return [];
+
+		return [
+			{
+				nodeName,
+				message: `Output of node '${nodeName}' differs`,
+				diff: changes,
+				expected: expectedItems,
+				actual: actualItems,
+			},
+		];
+	}
+
+	private matchPaths(
+		nodeName: string,
+		expectations: Record<string, unknown>,
+		actual: Items,
+	): WorkflowTestFailure[] {
+		return Object.entries(expectations).flatMap(([path, expected]) => {
+			const matcher: WorkflowTestMatcher = isWorkflowTestMatcher(expected)
+				? expected
+				: { $equals: expected };
+			const matches = queryJsonPath(actual, path);
+
+			if ('$exists' in matcher) {
+				return matches.length > 0 === matcher.$exists
+					? []
+					: [
+							{
+								nodeName,
+								path,
+								message: `Expected ${path} ${matcher.$exists ? '' : 'not '}to exist`,
+							},
+						];
+			}
+			if (matches.length === 0) {
+				return [{ nodeName, path, message: `Expected ${path} to exist` }];
+			}
+
+			return matches.flatMap(({ location, value }) => {
+				const message = this.checkMatcher(matcher, value);
+				return message
+					? [
+							{
+								nodeName,
+								path: formatJsonPath(location),
+								message: `${formatJsonPath(location)}: ${message}`,
+							},
+						]
+					: [];
+			});
+		});
+	}
+
+	private checkMatcher(matcher: WorkflowTestMatcher, value: unknown): string | undefined {
+		if ('$matches' in matcher) {
+			return typeof value === 'string' && new RegExp(matcher.$matches).test(value)
+				? undefined
+				: `Expected ${JSON.stringify(value)} to match /${matcher.$matches}/`;
+		}
+		if ('$type' in matcher) {
+			const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+			return type === matcher.$type
+				? undefined
+				: `Expected a value of type ${matcher.$type}, got ${type}`;
+		}
+		if ('$equals' in matcher) {
+			return diff(matcher.$equals, value) === undefined
+				? undefined
+				: `Expected ${JSON.stringify(matcher.$equals)}, got ${JSON.stringify(value)}`;
+		}
+		return undefined;
+	}
+
+	/**
+	 * Items of the first output in the last run of a node.
+	 */
+	private getOutput(
+		runData: IRunData | undefined,
+		nodeName: string,
+	): INodeExecutionData[] | undefined {
+		const taskData = runData?.[nodeName]?.at(-1);
+		if (!taskData) return undefined;
+		return taskData.data?.main?.[0] ?? [];
+	}
+
+	private getDescription(node: INode): INodeTypeDescription | undefined {
+		try {
+			return this.nodeTypes.getByNameAndVersion(node.type, node.typeVersion).description;
+		} catch {
+			return undefined;
+		}
+	}
+}
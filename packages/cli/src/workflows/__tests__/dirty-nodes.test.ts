@@ -0,0 +1,59 @@
+import type { IConnections, INode } from 'n8n-workflow';
+
+import { getDirtyNodeNames } from '../dirty-nodes';
+
+const createNode = (name: string, parameters = {}): INode => ({
+	id: name,
+	name,
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters,
+});
+
+const connect = (...names: string[]): IConnections =>
+	Object.fromEntries(
+		names
+			.slice(0, -1)
+			.map((name, index) => [
+				name,
+				{ main: [[{ node: names[index + 1], type: 'main' as const, index: 0 }]] },
+			]),
+	);
+
+describe('getDirtyNodeNames', () => {
+	const previous = {
+		nodes: [createNode('Trigger'), createNode('Fetch', { url: 'a' }), createNode('Format')],
+		connections: connect('Trigger', 'Fetch', 'Format'),
+	};
+
+	it('should ignore cosmetic changes', () => {
+		const current = {
+			...previous,
+			nodes: previous.nodes.map((node) => ({ ...node, position: [100, 100] as [number, number] })),
+		};
+
+		expect(getDirtyNodeNames(previous, current)).toEqual([]);
+	});
+
+	it('should mark new nodes and nodes with changed parameters', () => {
+		const current = {
+			nodes: [...previous.nodes.slice(0, 1), createNode('Fetch', { url: 'b' }), createNode('Log')],
+			connections: connect('Trigger', 'Fetch', 'Log'),
+		};
+
+		expect(getDirtyNodeNames(previous, current)).toEqual(['Fetch', 'Log']);
+	});
+
+	it('should mark nodes connected to other parents', () => {
+		const current = { ...previous, connections: connect('Trigger', 'Format', 'Fetch') };
+
+		expect(getDirtyNodeNames(previous, current)).toEqual(['Fetch', 'Format']);
+	});
+
+	it('should mark nodes with changed pinned data', () => {
+		const current = { ...previous, pinData: { Fetch: [{ json: { id: 1 } }] } };
+
+		expect(getDirtyNodeNames(previous, current)).toEqual(['Fetch']);
+	});
+});
@@ -0,0 +1,167 @@
+import type { GlobalConfig } from '@n8n/config';
+import type {
+	CredentialsEntity,
+	Project,
+	ProjectRepository,
+	SharedWorkflowRepository,
+	User,
+} from '@n8n/db';
+import { WorkflowEntity } from '@n8n/db';
+import type { EntityManager } from '@n8n/typeorm';
+import { mock } from 'jest-mock-extended';
+
+import type { CredentialsService } from '@/credentials/credentials.service';
+import { BadRequestError } from '@/errors/response-errors/bad-request.error';
+import type { EventService } from '@/events/event.service';
+import type { ExternalHooks } from '@/external-hooks';
+import type { License } from '@/license';
+import type { ProjectService } from '@/services/project.service.ee';
+
+import { WorkflowCreationService } from '../workflow-creation.service';
+import type { WorkflowFinderService } from '../workflow-finder.service';
+import type { WorkflowHistoryService } from '../workflow-history/workflow-history.service';
+import type { EnterpriseWorkflowService } from '../workflow.service.ee';
+
+describe('WorkflowCreationService', () => {
+	const user = mock<User>({ id: 'user-123' });
+	const project = mock<Project>({ id: 'project-1', type: 'personal' });
+	const trx = mock<EntityManager>();
+
+	const externalHooks = mock<ExternalHooks>();
+	const license = mock<License>();
+	const projectRepository = mock<ProjectRepository>();
+	const projectService = mock<ProjectService>();
+	const sharedWorkflowRepository = mock<SharedWorkflowRepository>();
+	const credentialsService = mock<CredentialsService>();
+	const enterpriseWorkflowService = mock<EnterpriseWorkflowService>();
+	const workflowHistoryService = mock<WorkflowHistoryService>();
+	const workflowFinderService = mock<WorkflowFinderService>();
+	const eventService = mock<EventService>();
+
+	const service = new WorkflowCreationService(
+		mock(),
+		externalHooks,
+		mock<GlobalConfig>({ tags: { disabled: true } }),
+		license,
+		mock(),
+		mock(),
+		projectRepository,
+		projectService,
+		sharedWorkflowRepository,
+		credentialsService,
+		enterpriseWorkflowService,
+		mock(),
+		workflowHistoryService,
+		workflowFinderService,
+		eventService,
+	);
+
+	const newWorkflow = () =>
+		Object.assign(new WorkflowEntity(), { name: 'Test Workflow', nodes: [], connections: {} });
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		trx.save.mockImplementation(async (entity: unknown) => ({ id: 'wf-1', ...(entity as object) }));
+		Object.assign(projectRepository, {
+			manager: { transaction: async (run: (em: EntityManager) => unknown) => await run(trx) },
+		});
+		projectRepository.getPersonalProjectForUserOrFail.mockResolvedValue(project);
+		projectService.getProjectWithScope.mockResolvedValue(project);
+	});
+
+	it('should save the workflow in the personal project and run the create hooks', async () => {
+		const saved = mock<WorkflowEntity>({ id: 'wf-1' });
+		workflowFinderService.findWorkflowForUser.mockResolvedValue(saved);
+		const workflow = newWorkflow();
+
+		const result = await service.create(user, workflow, { uiContext: 'workflow_list' });
+
+		expect(projectService.getProjectWithScope).toHaveBeenCalledWith(
+			user,
+			'project-1',
+			['workflow:create'],
+			trx,
+		);
+		expect(sharedWorkflowRepository.create).toHaveBeenCalledWith(
+			expect.objectContaining({ projectId: 'project-1', role: 'workflow:owner' }),
+		);
+		expect(workflowHistoryService.saveVersion).toHaveBeenCalledWith(
+			user,
+			expect.objectContaining({ id: 'wf-1' }),
+			'wf-1',
+			false,
+			trx,
+		);
+		expect(externalHooks.run).toHaveBeenCalledWith('workflow.create', [workflow]);
+		expect(externalHooks.run).toHaveBeenCalledWith('workflow.afterCreate', [saved]);
+		expect(eventService.emit).toHaveBeenCalledWith('workflow-created', {
+			user,
+			workflow,
+			publicApi: false,
+			projectId: 'project-1',
+			projectType: 'personal',
+			uiContext: 'workflow_list',
+		});
+		expect(result).toBe(saved);
+	});
+
+	it('should throw BadRequestError when the user cannot create workflows in the project', async () => {
+		projectService.getProjectWithScope.mockResolvedValue(null);
+
+		await expect(service.create(user, newWorkflow(), { projectId: 'team-1' })).rejects.toThrow(
+			"You don't have the permissions to save the workflow in this project.",
+		);
+		expect(trx.save).not.toHaveBeenCalled();
+		expect(eventService.emit).not.toHaveBeenCalled();
+	});
+
+	describe('credential retrieval for workflow creation', () => {
+		const globalCredential = mock<CredentialsEntity>({
+			id: 'global-cred-123',
+			name: 'Global Credential',
+			type: 'httpBasicAuth',
+			isGlobal: true,
+		});
+
+		const personalCredential = mock<CredentialsEntity>({
+			id: 'personal-cred-456',
+			name: 'Personal Credential',
+			type: 'httpBasicAuth',
+			isGlobal: false,
+		});
+
+		beforeEach(() => {
+			license.isSharingEnabled.mockReturnValue(true);
+		});
+
+		it('should include global credentials when checking credential permissions', async () => {
+			credentialsService.getMany.mockResolvedValue([globalCredential, personalCredential]);
+			workflowFinderService.findWorkflowForUser.mockResolvedValue(mock<WorkflowEntity>());
+
+			await service.create(user, newWorkflow());
+
+			expect(credentialsService.getMany).toHaveBeenCalledWith(user, {
+				includeGlobal: true,
+			});
+			expect(enterpriseWorkflowService.validateCredentialPermissionsToUser).toHaveBeenCalledWith(
+				expect.any(WorkflowEntity),
+				[globalCredential, personalCredential],
+			);
+		});
+
+		it('should throw BadRequestError when user lacks access to credentials in workflow', async () => {
+			credentialsService.getMany.mockResolvedValue([globalCredential]);
+			enterpriseWorkflowService.validateCredentialPermissionsToUser.mockImplementation(() => {
+				throw new Error('User does not have access');
+			});
+
+			const creation = service.create(user, newWorkflow());
+
+			await expect(creation).rejects.toThrow(BadRequestError);
+			await expect(creation).rejects.toThrow(
+				'The workflow you are trying to save contains credentials that are not shared with you',
+			);
+			expect(trx.save).not.toHaveBeenCalled();
+		});
+	});
+});
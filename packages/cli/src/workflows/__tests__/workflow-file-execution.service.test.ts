@@ -0,0 +1,280 @@
+import type { GlobalConfig } from '@n8n/config';
+import type {
+	ExecutionRepository,
+	Project,
+	ProjectRepository,
+	SharedWorkflowRepository,
+	User,
+	WorkflowEntity,
+	WorkflowRepository,
+} from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+import type { INode, INodeType, IRun, IRunData, ITaskData } from 'n8n-workflow';
+
+import type { ActiveExecutions } from '@/active-executions';
+import type { NodeTypes } from '@/node-types';
+import type { OwnershipService } from '@/services/ownership.service';
+import type { WorkflowRunner } from '@/workflow-runner';
+
+import { WorkflowFileExecutionService } from '../workflow-file-execution.service';
+import type { WorkflowFileData } from '../workflow-file-sync.service';
+
+describe('WorkflowFileExecutionService', () => {
+	const globalConfig = mock<GlobalConfig>({ executions: { mode: 'regular' } });
+	const ownershipService = mock<OwnershipService>();
+	const workflowRepository = mock<WorkflowRepository>();
+	const sharedWorkflowRepository = mock<SharedWorkflowRepository>();
+	const projectRepository = mock<ProjectRepository>();
+	const workflowRunner = mock<WorkflowRunner>();
+	const activeExecutions = mock<ActiveExecutions>();
+	const nodeTypes = mock<NodeTypes>();
+	const executionRepository = mock<ExecutionRepository>();
+
+	const service = new WorkflowFileExecutionService(
+		mock(),
+		globalConfig,
+		ownershipService,
+		workflowRepository,
+		sharedWorkflowRepository,
+		projectRepository,
+		workflowRunner,
+		activeExecutions,
+		nodeTypes,
+		executionRepository,
+	);
+
+	const workflow: WorkflowFileData = {
+		name: 'Orders',
+		nodes: [
+			{
+				id: '1',
+				name: 'Start',
+				type: 'n8n-nodes-base.manualTrigger',
+				typeVersion: 1,
+				position: [0, 0],
+				parameters: {},
+			},
+		],
+		connections: {},
+	};
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		nodeTypes.getByNameAndVersion.mockImplementation((type) =>
+			mock<INodeType>({
+				description: {
+					group: type.endsWith('Trigger') ? ['trigger'] : ['transform'],
+					properties: [],
+				},
+			}),
+		);
+		ownershipService.getInstanceOwner.mockResolvedValue(mock<User>({ id: 'owner' }));
+		projectRepository.getPersonalProjectForUserOrFail.mockResolvedValue(
+			mock<Project>({ id: 'project-1' }),
+		);
+		workflowRepository.create.mockImplementation((entity) => entity as WorkflowEntity);
+		const transactionManager = mock<WorkflowRepository['manager']>();
+		transactionManager.save.mockImplementation(async (entity: unknown) => entity as never);
+		Object.assign(workflowRepository, {
+			manager: mock<WorkflowRepository['manager']>({
+				transaction: jest.fn(
+					async (run: (manager: unknown) => Promise<unknown>) => await run(transactionManager),
+				) as never,
+			}),
+		});
+	});
+
+	it('should run the workflow as a manual execution and delete it with its execution afterwards', async () => {
+		const run = mock<IRun>();
+		workflowRunner.run.mockResolvedValue('execution-1');
+		activeExecutions.getPostExecutePromise.mockResolvedValue(run);
+
+		const result = await service.run(workflow, { pinData: { Start: [{ json: {} }] } });
+
+		expect(result).toBe(run);
+		const [{ workflowData, ...runData }] = workflowRunner.run.mock.calls[0];
+		expect(runData).toMatchObject({
+			executionMode: 'manual',
+			startNodes: [{ name: 'Start', sourceData: null }],
+			pinData: { Start: [{ json: {} }] },
+			userId: 'owner',
+		});
+		expect(workflowData).toMatchObject({ name: 'Orders', isArchived: true });
+		expect(executionRepository.hardDelete).toHaveBeenCalledWith({
+			workflowId: workflowData.id,
+			executionId: 'execution-1',
+		});
+		expect(workflowRepository.delete).toHaveBeenCalledWith(workflowData.id);
+	});
+
+	it('should run partially when given previous run data and a destination', async () => {
+		workflowRunner.run.mockResolvedValue('execution-1');
+		activeExecutions.getPostExecutePromise.mockResolvedValue(mock<IRun>());
+		const runData = { Start: [] };
+
+		await service.run(workflow, {
+			runData,
+			dirtyNodeNames: ['Start'],
+			destinationNodeName: 'Start',
+		});
+
+		expect(workflowRunner.run.mock.calls[0][0]).toMatchObject({
+			runData,
+			dirtyNodeNames: ['Start'],
+			destinationNode: { nodeName: 'Start', mode: 'inclusive' },
+		});
+	});
+
+	it('should run partially to the last nodes of the changed branches without a destination', async () => {
+		const createNode = (name: string): INode => ({
+			id: name,
+			name,
+			type: 'n8n-nodes-base.set',
+			typeVersion: 1,
+			position: [0, 0],
+			parameters: {},
+		});
+		const branches: WorkflowFileData = {
+			name: 'Orders',
+			nodes: [
+				workflow.nodes[0],
+				createNode('Fetch'),
+				createNode('Format'),
+				createNode('Notify'),
+				createNode('Log'),
+			],
+			connections: {
+				Start: {
+					main: [
+						[
+							{ node: 'Fetch', type: 'main', index: 0 },
+							{ node: 'Log', type: 'main', index: 0 },
+						],
+					],
+				},
+				Fetch: {
+					main: [
+						[
+							{ node: 'Format', type: 'main', index: 0 },
+							{ node: 'Notify', type: 'main', index: 0 },
+						],
+					],
+				},
+			},
+		};
+		const taskData = (value: string): ITaskData[] => [
+			{
+				startTime: 0,
+				executionTime: 0,
+				executionIndex: 0,
+				source: [],
+				data: { main: [[{ json: { value } }]] },
+			},
+		];
+		const previousRunData: IRunData = {
+			Start: taskData('Start'),
+			Fetch: taskData('Fetch'),
+			Format: taskData('Format'),
+			Notify: taskData('Notify'),
+			Log: taskData('Log'),
+		};
+		const runTo = (runData: IRunData) => ({ data: { resultData: { runData } } }) as IRun;
+		workflowRunner.run.mockResolvedValueOnce('execution-1').mockResolvedValueOnce('execution-2');
+		activeExecutions.getPostExecutePromise
+			.mockResolvedValueOnce(
+				runTo({ Start: previousRunData.Start, Fetch: taskData('new'), Format: taskData('new') }),
+			)
+			.mockResolvedValueOnce(
+				runTo({ Start: previousRunData.Start, Fetch: taskData('new'), Notify: taskData('new') }),
+			);
+
+		const result = await service.run(branches, {
+			runData: previousRunData,
+			dirtyNodeNames: ['Fetch'],
+		});
+
+		expect(workflowRunner.run).toHaveBeenCalledTimes(2);
+		expect(workflowRunner.run.mock.calls[0][0]).toMatchObject({
+			destinationNode: { nodeName: 'Format', mode: 'inclusive' },
+			runData: { Start: previousRunData.Start, Log: previousRunData.Log },
+		});
+		expect(workflowRunner.run.mock.calls[1][0]).toMatchObject({
+			destinationNode: { nodeName: 'Notify', mode: 'inclusive' },
+			runData: { Format: taskData('new') },
+		});
+		expect(Object.keys(result.data.resultData.runData)).toEqual([
+			'Start',
+			'Log',
+			'Fetch',
+			'Format',
+			'Notify',
+		]);
+		expect(result.data.resultData.runData.Log).toBe(previousRunData.Log);
+		expect(executionRepository.hardDelete).toHaveBeenCalledTimes(2);
+	});
+
+	it('should delete the workflow when the run fails', async () => {
+		workflowRunner.run.mockRejectedValue(new Error('Boom'));
+
+		await expect(service.run(workflow)).rejects.toThrow('Boom');
+
+		expect(executionRepository.hardDelete).not.toHaveBeenCalled();
+		expect(workflowRepository.delete).toHaveBeenCalledTimes(1);
+	});
+
+	describe('getRunTarget', () => {
+		const createNode = (name: string, type: string): INode => ({
+			id: name,
+			name,
+			type,
+			typeVersion: 1,
+			position: [0, 0],
+			parameters: {},
+		});
+		const connect = (from: string, to: string) => ({
+			[from]: { main: [[{ node: to, type: 'main' as const, index: 0 }]] },
+		});
+
+		const twoTriggers: WorkflowFileData = {
+			name: 'Orders',
+			nodes: [
+				createNode('Schedule', 'n8n-nodes-base.scheduleTrigger'),
+				createNode('Webhook', 'n8n-nodes-base.webhookTrigger'),
+				createNode('Fetch', 'n8n-nodes-base.httpRequest'),
+				createNode('Format', 'n8n-nodes-base.set'),
+			],
+			connections: { ...connect('Schedule', 'Fetch'), ...connect('Fetch', 'Format') },
+		};
+
+		it('should start at the trigger the destination depends on', () => {
+			expect(service.getRunTarget(twoTriggers, { destinationNodeName: 'Fetch' })).toEqual({
+				startNodes: [{ name: 'Schedule', sourceData: null }],
+				triggerToStartFrom: { name: 'Schedule' },
+				destinationNode: { nodeName: 'Fetch', mode: 'inclusive' },
+			});
+		});
+
+		it('should start at the given trigger', () => {
+			expect(service.getRunTarget(twoTriggers, { startNodeName: 'Webhook' })).toEqual({
+				startNodes: [{ name: 'Webhook', sourceData: null }],
+				triggerToStartFrom: { name: 'Webhook' },
+				destinationNode: undefined,
+			});
+		});
+
+		it('should fail when the destination cannot be reached from the trigger', () => {
+			expect(() =>
+				service.getRunTarget(twoTriggers, {
+					startNodeName: 'Webhook',
+					destinationNodeName: 'Format',
+				}),
+			).toThrow('Node "Format" cannot be reached from the trigger "Webhook".');
+		});
+
+		it('should fail for unknown nodes', () => {
+			expect(() => service.getRunTarget(twoTriggers, { destinationNodeName: 'Missing' })).toThrow(
+				'The workflow has no node named "Missing".',
+			);
+		});
+	});
+});
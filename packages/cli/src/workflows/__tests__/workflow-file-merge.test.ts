@@ -0,0 +1,174 @@
+import type { INode } from 'n8n-workflow';
+
+import { mergeWorkflowFiles, serializeMergedWorkflow } from '../workflow-file-merge';
+import type { WorkflowFileData } from '../workflow-file-sync.service';
+
+const createNode = (id: string, name: string, parameters: INode['parameters'] = {}): INode => ({
+	id,
+	name,
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters,
+});
+
+/** Resolve every conflict of a merged file to one side, like a merge tool does */
+const resolveConflicts = (content: string, side: 'ours' | 'theirs') => {
+	let section: 'ours' | 'theirs' | undefined;
+	return content
+		.split('\n')
+		.filter((line) => {
+			if (line.startsWith('<<<<<<<')) section = 'ours';
+			else if (line.startsWith('=======')) section = 'theirs';
+			else if (line.startsWith('>>>>>>>')) section = undefined;
+			else return section === undefined || section === side;
+			return false;
+		})
+		.join('\n');
+};
+
+describe('mergeWorkflowFiles', () => {
+	const trigger = createNode('trigger', 'Trigger');
+	const fetch = createNode('fetch', 'Fetch', { url: 'https://base', method: 'GET' });
+	const base: WorkflowFileData = {
+		name: 'Orders',
+		nodes: [trigger, fetch],
+		connections: { Trigger: { main: [[{ node: 'Fetch', type: 'main', index: 0 }]] } },
+		versionId: 'base',
+	};
+
+	it('should merge a position move with a parameter edit of the same node', () => {
+		const ours = {
+			...base,
+			nodes: [trigger, { ...fetch, position: [200, 0] as [number, number] }],
+			versionId: 'ours',
+		};
+		const theirs = {
+			...base,
+			nodes: [trigger, { ...fetch, parameters: { ...fetch.parameters, method: 'POST' } }],
+			versionId: 'theirs',
+		};
+
+		expect(mergeWorkflowFiles(base, ours, theirs)).toEqual({
+			workflow: {
+				...base,
+				nodes: [
+					trigger,
+					{ ...fetch, position: [200, 0], parameters: { url: 'https://base', method: 'POST' } },
+				],
+				versionId: 'ours',
+			},
+			conflicts: [],
+		});
+	});
+
+	it('should keep connections of a node renamed on the other side', () => {
+		const log = createNode('log', 'Log');
+		const ours: WorkflowFileData = {
+			...base,
+			nodes: [trigger, fetch, log],
+			connections: {
+				...base.connections,
+				Fetch: { main: [[{ node: 'Log', type: 'main', index: 0 }]] },
+			},
+		};
+		const theirs: WorkflowFileData = {
+			...base,
+			nodes: [trigger, { ...fetch, name: 'Fetch orders' }],
+			connections: { Trigger: { main: [[{ node: 'Fetch orders', type: 'main', index: 0 }]] } },
+		};
+
+		const { workflow } = mergeWorkflowFiles(base, ours, theirs);
+
+		expect(workflow.nodes.map((node) => node.name)).toEqual(['Trigger', 'Fetch orders', 'Log']);
+		expect(workflow.connections).toEqual({
+			Trigger: { main: [[{ node: 'Fetch orders', type: 'main', index: 0 }]] },
+			'Fetch orders': { main: [[{ node: 'Log', type: 'main', index: 0 }]] },
+		});
+	});
+
+	it('should put conflict markers around conflicting parameters only', () => {
+		const ours = {
+			...base,
+			nodes: [trigger, { ...fetch, parameters: { ...fetch.parameters, url: 'https://ours' } }],
+		};
+		const theirs = {
+			...base,
+			nodes: [
+				{ ...trigger, position: [0, 100] as [number, number] },
+				{ ...fetch, parameters: { ...fetch.parameters, url: 'https://theirs' } },
+			],
+		};
+
+		const merge = mergeWorkflowFiles(base, ours, theirs);
+
+		expect(merge.conflicts).toMatchObject([
+			{ path: ['parameters', 'url'], local: 'https://ours', remote: 'https://theirs' },
+		]);
+		expect(serializeMergedWorkflow(merge, { indent: '\t' })).toContain(
+			[
+				'\t\t\t"parameters": {',
+				'<<<<<<< ours',
+				'\t\t\t\t"url": "https://ours",',
+				'=======',
+				'\t\t\t\t"url": "https://theirs",',
+				'>>>>>>> theirs',
+				'\t\t\t\t"method": "GET"',
+				'\t\t\t}',
+			].join('\n'),
+		);
+	});
+
+	it('should put conflict markers around a node removed on one side and changed on the other', () => {
+		const ours = { ...base, nodes: [trigger], connections: {} };
+		const theirs = {
+			...base,
+			nodes: [trigger, { ...fetch, parameters: { url: 'https://theirs' } }],
+		};
+
+		const merge = mergeWorkflowFiles(base, ours, theirs);
+		const lines = serializeMergedWorkflow(merge, { markerSize: 3 }).split('\n');
+
+		expect(merge.conflicts).toHaveLength(1);
+		expect(lines.slice(lines.indexOf('<<< ours'), lines.indexOf('>>> theirs') + 1)).toEqual([
+			'<<< ours',
+			'===',
+			'    {',
+			'      "id": "fetch",',
+			'      "name": "Fetch",',
+			'      "type": "n8n-nodes-base.set",',
+			'      "typeVersion": 1,',
+			'      "position": [',
+			'        0,',
+			'        0',
+			'      ],',
+			'      "parameters": {',
+			'        "url": "https://theirs"',
+			'      }',
+			'    },',
+			'>>> theirs',
+		]);
+	});
+
+	it.each([
+		{ removed: { url: 'https://base' }, changed: { url: 'https://base', method: 'POST' } },
+		{ removed: {}, changed: { url: 'https://theirs', method: 'POST' } },
+	])(
+		'should stay valid JSON on either side when the last value is removed on one side',
+		({ removed, changed }) => {
+			const ours = { ...base, nodes: [trigger, { ...fetch, parameters: removed }] };
+			const theirs = { ...base, nodes: [trigger, { ...fetch, parameters: changed }] };
+
+			const merge = mergeWorkflowFiles(base, ours, theirs);
+			const content = serializeMergedWorkflow(merge);
+
+			expect(merge.conflicts.length).toBeGreaterThan(0);
+			const parameters = (side: 'ours' | 'theirs') =>
+				(JSON.parse(resolveConflicts(content, side)) as WorkflowFileData).nodes.find(
+					(node) => node.id === 'fetch',
+				)?.parameters;
+			expect(parameters('ours')).toEqual(removed);
+			expect(parameters('theirs')).toEqual(changed);
+		},
+	);
+});
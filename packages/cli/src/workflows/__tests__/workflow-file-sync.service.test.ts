@@ -0,0 +1,424 @@
+import type {
+	Folder,
+	FolderRepository,
+	User,
+	WorkflowEntity,
+	WorkflowHistory,
+	WorkflowRepository,
+} from '@n8n/db';
+import { mock } from 'jest-mock-extended';
+import type { InstanceSettings } from 'n8n-core';
+import { getWorkflowSyncChecksums, type INode } from 'n8n-workflow';
+
+import type { FolderService } from '@/services/folder.service';
+import type { WorkflowCreationService } from '@/workflows/workflow-creation.service';
+import type { WorkflowHistoryService } from '@/workflows/workflow-history/workflow-history.service';
+import type { WorkflowService } from '@/workflows/workflow.service';
+
+import {
+	WorkflowFileSyncService,
+	type WorkflowFile,
+	type WorkflowFileData,
+} from '../workflow-file-sync.service';
+
+const createNode = (overrides: Partial<INode> = {}): INode => ({
+	id: 'set',
+	name: 'Set',
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: { value: 'base' },
+	...overrides,
+});
+
+const createWorkflow = (overrides: Partial<WorkflowEntity> = {}) =>
+	({
+		id: 'wf-1',
+		name: 'Invoices',
+		versionId: 'v1',
+		nodes: [createNode()],
+		connections: {},
+		parentFolder: null,
+		...overrides,
+	}) as WorkflowEntity;
+
+const workflowFile = (path: string, workflow: Partial<WorkflowFileData> = {}): WorkflowFile => ({
+	path,
+	workflow: { name: 'Invoices', nodes: [createNode()], connections: {}, ...workflow },
+});
+
+describe('WorkflowFileSyncService', () => {
+	const user = mock<User>({ id: 'user-1' });
+	const target = { projectId: 'project-1' };
+	const billing = { id: 'folder-billing', name: 'billing', parentFolderId: null } as Folder;
+
+	const workflowRepository = mock<WorkflowRepository>();
+	const workflowCreationService = mock<WorkflowCreationService>();
+	const folderRepository = mock<FolderRepository>();
+	const folderService = mock<FolderService>();
+	const workflowService = mock<WorkflowService>();
+	const workflowHistoryService = mock<WorkflowHistoryService>();
+	const instanceSettings = mock<InstanceSettings>({ instanceId: 'instance-1' });
+
+	const service = new WorkflowFileSyncService(
+		mock(),
+		workflowRepository,
+		workflowCreationService,
+		folderRepository,
+		folderService,
+		workflowService,
+		workflowHistoryService,
+		instanceSettings,
+	);
+
+	beforeEach(() => {
+		jest.resetAllMocks();
+		folderRepository.find.mockResolvedValue([billing]);
+		workflowRepository.find.mockResolvedValue([]);
+		workflowRepository.create.mockImplementation(
+			(data) => ({ ...data }) as unknown as WorkflowEntity,
+		);
+	});
+
+	describe('plan', () => {
+		it('should plan to create new workflows and update or move changed ones', async () => {
+			const stored = createWorkflow({ parentFolder: billing });
+			const moved = createWorkflow({ id: 'wf-2', name: 'Reminders' });
+			workflowRepository.findOne.mockImplementation(async ({ where }) => {
+				const { id, name } = where as { id?: string; name?: string };
+				return [stored, moved].find((w) => w.id === id || w.name === name) ?? null;
+			});
+
+			const { entries } = await service.plan(
+				[
+					workflowFile('billing/invoices.n8n', {
+						id: 'wf-1',
+						versionId: 'v1',
+						nodes: [createNode({ parameters: { value: 'file' } })],
+					}),
+					workflowFile('billing/reminders.n8n', { id: 'wf-2', name: 'Reminders' }),
+					workflowFile('reports.n8n', { name: 'Reports' }),
+				],
+				target,
+			);
+
+			expect(
+				entries.map(({ path, status, action, moved }) => [path, status, action, moved]),
+			).toEqual([
+				['billing/invoices.n8n', 'fileChanged', 'update', false],
+				['billing/reminders.n8n', 'unchanged', 'move', true],
+				['reports.n8n', 'new', 'create', false],
+			]);
+		});
+
+		it('should ignore ids bound to another instance', async () => {
+			workflowRepository.findOne.mockResolvedValue(null);
+
+			await service.plan(
+				[workflowFile('invoices.n8n', { id: 'wf-1', meta: { instanceId: 'instance-2' } })],
+				target,
+			);
+
+			expect(workflowRepository.findOne).not.toHaveBeenCalled();
+			expect(workflowRepository.find).toHaveBeenCalledWith(
+				expect.objectContaining({ where: expect.objectContaining({ name: 'Invoices' }) }),
+			);
+		});
+
+		it('should only match names of workflows in the synced folders', async () => {
+			const reports = { id: 'folder-reports', name: 'reports', parentFolderId: billing.id };
+			folderRepository.find.mockResolvedValue([billing, reports as Folder]);
+			workflowRepository.find.mockResolvedValue([
+				createWorkflow({ id: 'wf-2', parentFolder: null }),
+				createWorkflow({ id: 'wf-3', parentFolder: billing }),
+				createWorkflow({ id: 'wf-4', parentFolder: reports as Folder }),
+			]);
+
+			const { entries } = await service.plan(
+				[workflowFile('reports/invoices.n8n'), workflowFile('other/invoices.n8n')],
+				{ ...target, folderId: billing.id },
+			);
+
+			// wf-2 lives outside of the synced folder, the file's own folder wins over other folders
+			expect(entries.map(({ path, workflow, moved }) => [path, workflow?.id, moved])).toEqual([
+				['reports/invoices.n8n', 'wf-4', false],
+				['other/invoices.n8n', 'wf-3', true],
+			]);
+		});
+
+		it('should skip backend changes and report conflicting changes', async () => {
+			const base = createNode();
+			workflowRepository.findOne.mockResolvedValue(
+				createWorkflow({ versionId: 'v2', nodes: [{ ...base, parameters: { value: 'remote' } }] }),
+			);
+			workflowHistoryService.findVersion.mockResolvedValue({
+				nodes: [base],
+				connections: {},
+			} as unknown as WorkflowHistory);
+
+			const { entries } = await service.plan(
+				[
+					workflowFile('invoices.n8n', { id: 'wf-1', versionId: 'v1' }),
+					workflowFile('copy.n8n', {
+						id: 'wf-1',
+						versionId: 'v1',
+						nodes: [{ ...base, parameters: { value: 'local' } }],
+					}),
+				],
+				target,
+			);
+
+			expect(workflowHistoryService.findVersion).toHaveBeenCalledWith('wf-1', 'v1');
+			expect(entries[0]).toMatchObject({ status: 'backendChanged', action: 'skip' });
+			// Both files resolve to the same workflow, the second one is never applied
+			expect(entries[1]).toMatchObject({ status: 'diverged', action: 'conflict' });
+		});
+
+		it('should keep file renames and settings changes when n8n changed the nodes', async () => {
+			const remote = createNode({ parameters: { value: 'remote' } });
+			workflowRepository.findOne.mockResolvedValue(
+				createWorkflow({ versionId: 'v2', nodes: [remote] }),
+			);
+			workflowHistoryService.findVersion.mockResolvedValue({
+				nodes: [createNode()],
+				connections: {},
+			} as unknown as WorkflowHistory);
+			const syncChecksums = getWorkflowSyncChecksums({ name: 'Invoices', settings: {} });
+
+			const plan = await service.plan(
+				[
+					workflowFile('invoices.n8n', {
+						id: 'wf-1',
+						versionId: 'v1',
+						name: 'Invoices 2024',
+						settings: { timezone: 'UTC' },
+						meta: { syncChecksums },
+					}),
+				],
+				target,
+			);
+			await service.apply(plan, user);
+
+			expect(plan.entries[0]).toMatchObject({
+				status: 'diverged',
+				action: 'merge',
+				fieldChanges: { name: 'Invoices 2024', settings: { timezone: 'UTC' } },
+			});
+			expect(workflowService.update).toHaveBeenCalledWith(
+				user,
+				{ name: 'Invoices 2024', settings: { timezone: 'UTC' } },
+				'wf-1',
+				{ parentFolderId: undefined },
+			);
+		});
+
+		it('should plan to archive workflows without a file when asked to', async () => {
+			const orphan = createWorkflow({ id: 'wf-3', name: 'Old', parentFolder: billing });
+			const elsewhere = createWorkflow({
+				id: 'wf-4',
+				parentFolder: { id: 'folder-other' } as Folder,
+			});
+			workflowRepository.find.mockResolvedValue([orphan, elsewhere]);
+
+			const { entries } = await service.plan([], target, { archive: true });
+
+			expect(entries).toEqual([
+				expect.objectContaining({ path: 'Old', status: 'remoteOnly', action: 'archive' }),
+			]);
+		});
+	});
+
+	describe('apply', () => {
+		it('should create missing folders and place new workflows in them', async () => {
+			folderService.createFolder.mockResolvedValue({ id: 'folder-reports' } as never);
+			workflowRepository.findOne.mockResolvedValue(null);
+			workflowCreationService.create.mockImplementation(async (_, workflow) =>
+				createWorkflow({ ...workflow, id: 'wf-5', versionId: 'v5' }),
+			);
+
+			const plan = await service.plan([workflowFile('billing/reports/invoices.n8n')], target);
+			const [result] = await service.apply(plan, user);
+
+			expect(folderService.createFolder).toHaveBeenCalledWith(
+				{ name: 'reports', parentFolderId: billing.id },
+				'project-1',
+			);
+			expect(workflowCreationService.create).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({ name: 'Invoices' }),
+				{ projectId: 'project-1', parentFolderId: 'folder-reports' },
+			);
+			expect(result.error).toBeUndefined();
+			expect(result.syncedFile).toMatchObject({
+				id: 'wf-5',
+				versionId: 'v5',
+				meta: { instanceId: 'instance-1' },
+			});
+		});
+
+		it('should update, move and archive workflows and collect failures', async () => {
+			const plan = {
+				target,
+				entries: [
+					{
+						path: 'billing/invoices.n8n',
+						status: 'fileChanged' as const,
+						action: 'update' as const,
+						file: workflowFile('', { name: 'Invoices v2' }).workflow,
+						workflow: createWorkflow(),
+						moved: true,
+					},
+					{
+						path: 'Old',
+						status: 'remoteOnly' as const,
+						action: 'archive' as const,
+						workflow: createWorkflow({ id: 'wf-3' }),
+						moved: false,
+					},
+				],
+			};
+			workflowService.update.mockRejectedValue(new Error('Forbidden'));
+
+			const results = await service.apply(plan, user);
+
+			expect(workflowService.update).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({ name: 'Invoices v2' }),
+				'wf-1',
+				{ parentFolderId: billing.id },
+			);
+			expect(workflowService.archive).toHaveBeenCalledWith(user, 'wf-3', true);
+			expect(results[0].error?.message).toBe('Forbidden');
+			expect(results[1].error).toBeUndefined();
+		});
+
+		it('should restore masked pinned data from n8n when updating a workflow', async () => {
+			const plan = {
+				target,
+				entries: [
+					{
+						path: 'invoices.n8n',
+						status: 'fileChanged' as const,
+						action: 'update' as const,
+						file: workflowFile('', {
+							pinData: {
+								Set: [{ json: { token: '[REDACTED]', amount: 2 } }],
+								Webhook: [{ json: { apiKey: '[REDACTED]' } }],
+							},
+						}).workflow,
+						workflow: createWorkflow({
+							pinData: { Set: [{ json: { token: 'secret', amount: 1 } }] },
+						}),
+						moved: false,
+					},
+				],
+			};
+
+			await service.apply(plan, user);
+
+			expect(workflowService.update).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({
+					pinData: { Set: [{ json: { token: 'secret', amount: 2 } }] },
+				}),
+				'wf-1',
+				{ parentFolderId: undefined },
+			);
+		});
+
+		it('should not create workflows with masked pinned data', async () => {
+			const plan = {
+				target,
+				entries: [
+					{
+						path: 'invoices.n8n',
+						status: 'new' as const,
+						action: 'create' as const,
+						file: workflowFile('', {
+							pinData: {
+								Set: [{ json: { amount: 1 } }],
+								Webhook: [{ json: { headers: { authorization: '[REDACTED]' } } }],
+							},
+						}).workflow,
+						moved: false,
+					},
+				],
+			};
+
+			await service.apply(plan, user);
+
+			expect(workflowCreationService.create).toHaveBeenCalledWith(
+				user,
+				expect.objectContaining({ pinData: { Set: [{ json: { amount: 1 } }] } }),
+				{ projectId: 'project-1', parentFolderId: undefined },
+			);
+		});
+
+		it('should bind synced files to the saved version so the next sync finds no changes', async () => {
+			const file = workflowFile('invoices.n8n', {
+				id: 'wf-1',
+				versionId: 'v1',
+				nodes: [createNode({ parameters: { value: 'file' } })],
+				pinData: { Set: [{ json: { token: '[REDACTED]' } }] },
+			});
+			const saved = createWorkflow({
+				versionId: 'v2',
+				nodes: file.workflow.nodes,
+				pinData: { Set: [{ json: { token: 'secret' } }] },
+			});
+			workflowRepository.findOne.mockResolvedValue(createWorkflow());
+			workflowService.update.mockResolvedValue(saved);
+
+			const plan = await service.plan([file], target);
+			const [{ syncedFile }] = await service.apply(plan, user);
+
+			expect(plan.entries[0].action).toBe('update');
+			expect(syncedFile).toEqual({
+				...file.workflow,
+				versionId: 'v2',
+				meta: {
+					instanceId: 'instance-1',
+					syncChecksums: getWorkflowSyncChecksums(file.workflow),
+				},
+			});
+
+			workflowRepository.findOne.mockResolvedValue(saved);
+			const next = await service.plan([{ ...file, workflow: syncedFile! }], target);
+			expect(next.entries[0]).toMatchObject({ status: 'unchanged', action: 'unchanged' });
+			expect((await service.apply(next, user))[0].syncedFile).toBeUndefined();
+		});
+
+		it('should write merged nodes and mask pinned data changed in n8n', async () => {
+			const remote = createNode({ id: 'remote', name: 'Remote' });
+			const file = workflowFile('invoices.n8n', {
+				id: 'wf-1',
+				versionId: 'v1',
+				nodes: [createNode({ parameters: { value: 'file' } })],
+			});
+			workflowRepository.findOne.mockResolvedValue(
+				createWorkflow({ versionId: 'v2', nodes: [createNode(), remote] }),
+			);
+			workflowHistoryService.findVersion.mockResolvedValue({
+				nodes: [createNode()],
+				connections: {},
+			} as unknown as WorkflowHistory);
+			workflowService.update.mockImplementation(async (_, update) =>
+				createWorkflow({
+					...update,
+					versionId: 'v3',
+					pinData: { Remote: [{ json: { password: 'secret' } }] },
+				}),
+			);
+
+			const plan = await service.plan([file], target);
+			const [{ syncedFile }] = await service.apply(plan, user);
+
+			expect(plan.entries[0].action).toBe('merge');
+			expect(syncedFile).toMatchObject({
+				versionId: 'v3',
+				nodes: [createNode({ parameters: { value: 'file' } }), remote],
+				pinData: { Remote: [{ json: { password: '[REDACTED]' } }] },
+			});
+		});
+	});
+});
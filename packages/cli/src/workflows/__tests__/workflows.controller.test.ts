@@ -1,8 +1,12 @@
 import type { ImportWorkflowFromUrlDto } from '@n8n/api-types';
 import type { Logger } from '@n8n/backend-common';
-import type { AuthenticatedRequest, IExecutionResponse, CredentialsEntity, User } from '@n8n/db';
-import { WorkflowEntity } from '@n8n/db';
-import type { WorkflowRepository } from '@n8n/db';
+import type {
+	AuthenticatedRequest,
+	IExecutionResponse,
+	User,
+	WorkflowEntity,
+	WorkflowRepository,
+} from '@n8n/db';
 import axios from 'axios';
 import type { Response } from 'express';
 import { mock } from 'jest-mock-extended';
@@ -11,10 +15,10 @@ import { BadRequestError } from '@/errors/response-errors/bad-request.error';
 import { ForbiddenError } from '@/errors/response-errors/forbidden.error';
 import { NotFoundError } from '@/errors/response-errors/not-found.error';
 import type { ExecutionService } from '@/executions/execution.service';
-import type { CredentialsService } from '@/credentials/credentials.service';
 import type { EnterpriseWorkflowService } from '@/workflows/workflow.service.ee';
-import type { License } from '@/license';
+import type { WorkflowCreationService } from '../workflow-creation.service';
 import type { WorkflowRequest } from '../workflow.request';
+import type { WorkflowService } from '../workflow.service';
 import type { ProjectService } from '@/services/project.service.ee';
 
 import { WorkflowsController } from '../workflows.controller';
@@ -182,134 +186,49 @@ describe('WorkflowsController', () => {
 	});
 
 	describe('create', () => {
-		describe('credential retrieval for workflow creation', () => {
-			it('should include global credentials when checking credential permissions', async () => {
-				/**
-				 * Arrange
-				 */
-				const mockUser = mock<User>({ id: 'user-123' });
-				const mockRequest = mock<WorkflowRequest.Create>({
-					user: mockUser,
-					body: {
-						name: 'Test Workflow',
-						nodes: [],
-						connections: {},
-					},
-				});
-
-				const mockGlobalCredential = mock<CredentialsEntity>({
-					id: 'global-cred-123',
-					name: 'Global Credential',
-					type: 'httpBasicAuth',
-					isGlobal: true,
-				});
-
-				const mockPersonalCredential = mock<CredentialsEntity>({
-					id: 'personal-cred-456',
-					name: 'Personal Credential',
-					type: 'httpBasicAuth',
-					isGlobal: false,
-				});
-
-				const credentialsService = mock<CredentialsService>();
-				const enterpriseWorkflowService = mock<EnterpriseWorkflowService>();
-				const license = mock<License>();
-
-				credentialsService.getMany.mockResolvedValue([
-					mockGlobalCredential,
-					mockPersonalCredential,
-				]);
-				license.isSharingEnabled.mockReturnValue(true);
-
-				// Stop execution after credential validation
-				enterpriseWorkflowService.validateCredentialPermissionsToUser.mockImplementation(() => {
-					throw new BadRequestError('Stopping execution for test');
-				});
-
-				const workflowRepository = mock<WorkflowRepository>();
-				workflowRepository.existsBy.mockResolvedValue(false);
-
-				controller.credentialsService = credentialsService;
-				controller.enterpriseWorkflowService = enterpriseWorkflowService;
-				controller.license = license;
-				controller.externalHooks = mock();
-				controller.externalHooks.run = jest.fn().mockResolvedValue(undefined);
-				controller.tagRepository = mock();
-				controller.globalConfig = { tags: { disabled: true } };
-				controller.workflowRepository = workflowRepository;
-
-				/**
-				 * Act & Assert
-				 */
-				await expect(controller.create(mockRequest)).rejects.toThrow(BadRequestError);
-
-				/**
-				 * Assert - Verify credentials were fetched with includeGlobal: true
-				 */
-				expect(credentialsService.getMany).toHaveBeenCalledWith(mockUser, {
-					includeGlobal: true,
-				});
-				expect(enterpriseWorkflowService.validateCredentialPermissionsToUser).toHaveBeenCalledWith(
-					expect.any(WorkflowEntity),
-					[mockGlobalCredential, mockPersonalCredential],
-				);
-			});
-
-			it('should throw BadRequestError when user lacks access to credentials in workflow', async () => {
-				/**
-				 * Arrange
-				 */
-				const mockUser = mock<User>({ id: 'user-123' });
-				const mockRequest = mock<WorkflowRequest.Create>({
-					user: mockUser,
-					body: {
-						name: 'Test Workflow',
-						nodes: [],
-						connections: {},
-					},
-				});
-
-				const mockGlobalCredential = mock<CredentialsEntity>({
-					id: 'global-cred-123',
-					name: 'Global Credential',
-					type: 'httpBasicAuth',
-					isGlobal: true,
-				});
-
-				const credentialsService = mock<CredentialsService>();
-				const enterpriseWorkflowService = mock<EnterpriseWorkflowService>();
-				const license = mock<License>();
-
-				credentialsService.getMany.mockResolvedValue([mockGlobalCredential]);
-				license.isSharingEnabled.mockReturnValue(true);
-				enterpriseWorkflowService.validateCredentialPermissionsToUser.mockImplementation(() => {
-					throw new Error('User does not have access');
-				});
-
-				const workflowRepository = mock<WorkflowRepository>();
-				workflowRepository.existsBy.mockResolvedValue(false);
-
-				controller.credentialsService = credentialsService;
-				controller.enterpriseWorkflowService = enterpriseWorkflowService;
-				controller.license = license;
-				controller.externalHooks = mock();
-				controller.externalHooks.run = jest.fn().mockResolvedValue(undefined);
-				controller.tagRepository = mock();
-				controller.globalConfig = { tags: { disabled: true } };
-				controller.workflowRepository = workflowRepository;
-
-				/**
-				 * Act & Assert
-				 */
-				await expect(controller.create(mockRequest)).rejects.toThrow(BadRequestError);
-				await expect(controller.create(mockRequest)).rejects.toThrow(
-					'The workflow you are trying to save contains credentials that are not shared with you',
-				);
-
-				expect(credentialsService.getMany).toHaveBeenCalledWith(mockUser, {
-					includeGlobal: true,
-				});
-			});
+		it('should create the workflow through the creation service', async () => {
+			const mockUser = mock<User>({ id: 'user-123' });
+			const mockRequest = {
+				user: mockUser,
+				body: {
+					name: 'Test Workflow',
+					nodes: [],
+					connections: {},
+					projectId: 'project-1',
+					tags: ['tag-1'],
+				},
+			} as unknown as WorkflowRequest.Create;
+			const savedWorkflow = { id: 'wf-1', nodes: [], connections: {} } as unknown as WorkflowEntity;
+
+			const workflowCreationService = mock<WorkflowCreationService>();
+			workflowCreationService.create.mockResolvedValue(savedWorkflow);
+			const enterpriseWorkflowService = mock<EnterpriseWorkflowService>();
+			enterpriseWorkflowService.addOwnerAndSharings.mockReturnValue(savedWorkflow as never);
+			const workflowService = mock<WorkflowService>();
+			workflowService.getWorkflowScopes.mockResolvedValue([]);
+
+			const workflowRepository = mock<WorkflowRepository>();
+			workflowRepository.existsBy.mockResolvedValue(false);
+
+			controller.workflowRepository = workflowRepository;
+			controller.workflowCreationService = workflowCreationService;
+			controller.enterpriseWorkflowService = enterpriseWorkflowService;
+			controller.workflowService = workflowService;
+
+			await controller.create(mockRequest);
+
+			expect(workflowCreationService.create).toHaveBeenCalledWith(
+				mockUser,
+				expect.objectContaining({ name: 'Test Workflow' }),
+				{
+					projectId: 'project-1',
+					parentFolderId: undefined,
+					tagIds: ['tag-1'],
+					autosaved: undefined,
+					uiContext: undefined,
+				},
+			);
+			expect(enterpriseWorkflowService.addOwnerAndSharings).toHaveBeenCalledWith(savedWorkflow);
 		});
 	});
 });
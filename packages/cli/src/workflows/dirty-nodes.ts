@@ -0,0 +1,53 @@
+import isEqual from 'lodash/isEqual';
+import omit from 'lodash/omit';
+import type { IConnections, INode, IPinData } from 'n8n-workflow';
+
+type WorkflowSnapshot = { nodes: INode[]; connections: IConnections; pinData?: IPinData | null };
+
+/** Properties which do not change what a node outputs */
+const COSMETIC_NODE_PROPERTIES = ['id', 'position', 'notes', 'notesInFlow', 'color'] as const;
+
+function getParentConnections(connections: IConnections) {
+	const parents = new Map<string, string[]>();
+	for (const [sourceNode, connectionsByType] of Object.entries(connections)) {
+		for (const [type, outputs] of Object.entries(connectionsByType)) {
+			outputs.forEach((destinations, outputIndex) => {
+				for (const destination of destinations ?? []) {
+					const connection = `${sourceNode}:${type}:${outputIndex}:${destination.index}`;
+					parents.set(destination.node, [...(parents.get(destination.node) ?? []), connection]);
+				}
+			});
+		}
+	}
+	return parents;
+}
+
+/**
+ * Names of the nodes of a changed workflow which have to run again, because they are new,
+ * their parameters, settings or pinned data changed or they are connected differently to
+ * their parents. Mirrors what the editor marks as dirty for partial executions.
+ */
+export function getDirtyNodeNames(previous: WorkflowSnapshot, current: WorkflowSnapshot): string[] {
+	const previousNodes = new Map(previous.nodes.map((node) => [node.name, node]));
+	const previousParents = getParentConnections(previous.connections);
+	const currentParents = getParentConnections(current.connections);
+
+	return current.nodes
+		.filter((node) => {
+			const previousNode = previousNodes.get(node.name);
+			if (!previousNode) return true;
+
+			return (
+				!isEqual(
+					omit(previousNode, COSMETIC_NODE_PROPERTIES),
+					omit(node, COSMETIC_NODE_PROPERTIES),
+				) ||
+				!isEqual(
+					previousParents.get(node.name)?.sort() ?? [],
+					currentParents.get(node.name)?.sort() ?? [],
+				) ||
+				!isEqual(previous.pinData?.[node.name], current.pinData?.[node.name])
+			);
+		})
+		.map((node) => node.name);
+}
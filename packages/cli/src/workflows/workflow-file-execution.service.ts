@@ -0,0 +1,266 @@
+import { Logger } from '@n8n/backend-common';
+import { GlobalConfig } from '@n8n/config';
+import {
+	ExecutionRepository,
+	generateNanoId,
+	ProjectRepository,
+	SharedWorkflowRepository,
+	WorkflowRepository,
+} from '@n8n/db';
+import { Service } from '@n8n/di';
+import {
+	cleanRunData,
+	DirectedGraph,
+	filterDisabledNodes,
+	findSubgraph,
+	findTriggerForPartialExecution,
+} from 'n8n-core';
+import type { INode, IPinData, IRun, IRunData, IWorkflowExecutionDataProcess } from 'n8n-workflow';
+import { UnexpectedError, UserError, Workflow } from 'n8n-workflow';
+import { v4 as uuidv4 } from 'uuid';
+
+import type { WorkflowFileData } from './workflow-file-sync.service';
+
+import { ActiveExecutions } from '@/active-executions';
+import { NodeTypes } from '@/node-types';
+import { OwnershipService } from '@/services/ownership.service';
+import { findCliWorkflowStart } from '@/utils';
+import { WorkflowRunner } from '@/workflow-runner';
+
+export interface WorkflowFileRunOptions {
+	/** Output of nodes that do not run but return this data, like in manual executions */
+	pinData?: IPinData;
+	/**
+	 * Trigger to start the run at. Defaults to the trigger the destination node depends on,
+	 * otherwise to the node `execute-file` starts at.
+	 */
+	startNodeName?: string;
+	/** Node to stop the run at, only the nodes it depends on run */
+	destinationNodeName?: string;
+	/**
+	 * Run data of a previous run to reuse, which makes the run a partial execution to the
+	 * destination node that only runs the dirty nodes and the nodes without run data.
+	 * Without a destination node every last node depending on the dirty nodes is run to,
+	 * the other nodes keep their run data.
+	 */
+	runData?: IRunData;
+	dirtyNodeNames?: string[];
+}
+
+type RunnableWorkflow = Pick<WorkflowFileData, 'name' | 'nodes' | 'connections' | 'settings'>;
+
+export type WorkflowFileRunTarget = Required<
+	Pick<IWorkflowExecutionDataProcess, 'startNodes' | 'triggerToStartFrom'>
+> &
+	Pick<IWorkflowExecutionDataProcess, 'destinationNode'>;
+
+/**
+ * Runs workflows read from files, which do not exist in the database, as manual executions.
+ */
+@Service()
+export class WorkflowFileExecutionService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly globalConfig: GlobalConfig,
+		private readonly ownershipService: OwnershipService,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly sharedWorkflowRepository: SharedWorkflowRepository,
+		private readonly projectRepository: ProjectRepository,
+		private readonly workflowRunner: WorkflowRunner,
+		private readonly activeExecutions: ActiveExecutions,
+		private readonly nodeTypes: NodeTypes,
+		private readonly executionRepository: ExecutionRepository,
+	) {}
+
+	/**
+	 * Resolve the trigger and destination node of a run, like for a manual run in the editor.
+	 */
+	getRunTarget(
+		workflow: Omit<RunnableWorkflow, 'name'>,
+		{ pinData, startNodeName, destinationNodeName }: WorkflowFileRunOptions = {},
+	): WorkflowFileRunTarget {
+		// Pinned triggers are preferred when looking for the trigger of the destination
+		const workflowInstance = this.createWorkflowInstance(workflow, pinData);
+		const getNode = (nodeName: string) => {
+			const node = workflowInstance.getNode(nodeName);
+			if (!node) throw new UserError(`The workflow has no node named "${nodeName}".`);
+			return node;
+		};
+
+		const destination = destinationNodeName ? getNode(destinationNodeName) : undefined;
+		let trigger: INode | undefined = startNodeName ? getNode(startNodeName) : undefined;
+		if (!trigger && destination) {
+			trigger = findTriggerForPartialExecution(workflowInstance, destination.name, {});
+		}
+		trigger ??= findCliWorkflowStart(workflow.nodes);
+
+		if (destination && destination !== trigger) {
+			const subgraph = findSubgraph({
+				graph: DirectedGraph.fromWorkflow(workflowInstance),
+				destination,
+				trigger,
+			});
+			if (!subgraph.hasNode(trigger.name)) {
+				throw new UserError(
+					`Node "${destination.name}" cannot be reached from the trigger "${trigger.name}".`,
+				);
+			}
+		}
+
+		return {
+			startNodes: [{ name: trigger.name, sourceData: null }],
+			triggerToStartFrom: { name: trigger.name },
+			destinationNode: destination ? { nodeName: destination.name, mode: 'inclusive' } : undefined,
+		};
+	}
+
+	/**
+	 * Run a workflow file under a throwaway copy, which is deleted together with
+	 * its execution and binary data once the run finished.
+	 */
+	async run(workflow: RunnableWorkflow, options: WorkflowFileRunOptions = {}): Promise<IRun> {
+		if (this.globalConfig.executions.mode === 'queue') {
+			this.logger.warn('Workflow files cannot run in queue mode. Falling back to regular mode.');
+			this.globalConfig.executions.mode = 'regular';
+		}
+
+		const target = this.getRunTarget(workflow, options);
+		const user = await this.ownershipService.getInstanceOwner();
+		const workflowData = await this.createThrowawayWorkflow(workflow, user.id);
+
+		try {
+			const execution: IWorkflowExecutionDataProcess = {
+				executionMode: 'manual',
+				...target,
+				workflowData,
+				pinData: options.pinData,
+				userId: user.id,
+			};
+			if (!options.runData) return await this.execute(execution);
+			if (target.destinationNode) {
+				return await this.execute({
+					...execution,
+					runData: options.runData,
+					dirtyNodeNames: options.dirtyNodeNames,
+				});
+			}
+			return await this.runToChangedLastNodes(workflow, execution, options);
+		} finally {
+			await this.workflowRepository.delete(workflowData.id);
+		}
+	}
+
+	/**
+	 * Run partially to each last node depending on the dirty nodes one after another,
+	 * so that branches without changes are not run again. Runs the whole workflow when
+	 * no such node can be reached from the trigger.
+	 */
+	private async runToChangedLastNodes(
+		workflow: RunnableWorkflow,
+		execution: IWorkflowExecutionDataProcess,
+		{ pinData, runData = {}, dirtyNodeNames = [] }: WorkflowFileRunOptions,
+	): Promise<IRun> {
+		const graph = filterDisabledNodes(
+			DirectedGraph.fromWorkflow(this.createWorkflowInstance(workflow, pinData)),
+		);
+		const nodes = graph.getNodes();
+		const trigger = nodes.get(execution.triggerToStartFrom?.name ?? '');
+		const dirtyNodes = graph.getNodesByNames(dirtyNodeNames);
+		const reachable = trigger ? new Set([trigger, ...graph.getChildren(trigger)]) : new Set();
+		const changed = new Set([...dirtyNodes].flatMap((node) => [node, ...graph.getChildren(node)]));
+		const lastNodes = [...nodes.values()].filter(
+			(node) =>
+				reachable.has(node) &&
+				changed.has(node) &&
+				graph.getDirectChildConnections(node).length === 0,
+		);
+		if (!lastNodes.length) return await this.execute(execution);
+
+		// The dirty nodes and the nodes depending on them run again as nodes without run data
+		let mergedRunData = cleanRunData(runData, graph, dirtyNodes);
+		const runTo = async (node: INode) => {
+			const run = await this.execute({
+				...execution,
+				destinationNode: { nodeName: node.name, mode: 'inclusive' },
+				runData: mergedRunData,
+				dirtyNodeNames: [],
+			});
+			mergedRunData = { ...mergedRunData, ...run.data.resultData.runData };
+			return run;
+		};
+
+		let run = await runTo(lastNodes[0]);
+		for (const node of lastNodes.slice(1)) {
+			if (run.data.resultData.error) break;
+			run = await runTo(node);
+		}
+
+		return {
+			...run,
+			data: { ...run.data, resultData: { ...run.data.resultData, runData: mergedRunData } },
+		};
+	}
+
+	private async execute(execution: IWorkflowExecutionDataProcess): Promise<IRun> {
+		let executionId: string | undefined;
+		try {
+			executionId = await this.workflowRunner.run(execution);
+			const data = await this.activeExecutions.getPostExecutePromise(executionId);
+			if (data === undefined) {
+				throw new UnexpectedError('Workflow did not return any data');
+			}
+			return data;
+		} finally {
+			if (executionId) {
+				await this.executionRepository.hardDelete({
+					workflowId: execution.workflowData.id,
+					executionId,
+				});
+			}
+		}
+	}
+
+	private createWorkflowInstance(workflow: Omit<RunnableWorkflow, 'name'>, pinData?: IPinData) {
+		return new Workflow({
+			nodes: workflow.nodes,
+			connections: workflow.connections,
+			settings: workflow.settings,
+			pinData,
+			active: false,
+			nodeTypes: this.nodeTypes,
+		});
+	}
+
+	private async createThrowawayWorkflow(workflow: RunnableWorkflow, userId: string) {
+		return await this.workflowRepository.manager.transaction(async (transactionManager) => {
+			const personalProject = await this.projectRepository.getPersonalProjectForUserOrFail(
+				userId,
+				transactionManager,
+			);
+
+			const workflowEntity = await transactionManager.save(
+				this.workflowRepository.create({
+					name: workflow.name,
+					nodes: workflow.nodes,
+					connections: workflow.connections,
+					settings: workflow.settings,
+					id: generateNanoId(),
+					active: false,
+					// Hidden from the workflow list for the short time it exists
+					isArchived: true,
+					versionId: uuidv4(),
+				}),
+			);
+
+			await transactionManager.save(
+				this.sharedWorkflowRepository.create({
+					role: 'workflow:owner',
+					projectId: personalProject.id,
+					workflow: workflowEntity,
+				}),
+			);
+
+			return workflowEntity;
+		});
+	}
+}
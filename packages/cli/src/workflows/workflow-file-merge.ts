@@ -0,0 +1,282 @@
+import isEqual from 'lodash/isEqual';
+import set from 'lodash/set';
+import {
+	canonicalizeWorkflow,
+	mergeConnections,
+	mergeValues,
+	mergeWorkflows,
+	NodeMergeStatus,
+	serializeWorkflow,
+	VOLATILE_WORKFLOW_FIELDS,
+	type IConnections,
+	type INode,
+	type ValueConflict,
+} from 'n8n-workflow';
+
+import type { WorkflowFileData } from './workflow-file-sync.service';
+
+export interface WorkflowFileConflict extends ValueConflict {
+	/** Placeholder in the merged workflow where the conflict markers go */
+	marker: string;
+}
+
+export interface WorkflowFileMerge {
+	workflow: WorkflowFileData;
+	conflicts: WorkflowFileConflict[];
+}
+
+/** Fields changing on every save, which are not worth a conflict */
+const BOOKKEEPING_FIELDS = ['versionId', ...VOLATILE_WORKFLOW_FIELDS.workflow];
+
+const conflictMarker = (index: number) => `<n8n-merge-conflict-${index}>`;
+
+const MARKER_PATTERN = /<n8n-merge-conflict-\d+>/;
+
+const isMarker = (value: unknown) => typeof value === 'string' && MARKER_PATTERN.test(value);
+
+/** Rewrite connections to refer to nodes by id, so renaming a node on one side merges cleanly */
+function mapConnectionNodes(connections: IConnections, mapName: (name: string) => string) {
+	const mapped: IConnections = {};
+	for (const [sourceNode, connectionsByType] of Object.entries(connections)) {
+		mapped[mapName(sourceNode)] = Object.fromEntries(
+			Object.entries(connectionsByType).map(([type, outputs]) => [
+				type,
+				outputs.map((destinations) =>
+					destinations
+						? destinations.map((destination) => ({
+								...destination,
+								node: mapName(destination.node),
+							}))
+						: destinations,
+				),
+			]),
+		);
+	}
+	return mapped;
+}
+
+const toIdConnections = ({
+	nodes,
+	connections,
+}: Pick<WorkflowFileData, 'nodes' | 'connections'>) => {
+	const ids = new Map(nodes.map((node) => [node.name, node.id]));
+	return mapConnectionNodes(connections, (name) => ids.get(name) ?? name);
+};
+
+/** Drop connections from or to nodes which are not part of the merged workflow */
+function toNameConnections(connections: IConnections, names: Map<string, string>) {
+	const mapped = mapConnectionNodes(connections, (id) => names.get(id) ?? '');
+	delete mapped[''];
+	for (const connectionsByType of Object.values(mapped)) {
+		for (const outputs of Object.values(connectionsByType)) {
+			outputs.forEach((destinations, index) => {
+				outputs[index] = destinations?.filter((destination) => destination.node !== '') ?? null;
+			});
+		}
+	}
+	return mapped;
+}
+
+/**
+ * Structural three-way merge of two diverged versions of a .n8n file. Nodes are matched by
+ * id and merged property by property, connections are merged one by one, so that only
+ * changes to the same value on both sides conflict. Conflicting values are left as
+ * placeholders for `serializeMergedWorkflow` to surround with conflict markers.
+ */
+export function mergeWorkflowFiles(
+	base: WorkflowFileData,
+	local: WorkflowFileData,
+	remote: WorkflowFileData,
+): WorkflowFileMerge {
+	const conflicts: WorkflowFileConflict[] = [];
+	const addConflicts = (target: object, valueConflicts: ValueConflict[]) => {
+		for (const conflict of valueConflicts) {
+			const marker = conflictMarker(conflicts.length);
+			set(target, conflict.path, marker);
+			conflicts.push({ ...conflict, marker });
+		}
+	};
+
+	const nodesMerge = mergeWorkflows<INode>(base, local, remote, isEqual);
+	const nodes: Array<INode | string> = [];
+	/** Names of the merged nodes by id, the local name where the name conflicts */
+	const nodeNames = new Map<string, string>();
+	for (const entry of nodesMerge.nodes.values()) {
+		let node: INode | string | undefined;
+		if (entry.status !== NodeMergeStatus.Conflict) {
+			node = entry.status === NodeMergeStatus.Remote ? entry.remote : entry.local;
+		} else if (entry.local && entry.remote) {
+			const { value, conflicts: nodeConflicts } = mergeValues(
+				entry.base,
+				entry.local,
+				entry.remote,
+			);
+			node = value as INode;
+			addConflicts(node, nodeConflicts);
+		} else {
+			// Removed on one side and changed on the other, the whole node conflicts
+			node = conflictMarker(conflicts.length);
+			conflicts.push({
+				path: [],
+				base: entry.base,
+				local: entry.local,
+				remote: entry.remote,
+				marker: node,
+			});
+		}
+		if (node === undefined) continue;
+
+		nodes.push(node);
+		const nameNode = (entry.local ?? entry.remote)!;
+		const name = typeof node === 'string' || isMarker(node.name) ? nameNode.name : node.name;
+		nodeNames.set(entry.id, name);
+	}
+
+	const connections = mergeConnections(
+		toIdConnections(base),
+		toIdConnections(local),
+		toIdConnections(remote),
+	);
+
+	const omitted = ['nodes', 'connections', ...BOOKKEEPING_FIELDS];
+	const withoutNodes = (workflow: WorkflowFileData) =>
+		Object.fromEntries(Object.entries(workflow).filter(([key]) => !omitted.includes(key)));
+	const { value, conflicts: workflowConflicts } = mergeValues(
+		withoutNodes(base),
+		withoutNodes(local),
+		withoutNodes(remote),
+	);
+	const workflow = value as WorkflowFileData;
+	addConflicts(workflow, workflowConflicts);
+
+	// The local side wins for bookkeeping fields
+	for (const key of BOOKKEEPING_FIELDS) {
+		if (key in local) Object.assign(workflow, { [key]: local[key as keyof WorkflowFileData] });
+	}
+
+	return {
+		workflow: {
+			...workflow,
+			nodes: nodes as INode[],
+			connections: toNameConnections(connections, nodeNames),
+		},
+		conflicts,
+	};
+}
+
+export type MergedWorkflowSerializeOptions = {
+	/** Indentation of the file, defaults to 2 spaces */
+	indent?: number | string;
+	/** Length of the conflict markers, as passed by git */
+	markerSize?: number;
+};
+
+/** Lines of a conflict on each side */
+interface ConflictSection {
+	ours: string[];
+	theirs: string[];
+}
+
+const joinSections = (first: ConflictSection, second: ConflictSection): ConflictSection => ({
+	ours: [...first.ours, ...second.ours],
+	theirs: [...first.theirs, ...second.theirs],
+});
+
+/**
+ * Serialize a merged workflow to the canonical content of a .n8n file, with git-style
+ * conflict markers around the lines of each conflicting value only. The file stays
+ * readable for merge tools, and valid JSON again once every conflict is resolved.
+ */
+export function serializeMergedWorkflow(
+	{ workflow, conflicts }: WorkflowFileMerge,
+	{ indent = 2, markerSize = 7 }: MergedWorkflowSerializeOptions = {},
+): string {
+	const conflictsByMarker = new Map(conflicts.map((conflict) => [conflict.marker, conflict]));
+	const stringify = (conflict: WorkflowFileConflict, value: unknown) => {
+		// Whole nodes are in canonical shape like all other nodes of the file
+		const canonical =
+			conflict.path.length === 0 ? canonicalizeWorkflow({ nodes: [value] }).nodes[0] : value;
+		return JSON.stringify(canonical, null, indent);
+	};
+
+	const output: Array<string | ConflictSection> = [];
+	/**
+	 * Drop the comma ending the entry before a value which one side leaves out, on that side
+	 * only. A plain line becomes part of the conflict, for every resolution to be valid JSON.
+	 */
+	const dropPreviousComma = (side: keyof ConflictSection) => {
+		const previous = output.pop();
+		if (previous === undefined) return;
+		if (typeof previous === 'string') {
+			output.push(
+				previous.endsWith(',')
+					? { ours: [previous], theirs: [previous], [side]: [previous.slice(0, -1)] }
+					: previous,
+			);
+			return;
+		}
+
+		const lines = previous[side];
+		if (lines.length > 0) {
+			lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+			output.push(previous);
+			return;
+		}
+
+		// The side leaves out the previous value as well, so the comma comes before that
+		dropPreviousComma(side);
+		const before = output.pop();
+		if (typeof before === 'object') {
+			output.push(joinSections(before, previous));
+		} else {
+			output.push(...(before === undefined ? [] : [before]), previous);
+		}
+	};
+
+	for (const line of serializeWorkflow(workflow, { indent }).split('\n')) {
+		const match = MARKER_PATTERN.exec(line);
+		const conflict = match && conflictsByMarker.get(match[0]);
+		if (!match || !conflict) {
+			output.push(line);
+			continue;
+		}
+
+		// The marker is a JSON string, so its quotes are left out as well
+		const prefix = line.slice(0, match.index - 1);
+		const suffix = line.slice(match.index + match[0].length + 1);
+		const lineIndent = /^\s*/.exec(line)![0];
+		const render = (value: unknown) =>
+			value === undefined
+				? []
+				: `${prefix}${stringify(conflict, value)}${suffix}`
+						.replaceAll('\n', `\n${lineIndent}`)
+						.split('\n');
+
+		const section = { ours: render(conflict.local), theirs: render(conflict.remote) };
+		const isLastEntry = !suffix.endsWith(',');
+		if (isLastEntry && (section.ours.length === 0 || section.theirs.length === 0)) {
+			dropPreviousComma(section.ours.length === 0 ? 'ours' : 'theirs');
+			const previous = output.at(-1);
+			if (typeof previous === 'object') {
+				output.pop();
+				output.push(joinSections(previous, section));
+				continue;
+			}
+		}
+		output.push(section);
+	}
+
+	return output
+		.flatMap((entry) =>
+			typeof entry === 'string'
+				? [entry]
+				: [
+						`${'<'.repeat(markerSize)} ours`,
+						...entry.ours,
+						'='.repeat(markerSize),
+						...entry.theirs,
+						`${'>'.repeat(markerSize)} theirs`,
+					],
+		)
+		.join('\n');
+}
@@ -0,0 +1,516 @@
+import { Logger } from '@n8n/backend-common';
+import type { User, WorkflowEntity } from '@n8n/db';
+import { FolderRepository, WorkflowRepository } from '@n8n/db';
+import { Service } from '@n8n/di';
+import isEqual from 'lodash/isEqual';
+import { InstanceSettings } from 'n8n-core';
+import type {
+	IConnections,
+	INode,
+	IPinData,
+	IWorkflowSettings,
+	WorkflowMerge,
+	WorkflowSyncChecksums,
+} from 'n8n-workflow';
+import {
+	applyMergeResolutions,
+	classifyWorkflowSync,
+	getWorkflowSyncChecksums,
+	PROJECT_ROOT,
+	REDACTED_VALUE,
+	redactData,
+	restoreRedactedData,
+} from 'n8n-workflow';
+
+import { FolderService } from '@/services/folder.service';
+import { WorkflowCreationService } from '@/workflows/workflow-creation.service';
+import { WorkflowHistoryService } from '@/workflows/workflow-history/workflow-history.service';
+import { WorkflowService } from '@/workflows/workflow.service';
+
+/**
+ * Workflow as stored in a .n8n file.
+ */
+export interface WorkflowFileData {
+	/** Backend workflow id the file is bound to, only used when `meta.instanceId` matches */
+	id?: string;
+	name: string;
+	nodes: INode[];
+	connections: IConnections;
+	settings?: IWorkflowSettings;
+	pinData?: IPinData;
+	/** Backend version the file was last synced with, the base for three-way merges */
+	versionId?: string;
+	meta?: { instanceId?: string; syncChecksums?: WorkflowSyncChecksums; [key: string]: unknown };
+}
+
+export interface WorkflowFile {
+	/** Path relative to the synced directory with `/` separators, directories map to folders */
+	path: string;
+	workflow: WorkflowFileData;
+}
+
+/**
+ * Project and folder the synced directory maps to.
+ */
+export interface WorkflowSyncTarget {
+	projectId: string;
+	/** Defaults to the project root */
+	folderId?: string;
+}
+
+/**
+ * How a file relates to its workflow, see `useWorkflowSync` in the editor for the same states.
+ */
+export type WorkflowFileSyncStatus =
+	| 'new'
+	| 'unchanged'
+	| 'fileChanged'
+	| 'backendChanged'
+	| 'diverged'
+	| 'remoteOnly';
+
+export type WorkflowFileSyncAction =
+	| 'create'
+	| 'update'
+	| 'merge'
+	| 'move'
+	| 'unchanged'
+	| 'skip'
+	| 'conflict'
+	| 'archive';
+
+export interface WorkflowSyncPlanEntry {
+	/** Path of the file, or the name of a workflow without a file */
+	path: string;
+	status: WorkflowFileSyncStatus;
+	action: WorkflowFileSyncAction;
+	/** Missing for workflows without a file */
+	file?: WorkflowFileData;
+	/** Workflow the file resolved to */
+	workflow?: WorkflowEntity;
+	/** The workflow lives in another folder than the directory of the file maps to */
+	moved: boolean;
+	/** Ids of nodes changed in both the file and n8n, only set for `conflict` */
+	conflicts?: string[];
+	merge?: WorkflowMerge<INode>;
+	/** Name, settings and pinData changed in the file, saved on top of the merge */
+	fieldChanges?: Partial<Pick<WorkflowFileData, 'name' | 'settings' | 'pinData'>>;
+}
+
+export interface WorkflowSyncPlan {
+	target: WorkflowSyncTarget;
+	entries: WorkflowSyncPlanEntry[];
+}
+
+export interface WorkflowSyncResult extends WorkflowSyncPlanEntry {
+	error?: Error;
+	/**
+	 * File bound to the saved workflow, with its id, version and checksums.
+	 * Written back so the next sync starts from it, missing when the file needs no update.
+	 */
+	syncedFile?: WorkflowFileData;
+}
+
+/**
+ * Folders of the target project, the synced directory maps to `rootId`.
+ */
+interface FolderIndex {
+	projectId: string;
+	rootId: string;
+	/** Folder id by parent folder id and folder name */
+	children: Map<string, Map<string, string>>;
+	/** Parent folder id by folder id */
+	parents: Map<string, string>;
+}
+
+function getDirectorySegments(path: string): string[] {
+	return path
+		.split('/')
+		.slice(0, -1)
+		.filter((segment) => segment !== '' && segment !== '.');
+}
+
+function getParentFolderId(workflow: WorkflowEntity): string {
+	return workflow.parentFolder?.id ?? PROJECT_ROOT;
+}
+
+/**
+ * Syncs a directory of .n8n files with the workflows of a project without the editor.
+ * Change detection and merging follow the VS Code sync of the editor, so both agree on
+ * which side changed.
+ */
+@Service()
+export class WorkflowFileSyncService {
+	constructor(
+		private readonly logger: Logger,
+		private readonly workflowRepository: WorkflowRepository,
+		private readonly workflowCreationService: WorkflowCreationService,
+		private readonly folderRepository: FolderRepository,
+		private readonly folderService: FolderService,
+		private readonly workflowService: WorkflowService,
+		private readonly workflowHistoryService: WorkflowHistoryService,
+		private readonly instanceSettings: InstanceSettings,
+	) {}
+
+	/**
+	 * Work out what syncing the files would do, without writing anything.
+	 * @param archive - Also plan to archive workflows of the mapped folders that have no file
+	 */
+	async plan(
+		files: WorkflowFile[],
+		target: WorkflowSyncTarget,
+		{ archive = false }: { archive?: boolean } = {},
+	): Promise<WorkflowSyncPlan> {
+		const index = await this.loadFolderIndex(target);
+		const entries: WorkflowSyncPlanEntry[] = [];
+		const syncedIds = new Set<string>();
+
+		for (const file of files) {
+			const entry = await this.planFile(index, file);
+			if (entry.workflow) {
+				if (syncedIds.has(entry.workflow.id)) {
+					entries.push({ ...entry, action: 'conflict', conflicts: [] });
+					continue;
+				}
+				syncedIds.add(entry.workflow.id);
+			}
+			entries.push(entry);
+		}
+
+		if (archive) {
+			for (const workflow of await this.findWorkflowsInTarget(index)) {
+				if (syncedIds.has(workflow.id)) continue;
+				entries.push({
+					path: workflow.name,
+					status: 'remoteOnly',
+					action: 'archive',
+					workflow,
+					moved: false,
+				});
+			}
+		}
+
+		return { target, entries };
+	}
+
+	/**
+	 * Carry out a plan. Every entry is applied on its own, so one failing file
+	 * does not stop the others.
+	 */
+	async apply(plan: WorkflowSyncPlan, user: User): Promise<WorkflowSyncResult[]> {
+		const index = await this.loadFolderIndex(plan.target);
+		const results: WorkflowSyncResult[] = [];
+
+		for (const entry of plan.entries) {
+			try {
+				const workflow = await this.applyEntry(index, entry, user);
+				results.push({ ...entry, workflow, syncedFile: this.toSyncedFile(entry, workflow) });
+			} catch (e) {
+				const error = e instanceof Error ? e : new Error(String(e));
+				this.logger.error(`Failed to sync ${entry.path}`, { error });
+				results.push({ ...entry, error });
+			}
+		}
+
+		return results;
+	}
+
+	private async applyEntry(
+		index: FolderIndex,
+		entry: WorkflowSyncPlanEntry,
+		user: User,
+	): Promise<WorkflowEntity | undefined> {
+		const { action, file, workflow } = entry;
+
+		if (action === 'archive' && workflow) {
+			return await this.workflowService.archive(user, workflow.id, true);
+		}
+
+		if (!file || action === 'unchanged' || action === 'skip' || action === 'conflict') {
+			return workflow;
+		}
+
+		const folderId = await this.resolveFolderId(index, entry.path, true);
+
+		if (action === 'create' || !workflow) {
+			return await this.createWorkflow(user, entry.path, file, index.projectId, folderId);
+		}
+
+		const parentFolderId = entry.moved ? folderId : undefined;
+		if (action === 'merge') {
+			const { pinData, ...fieldChanges } = entry.fieldChanges ?? {};
+			return await this.workflowService.update(
+				user,
+				this.workflowRepository.create({
+					...(entry.merge ? applyMergeResolutions(entry.merge, {}) : {}),
+					...fieldChanges,
+					...(pinData ? { pinData: this.toPinData(entry.path, pinData, workflow) } : {}),
+				}),
+				workflow.id,
+				{ parentFolderId },
+			);
+		}
+
+		const update =
+			action === 'update'
+				? this.workflowRepository.create({
+						name: file.name,
+						nodes: file.nodes,
+						connections: file.connections,
+						settings: file.settings,
+						pinData: this.toPinData(entry.path, file.pinData, workflow),
+					})
+				: this.workflowRepository.create({});
+		return await this.workflowService.update(user, update, workflow.id, { parentFolderId });
+	}
+
+	private async planFile(index: FolderIndex, file: WorkflowFile): Promise<WorkflowSyncPlanEntry> {
+		const folderId = await this.resolveFolderId(index, file.path, false);
+		const existing = await this.resolveExistingWorkflow(index, folderId, file.workflow);
+		if (!existing) {
+			return {
+				path: file.path,
+				status: 'new',
+				action: 'create',
+				file: file.workflow,
+				moved: false,
+			};
+		}
+
+		const entry: WorkflowSyncPlanEntry = {
+			path: file.path,
+			status: 'unchanged',
+			action: 'unchanged',
+			file: file.workflow,
+			workflow: existing,
+			moved: getParentFolderId(existing) !== folderId,
+		};
+
+		const { status, changedFields, merge } = await classifyWorkflowSync(
+			file.workflow,
+			existing,
+			async (workflowId, versionId) =>
+				await this.workflowHistoryService.findVersion(workflowId, versionId),
+		);
+		const fieldChanges = Object.fromEntries(
+			changedFields.map((field) => [field, file.workflow[field]]),
+		) as WorkflowSyncPlanEntry['fieldChanges'];
+
+		switch (status) {
+			case 'unchanged':
+				return entry.moved ? { ...entry, action: 'move' } : entry;
+			case 'fileChanged':
+				return { ...entry, status, action: 'update' };
+			case 'backendChanged':
+				// Keep the newer backend version, the file is rewritten by the next editor sync
+				return { ...entry, status, action: 'skip' };
+			case 'diverged':
+				if (merge && merge.conflicts.length > 0) {
+					return { ...entry, status, action: 'conflict', conflicts: merge.conflicts };
+				}
+				return { ...entry, status, action: 'merge', merge, fieldChanges };
+		}
+	}
+
+	/**
+	 * Resolve the workflow of the target project a file belongs to.
+	 * The persistent id binding wins, name matching is only used as a fallback and only
+	 * considers the synced folders, preferring the folder the directory of the file maps to.
+	 */
+	private async resolveExistingWorkflow(
+		index: FolderIndex,
+		folderId: string,
+		file: WorkflowFileData,
+	): Promise<WorkflowEntity | null> {
+		const where = {
+			isArchived: false,
+			shared: { projectId: index.projectId, role: 'workflow:owner' as const },
+		};
+		const relations = { parentFolder: true };
+
+		const fileInstanceId = file.meta?.instanceId;
+		if (file.id && (!fileInstanceId || fileInstanceId === this.instanceSettings.instanceId)) {
+			const workflow = await this.workflowRepository.findOne({
+				where: { ...where, id: file.id },
+				relations,
+			});
+			if (workflow) return workflow;
+		}
+
+		const candidates = (
+			await this.workflowRepository.find({ where: { ...where, name: file.name }, relations })
+		).filter((workflow) => this.isInTarget(index, getParentFolderId(workflow)));
+		return (
+			candidates.find((workflow) => getParentFolderId(workflow) === folderId) ??
+			candidates[0] ??
+			null
+		);
+	}
+
+	/**
+	 * File content after syncing an entry: bound to the saved workflow by its id and version,
+	 * with the nodes as saved and checksums of the fields as written.
+	 * Pinned data changed in n8n is masked before it is written to the file.
+	 */
+	private toSyncedFile(
+		entry: WorkflowSyncPlanEntry,
+		saved: WorkflowEntity | undefined,
+	): WorkflowFileData | undefined {
+		const { action, file } = entry;
+		if (!file || !saved || !['create', 'update', 'merge', 'move', 'unchanged'].includes(action)) {
+			return undefined;
+		}
+
+		const content: WorkflowFileData =
+			action === 'move' || action === 'unchanged'
+				? file
+				: {
+						...file,
+						name: saved.name,
+						nodes: saved.nodes,
+						connections: saved.connections,
+						settings: saved.settings,
+						pinData: isEqual(
+							restoreRedactedData(file.pinData ?? {}, saved.pinData),
+							saved.pinData ?? {},
+						)
+							? file.pinData
+							: redactData(saved.pinData ?? {}).data,
+					};
+		const synced: WorkflowFileData = {
+			...content,
+			id: saved.id,
+			versionId: saved.versionId,
+			meta: {
+				...file.meta,
+				instanceId: this.instanceSettings.instanceId,
+				syncChecksums: getWorkflowSyncChecksums(content),
+			},
+		};
+
+		return isEqual(synced, file) ? undefined : synced;
+	}
+
+	/**
+	 * Pinned data of a file to save, values masked when the file was written keep their value in n8n
+	 */
+	private toPinData(path: string, pinData: IPinData | undefined, existing: WorkflowEntity) {
+		return this.withoutRedactedPinData(path, restoreRedactedData(pinData, existing.pinData));
+	}
+
+	/**
+	 * Drop the pinned data of nodes that is still masked by the editor, files carry `REDACTED_VALUE`
+	 * in place of secrets and n8n has no original to restore it from.
+	 */
+	private withoutRedactedPinData(path: string, pinData: IPinData | undefined) {
+		if (!pinData) return pinData;
+
+		return Object.fromEntries(
+			Object.entries(pinData).filter(([nodeName, items]) => {
+				if (!JSON.stringify(items).includes(REDACTED_VALUE)) return true;
+				this.logger.warn(`Ignoring masked pinned data of node "${nodeName}" in ${path}`);
+				return false;
+			}),
+		);
+	}
+
+	private async createWorkflow(
+		user: User,
+		path: string,
+		file: WorkflowFileData,
+		projectId: string,
+		folderId: string,
+	): Promise<WorkflowEntity> {
+		const workflow = this.workflowRepository.create({
+			name: file.name,
+			nodes: file.nodes,
+			connections: file.connections,
+			settings: file.settings ?? {},
+			pinData: this.withoutRedactedPinData(path, file.pinData),
+			active: false,
+		});
+
+		return await this.workflowCreationService.create(user, workflow, {
+			projectId,
+			parentFolderId: folderId === PROJECT_ROOT ? undefined : folderId,
+		});
+	}
+
+	private async loadFolderIndex(target: WorkflowSyncTarget): Promise<FolderIndex> {
+		const index: FolderIndex = {
+			projectId: target.projectId,
+			rootId: target.folderId ?? PROJECT_ROOT,
+			children: new Map(),
+			parents: new Map(),
+		};
+
+		const folders = await this.folderRepository.find({
+			select: { id: true, name: true, parentFolderId: true },
+			where: { homeProject: { id: target.projectId } },
+		});
+		for (const folder of folders) {
+			this.addFolder(index, folder.id, folder.name, folder.parentFolderId ?? PROJECT_ROOT);
+		}
+
+		if (index.rootId !== PROJECT_ROOT && !index.parents.has(index.rootId)) {
+			throw new Error(`Folder "${index.rootId}" does not exist in project "${target.projectId}"`);
+		}
+
+		return index;
+	}
+
+	private addFolder(index: FolderIndex, id: string, name: string, parentId: string) {
+		const siblings = index.children.get(parentId) ?? new Map<string, string>();
+		siblings.set(name, id);
+		index.children.set(parentId, siblings);
+		index.parents.set(id, parentId);
+	}
+
+	/**
+	 * Resolve the folder the directory of a file maps to, optionally creating missing folders.
+	 * Without `create` a missing folder resolves to an empty string, which matches no workflow.
+	 */
+	private async resolveFolderId(index: FolderIndex, path: string, create: boolean) {
+		let folderId = index.rootId;
+		for (const name of getDirectorySegments(path)) {
+			let childId = index.children.get(folderId)?.get(name);
+			if (!childId) {
+				if (!create) return '';
+
+				const folder = await this.folderService.createFolder(
+					{ name, parentFolderId: folderId === PROJECT_ROOT ? undefined : folderId },
+					index.projectId,
+				);
+				childId = folder.id;
+				this.addFolder(index, childId, name, folderId);
+			}
+			folderId = childId;
+		}
+
+		return folderId;
+	}
+
+	private isInTarget(index: FolderIndex, folderId: string): boolean {
+		let currentId: string | undefined = folderId;
+		while (currentId !== undefined) {
+			if (currentId === index.rootId) return true;
+			currentId = index.parents.get(currentId);
+		}
+		return false;
+	}
+
+	/**
+	 * Workflows of the project that live in the synced folder or below it.
+	 */
+	private async findWorkflowsInTarget(index: FolderIndex): Promise<WorkflowEntity[]> {
+		const workflows = await this.workflowRepository.find({
+			where: {
+				isArchived: false,
+				shared: { projectId: index.projectId, role: 'workflow:owner' },
+			},
+			relations: { parentFolder: true },
+		});
+
+		return workflows.filter((workflow) => this.isInTarget(index, getParentFolderId(workflow)));
+	}
+}
@@ -0,0 +1,123 @@
+import glob from 'fast-glob';
+import fs from 'fs';
+import {
+	assembleWorkflow,
+	jsonParse,
+	serializeWorkflow,
+	splitWorkflow,
+	UserError,
+	WORKFLOW_MANIFEST_FILE,
+	type IRunData,
+	type WorkflowDirectoryFiles,
+} from 'n8n-workflow';
+import path from 'path';
+import { gunzipSync, gzipSync } from 'zlib';
+
+import type { WorkflowFile, WorkflowFileData } from './workflow-file-sync.service';
+
+function assertIsWorkflowFile(
+	filePath: string,
+	workflow: unknown,
+): asserts workflow is WorkflowFileData {
+	if (
+		typeof workflow !== 'object' ||
+		workflow === null ||
+		typeof (workflow as WorkflowFileData).name !== 'string' ||
+		!Array.isArray((workflow as WorkflowFileData).nodes) ||
+		typeof (workflow as WorkflowFileData).connections !== 'object'
+	) {
+		throw new UserError(`File "${filePath}" does not seem to contain a valid workflow.`);
+	}
+}
+
+function readWorkflowDirectory(directory: string): WorkflowDirectoryFiles {
+	const filePaths = glob.sync('**/*', { cwd: directory.replace(/\\/g, '/'), dot: true });
+	return Object.fromEntries(
+		filePaths.map((filePath) => [
+			filePath,
+			fs.readFileSync(path.join(directory, filePath), { encoding: 'utf8' }),
+		]),
+	);
+}
+
+/**
+ * Read a workflow from a .n8n file, or from a .n8n directory with a manifest and one file
+ * per externalized parameter.
+ */
+export function readWorkflowFile(filePath: string): WorkflowFileData {
+	const workflow = fs.lstatSync(filePath).isDirectory()
+		? assembleWorkflow(readWorkflowDirectory(filePath))
+		: jsonParse<unknown>(fs.readFileSync(filePath, { encoding: 'utf8' }));
+	assertIsWorkflowFile(filePath, workflow);
+	return workflow;
+}
+
+/**
+ * Read all .n8n files and .n8n workflow directories below a directory, sorted by path.
+ */
+export async function readWorkflowFiles(directory: string): Promise<WorkflowFile[]> {
+	const cwd = directory.replace(/\\/g, '/');
+	const filePaths = await glob('**/*.n8n', {
+		cwd,
+		ignore: ['**/node_modules/**', '**/*.n8n/**'],
+	});
+	// Large workflows can be stored as a directory with a manifest and one file per code parameter
+	const directoryPaths = (
+		await glob(`**/*.n8n/${WORKFLOW_MANIFEST_FILE}`, { cwd, ignore: ['**/node_modules/**'] })
+	).map((manifestPath) => path.posix.dirname(manifestPath));
+
+	return [...filePaths, ...directoryPaths].sort().map((filePath) => {
+		const workflow = directoryPaths.includes(filePath)
+			? assembleWorkflow(readWorkflowDirectory(path.join(directory, filePath)))
+			: jsonParse<unknown>(fs.readFileSync(path.join(directory, filePath), { encoding: 'utf8' }));
+		assertIsWorkflowFile(filePath, workflow);
+		return { path: filePath, workflow };
+	});
+}
+
+/**
+ * Write a workflow back to a .n8n file, or to the manifest and parameter files of a .n8n directory.
+ */
+export function writeWorkflowFile(filePath: string, workflow: WorkflowFileData) {
+	if (!fs.existsSync(filePath) || !fs.lstatSync(filePath).isDirectory()) {
+		fs.writeFileSync(filePath, serializeWorkflow(workflow));
+		return;
+	}
+
+	for (const [file, content] of Object.entries(splitWorkflow(workflow))) {
+		fs.mkdirSync(path.dirname(path.join(filePath, file)), { recursive: true });
+		fs.writeFileSync(path.join(filePath, file), content);
+	}
+}
+
+function isCompressed(content: Buffer) {
+	return content[0] === 0x1f && content[1] === 0x8b;
+}
+
+/**
+ * Read the run data of a .data file, which the VS Code extension writes after every run,
+ * optionally gzip compressed.
+ */
+export function readDataFile(filePath: string): IRunData {
+	const content = fs.readFileSync(filePath);
+	const data = jsonParse<unknown>(
+		(isCompressed(content) ? gunzipSync(content) : content).toString('utf8'),
+		{
+			errorMessage: `File "${filePath}" is not valid JSON.`,
+		},
+	);
+	if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+		throw new UserError(`File "${filePath}" does not seem to contain run data.`);
+	}
+	// Hosts may store the run data as it is or together with the execution timing
+	return ('runData' in data ? data.runData : data) as IRunData;
+}
+
+/**
+ * Write run data to a .data file, keeping an existing file gzip compressed if it was.
+ */
+export function writeDataFile(filePath: string, runData: IRunData) {
+	const compress = fs.existsSync(filePath) && isCompressed(fs.readFileSync(filePath));
+	const content = Buffer.from(JSON.stringify(runData, null, 2));
+	fs.writeFileSync(filePath, compress ? gzipSync(content) : content);
+}
@@ -6,14 +6,11 @@ import {
 } from '@n8n/api-types';
 import { Logger } from '@n8n/backend-common';
 import { GlobalConfig } from '@n8n/config';
-import type { Project } from '@n8n/db';
 import {
 	SharedWorkflow,
 	WorkflowEntity,
 	ProjectRelationRepository,
 	ProjectRepository,
-	TagRepository,
-	SharedWorkflowRepository,
 	WorkflowRepository,
 	AuthenticatedRequest,
 } from '@n8n/db';
@@ -36,62 +33,48 @@ import { In, type FindOptionsRelations } from '@n8n/typeorm';
 import axios from 'axios';
 import express from 'express';
 import { UnexpectedError, calculateWorkflowChecksum } from 'n8n-workflow';
-import { v4 as uuid } from 'uuid';
 
 import { BadRequestError } from '@/errors/response-errors/bad-request.error';
 import { ForbiddenError } from '@/errors/response-errors/forbidden.error';
-import { InternalServerError } from '@/errors/response-errors/internal-server.error';
 import { NotFoundError } from '@/errors/response-errors/not-found.error';
 import { EventService } from '@/events/event.service';
 import { ExecutionService } from '@/executions/execution.service';
-import { ExternalHooks } from '@/external-hooks';
-import { validateEntity } from '@/generic-helpers';
 import type { IWorkflowResponse } from '@/interfaces';
 import { License } from '@/license';
 import { listQueryMiddleware } from '@/middlewares';
 import * as ResponseHelper from '@/response-helper';
-import { FolderService } from '@/services/folder.service';
 import { NamingService } from '@/services/naming.service';
 import { ProjectService } from '@/services/project.service.ee';
-import { TagService } from '@/services/tag.service';
 import { UserManagementMailer } from '@/user-management/email';
 import * as utils from '@/utils';
-import * as WorkflowHelpers from '@/workflow-helpers';
 import { userHasScopes } from '@/permissions.ee/check-access';
 
+import { WorkflowCreationService } from './workflow-creation.service';
 import { WorkflowExecutionService } from './workflow-execution.service';
 import { WorkflowFinderService } from './workflow-finder.service';
-import { WorkflowHistoryService } from './workflow-history/workflow-history.service';
 import { WorkflowRequest } from './workflow.request';
 import { WorkflowService } from './workflow.service';
 import { EnterpriseWorkflowService } from './workflow.service.ee';
-import { CredentialsService } from '../credentials/credentials.service';
 
 @RestController('/workflows')
 export class WorkflowsController {
 	constructor(
 		private readonly logger: Logger,
-		private readonly externalHooks: ExternalHooks,
-		private readonly tagRepository: TagRepository,
 		private readonly enterpriseWorkflowService: EnterpriseWorkflowService,
-		private readonly workflowHistoryService: WorkflowHistoryService,
-		private readonly tagService: TagService,
 		private readonly namingService: NamingService,
 		private readonly workflowRepository: WorkflowRepository,
 		private readonly workflowService: WorkflowService,
 		private readonly workflowExecutionService: WorkflowExecutionService,
-		private readonly sharedWorkflowRepository: SharedWorkflowRepository,
 		private readonly license: License,
 		private readonly mailer: UserManagementMailer,
-		private readonly credentialsService: CredentialsService,
 		private readonly projectRepository: ProjectRepository,
 		private readonly projectService: ProjectService,
 		private readonly projectRelationRepository: ProjectRelationRepository,
 		private readonly eventService: EventService,
 		private readonly globalConfig: GlobalConfig,
-		private readonly folderService: FolderService,
 		private readonly workflowFinderService: WorkflowFinderService,
 		private readonly executionService: ExecutionService,
+		private readonly workflowCreationService: WorkflowCreationService,
 	) {}
 
 	@Post('/')
@@ -120,131 +103,19 @@ export class WorkflowsController {
 			req.body.active = false;
 		}
 
-		const { autosaved = false } = req.body;
-
 		const newWorkflow = new WorkflowEntity();
 
 		Object.assign(newWorkflow, req.body);
 
-		newWorkflow.versionId = uuid();
-
-		await validateEntity(newWorkflow);
-
-		await this.externalHooks.run('workflow.create', [newWorkflow]);
-
-		const { tags: tagIds } = req.body;
-
-		if (tagIds?.length && !this.globalConfig.tags.disabled) {
-			newWorkflow.tags = await this.tagRepository.findMany(tagIds);
-		}
-
-		await WorkflowHelpers.replaceInvalidCredentials(newWorkflow);
-
-		WorkflowHelpers.addNodeIds(newWorkflow);
-
-		if (this.license.isSharingEnabled()) {
-			// This is a new workflow, so we simply check if the user has access to
-			// all used credentials
-
-			const allCredentials = await this.credentialsService.getMany(req.user, {
-				includeGlobal: true,
-			});
-
-			try {
-				this.enterpriseWorkflowService.validateCredentialPermissionsToUser(
-					newWorkflow,
-					allCredentials,
-				);
-			} catch (error) {
-				throw new BadRequestError(
-					'The workflow you are trying to save contains credentials that are not shared with you',
-				);
-			}
-		}
-
-		const { manager: dbManager } = this.projectRepository;
-
-		let project: Project | null = null;
-		const savedWorkflow = await dbManager.transaction(async (transactionManager) => {
-			const { parentFolderId } = req.body;
-			let { projectId } = req.body;
-
-			if (projectId === undefined) {
-				const personalProject = await this.projectRepository.getPersonalProjectForUserOrFail(
-					req.user.id,
-					transactionManager,
-				);
-				// Chat users are not allowed to create workflows even within their personal project,
-				// so even though we found the project ensure it gets found via expected scope too.
-				projectId = personalProject.id;
-			}
-
-			project = await this.projectService.getProjectWithScope(
-				req.user,
-				projectId,
-				['workflow:create'],
-				transactionManager,
-			);
-
-			if (project === null) {
-				throw new BadRequestError(
-					"You don't have the permissions to save the workflow in this project.",
-				);
-			}
-
-			const workflow = await transactionManager.save<WorkflowEntity>(newWorkflow);
-
-			if (parentFolderId) {
-				try {
-					const parentFolder = await this.folderService.findFolderInProjectOrFail(
-						parentFolderId,
-						project.id,
-						transactionManager,
-					);
-					await transactionManager.update(WorkflowEntity, { id: workflow.id }, { parentFolder });
-				} catch {}
-			}
-
-			const newSharedWorkflow = this.sharedWorkflowRepository.create({
-				role: 'workflow:owner',
-				projectId: project.id,
-				workflow,
-			});
-
-			await transactionManager.save<SharedWorkflow>(newSharedWorkflow);
-
-			await this.workflowHistoryService.saveVersion(
-				req.user,
-				workflow,
-				workflow.id,
-				autosaved,
-				transactionManager,
-			);
-
-			return await this.workflowFinderService.findWorkflowForUser(
-				workflow.id,
-				req.user,
-				['workflow:read'],
-				{
-					em: transactionManager,
-					includeTags: true,
-					includeParentFolder: true,
-					includeActiveVersion: true,
-				},
-			);
+		const { tags: tagIds, projectId, parentFolderId, autosaved, uiContext } = req.body;
+		const savedWorkflow = await this.workflowCreationService.create(req.user, newWorkflow, {
+			projectId,
+			parentFolderId,
+			tagIds,
+			autosaved,
+			uiContext,
 		});
 
-		if (!savedWorkflow) {
-			this.logger.error('Failed to create workflow', { userId: req.user.id });
-			throw new InternalServerError('Failed to save workflow');
-		}
-
-		if (tagIds && !this.globalConfig.tags.disabled && savedWorkflow.tags) {
-			savedWorkflow.tags = this.tagService.sortByRequestOrder(savedWorkflow.tags, {
-				requestOrder: tagIds,
-			});
-		}
-
 		const savedWorkflowWithMetaData =
 			this.enterpriseWorkflowService.addOwnerAndSharings(savedWorkflow);
 
@@ -252,16 +123,6 @@ export class WorkflowsController {
 		// shouldn't be returned to the frontend
 		delete savedWorkflowWithMetaData.shared;
 
-		await this.externalHooks.run('workflow.afterCreate', [savedWorkflow]);
-		this.eventService.emit('workflow-created', {
-			user: req.user,
-			workflow: newWorkflow,
-			publicApi: false,
-			projectId: project!.id,
-			projectType: project!.type,
-			uiContext: req.body.uiContext,
-		});
-
 		const scopes = await this.workflowService.getWorkflowScopes(req.user, savedWorkflow.id);
 
 		const checksum = await calculateWorkflowChecksum(savedWorkflow);
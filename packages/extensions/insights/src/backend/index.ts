@@ -1,7 +1,16 @@
 import { defineBackendExtension } from '@n8n/extension-sdk/backend';
 
 export default defineBackendExtension({
-	setup(n8n) {
-		console.log(n8n);
+	setup({ events, routes, storage, logger }) {
+		events.on('workflow-post-execute', async () => {
+			const executionCount = (await storage.get<number>('executionCount')) ?? 0;
+			await storage.set('executionCount', executionCount + 1);
+		});
+
+		routes.get('/summary', async () => ({
+			executionCount: (await storage.get<number>('executionCount')) ?? 0,
+		}));
+
+		logger.debug('Insights extension set up');
 	},
 });
@@ -44,4 +44,5 @@ export const STORES = {
 	TEMPLATES_DATA_QUALITY: 'templatesDataQuality',
 	BANNERS: 'banners',
 	CONSENT: 'consent',
+	EXTENSIONS: 'extensions',
 } as const;
@@ -0,0 +1,41 @@
+import type { ExtensionManifest } from '@n8n/extension-sdk';
+import type { IRestApiContext } from '@n8n/rest-api-client';
+import { makeRestApiRequest } from '@n8n/rest-api-client';
+
+/**
+ * Enabled extension with a frontend entry, the bundle is served at `/extensions/<name>/frontend.js`
+ */
+export type FrontendExtensionDescription = Pick<
+	ExtensionManifest,
+	'name' | 'displayName' | 'version' | 'permissions' | 'extends'
+>;
+
+/**
+ * Installed extension as admins see it in the settings, including disabled ones
+ * and ones whose backend failed to set up
+ */
+export type InstalledExtension = Pick<
+	ExtensionManifest,
+	'name' | 'displayName' | 'description' | 'publisher' | 'version' | 'permissions' | 'events'
+> & { enabled: boolean; setupError?: string };
+
+export async function getExtensions(context: IRestApiContext) {
+	return await makeRestApiRequest<FrontendExtensionDescription[]>(context, 'GET', '/extensions');
+}
+
+export async function getInstalledExtensions(context: IRestApiContext) {
+	return await makeRestApiRequest<InstalledExtension[]>(context, 'GET', '/extensions/installed');
+}
+
+export async function updateExtension(
+	context: IRestApiContext,
+	name: string,
+	data: { enabled: boolean },
+) {
+	return await makeRestApiRequest<InstalledExtension>(
+		context,
+		'PATCH',
+		`/extensions/installed/${encodeURIComponent(name)}`,
+		data,
+	);
+}
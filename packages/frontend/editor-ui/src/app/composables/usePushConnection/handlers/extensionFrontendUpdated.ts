@@ -0,0 +1,12 @@
+import type { ExtensionFrontendUpdated } from '@n8n/api-types/push/hot-reload';
+import { useExtensionsStore } from '@/app/stores/extensions.store';
+
+/**
+ * Handles the 'extensionFrontendUpdated' event from the push connection, which indicates
+ * that the frontend entry of an extension was rebuilt during development.
+ */
+export async function extensionFrontendUpdated({ data }: ExtensionFrontendUpdated) {
+	const extensionsStore = useExtensionsStore();
+
+	await extensionsStore.reloadExtension(data.name);
+}
@@ -2,6 +2,7 @@ export * from './builderCreditsUpdated';
 export * from './executionFinished';
 export * from './executionRecovered';
 export * from './executionStarted';
+export * from './extensionFrontendUpdated';
 export * from './nodeDescriptionUpdated';
 export * from './nodeExecuteAfter';
 export * from './nodeExecuteAfterData';
@@ -25,6 +25,7 @@ vi.mock('@/app/composables/usePushConnection/handlers', () => ({
 	reloadNodeType: vi.fn(),
 	removeNodeType: vi.fn(),
 	nodeDescriptionUpdated: vi.fn(),
+	extensionFrontendUpdated: vi.fn(),
 	nodeExecuteBefore: vi.fn(),
 	nodeExecuteAfter: vi.fn(),
 	nodeExecuteAfterData: vi.fn(),
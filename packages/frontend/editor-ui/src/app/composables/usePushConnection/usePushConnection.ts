@@ -9,6 +9,7 @@ import {
 	reloadNodeType,
 	removeNodeType,
 	nodeDescriptionUpdated,
+	extensionFrontendUpdated,
 	nodeExecuteBefore,
 	nodeExecuteAfter,
 	nodeExecuteAfterData,
@@ -70,6 +71,8 @@ export function usePushConnection({
 				return await removeNodeType(event);
 			case 'nodeDescriptionUpdated':
 				return await nodeDescriptionUpdated(event);
+			case 'extensionFrontendUpdated':
+				return await extensionFrontendUpdated(event);
 			case 'nodeExecuteBefore':
 				return await nodeExecuteBefore(event, options);
 			case 'nodeExecuteAfter':
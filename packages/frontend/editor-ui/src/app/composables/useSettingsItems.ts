@@ -127,6 +127,15 @@ export function useSettingsItems() {
 			route: { to: { name: VIEWS.COMMUNITY_NODES } },
 		});
 
+		menuItems.push({
+			id: 'settings-extensions',
+			icon: 'toolbox',
+			label: i18n.baseText('settings.extensions'),
+			position: 'top',
+			available: canUserAccessRouteByName(VIEWS.EXTENSIONS_SETTINGS),
+			route: { to: { name: VIEWS.EXTENSIONS_SETTINGS } },
+		});
+
 		menuItems.push({
 			id: 'settings-migration-report',
 			icon: 'list-checks',
@@ -1,6 +1,7 @@
 import { nextTick, ref } from 'vue';
 import { useWorkflowDiffRouting } from '@/app/composables/useWorkflowDiffRouting';
 import { WORKFLOW_DIFF_MODAL_KEY } from '@/app/constants';
+import type { IWorkflowDb } from '@/Interface';
 import {
 	SOURCE_CONTROL_PULL_MODAL_KEY,
 	SOURCE_CONTROL_PUSH_MODAL_KEY,
@@ -282,6 +283,20 @@ describe('useWorkflowDiffRouting', () => {
 			expect(mockUiStore.closeModal).toHaveBeenCalledWith(WORKFLOW_DIFF_MODAL_KEY);
 		});
 
+		it('should keep a git revision diff open when the route has no diff', async () => {
+			mockUiStore.modalsById[WORKFLOW_DIFF_MODAL_KEY] = {
+				open: true,
+				data: { revision: { name: 'HEAD' } },
+			};
+
+			mockRoute.value.query = {};
+
+			useWorkflowDiffRouting();
+			await nextTick();
+
+			expect(mockUiStore.closeModal).not.toHaveBeenCalledWith(WORKFLOW_DIFF_MODAL_KEY);
+		});
+
 		it('should not open diff modal if already open', async () => {
 			mockUiStore.modalsById[WORKFLOW_DIFF_MODAL_KEY] = { open: true };
 
@@ -297,6 +312,28 @@ describe('useWorkflowDiffRouting', () => {
 		});
 	});
 
+	describe('git revision diff', () => {
+		it('should open the diff modal comparing the canvas with the revision', () => {
+			const workflow = { id: 'workflow-123', name: 'Orders', nodes: [], connections: {} };
+			const { openRevisionDiff } = useWorkflowDiffRouting();
+
+			openRevisionDiff('workflow-123', {
+				name: 'HEAD',
+				workflow: workflow as unknown as IWorkflowDb,
+			});
+
+			expect(mockUiStore.openModalWithData).toHaveBeenCalledWith({
+				name: WORKFLOW_DIFF_MODAL_KEY,
+				data: {
+					eventBus: mockEventBus,
+					workflowId: 'workflow-123',
+					direction: 'push',
+					revision: { name: 'HEAD', workflow },
+				},
+			});
+		});
+	});
+
 	describe('source control modal handling', () => {
 		it('should open push modal when sourceControl=push', async () => {
 			mockRoute.value.query = {
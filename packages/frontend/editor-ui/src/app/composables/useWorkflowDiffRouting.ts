@@ -4,16 +4,28 @@ import { createEventBus } from '@n8n/utils/event-bus';
 import { isSourceControlledFileStatus, type SourceControlledFileStatus } from '@n8n/api-types';
 import { useUIStore } from '@/app/stores/ui.store';
 import { WORKFLOW_DIFF_MODAL_KEY } from '@/app/constants';
+import type { IWorkflowDb } from '@/Interface';
 import {
 	SOURCE_CONTROL_PULL_MODAL_KEY,
 	SOURCE_CONTROL_PUSH_MODAL_KEY,
 } from '@/features/integrations/sourceControl.ee/sourceControl.constants';
 
+/**
+ * Workflow at a git revision, compared with the current canvas in the diff modal
+ */
+export type WorkflowDiffRevision = {
+	/** Revision as shown to the user, e.g. `HEAD` or a commit hash */
+	name: string;
+	/** Missing when the workflow does not exist at the revision */
+	workflow?: IWorkflowDb;
+};
+
 /**
  * Composable that handles source control modal state based on URL query parameters
  * This enables browser back/forward navigation and direct URL access for:
  * - Push/Pull modals
  * - Workflow diff modals
+ * Diffs against a git revision are opened directly, their content is not part of the URL
  */
 export function useWorkflowDiffRouting() {
 	const route = useRoute();
@@ -54,6 +66,8 @@ export function useWorkflowDiffRouting() {
 	) => {
 		const shouldOpen = diffWorkflowId && direction;
 		const isOpen = uiStore.modalsById[WORKFLOW_DIFF_MODAL_KEY]?.open;
+		// Diffs against a git revision are not backed by the route, so route changes leave them open
+		const isRevisionDiff = !!uiStore.modalsById[WORKFLOW_DIFF_MODAL_KEY]?.data?.revision;
 
 		if (shouldOpen && !isOpen) {
 			uiStore.openModalWithData({
@@ -65,11 +79,24 @@ export function useWorkflowDiffRouting() {
 					direction,
 				},
 			});
-		} else if (!shouldOpen && isOpen) {
+		} else if (!shouldOpen && isOpen && !isRevisionDiff) {
 			uiStore.closeModal(WORKFLOW_DIFF_MODAL_KEY);
 		}
 	};
 
+	const openRevisionDiff = (workflowId: string, revision: WorkflowDiffRevision) => {
+		uiStore.openModalWithData({
+			name: WORKFLOW_DIFF_MODAL_KEY,
+			data: {
+				eventBus: workflowDiffEventBus,
+				workflowId,
+				// The revision is the base the canvas changes are compared against, like the remote of a push
+				direction: 'push',
+				revision,
+			},
+		});
+	};
+
 	const handleSourceControlModals = (
 		sourceControl: Direction | undefined,
 		diffWorkflowId: string | undefined,
@@ -141,5 +168,6 @@ export function useWorkflowDiffRouting() {
 
 	return {
 		workflowDiffEventBus,
+		openRevisionDiff,
 	};
 }
@@ -1,8 +1,25 @@
 import { watch, computed } from 'vue';
 import { useWorkflowsStore } from '@/app/stores/workflows.store';
 import { useUIStore } from '@/app/stores/ui.store';
+import { useRootStore } from '@n8n/stores/useRootStore';
 import { debounce } from 'lodash-es';
+import {
+	canonicalizeWorkflow,
+	getWorkflowSyncChecksums,
+	redactData,
+	splitWorkflow,
+} from 'n8n-workflow';
 import type { IWorkflowDb } from '@/Interface';
+import {
+	createWebviewBridge,
+	stripBinaryData,
+	type DataFile,
+	type RedactionReportEntry,
+	type RedactionRules,
+	type WebviewBridge,
+	type WebviewMessage,
+	type WorkflowFile,
+} from '@n8n/webview-protocol';
 
 /**
  * Check if running inside a VS Code webview
@@ -11,15 +28,107 @@ export function isVSCodeWebview(): boolean {
 	return typeof window !== 'undefined' && window.location?.origin?.startsWith('vscode-webview:');
 }
 
+let vscodeBridge: WebviewBridge | null = null;
+
+let redactionRules: RedactionRules | undefined;
+
+/**
+ * Get the bridge to the VS Code extension host, shared by the whole app
+ * Returns null outside of a VS Code webview or when the VS Code API (set in index.html) is missing
+ */
+export function getVSCodeBridge(): WebviewBridge | null {
+	if (vscodeBridge) {
+		return vscodeBridge;
+	}
+
+	const vscode = (window as unknown as { vscode?: { postMessage: (msg: unknown) => void } }).vscode;
+	if (!isVSCodeWebview() || !vscode || typeof vscode.postMessage !== 'function') {
+		return null;
+	}
+
+	vscodeBridge = createWebviewBridge({
+		postMessage: (message) => vscode.postMessage(message),
+		target: window,
+		ownOrigin: window.location.origin,
+		// Hosts predating the protocol listen for stringified `{ command }` messages on the parent
+		legacyTarget: window.parent,
+	});
+	// The handshake reply carries the redaction rules configured in the extension
+	vscodeBridge.on('hostReady', (message) => {
+		redactionRules = message.redaction;
+	});
+	return vscodeBridge;
+}
+
+/**
+ * Mask secrets and personal data in the pinned data and run data written to files
+ * Uses the built-in rules plus the rules of the extension, unless the extension disabled redaction
+ */
+function redactFileData(
+	workflow: WorkflowFile,
+	executionData: unknown,
+): { workflow: WorkflowFile; executionData: unknown; report?: RedactionReportEntry[] } {
+	const { enabled = true, ...rules } = redactionRules ?? {};
+	if (!enabled) {
+		return { workflow, executionData };
+	}
+
+	const pinData = workflow.pinData ? redactData(workflow.pinData, rules) : undefined;
+	const runData = executionData ? redactData(executionData, rules) : undefined;
+	const report = [
+		...(pinData?.report.map((entry) => ({
+			...entry,
+			path: entry.path.replace('$', '$.pinData'),
+		})) ?? []),
+		...(runData?.report ?? []),
+	];
+
+	return {
+		workflow: pinData ? { ...workflow, pinData: pinData.data } : workflow,
+		executionData: runData ? runData.data : executionData,
+		report,
+	};
+}
+
+/**
+ * Record the fields as written, the base to tell file edits from n8n edits on the next sync
+ */
+function withSyncChecksums(workflow: WorkflowFile): WorkflowFile {
+	return {
+		...workflow,
+		meta: { ...workflow.meta, syncChecksums: getWorkflowSyncChecksums(workflow) },
+	};
+}
+
+/**
+ * How the opened workflow is stored: a single .n8n file or a directory with a workflow.json
+ * manifest and externalized code, query and prompt parameters
+ */
+export type WorkflowFileLayout = 'file' | 'directory';
+
+let workflowFileLayout: WorkflowFileLayout = 'file';
+
+/**
+ * Set by the message that opened the workflow, updates are sent back in the same layout
+ */
+export function setWorkflowFileLayout(layout: WorkflowFileLayout) {
+	workflowFileLayout = layout;
+}
+
 /**
  * Workflow data to sync to the .n8n file
  */
 export interface WorkflowFileData {
+	/** Backend workflow id, persisted in the file as its stable identity */
+	id?: string;
 	name: string;
 	nodes: IWorkflowDb['nodes'];
 	connections: IWorkflowDb['connections'];
 	settings?: IWorkflowDb['settings'];
 	pinData?: IWorkflowDb['pinData'];
+	/** Backend version the file content was last synced with, the base for three-way merges */
+	versionId?: string;
+	meta?: IWorkflowDb['meta'];
 }
 
 /**
@@ -30,19 +139,30 @@ export interface WorkflowFileData {
 export function useWorkflowFileSync() {
 	const workflowsStore = useWorkflowsStore();
 	const uiStore = useUIStore();
+	const rootStore = useRootStore();
+
+	/**
+	 * Build the file metadata binding the .n8n file to this instance
+	 */
+	function getFileMeta(meta?: IWorkflowDb['meta']): IWorkflowDb['meta'] {
+		return rootStore.instanceId ? { ...meta, instanceId: rootStore.instanceId } : meta;
+	}
 
 	/**
 	 * Serialize workflow data to ensure it's postMessage-safe
 	 * This removes any non-serializable properties (functions, circular refs, etc.)
 	 */
-	function serializeWorkflowData(workflowData: WorkflowFileData): WorkflowFileData {
+	function serializeWorkflowData(workflowData: WorkflowFileData): WorkflowFile {
 		try {
 			// First, try to serialize without pinData (pinData can be large and problematic)
 			const dataToSerialize: any = {
+				id: workflowData.id,
 				name: workflowData.name,
 				nodes: workflowData.nodes,
 				connections: workflowData.connections,
 				settings: workflowData.settings,
+				versionId: workflowData.versionId,
+				meta: workflowData.meta,
 			};
 
 			// Try to include pinData, but exclude it if it causes issues
@@ -62,24 +182,31 @@ export function useWorkflowFileSync() {
 
 			// Use JSON.stringify/parse to ensure data is serializable
 			// This removes any non-serializable properties
-			const serialized = JSON.parse(JSON.stringify(dataToSerialize));
+			// The canonical key and node order keeps git diffs of the .n8n file small
+			const serialized = JSON.parse(JSON.stringify(canonicalizeWorkflow(dataToSerialize)));
 			return serialized;
 		} catch (error) {
 			console.error('[WorkflowFileSync] Failed to serialize workflow data:', error);
 			// Fallback: return minimal data without pinData
 			try {
 				return JSON.parse(
-					JSON.stringify({
-						name: workflowData.name,
-						nodes: workflowData.nodes || [],
-						connections: workflowData.connections || {},
-						settings: workflowData.settings,
-					}),
+					JSON.stringify(
+						canonicalizeWorkflow({
+							id: workflowData.id,
+							name: workflowData.name,
+							nodes: workflowData.nodes || [],
+							connections: workflowData.connections || {},
+							settings: workflowData.settings,
+							versionId: workflowData.versionId,
+							meta: workflowData.meta,
+						}),
+					),
 				);
 			} catch (fallbackError) {
 				console.error('[WorkflowFileSync] Fallback serialization also failed:', fallbackError);
 				// Last resort: return minimal safe data
 				return {
+					id: workflowData.id,
 					name: workflowData.name || '',
 					nodes: [],
 					connections: {},
@@ -102,14 +229,8 @@ export function useWorkflowFileSync() {
 		executionData?: any,
 		executionTiming?: { startedAt?: Date | string; stoppedAt?: Date | string },
 	): void {
-		if (!isVSCodeWebview()) {
-			return;
-		}
-
-		// Get the VS Code API from the global window object (set in index.html)
-		const vscode = (window as unknown as { vscode?: { postMessage: (msg: unknown) => void } })
-			.vscode;
-		if (!vscode || typeof vscode.postMessage !== 'function') {
+		const bridge = getVSCodeBridge();
+		if (!bridge) {
 			console.log('[WorkflowFileSync] VS Code API not available, skipping sync');
 			return;
 		}
@@ -118,11 +239,11 @@ export function useWorkflowFileSync() {
 			// Serialize the workflow data to ensure it's postMessage-safe
 			const serializedWorkflow = serializeWorkflowData(workflowData);
 
-			// Serialize execution data if provided
+			// Serialize execution data if provided, binary contents would bloat the .data file
 			let serializedExecutionData: any = undefined;
 			if (executionData) {
 				try {
-					serializedExecutionData = JSON.parse(JSON.stringify(executionData));
+					serializedExecutionData = stripBinaryData(JSON.parse(JSON.stringify(executionData)));
 				} catch (error) {
 					console.warn('[WorkflowFileSync] Failed to serialize execution data:', error);
 				}
@@ -147,43 +268,25 @@ export function useWorkflowFileSync() {
 				}
 			}
 
-			// Create the message object
-			const message: any = {
+			// Throws on invalid rules of the extension, nothing is sent then
+			const redacted = redactFileData(serializedWorkflow, serializedExecutionData);
+			if (redacted.report?.length) {
+				console.log(`[WorkflowFileSync] Redacted ${redacted.report.length} values`);
+			}
+
+			const workflowFile = withSyncChecksums(redacted.workflow);
+			const message: WebviewMessage = {
 				type: 'workflowUpdate',
-				workflow: serializedWorkflow,
+				workflow: workflowFile,
 				shouldSave, // Flag to indicate if this should save the file or just apply edit
+				executionData: redacted.executionData,
+				executionTiming: serializedExecutionTiming,
+				files: workflowFileLayout === 'directory' ? splitWorkflow(workflowFile) : undefined,
+				redactionReport: redacted.report,
 			};
 
-			// Include execution data if provided
-			if (serializedExecutionData) {
-				message.executionData = serializedExecutionData;
-			}
-
-			// Include execution timing if provided
-			if (serializedExecutionTiming) {
-				message.executionTiming = serializedExecutionTiming;
-			}
-
-			// Verify the message can be cloned before sending
-			try {
-				// Test if the message can be cloned (this will throw if it can't)
-				structuredClone(message);
-			} catch (cloneError) {
-				console.error(
-					'[WorkflowFileSync] Message cannot be cloned, attempting to fix by re-serializing:',
-					cloneError,
-				);
-				// Try one more time with JSON round-trip
-				const reSerialized = JSON.parse(JSON.stringify(message));
-				vscode.postMessage(reSerialized);
-				console.log(
-					`[WorkflowFileSync] Sent workflow update to VS Code (re-serialized): ${workflowData.name} (shouldSave: ${shouldSave})`,
-				);
-				return;
-			}
-
-			// Send message to VS Code extension via the VS Code API
-			vscode.postMessage(message);
+			// Send message to VS Code extension, the bridge validates it against the protocol
+			bridge.send(message);
 			console.log(
 				`[WorkflowFileSync] Sent workflow update to VS Code: ${workflowData.name} (shouldSave: ${shouldSave})`,
 			);
@@ -200,6 +303,22 @@ export function useWorkflowFileSync() {
 		}
 	}
 
+	/**
+	 * Build the .n8n file content of a backend workflow
+	 */
+	function toWorkflowFileData(workflow: IWorkflowDb): WorkflowFileData {
+		return {
+			id: workflow.id,
+			name: workflow.name,
+			nodes: workflow.nodes,
+			connections: workflow.connections,
+			settings: workflow.settings,
+			pinData: workflow.pinData,
+			versionId: workflow.versionId,
+			meta: getFileMeta(workflow.meta),
+		};
+	}
+
 	/**
 	 * Sync workflow from IWorkflowDb type
 	 * @param workflow - The workflow to sync
@@ -213,18 +332,7 @@ export function useWorkflowFileSync() {
 		executionData?: any,
 		executionTiming?: { startedAt?: Date | string; stoppedAt?: Date | string },
 	): void {
-		syncWorkflowToFile(
-			{
-				name: workflow.name,
-				nodes: workflow.nodes,
-				connections: workflow.connections,
-				settings: workflow.settings,
-				pinData: workflow.pinData,
-			},
-			shouldSave,
-			executionData,
-			executionTiming,
-		);
+		syncWorkflowToFile(toWorkflowFileData(workflow), shouldSave, executionData, executionTiming);
 	}
 
 	/**
@@ -237,11 +345,14 @@ export function useWorkflowFileSync() {
 		}
 
 		return {
+			id: workflow.id || undefined,
 			name: workflow.name,
 			nodes: workflow.nodes,
 			connections: workflow.connections,
 			settings: workflow.settings,
 			pinData: workflow.pinData,
+			versionId: workflow.versionId || undefined,
+			meta: getFileMeta(workflow.meta),
 		};
 	}
 
@@ -309,57 +420,21 @@ export function useWorkflowFileSync() {
 
 	/**
 	 * Request loading the .data file associated with the current workflow
+	 * Resolves once the extension answered the request; the run data itself is applied by App.vue
 	 * Only works when running inside a VS Code webview
 	 * @param filePath - Optional specific file path to load. If not provided, loads the default .data file
 	 */
-	function requestLoadDataFile(filePath?: string): Promise<void> {
-		return new Promise((resolve, reject) => {
-			if (!isVSCodeWebview()) {
-				reject(new Error('Load data is only available in VS Code'));
-				return;
-			}
-
-			// Get the VS Code API from the global window object (set in index.html)
-			const vscode = (window as unknown as { vscode?: { postMessage: (msg: unknown) => void } })
-				.vscode;
-			if (!vscode || typeof vscode.postMessage !== 'function') {
-				reject(new Error('VS Code API not available'));
-				return;
-			}
-
-			try {
-				const message: any = {
-					type: 'loadDataFile',
-				};
-
-				if (filePath) {
-					message.filePath = filePath;
-				}
-
-				// Set up a one-time listener for the response
-				const messageHandler = (event: MessageEvent) => {
-					if (event.data.type === 'dataFileLoaded') {
-						window.removeEventListener('message', messageHandler);
-						resolve();
-					} else if (event.data.type === 'dataFileError') {
-						window.removeEventListener('message', messageHandler);
-						reject(new Error(event.data.error || 'Failed to load data file'));
-					}
-				};
-
-				window.addEventListener('message', messageHandler);
+	async function requestLoadDataFile(filePath?: string): Promise<void> {
+		const bridge = getVSCodeBridge();
+		if (!bridge) {
+			throw new Error('Load data is only available in VS Code');
+		}
 
-				// Send message to VS Code extension via the VS Code API
-				vscode.postMessage(message);
-				console.log(
-					'[WorkflowFileSync] Sent load data file request to VS Code',
-					filePath ? `(path: ${filePath})` : '',
-				);
-			} catch (error) {
-				console.error('[WorkflowFileSync] Failed to send load data file request:', error);
-				reject(error);
-			}
-		});
+		console.log(
+			'[WorkflowFileSync] Sending load data file request to VS Code',
+			filePath ? `(path: ${filePath})` : '',
+		);
+		await bridge.request({ type: 'loadDataFile', filePath });
 	}
 
 	/**
@@ -367,56 +442,42 @@ export function useWorkflowFileSync() {
 	 * Files matching pattern "%file%.data" where %file% is the base name of the .n8n file
 	 * Only works when running inside a VS Code webview
 	 */
-	function requestListDataFiles(): Promise<Array<{ path: string; name: string }>> {
-		return new Promise((resolve, reject) => {
-			if (!isVSCodeWebview()) {
-				reject(new Error('List data files is only available in VS Code'));
-				return;
-			}
-
-			// Get the VS Code API from the global window object (set in index.html)
-			const vscode = (window as unknown as { vscode?: { postMessage: (msg: unknown) => void } })
-				.vscode;
-			if (!vscode || typeof vscode.postMessage !== 'function') {
-				reject(new Error('VS Code API not available'));
-				return;
-			}
-
-			try {
-				const message = {
-					type: 'listDataFiles',
-				};
+	async function requestListDataFiles(): Promise<DataFile[]> {
+		const bridge = getVSCodeBridge();
+		if (!bridge) {
+			throw new Error('List data files is only available in VS Code');
+		}
 
-				// Set up a one-time listener for the response
-				const messageHandler = (event: MessageEvent) => {
-					if (event.data.type === 'dataFileList') {
-						window.removeEventListener('message', messageHandler);
-						resolve(event.data.files || []);
-					} else if (event.data.type === 'dataFileListError') {
-						window.removeEventListener('message', messageHandler);
-						reject(new Error(event.data.error || 'Failed to list data files'));
-					}
-				};
+		console.log('[WorkflowFileSync] Sending list data files request to VS Code');
+		const { files } = await bridge.request({ type: 'listDataFiles' });
+		return files;
+	}
 
-				window.addEventListener('message', messageHandler);
+	/**
+	 * Mark a .data file as golden so the extension never rotates it, or unmark it
+	 * Resolves with the updated list of .data files
+	 * Only works when running inside a VS Code webview
+	 */
+	async function requestSetDataFileGolden(filePath: string, golden: boolean): Promise<DataFile[]> {
+		const bridge = getVSCodeBridge();
+		if (!bridge) {
+			throw new Error('Golden data files are only available in VS Code');
+		}
 
-				// Send message to VS Code extension via the VS Code API
-				vscode.postMessage(message);
-				console.log('[WorkflowFileSync] Sent list data files request to VS Code');
-			} catch (error) {
-				console.error('[WorkflowFileSync] Failed to send list data files request:', error);
-				reject(error);
-			}
-		});
+		const { files } = await bridge.request({ type: 'setDataFileGolden', filePath, golden });
+		return files;
 	}
 
 	return {
 		isVSCodeWebview,
 		syncWorkflowToFile,
 		syncFromWorkflowDb,
+		toWorkflowFileData,
+		serializeWorkflowData,
 		setupAutoSync,
 		getCurrentWorkflowData,
 		requestLoadDataFile,
 		requestListDataFiles,
+		requestSetDataFileGolden,
 	};
 }
@@ -0,0 +1,215 @@
+import { createTestingPinia } from '@pinia/testing';
+import { mockedStore } from '@/__tests__/utils';
+import { createTestNode, createTestWorkflow } from '@/__tests__/mocks';
+import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { useWorkflowHistoryStore } from '@/features/workflows/workflowHistory/workflowHistory.store';
+import type { WorkflowVersion } from '@n8n/rest-api-client/api/workflowHistory';
+import { getWorkflowSyncChecksums, MergeSide, REDACTED_VALUE } from 'n8n-workflow';
+import { useWorkflowSync, type WorkflowSyncData } from './useWorkflowSync';
+
+const rootStore = { instanceId: 'instance-1' };
+
+vi.mock('@n8n/stores/useRootStore', () => ({
+	useRootStore: () => rootStore,
+}));
+
+const fileData = (data: Partial<WorkflowSyncData> = {}): WorkflowSyncData => ({
+	name: 'My workflow',
+	nodes: [],
+	connections: {},
+	...data,
+});
+
+describe('useWorkflowSync', () => {
+	let workflowsStore: ReturnType<typeof mockedStore<typeof useWorkflowsStore>>;
+	let workflowHistoryStore: ReturnType<typeof mockedStore<typeof useWorkflowHistoryStore>>;
+
+	beforeEach(() => {
+		createTestingPinia();
+		workflowsStore = mockedStore(useWorkflowsStore);
+		workflowHistoryStore = mockedStore(useWorkflowHistoryStore);
+		rootStore.instanceId = 'instance-1';
+	});
+
+	describe('syncWorkflow', () => {
+		it('should resolve the workflow through the file id before falling back to the name', async () => {
+			const existing = createTestWorkflow({ id: 'wf-1', name: 'My workflow' });
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+
+			const result = await useWorkflowSync().syncWorkflow(
+				fileData({ id: 'wf-1', versionId: existing.versionId }),
+			);
+
+			expect(workflowsStore.fetchWorkflow).toHaveBeenCalledWith('wf-1');
+			expect(workflowsStore.searchWorkflows).not.toHaveBeenCalled();
+			expect(result).toEqual({
+				workflow: existing,
+				action: 'unchanged',
+				matchedBy: 'id',
+				fileOutdated: false,
+			});
+		});
+
+		it('should rename the bound workflow instead of creating a new one', async () => {
+			const existing = createTestWorkflow({ id: 'wf-1', name: 'Old name' });
+			const updated = createTestWorkflow({ id: 'wf-1', name: 'New name', versionId: 'v2' });
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+			workflowsStore.updateWorkflow.mockResolvedValue(updated);
+
+			const result = await useWorkflowSync().syncWorkflow(
+				fileData({ id: 'wf-1', name: 'New name' }),
+			);
+
+			expect(workflowsStore.createNewWorkflow).not.toHaveBeenCalled();
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledWith(
+				'wf-1',
+				expect.objectContaining({ name: 'New name' }),
+			);
+			expect(result).toEqual({
+				workflow: updated,
+				action: 'updated',
+				matchedBy: 'id',
+				renamedFrom: 'Old name',
+				fileOutdated: true,
+			});
+		});
+
+		it('should keep pinned values that were masked in the file', async () => {
+			const pinData = { Webhook: [{ json: { token: 'secret', id: 1 } }] };
+			const existing = createTestWorkflow({ id: 'wf-1', name: 'Old name', pinData });
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+			workflowsStore.updateWorkflow.mockResolvedValue(existing);
+
+			await useWorkflowSync().syncWorkflow(
+				fileData({
+					id: 'wf-1',
+					name: 'New name',
+					pinData: { Webhook: [{ json: { token: REDACTED_VALUE, id: 2 } }] },
+				}),
+			);
+
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledWith(
+				'wf-1',
+				expect.objectContaining({ pinData: { Webhook: [{ json: { token: 'secret', id: 2 } }] } }),
+			);
+		});
+
+		it('should fall back to name matching when the bound workflow no longer exists', async () => {
+			const existing = createTestWorkflow({ id: 'wf-2', name: 'My workflow' });
+			workflowsStore.checkWorkflowExists.mockResolvedValue(false);
+			workflowsStore.searchWorkflows.mockResolvedValue([existing]);
+
+			const result = await useWorkflowSync().syncWorkflow(fileData({ id: 'wf-1' }));
+
+			expect(workflowsStore.fetchWorkflow).not.toHaveBeenCalled();
+			expect(result.matchedBy).toBe('name');
+			expect(result.workflow).toBe(existing);
+		});
+
+		it('should ignore an id bound to another instance', async () => {
+			workflowsStore.searchWorkflows.mockResolvedValue([]);
+			workflowsStore.createNewWorkflow.mockResolvedValue(createTestWorkflow({ id: 'wf-3' }));
+
+			const result = await useWorkflowSync().syncWorkflow(
+				fileData({ id: 'wf-1', meta: { instanceId: 'instance-2' } }),
+			);
+
+			expect(workflowsStore.checkWorkflowExists).not.toHaveBeenCalled();
+			expect(result.action).toBe('created');
+		});
+	});
+
+	describe('when file and backend diverged', () => {
+		const trigger = createTestNode({ id: 'trigger', name: 'Trigger' });
+		const set = createTestNode({ id: 'set', name: 'Set', parameters: { value: 'base' } });
+		const base = { nodes: [trigger, set], connections: {} } as unknown as WorkflowVersion;
+
+		beforeEach(() => {
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowHistoryStore.getWorkflowVersion.mockResolvedValue(base);
+		});
+
+		it('should keep the backend version when only the backend changed', async () => {
+			const existing = createTestWorkflow({
+				id: 'wf-1',
+				name: 'My workflow',
+				versionId: 'v2',
+				nodes: [trigger, { ...set, parameters: { value: 'remote' } }],
+			});
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+
+			const result = await useWorkflowSync().syncWorkflow(
+				fileData({ id: 'wf-1', versionId: 'v1', nodes: [trigger, set] }),
+			);
+
+			expect(workflowHistoryStore.getWorkflowVersion).toHaveBeenCalledWith('wf-1', 'v1');
+			expect(workflowsStore.updateWorkflow).not.toHaveBeenCalled();
+			expect(result).toMatchObject({ action: 'unchanged', fileOutdated: true });
+		});
+
+		it('should save renames and pinned data changed in the file on top of the backend nodes', async () => {
+			const existing = createTestWorkflow({
+				id: 'wf-1',
+				name: 'My workflow',
+				versionId: 'v2',
+				nodes: [trigger, { ...set, parameters: { value: 'remote' } }],
+				pinData: { Set: [{ json: { token: 'secret' } }] },
+			});
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+			workflowsStore.updateWorkflow.mockResolvedValue(existing);
+			const syncChecksums = getWorkflowSyncChecksums({
+				name: 'My workflow',
+				pinData: { Set: [{ json: { token: REDACTED_VALUE } }] },
+			});
+
+			const result = await useWorkflowSync().syncWorkflow(
+				fileData({
+					id: 'wf-1',
+					versionId: 'v1',
+					name: 'Renamed workflow',
+					nodes: [trigger, set],
+					pinData: { Set: [{ json: { token: REDACTED_VALUE, amount: 1 } }] },
+					meta: { syncChecksums },
+				}),
+			);
+
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledWith('wf-1', {
+				name: 'Renamed workflow',
+				pinData: { Set: [{ json: { token: 'secret', amount: 1 } }] },
+			});
+			expect(result).toMatchObject({ action: 'updated', renamedFrom: 'My workflow' });
+		});
+
+		it('should report conflicts and apply the picked side on resolve', async () => {
+			const remoteSet = { ...set, parameters: { value: 'remote' } };
+			const localSet = { ...set, parameters: { value: 'local' } };
+			const existing = createTestWorkflow({
+				id: 'wf-1',
+				name: 'My workflow',
+				versionId: 'v2',
+				nodes: [trigger, remoteSet],
+			});
+			workflowsStore.fetchWorkflow.mockResolvedValue(existing);
+			workflowsStore.updateWorkflow.mockResolvedValue(existing);
+
+			const workflowSync = useWorkflowSync();
+			const result = await workflowSync.syncWorkflow(
+				fileData({ id: 'wf-1', versionId: 'v1', nodes: [trigger, localSet] }),
+			);
+
+			expect(result.action).toBe('conflict');
+			expect(result.merge?.conflicts).toEqual(['set']);
+			expect(workflowsStore.updateWorkflow).not.toHaveBeenCalled();
+
+			await workflowSync.resolveConflict(result, { set: MergeSide.Local });
+
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledWith('wf-1', {
+				nodes: [trigger, localSet],
+				connections: {},
+			});
+		});
+	});
+});
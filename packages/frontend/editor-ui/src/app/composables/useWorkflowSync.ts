@@ -1,23 +1,89 @@
 import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { useWorkflowHistoryStore } from '@/features/workflows/workflowHistory/workflowHistory.store';
+import { useRootStore } from '@n8n/stores/useRootStore';
 import { VIEWS } from '@/app/constants';
-import type { IWorkflowDb } from '@/Interface';
-import type { INodeUi, IConnections } from 'n8n-workflow';
+import type { INodeUi, IWorkflowDb } from '@/Interface';
+import {
+	applyMergeResolutions,
+	classifyWorkflowSync,
+	hasWorkflowChanges as hasWorkflowContentChanges,
+	restoreRedactedData,
+	type IConnections,
+	type IPinData,
+	type MergeResolutions,
+	type WorkflowMerge,
+	type WorkflowSyncChecksums,
+	type WorkflowSyncClassification,
+	type WorkflowSyncField,
+} from 'n8n-workflow';
 
 export interface WorkflowSyncData {
+	/**
+	 * Backend workflow id the .n8n file is bound to.
+	 * Written back to the file after the first sync so later syncs don't rely on the name.
+	 */
+	id?: string;
 	name: string;
 	nodes: INodeUi[];
 	connections: IConnections;
 	settings?: Record<string, unknown>;
-	pinData?: Record<string, unknown>;
+	pinData?: IPinData;
+	/**
+	 * Backend version the file was last synced with.
+	 * Used as the base to tell apart changes made in the file from changes made in n8n.
+	 */
+	versionId?: string;
+	meta?: {
+		/** Instance the `id` belongs to. An id bound to another instance is ignored. */
+		instanceId?: string;
+		/** Name, settings and pinData as last synced, the base to tell which side changed them */
+		syncChecksums?: WorkflowSyncChecksums;
+		[key: string]: unknown;
+	};
 }
 
 export interface WorkflowSyncResult {
 	workflow: IWorkflowDb;
-	action: 'created' | 'updated' | 'unchanged';
+	action: 'created' | 'updated' | 'unchanged' | 'conflict';
+	/** How the backend workflow was resolved, `undefined` for newly created workflows */
+	matchedBy?: 'id' | 'name';
+	/** Previous backend name when the workflow was renamed in the file */
+	renamedFrom?: string;
+	/** True when the file no longer matches the backend version and should be rewritten from it */
+	fileOutdated?: boolean;
+	/** Merge of the diverged file and backend versions, only set for `conflict` */
+	merge?: WorkflowMerge<INodeUi>;
+	/** Fields changed in the file, saved together with the resolved merge, only set for `conflict` */
+	fieldChanges?: WorkflowFieldChanges;
 }
 
+/** Values of the name, settings and pinData the file changed since its last sync */
+export type WorkflowFieldChanges = Partial<Pick<WorkflowSyncData, 'name' | 'settings' | 'pinData'>>;
+
+/**
+ * How a .n8n file relates to its backend workflow
+ * - `new`: no backend workflow exists for the file
+ * - `unchanged`: file and backend hold the same content
+ * - `fileChanged`: only the file changed since the last sync
+ * - `backendChanged`: only the backend changed since the last sync
+ * - `diverged`: both changed since the last sync
+ */
+export type WorkflowSyncStatus = 'new' | WorkflowSyncClassification<INodeUi>['status'];
+
+/** Where workflows created from files are placed, the current project root by default */
+export interface WorkflowSyncLocation {
+	projectId?: string;
+	parentFolderId?: string;
+}
+
+type WorkflowContent = Pick<WorkflowSyncData, 'nodes' | 'connections'>;
+
+type ExistingWorkflow = { workflow: IWorkflowDb; matchedBy: 'id' | 'name' };
+
 export function useWorkflowSync() {
 	const workflowsStore = useWorkflowsStore();
+	const rootStore = useRootStore();
+	const workflowHistoryStore = useWorkflowHistoryStore();
 	// Note: Can't use useRouter() here as this composable may be called outside setup context.
 	// Instead, we use the globally exposed router via window.__n8n_router__
 
@@ -36,61 +102,82 @@ export function useWorkflowSync() {
 	}
 
 	/**
-	 * Compare two workflows to check if they have meaningful differences
-	 * Returns true if there are changes that need to be synced
+	 * Find a workflow by its id in the backend
+	 * Returns null if the workflow doesn't exist (e.g. it was deleted) or is archived
 	 */
-	function hasWorkflowChanges(existing: IWorkflowDb, incoming: WorkflowSyncData): boolean {
+	async function findWorkflowById(id: string): Promise<IWorkflowDb | null> {
 		try {
-			// Handle cases where nodes might not be loaded
-			const existingNodesList = existing.nodes || [];
-			const incomingNodesList = incoming.nodes || [];
-
-			// If node counts differ, there are definitely changes
-			if (existingNodesList.length !== incomingNodesList.length) {
-				console.log('[WorkflowSync] Node count changed');
-				return true;
+			if (!(await workflowsStore.checkWorkflowExists(id))) {
+				return null;
 			}
 
-			// Compare nodes - stringify and compare
-			const existingNodes = JSON.stringify(
-				existingNodesList.map((n) => ({
-					name: n.name,
-					type: n.type,
-					typeVersion: n.typeVersion,
-					position: n.position,
-					parameters: n.parameters,
-					credentials: n.credentials,
-					disabled: n.disabled,
-				})),
-			);
-			const incomingNodes = JSON.stringify(
-				incomingNodesList.map((n) => ({
-					name: n.name,
-					type: n.type,
-					typeVersion: n.typeVersion,
-					position: n.position,
-					parameters: n.parameters,
-					credentials: n.credentials,
-					disabled: n.disabled,
-				})),
-			);
+			const workflow = await workflowsStore.fetchWorkflow(id);
+			return workflow.isArchived ? null : workflow;
+		} catch (error) {
+			console.error('[WorkflowSync] Failed to fetch workflow by id:', error);
+			return null;
+		}
+	}
 
-			if (existingNodes !== incomingNodes) {
-				console.log('[WorkflowSync] Nodes have changed');
-				return true;
+	/**
+	 * Check whether the id stored in the file belongs to this n8n instance
+	 * Files without an instance binding are assumed to belong to the current instance
+	 */
+	function isBoundToCurrentInstance(workflowData: WorkflowSyncData): boolean {
+		const fileInstanceId = workflowData.meta?.instanceId;
+		return !fileInstanceId || !rootStore.instanceId || fileInstanceId === rootStore.instanceId;
+	}
+
+	/**
+	 * Resolve the backend workflow for the file
+	 * The persistent id binding wins, name matching is only used as a fallback
+	 */
+	async function resolveExistingWorkflow(
+		workflowData: WorkflowSyncData,
+	): Promise<ExistingWorkflow | null> {
+		if (workflowData.id && isBoundToCurrentInstance(workflowData)) {
+			const workflow = await findWorkflowById(workflowData.id);
+			if (workflow) {
+				return { workflow, matchedBy: 'id' };
 			}
+			console.log(
+				'[WorkflowSync] Bound workflow not found, falling back to name:',
+				workflowData.id,
+			);
+		}
 
-			// Compare connections
-			const existingConnections = JSON.stringify(existing.connections || {});
-			const incomingConnections = JSON.stringify(incoming.connections || {});
+		const workflow = await findWorkflowByName(workflowData.name);
+		return workflow ? { workflow, matchedBy: 'name' } : null;
+	}
 
-			if (existingConnections !== incomingConnections) {
-				console.log('[WorkflowSync] Connections have changed');
-				return true;
-			}
+	/**
+	 * Fetch the backend version the file was last synced with
+	 * Returns null if the version was pruned from history,
+	 * in which case every node changed on both sides is treated as a conflict
+	 */
+	async function fetchSyncBase(
+		workflowId: string,
+		versionId: string,
+	): Promise<WorkflowContent | null> {
+		try {
+			return await workflowHistoryStore.getWorkflowVersion(workflowId, versionId);
+		} catch (error) {
+			console.warn('[WorkflowSync] Failed to fetch last synced version:', error);
+			return null;
+		}
+	}
 
-			console.log('[WorkflowSync] No changes detected');
-			return false;
+	/**
+	 * Compare two workflows to check if they have meaningful differences
+	 * Returns true if there are changes that need to be synced
+	 */
+	function hasWorkflowChanges(existing: WorkflowContent, incoming: WorkflowContent): boolean {
+		try {
+			const changed = hasWorkflowContentChanges(existing, incoming);
+			console.log(
+				changed ? '[WorkflowSync] Changes detected' : '[WorkflowSync] No changes detected',
+			);
+			return changed;
 		} catch (error) {
 			console.error('[WorkflowSync] Error comparing workflows:', error);
 			// If we can't compare, assume there are changes
@@ -98,37 +185,131 @@ export function useWorkflowSync() {
 		}
 	}
 
+	/**
+	 * Values of the fields the file changed since its last sync
+	 * Values masked when the file was written keep their value in n8n
+	 */
+	function getFieldChanges(
+		existing: IWorkflowDb,
+		workflowData: WorkflowSyncData,
+		changedFields: WorkflowSyncField[],
+	): WorkflowFieldChanges {
+		const changes: WorkflowFieldChanges = {};
+		for (const field of changedFields) {
+			if (field === 'name') changes.name = workflowData.name;
+			if (field === 'settings') changes.settings = workflowData.settings;
+			if (field === 'pinData') {
+				changes.pinData = restoreRedactedData(workflowData.pinData, existing.pinData);
+			}
+		}
+		return changes;
+	}
+
+	/**
+	 * Detect which side changed since the file was last synced, without writing anything
+	 */
+	async function getSyncStatus(
+		workflowData: WorkflowSyncData,
+	): Promise<{ status: WorkflowSyncStatus; existing: ExistingWorkflow | null }> {
+		const existing = await resolveExistingWorkflow(workflowData);
+		if (!existing) {
+			return { status: 'new', existing };
+		}
+
+		const { status } = await classifyWorkflowSync(workflowData, existing.workflow, fetchSyncBase);
+		return { status, existing };
+	}
+
 	/**
 	 * Sync workflow from file to n8n backend
-	 * - If workflow exists and has changes: update it
+	 * - If workflow exists and has changes or was renamed: update it
 	 * - If workflow exists with no changes: just return it
-	 * - If workflow doesn't exist: create it
+	 * - If workflow doesn't exist: create it in the given location
 	 */
-	async function syncWorkflow(workflowData: WorkflowSyncData): Promise<WorkflowSyncResult> {
+	async function syncWorkflow(
+		workflowData: WorkflowSyncData,
+		location: WorkflowSyncLocation = {},
+	): Promise<WorkflowSyncResult> {
 		console.log('[WorkflowSync] Starting sync for workflow:', workflowData.name);
 
-		const existingWorkflow = await findWorkflowByName(workflowData.name);
+		const existing = await resolveExistingWorkflow(workflowData);
+
+		if (existing) {
+			const { workflow: existingWorkflow, matchedBy } = existing;
+			console.log(
+				`[WorkflowSync] Found existing workflow by ${matchedBy} with ID:`,
+				existingWorkflow.id,
+			);
 
-		if (existingWorkflow) {
-			console.log('[WorkflowSync] Found existing workflow with ID:', existingWorkflow.id);
+			// A name can only differ when the workflow was resolved through the id binding
+			const renamedFrom =
+				existingWorkflow.name !== workflowData.name ? existingWorkflow.name : undefined;
+			const { status, changedFields, merge } = await classifyWorkflowSync(
+				workflowData,
+				existingWorkflow,
+				fetchSyncBase,
+			);
+			const fieldChanges = getFieldChanges(existingWorkflow, workflowData, changedFields);
 
-			// Workflow exists - check for changes
-			if (hasWorkflowChanges(existingWorkflow, workflowData)) {
+			if (status === 'backendChanged') {
+				console.log('[WorkflowSync] Only the backend changed, keeping backend version');
+				return {
+					workflow: existingWorkflow,
+					action: 'unchanged',
+					matchedBy,
+					fileOutdated: true,
+				};
+			}
+
+			if (status === 'diverged') {
+				if (!merge) {
+					console.log(
+						'[WorkflowSync] Keeping backend nodes, saving the fields changed in the file',
+					);
+					return await applyMerge(existingWorkflow, undefined, fieldChanges, matchedBy);
+				}
+
+				if (merge.conflicts.length > 0) {
+					console.log('[WorkflowSync] Merge conflicts in nodes:', merge.conflicts);
+					return { workflow: existingWorkflow, action: 'conflict', matchedBy, merge, fieldChanges };
+				}
+
+				console.log('[WorkflowSync] File and backend diverged, merging...');
+				return await applyMerge(existingWorkflow, merge, fieldChanges, matchedBy);
+			}
+
+			if (status === 'fileChanged') {
 				console.log('[WorkflowSync] Updating workflow...');
 
 				// Update existing workflow
 				const updated = await workflowsStore.updateWorkflow(existingWorkflow.id, {
+					...(renamedFrom !== undefined ? { name: workflowData.name } : {}),
 					nodes: workflowData.nodes,
 					connections: workflowData.connections,
 					settings: workflowData.settings,
-					pinData: workflowData.pinData,
+					// Values masked when the file was written keep their value in n8n
+					pinData: restoreRedactedData(workflowData.pinData, existingWorkflow.pinData),
 				});
 
+				if (renamedFrom !== undefined) {
+					console.log(`[WorkflowSync] Workflow renamed from "${renamedFrom}"`);
+				}
 				console.log('[WorkflowSync] Workflow updated successfully');
-				return { workflow: updated, action: 'updated' };
+				return {
+					workflow: updated,
+					action: 'updated',
+					matchedBy,
+					renamedFrom,
+					fileOutdated: updated.versionId !== workflowData.versionId,
+				};
 			} else {
 				console.log('[WorkflowSync] No changes detected, using existing workflow');
-				return { workflow: existingWorkflow, action: 'unchanged' };
+				return {
+					workflow: existingWorkflow,
+					action: 'unchanged',
+					matchedBy,
+					fileOutdated: existingWorkflow.versionId !== workflowData.versionId,
+				};
 			}
 		} else {
 			console.log('[WorkflowSync] Creating new workflow...');
@@ -139,11 +320,62 @@ export function useWorkflowSync() {
 				nodes: workflowData.nodes,
 				connections: workflowData.connections,
 				settings: workflowData.settings || {},
+				projectId: location.projectId,
+				parentFolderId: location.parentFolderId,
 			});
 
 			console.log('[WorkflowSync] New workflow created with ID:', newWorkflow.id);
-			return { workflow: newWorkflow, action: 'created' };
+			return { workflow: newWorkflow, action: 'created', fileOutdated: true };
+		}
+	}
+
+	/**
+	 * Save the merged file and backend versions to the backend
+	 * @param merge - Merge of the nodes, `undefined` when only the backend changed them
+	 * @param fieldChanges - Fields changed in the file, the backend keeps the other fields
+	 * @param resolutions - Side picked for every conflicting node
+	 */
+	async function applyMerge(
+		existingWorkflow: IWorkflowDb,
+		merge: WorkflowMerge<INodeUi> | undefined,
+		fieldChanges: WorkflowFieldChanges,
+		matchedBy: WorkflowSyncResult['matchedBy'],
+		resolutions: MergeResolutions = {},
+	): Promise<WorkflowSyncResult> {
+		const updated = await workflowsStore.updateWorkflow(existingWorkflow.id, {
+			...(merge ? applyMergeResolutions(merge, resolutions) : {}),
+			...fieldChanges,
+		});
+
+		const renamedFrom =
+			fieldChanges.name !== undefined && fieldChanges.name !== existingWorkflow.name
+				? existingWorkflow.name
+				: undefined;
+		if (renamedFrom !== undefined) {
+			console.log(`[WorkflowSync] Workflow renamed from "${renamedFrom}"`);
 		}
+		console.log('[WorkflowSync] Merged workflow saved successfully');
+		return { workflow: updated, action: 'updated', matchedBy, renamedFrom, fileOutdated: true };
+	}
+
+	/**
+	 * Resolve a `conflict` sync result with the side picked for every conflicting node
+	 */
+	async function resolveConflict(
+		result: WorkflowSyncResult,
+		resolutions: MergeResolutions,
+	): Promise<WorkflowSyncResult> {
+		if (result.action !== 'conflict' || !result.merge) {
+			throw new Error('Only conflicting sync results can be resolved');
+		}
+
+		return await applyMerge(
+			result.workflow,
+			result.merge,
+			result.fieldChanges ?? {},
+			result.matchedBy,
+			resolutions,
+		);
 	}
 
 	/**
@@ -179,8 +411,12 @@ export function useWorkflowSync() {
 
 	return {
 		findWorkflowByName,
+		findWorkflowById,
+		resolveExistingWorkflow,
 		hasWorkflowChanges,
+		getSyncStatus,
 		syncWorkflow,
+		resolveConflict,
 		navigateToWorkflow,
 		syncAndNavigate,
 	};
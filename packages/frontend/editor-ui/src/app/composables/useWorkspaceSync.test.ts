@@ -0,0 +1,171 @@
+import { createTestingPinia } from '@pinia/testing';
+import { mockedStore } from '@/__tests__/utils';
+import { createTestNode, createTestWorkflow } from '@/__tests__/mocks';
+import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { useFoldersStore } from '@/features/core/folders/folders.store';
+import type {
+	ChangeLocationSearchResult,
+	FolderCreateResponse,
+} from '@/features/core/folders/folders.types';
+import { useWorkflowHistoryStore } from '@/features/workflows/workflowHistory/workflowHistory.store';
+import type { WorkflowVersion } from '@n8n/rest-api-client/api/workflowHistory';
+import type { IWorkflowDb } from '@/Interface';
+import { useWorkspaceSync, type WorkspaceFile } from './useWorkspaceSync';
+import type { WorkflowSyncData } from './useWorkflowSync';
+
+vi.mock('@n8n/stores/useRootStore', () => ({
+	useRootStore: () => ({ instanceId: 'instance-1' }),
+}));
+
+const target = { projectId: 'project-1' };
+
+const billing = {
+	id: 'folder-billing',
+	name: 'billing',
+	parentFolder: undefined,
+} as unknown as ChangeLocationSearchResult;
+
+const inFolder = (workflow: IWorkflowDb, folderId?: string): IWorkflowDb => ({
+	...workflow,
+	parentFolder: folderId ? { id: folderId, name: folderId, parentFolderId: null } : undefined,
+});
+
+const workspaceFile = (path: string, workflow: Partial<WorkflowSyncData> = {}): WorkspaceFile => ({
+	path,
+	workflow: { name: 'Invoices', nodes: [], connections: {}, ...workflow },
+});
+
+describe('useWorkspaceSync', () => {
+	let workflowsStore: ReturnType<typeof mockedStore<typeof useWorkflowsStore>>;
+	let foldersStore: ReturnType<typeof mockedStore<typeof useFoldersStore>>;
+	let workflowHistoryStore: ReturnType<typeof mockedStore<typeof useWorkflowHistoryStore>>;
+
+	beforeEach(() => {
+		createTestingPinia();
+		workflowsStore = mockedStore(useWorkflowsStore);
+		foldersStore = mockedStore(useFoldersStore);
+		workflowHistoryStore = mockedStore(useWorkflowHistoryStore);
+
+		foldersStore.fetchFoldersAvailableForMove.mockResolvedValue([billing]);
+		workflowsStore.searchWorkflows.mockResolvedValue([]);
+	});
+
+	describe('getWorkspaceStatus', () => {
+		it('should report file states and workflows without a file', async () => {
+			const invoices = inFolder(
+				createTestWorkflow({ id: 'wf-1', name: 'Invoices', versionId: 'v1' }),
+				billing.id,
+			);
+			const reminders = inFolder(createTestWorkflow({ id: 'wf-2', name: 'Reminders' }), billing.id);
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(invoices);
+			workflowsStore.searchWorkflows.mockResolvedValue([invoices, reminders]);
+
+			const results = await useWorkspaceSync().getWorkspaceStatus(
+				[workspaceFile('billing/invoices.n8n', { id: 'wf-1', versionId: 'v1' })],
+				target,
+			);
+
+			expect(workflowsStore.searchWorkflows).toHaveBeenCalledWith(
+				expect.objectContaining({ projectId: 'project-1' }),
+			);
+			expect(results).toEqual([
+				{ path: 'billing/invoices.n8n', status: 'unchanged', workflowId: 'wf-1', moved: false },
+				{ path: 'billing/Reminders.n8n', status: 'remoteOnly', workflowId: 'wf-2' },
+			]);
+		});
+	});
+
+	describe('pushWorkspace', () => {
+		it('should create missing folders and place new workflows in them', async () => {
+			foldersStore.createFolder.mockResolvedValue({
+				id: 'folder-reports',
+			} as FolderCreateResponse);
+			workflowsStore.createNewWorkflow.mockResolvedValue(
+				createTestWorkflow({ id: 'wf-3', name: 'Invoices' }),
+			);
+
+			const [result] = await useWorkspaceSync().pushWorkspace(
+				[workspaceFile('billing/reports/invoices.n8n')],
+				target,
+			);
+
+			expect(foldersStore.createFolder).toHaveBeenCalledWith('reports', 'project-1', billing.id);
+			expect(workflowsStore.createNewWorkflow).toHaveBeenCalledWith(
+				expect.objectContaining({ projectId: 'project-1', parentFolderId: 'folder-reports' }),
+			);
+			expect(result).toMatchObject({
+				path: 'billing/reports/invoices.n8n',
+				status: 'new',
+				action: 'created',
+				workflowId: 'wf-3',
+				workflow: expect.objectContaining({ id: 'wf-3' }),
+			});
+		});
+
+		it('should move workflows into the folder of their file', async () => {
+			const invoices = createTestWorkflow({ id: 'wf-1', name: 'Invoices', versionId: 'v1' });
+			const moved = inFolder({ ...invoices, versionId: 'v2' }, billing.id);
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(invoices);
+			workflowsStore.updateWorkflow.mockResolvedValue(moved);
+
+			const [result] = await useWorkspaceSync().pushWorkspace(
+				[workspaceFile('billing/invoices.n8n', { id: 'wf-1', versionId: 'v1' })],
+				target,
+			);
+
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledTimes(1);
+			expect(workflowsStore.updateWorkflow).toHaveBeenCalledWith('wf-1', {
+				parentFolderId: billing.id,
+				versionId: 'v1',
+			});
+			expect(result).toMatchObject({
+				action: 'unchanged',
+				moved: true,
+				workflow: expect.objectContaining({ versionId: 'v2' }),
+			});
+		});
+	});
+
+	describe('pullWorkspace', () => {
+		it('should only pull files without local changes', async () => {
+			const set = createTestNode({ id: 'set', name: 'Set', parameters: { value: 'base' } });
+			const remote = inFolder(
+				createTestWorkflow({
+					id: 'wf-1',
+					name: 'Invoices',
+					versionId: 'v2',
+					nodes: [{ ...set, parameters: { value: 'remote' } }],
+				}),
+				billing.id,
+			);
+			workflowsStore.checkWorkflowExists.mockResolvedValue(true);
+			workflowsStore.fetchWorkflow.mockResolvedValue(remote);
+			workflowHistoryStore.getWorkflowVersion.mockResolvedValue({
+				nodes: [set],
+				connections: {},
+			} as unknown as WorkflowVersion);
+
+			const results = await useWorkspaceSync().pullWorkspace(
+				[
+					workspaceFile('billing/invoices.n8n', { id: 'wf-1', versionId: 'v1', nodes: [set] }),
+					workspaceFile('billing/copy.n8n', {
+						id: 'wf-1',
+						versionId: 'v1',
+						nodes: [{ ...set, parameters: { value: 'local' } }],
+					}),
+				],
+				target,
+			);
+
+			expect(results[0]).toMatchObject({
+				status: 'backendChanged',
+				action: 'pulled',
+				workflow: expect.objectContaining({ versionId: 'v2' }),
+			});
+			expect(results[1]).toMatchObject({ status: 'diverged', action: 'skipped' });
+			expect(results[1].workflow).toBeUndefined();
+		});
+	});
+});
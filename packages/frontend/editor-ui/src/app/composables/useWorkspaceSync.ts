@@ -0,0 +1,372 @@
+import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { useFoldersStore } from '@/features/core/folders/folders.store';
+import { useProjectsStore } from '@/features/collaboration/projects/projects.store';
+import type { IWorkflowDb } from '@/Interface';
+import { sanitizeFilename } from '@n8n/utils';
+import type { WorkspaceFileResult, WorkspaceTarget } from '@n8n/webview-protocol';
+import { PROJECT_ROOT } from 'n8n-workflow';
+import { useWorkflowFileSync } from './useWorkflowFileSync';
+import { useWorkflowSync, type WorkflowSyncData, type WorkflowSyncStatus } from './useWorkflowSync';
+
+/**
+ * A .n8n file of the workspace
+ */
+export interface WorkspaceFile {
+	/** Path relative to the workspace root with `/` separators, directories map to folders */
+	path: string;
+	workflow: WorkflowSyncData;
+}
+
+/**
+ * Folders of the mapped project, the workspace root maps to `rootId`
+ */
+interface FolderIndex {
+	projectId: string;
+	rootId: string;
+	/** Folder id by parent folder id and folder name */
+	children: Map<string, Map<string, string>>;
+	/** Folder name and parent folder id by folder id */
+	folders: Map<string, { name: string; parentId: string }>;
+}
+
+interface FileState {
+	status: WorkflowSyncStatus;
+	workflow?: IWorkflowDb;
+	/** The workflow lives in another folder than the directory of the file maps to */
+	moved: boolean;
+}
+
+const WORKFLOW_FILE_EXTENSION = '.n8n';
+
+function getDirectorySegments(path: string): string[] {
+	return path
+		.split('/')
+		.slice(0, -1)
+		.filter((segment) => segment !== '' && segment !== '.');
+}
+
+function getParentFolderId(workflow: IWorkflowDb): string {
+	return workflow.parentFolder?.id ?? PROJECT_ROOT;
+}
+
+function toErrorMessage(error: unknown): string {
+	return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Composable for syncing a whole directory tree of .n8n files with a project and its folders
+ * Every file goes through the same change detection and three-way merge as single file syncs
+ */
+export function useWorkspaceSync() {
+	const workflowsStore = useWorkflowsStore();
+	const foldersStore = useFoldersStore();
+	const projectsStore = useProjectsStore();
+	const { getSyncStatus, syncWorkflow } = useWorkflowSync();
+	const { toWorkflowFileData, serializeWorkflowData } = useWorkflowFileSync();
+
+	/**
+	 * Build the folder index of the target project, workspaces without a project map to the personal one
+	 */
+	async function loadFolderIndex(target: WorkspaceTarget): Promise<FolderIndex> {
+		let projectId = target.projectId;
+		if (!projectId) {
+			if (!projectsStore.personalProject) {
+				await projectsStore.getPersonalProject();
+			}
+			projectId = projectsStore.personalProject?.id;
+		}
+		if (!projectId) {
+			throw new Error('No project to sync the workspace with');
+		}
+
+		const index: FolderIndex = {
+			projectId,
+			rootId: target.folderId ?? PROJECT_ROOT,
+			children: new Map(),
+			folders: new Map(),
+		};
+		for (const folder of await foldersStore.fetchFoldersAvailableForMove(projectId)) {
+			addFolder(index, folder.id, folder.name, folder.parentFolder?.id ?? PROJECT_ROOT);
+		}
+
+		return index;
+	}
+
+	function addFolder(index: FolderIndex, id: string, name: string, parentId: string) {
+		const siblings = index.children.get(parentId) ?? new Map<string, string>();
+		siblings.set(name, id);
+		index.children.set(parentId, siblings);
+		index.folders.set(id, { name, parentId });
+	}
+
+	/**
+	 * Resolve the folder the directory of a file maps to, optionally creating missing folders
+	 * Returns undefined when a folder is missing and `create` is off
+	 */
+	async function resolveFolderId(
+		index: FolderIndex,
+		path: string,
+		create: boolean,
+	): Promise<string | undefined> {
+		let folderId = index.rootId;
+		for (const name of getDirectorySegments(path)) {
+			let childId = index.children.get(folderId)?.get(name);
+			if (!childId) {
+				if (!create) {
+					return undefined;
+				}
+
+				const folder = await foldersStore.createFolder(
+					name,
+					index.projectId,
+					folderId === PROJECT_ROOT ? undefined : folderId,
+				);
+				childId = folder.id;
+				addFolder(index, childId, name, folderId);
+				console.log('[WorkspaceSync] Created folder:', name);
+			}
+			folderId = childId;
+		}
+
+		return folderId;
+	}
+
+	/**
+	 * Directory of a folder relative to the workspace root
+	 * Returns undefined for folders outside of the workspace
+	 */
+	function getFolderDirectory(index: FolderIndex, folderId: string): string[] | undefined {
+		const segments: string[] = [];
+		let currentId = folderId;
+		while (currentId !== index.rootId) {
+			const folder = index.folders.get(currentId);
+			if (!folder) {
+				return undefined;
+			}
+			segments.unshift(sanitizeFilename(folder.name));
+			currentId = folder.parentId;
+		}
+
+		return segments;
+	}
+
+	async function getFileState(index: FolderIndex, file: WorkspaceFile): Promise<FileState> {
+		const { status, existing } = await getSyncStatus(file.workflow);
+		const folderId = await resolveFolderId(index, file.path, false);
+
+		return {
+			status,
+			workflow: existing?.workflow,
+			moved: existing ? getParentFolderId(existing.workflow) !== folderId : false,
+		};
+	}
+
+	/**
+	 * Backend workflows in the mapped folders that have no file yet
+	 */
+	async function findRemoteOnlyWorkflows(
+		index: FolderIndex,
+		syncedIds: Set<string>,
+	): Promise<Array<{ path: string; workflow: IWorkflowDb }>> {
+		const workflows = await workflowsStore.searchWorkflows({
+			projectId: index.projectId,
+			isArchived: false,
+			select: ['id', 'name', 'parentFolder', 'versionId'],
+		});
+
+		return workflows.flatMap((workflow) => {
+			const directory = syncedIds.has(workflow.id)
+				? undefined
+				: getFolderDirectory(index, getParentFolderId(workflow));
+			if (!directory) {
+				return [];
+			}
+
+			const fileName = `${sanitizeFilename(workflow.name)}${WORKFLOW_FILE_EXTENSION}`;
+			return [{ path: [...directory, fileName].join('/'), workflow }];
+		});
+	}
+
+	/**
+	 * Report how every file relates to the backend, and which backend workflows have no file
+	 */
+	async function getWorkspaceStatus(
+		files: WorkspaceFile[],
+		target: WorkspaceTarget,
+	): Promise<WorkspaceFileResult[]> {
+		const index = await loadFolderIndex(target);
+		const results: WorkspaceFileResult[] = [];
+		const syncedIds = new Set<string>();
+
+		for (const file of files) {
+			try {
+				const state = await getFileState(index, file);
+				if (state.workflow) {
+					syncedIds.add(state.workflow.id);
+				}
+				results.push({
+					path: file.path,
+					status: state.status,
+					workflowId: state.workflow?.id,
+					moved: state.moved,
+				});
+			} catch (error) {
+				console.error('[WorkspaceSync] Failed to check file:', file.path, error);
+				results.push({ path: file.path, error: toErrorMessage(error) });
+			}
+		}
+
+		for (const { path, workflow } of await findRemoteOnlyWorkflows(index, syncedIds)) {
+			results.push({ path, status: 'remoteOnly', workflowId: workflow.id });
+		}
+
+		return results;
+	}
+
+	/**
+	 * Upload all files: create missing folders and workflows, update changed workflows
+	 * and move workflows into the folder of their file
+	 * Files changed on both sides are merged; conflicts are reported and left for the single file sync
+	 */
+	async function pushWorkspace(
+		files: WorkspaceFile[],
+		target: WorkspaceTarget,
+	): Promise<WorkspaceFileResult[]> {
+		const index = await loadFolderIndex(target);
+		const results: WorkspaceFileResult[] = [];
+
+		for (const file of files) {
+			try {
+				const state = await getFileState(index, file);
+				const folderId = (await resolveFolderId(index, file.path, true)) ?? index.rootId;
+
+				let workflow = state.workflow;
+				let action: WorkspaceFileResult['action'] = 'unchanged';
+				let fileOutdated = workflow?.versionId !== file.workflow.versionId;
+
+				if (
+					state.status === 'new' ||
+					state.status === 'fileChanged' ||
+					state.status === 'diverged'
+				) {
+					const result = await syncWorkflow(file.workflow, {
+						projectId: index.projectId,
+						parentFolderId: folderId === PROJECT_ROOT ? undefined : folderId,
+					});
+					workflow = result.workflow;
+					action = result.action;
+					fileOutdated = result.fileOutdated ?? false;
+				}
+
+				if (!workflow) {
+					throw new Error('Workflow could not be synced');
+				}
+
+				const moved = state.moved && action !== 'conflict';
+				if (moved) {
+					workflow = await workflowsStore.updateWorkflow(workflow.id, {
+						parentFolderId: folderId,
+						versionId: workflow.versionId,
+					});
+					fileOutdated = true;
+				}
+
+				results.push({
+					path: file.path,
+					status: state.status,
+					workflowId: workflow.id,
+					action,
+					moved,
+					workflow:
+						fileOutdated && action !== 'conflict'
+							? serializeWorkflowData(toWorkflowFileData(workflow))
+							: undefined,
+				});
+			} catch (error) {
+				console.error('[WorkspaceSync] Failed to push file:', file.path, error);
+				results.push({ path: file.path, action: 'failed', error: toErrorMessage(error) });
+			}
+		}
+
+		return results;
+	}
+
+	/**
+	 * Download the backend version of every file only changed in n8n and of workflows without a file
+	 * Files with local changes are skipped so nothing is lost, push them instead
+	 */
+	async function pullWorkspace(
+		files: WorkspaceFile[],
+		target: WorkspaceTarget,
+	): Promise<WorkspaceFileResult[]> {
+		const index = await loadFolderIndex(target);
+		const results: WorkspaceFileResult[] = [];
+		const syncedIds = new Set<string>();
+
+		for (const file of files) {
+			try {
+				const state = await getFileState(index, file);
+				if (state.workflow) {
+					syncedIds.add(state.workflow.id);
+				}
+
+				const result: WorkspaceFileResult = {
+					path: file.path,
+					status: state.status,
+					workflowId: state.workflow?.id,
+					moved: state.moved,
+					action: 'skipped',
+				};
+
+				if (state.workflow && (state.status === 'unchanged' || state.status === 'backendChanged')) {
+					const directory = state.moved
+						? getFolderDirectory(index, getParentFolderId(state.workflow))
+						: undefined;
+					if (directory) {
+						result.movedTo = [...directory, file.path.split('/').pop()].join('/');
+					}
+
+					const isOutdated = state.workflow.versionId !== file.workflow.versionId;
+					result.action = isOutdated || result.movedTo ? 'pulled' : 'unchanged';
+					if (isOutdated) {
+						result.workflow = serializeWorkflowData(toWorkflowFileData(state.workflow));
+					}
+				}
+
+				results.push(result);
+			} catch (error) {
+				console.error('[WorkspaceSync] Failed to pull file:', file.path, error);
+				results.push({ path: file.path, action: 'failed', error: toErrorMessage(error) });
+			}
+		}
+
+		for (const { path, workflow } of await findRemoteOnlyWorkflows(index, syncedIds)) {
+			try {
+				const fullWorkflow = await workflowsStore.fetchWorkflow(workflow.id);
+				results.push({
+					path,
+					status: 'remoteOnly',
+					workflowId: workflow.id,
+					action: 'pulled',
+					workflow: serializeWorkflowData(toWorkflowFileData(fullWorkflow)),
+				});
+			} catch (error) {
+				console.error('[WorkspaceSync] Failed to pull workflow:', workflow.id, error);
+				results.push({
+					path,
+					status: 'remoteOnly',
+					action: 'failed',
+					error: toErrorMessage(error),
+				});
+			}
+		}
+
+		return results;
+	}
+
+	return {
+		getWorkspaceStatus,
+		pushWorkspace,
+		pullWorkspace,
+	};
+}
@@ -27,6 +27,7 @@ export const enum VIEWS {
 	API_SETTINGS = 'APISettings',
 	NOT_FOUND = 'NotFoundView',
 	COMMUNITY_NODES = 'CommunityNodes',
+	EXTENSIONS_SETTINGS = 'ExtensionsSettings',
 	WORKFLOWS = 'WorkflowsView',
 	WORKFLOW_EXECUTIONS = 'WorkflowExecutions',
 	EVALUATION = 'Evaluation',
@@ -28,6 +28,7 @@ import { useRootStore } from '@n8n/stores/useRootStore';
 import { h } from 'vue';
 import { useRolesStore } from '@/app/stores/roles.store';
 import { useDataTableStore } from '@/features/core/dataTable/dataTable.store';
+import { useExtensionsStore } from '@/app/stores/extensions.store';
 import { hasPermission } from '@/app/utils/rbac/permissions';
 
 export const state = {
@@ -218,6 +219,8 @@ export async function initializeAuthenticatedFeatures(
 	registerModuleModals();
 	registerModuleSettingsPages();
 
+	void useExtensionsStore().loadExtensions();
+
 	authenticatedFeaturesInitialized = true;
 }
 
@@ -0,0 +1,13 @@
+import type { Plugin } from 'vue';
+import type { Router } from 'vue-router';
+import { useExtensionsStore } from '@/app/stores/extensions.store';
+
+/**
+ * Hands the app and router to the setup of extensions, which are loaded once a user is signed in (see init.ts)
+ * Has to be installed after pinia and the router
+ */
+export const ExtensionsPlugin: Plugin<{ router: Router }> = {
+	install: (app, { router }) => {
+		useExtensionsStore().setHost({ app, router });
+	},
+};
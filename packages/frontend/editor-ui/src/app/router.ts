@@ -63,6 +63,8 @@ const SettingsUsersView = async () =>
 const SettingsResolversView = async () => await import('@/features/resolvers/ResolversView.vue');
 const SettingsCommunityNodesView = async () =>
 	await import('@/features/settings/communityNodes/views/SettingsCommunityNodesView.vue');
+const SettingsExtensionsView = async () =>
+	await import('@/features/settings/extensions/views/SettingsExtensionsView.vue');
 const SettingsApiView = async () =>
 	await import('@/features/settings/apiKeys/views/SettingsApiView.vue');
 const SettingsLogStreamingView = async () =>
@@ -864,6 +866,24 @@ export const routes: RouteRecordRaw[] = [
 					},
 				},
 			},
+			{
+				path: 'extensions',
+				name: VIEWS.EXTENSIONS_SETTINGS,
+				components: {
+					settingsView: SettingsExtensionsView,
+				},
+				meta: {
+					middleware: ['authenticated', 'rbac'],
+					middlewareOptions: {
+						rbac: {
+							scope: ['communityPackage:list', 'communityPackage:update'],
+						},
+					},
+					telemetry: {
+						pageCategory: 'settings',
+					},
+				},
+			},
 			{
 				path: 'ldap',
 				name: VIEWS.LDAP_SETTINGS,
@@ -0,0 +1,186 @@
+import { createPinia, setActivePinia } from 'pinia';
+import { createApp, defineComponent } from 'vue';
+import type { Router } from 'vue-router';
+import { mock, type MockProxy } from 'vitest-mock-extended';
+import {
+	FRONTEND_EXTENSION_GLOBAL_NAME,
+	type FrontendExtension,
+} from '@n8n/extension-sdk/frontend';
+import * as extensionsApi from '@/app/api/extensions';
+import type { FrontendExtensionDescription, InstalledExtension } from '@/app/api/extensions';
+import { useExtensionsStore } from '@/app/stores/extensions.store';
+
+const ReportsHeader = defineComponent({ template: '<div>Reports</div>' });
+
+const reports: FrontendExtensionDescription = {
+	name: '@acme/n8n-extension-reports',
+	displayName: 'Reports',
+	version: '1.0.0',
+	permissions: { frontend: ['routes:register', 'ui:views', 'ui:sidebar'], backend: [] },
+	extends: { views: { workflows: { header: 'ReportsHeader' } } },
+};
+
+const broken: FrontendExtensionDescription = {
+	...reports,
+	name: 'n8n-extension-broken',
+	displayName: 'Broken',
+};
+
+/** Serve the bundles by URL, a script without a bundle fails to load */
+const serveBundles = (bundles: Record<string, FrontendExtension>) => {
+	const appendChild = document.head.appendChild.bind(document.head);
+	return vi.spyOn(document.head, 'appendChild').mockImplementation((node) => {
+		if (!(node instanceof HTMLScriptElement)) return appendChild(node);
+
+		const bundle = Object.entries(bundles).find(([name]) => node.src.includes(`/${name}/`))?.[1];
+		setTimeout(() => {
+			if (!bundle) return node.onerror?.(new Event('error'));
+			(window as unknown as Record<string, unknown>)[FRONTEND_EXTENSION_GLOBAL_NAME] = {
+				default: bundle,
+			};
+			node.onload?.(new Event('load'));
+		});
+		return node;
+	});
+};
+
+describe('extensions store', () => {
+	let extensionsStore: ReturnType<typeof useExtensionsStore>;
+	let router: MockProxy<Router>;
+
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		router = mock<Router>();
+		setActivePinia(createPinia());
+		extensionsStore = useExtensionsStore();
+		extensionsStore.setHost({ app: createApp({}), router });
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+	});
+
+	it('should run the setup of each extension and resolve the components of view slots', async () => {
+		const route = { path: '/reports', component: ReportsHeader };
+		vi.spyOn(extensionsApi, 'getExtensions').mockResolvedValue([reports]);
+		serveBundles({
+			[reports.name]: {
+				setup: ({ defineRoutes, registerComponent, registerSidebarItem }) => {
+					defineRoutes([route]);
+					registerComponent('ReportsHeader', ReportsHeader);
+					registerSidebarItem({ id: 'reports', label: 'Reports', path: '/reports' });
+				},
+			},
+		});
+
+		await extensionsStore.loadExtensions();
+
+		expect(router.addRoute).toHaveBeenCalledWith(route);
+		expect(extensionsStore.getViewComponents('workflows', 'header')).toEqual([
+			{ key: `${reports.name}:ReportsHeader`, component: ReportsHeader },
+		]);
+		expect(extensionsStore.sidebarItems).toEqual([
+			{ id: `${reports.name}:reports`, label: 'Reports', path: '/reports' },
+		]);
+		expect(window).not.toHaveProperty(FRONTEND_EXTENSION_GLOBAL_NAME);
+	});
+
+	it('should throw when an extension uses a capability without its permission', async () => {
+		const restricted = { ...reports, permissions: { frontend: ['ui:views'], backend: [] } };
+		vi.spyOn(extensionsApi, 'getExtensions').mockResolvedValue([
+			restricted as FrontendExtensionDescription,
+		]);
+		serveBundles({
+			[reports.name]: {
+				setup: ({ defineRoutes }) => defineRoutes([{ path: '/reports', component: ReportsHeader }]),
+			},
+		});
+
+		await extensionsStore.loadExtensions();
+
+		expect(router.addRoute).not.toHaveBeenCalled();
+		expect(console.error).toHaveBeenCalledWith(
+			`Failed to load extension "${reports.name}"`,
+			new Error(`Extension "${reports.name}" lacks the "routes:register" permission`),
+		);
+	});
+
+	it('should update an installed extension when enabling or disabling it', async () => {
+		const installed: InstalledExtension = {
+			...reports,
+			description: 'Weekly reports',
+			publisher: 'acme',
+			events: [],
+			enabled: true,
+		};
+		vi.spyOn(extensionsApi, 'getInstalledExtensions').mockResolvedValue([installed]);
+		const updateExtension = vi
+			.spyOn(extensionsApi, 'updateExtension')
+			.mockResolvedValue({ ...installed, enabled: false });
+
+		await extensionsStore.fetchInstalledExtensions();
+		await extensionsStore.setExtensionEnabled(reports.name, false);
+
+		expect(updateExtension).toHaveBeenCalledWith(expect.anything(), reports.name, {
+			enabled: false,
+		});
+		expect(extensionsStore.installedExtensions).toEqual([{ ...installed, enabled: false }]);
+	});
+
+	it('should keep loading the other extensions when one fails', async () => {
+		vi.spyOn(extensionsApi, 'getExtensions').mockResolvedValue([broken, reports]);
+		serveBundles({
+			[reports.name]: {
+				setup: ({ registerComponent }) => registerComponent('ReportsHeader', ReportsHeader),
+			},
+		});
+
+		await extensionsStore.loadExtensions();
+
+		expect(console.error).toHaveBeenCalledWith(
+			'Failed to load extension "n8n-extension-broken"',
+			expect.any(Error),
+		);
+		expect(extensionsStore.getViewComponents('workflows', 'header')).toHaveLength(1);
+	});
+
+	it('should replace the components and sidebar items of an extension when reloading it', async () => {
+		const ReportsHeaderV2 = defineComponent({ template: '<div>Reports v2</div>' });
+		vi.spyOn(extensionsApi, 'getExtensions').mockResolvedValue([reports]);
+		serveBundles({
+			[reports.name]: {
+				setup: ({ registerComponent, registerSidebarItem }) => {
+					registerComponent('ReportsHeader', ReportsHeader);
+					registerSidebarItem({ id: 'reports', label: 'Reports', path: '/reports' });
+				},
+			},
+		});
+		await extensionsStore.loadExtensions();
+
+		const appendChild = serveBundles({
+			[reports.name]: {
+				setup: ({ registerComponent, registerSidebarItem }) => {
+					registerComponent('ReportsHeader', ReportsHeaderV2);
+					registerSidebarItem({ id: 'reports', label: 'Reports v2', path: '/reports' });
+				},
+			},
+		});
+		await extensionsStore.reloadExtension(reports.name);
+
+		expect(appendChild).toHaveBeenLastCalledWith(
+			expect.objectContaining({ src: expect.stringMatching(/\/frontend\.js\?v=\d+$/) }),
+		);
+		expect(extensionsStore.getViewComponents('workflows', 'header')).toEqual([
+			{ key: `${reports.name}:ReportsHeader`, component: ReportsHeaderV2 },
+		]);
+		expect(extensionsStore.sidebarItems).toEqual([
+			{ id: `${reports.name}:reports`, label: 'Reports v2', path: '/reports' },
+		]);
+	});
+
+	it('should only fetch the extensions once', async () => {
+		const getExtensions = vi.spyOn(extensionsApi, 'getExtensions').mockResolvedValue([]);
+
+		await extensionsStore.loadExtensions();
+		await extensionsStore.loadExtensions();
+
+		expect(getExtensions).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,221 @@
+import * as Vue from 'vue';
+import { markRaw, ref, shallowReactive, type App, type Component } from 'vue';
+import type { Router } from 'vue-router';
+import { defineStore } from 'pinia';
+import { STORES } from '@n8n/stores';
+import { useRootStore } from '@n8n/stores/useRootStore';
+import type { ExtensionManifest, FrontendPermission } from '@n8n/extension-sdk';
+import {
+	FRONTEND_EXTENSION_GLOBAL_NAME,
+	type ExtensionSidebarItem,
+	type FrontendExtension,
+} from '@n8n/extension-sdk/frontend';
+import * as extensionsApi from '@/app/api/extensions';
+import type { FrontendExtensionDescription, InstalledExtension } from '@/app/api/extensions';
+
+type ExtensionViews = ExtensionManifest['extends']['views'];
+
+export type ExtensionView = keyof ExtensionViews;
+
+export type ExtensionViewSlot<V extends ExtensionView> = keyof ExtensionViews[V];
+
+type ExtensionHost = { app: App; router: Router };
+
+/**
+ * Load the UMD bundle of a frontend entry with a script tag, it takes Vue from `window.Vue`
+ * and assigns the extension to the `FRONTEND_EXTENSION_GLOBAL_NAME` global
+ */
+async function loadFrontendBundle(url: string): Promise<FrontendExtension> {
+	const globals = window as unknown as Record<string, unknown>;
+	globals.Vue ??= Vue;
+
+	await new Promise<void>((resolve, reject) => {
+		const script = document.createElement('script');
+		script.src = url;
+		script.async = true;
+		script.onload = () => resolve();
+		script.onerror = () => reject(new Error(`Failed to load ${url}`));
+		document.head.appendChild(script);
+	});
+
+	const exports = globals[FRONTEND_EXTENSION_GLOBAL_NAME] as
+		| FrontendExtension
+		| { default?: FrontendExtension }
+		| undefined;
+	// Bundles are loaded one after another, so the global belongs to this one
+	delete globals[FRONTEND_EXTENSION_GLOBAL_NAME];
+
+	const extension =
+		exports && 'default' in exports ? exports.default : (exports as FrontendExtension | undefined);
+	if (typeof extension?.setup !== 'function') {
+		throw new Error(`${url} does not export an extension with a setup function`);
+	}
+
+	return extension as FrontendExtension;
+}
+
+export const useExtensionsStore = defineStore(STORES.EXTENSIONS, () => {
+	const rootStore = useRootStore();
+
+	let host: ExtensionHost | undefined;
+
+	const extensions = ref<FrontendExtensionDescription[]>([]);
+	const isLoaded = ref(false);
+
+	/** All installed extensions, only fetched for the settings */
+	const installedExtensions = ref<InstalledExtension[]>([]);
+
+	/** Sidebar items registered by the extensions, their ids are prefixed with the extension name */
+	const sidebarItems = ref<ExtensionSidebarItem[]>([]);
+
+	/**
+	 * Components registered by the extensions, by extension name and component name
+	 */
+	const components = shallowReactive(new Map<string, Component>());
+
+	const componentKey = (extensionName: string, componentName: string) =>
+		`${extensionName}:${componentName}`;
+
+	function setHost(value: ExtensionHost) {
+		host = value;
+	}
+
+	function getFrontendEntryUrl(name: string) {
+		const baseUrl = rootStore.baseUrl.endsWith('/') ? rootStore.baseUrl : `${rootStore.baseUrl}/`;
+		return `${baseUrl}extensions/${name}/frontend.js`;
+	}
+
+	/**
+	 * The capability if the manifest lists its permission in `permissions.frontend`, otherwise a function that throws
+	 */
+	function guard<Args extends unknown[]>(
+		extension: FrontendExtensionDescription,
+		permission: FrontendPermission,
+		capability: (...args: Args) => void,
+	): (...args: Args) => void {
+		if (extension.permissions.frontend.includes(permission)) {
+			return capability;
+		}
+
+		return () => {
+			throw new Error(`Extension "${extension.name}" lacks the "${permission}" permission`);
+		};
+	}
+
+	async function setupExtension(
+		extension: FrontendExtensionDescription,
+		frontend: FrontendExtension,
+		{ app, router }: ExtensionHost,
+	) {
+		await frontend.setup({
+			app,
+			defineRoutes: guard(extension, 'routes:register', (routes) =>
+				routes.forEach((route) => router.addRoute(route)),
+			),
+			registerComponent: guard(extension, 'ui:views', (name, component) => {
+				components.set(componentKey(extension.name, name), markRaw(component));
+			}),
+			registerSidebarItem: guard(extension, 'ui:sidebar', (item) => {
+				sidebarItems.value.push({ ...item, id: componentKey(extension.name, item.id) });
+			}),
+		});
+	}
+
+	/**
+	 * Load the frontend entries of the extensions loaded by the backend, once
+	 * An extension failing to load does not keep the others from loading
+	 */
+	async function loadExtensions() {
+		if (isLoaded.value || !host) {
+			return;
+		}
+		isLoaded.value = true;
+
+		try {
+			extensions.value = await extensionsApi.getExtensions(rootStore.restApiContext);
+		} catch (error) {
+			console.error('Failed to fetch extensions', error);
+			return;
+		}
+
+		for (const extension of extensions.value) {
+			try {
+				const frontend = await loadFrontendBundle(getFrontendEntryUrl(extension.name));
+				await setupExtension(extension, frontend, host);
+			} catch (error) {
+				console.error(`Failed to load extension "${extension.name}"`, error);
+			}
+		}
+	}
+
+	/**
+	 * Load the frontend entry of a loaded extension again and replace what it registered,
+	 * when its frontend was rebuilt by `n8n-node extension dev`
+	 */
+	async function reloadExtension(name: string) {
+		const extension = extensions.value.find((loaded) => loaded.name === name);
+		if (!extension || !host) {
+			return;
+		}
+
+		try {
+			// Bypass the cache of the previous build
+			const frontend = await loadFrontendBundle(`${getFrontendEntryUrl(name)}?v=${Date.now()}`);
+
+			const prefix = componentKey(name, '');
+			for (const key of [...components.keys()]) {
+				if (key.startsWith(prefix)) components.delete(key);
+			}
+			sidebarItems.value = sidebarItems.value.filter((item) => !item.id.startsWith(prefix));
+
+			await setupExtension(extension, frontend, host);
+		} catch (error) {
+			console.error(`Failed to reload extension "${name}"`, error);
+		}
+	}
+
+	/**
+	 * Components the extensions declare for a slot of a view in `extends.views` of their manifest
+	 */
+	function getViewComponents<V extends ExtensionView>(view: V, slot: ExtensionViewSlot<V>) {
+		return extensions.value.flatMap((extension) => {
+			const componentName = extension.extends.views[view]?.[slot] as string | undefined;
+			if (!componentName) return [];
+
+			const key = componentKey(extension.name, componentName);
+			const component = components.get(key);
+			return component ? [{ key, component }] : [];
+		});
+	}
+
+	async function fetchInstalledExtensions() {
+		installedExtensions.value = await extensionsApi.getInstalledExtensions(
+			rootStore.restApiContext,
+		);
+	}
+
+	/**
+	 * Takes effect in the editor after a reload, the backend applies it right away
+	 */
+	async function setExtensionEnabled(name: string, enabled: boolean) {
+		const updated = await extensionsApi.updateExtension(rootStore.restApiContext, name, {
+			enabled,
+		});
+
+		installedExtensions.value = installedExtensions.value.map((extension) =>
+			extension.name === name ? updated : extension,
+		);
+	}
+
+	return {
+		extensions,
+		installedExtensions,
+		sidebarItems,
+		setHost,
+		loadExtensions,
+		reloadExtension,
+		getViewComponents,
+		fetchInstalledExtensions,
+		setExtensionEnabled,
+	};
+});
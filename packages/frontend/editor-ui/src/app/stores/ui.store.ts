@@ -26,6 +26,7 @@ import {
 	LOCAL_STORAGE_THEME,
 	WHATS_NEW_MODAL_KEY,
 	WORKFLOW_DIFF_MODAL_KEY,
+	WORKFLOW_SYNC_MERGE_MODAL_KEY,
 	PRE_BUILT_AGENTS_MODAL_KEY,
 	EXPERIMENT_TEMPLATE_RECO_V2_KEY,
 	CONFIRM_PASSWORD_MODAL_KEY,
@@ -41,7 +42,10 @@ import {
 	ANNOTATION_TAGS_MANAGER_MODAL_KEY,
 	TAGS_MANAGER_MODAL_KEY,
 } from '@/features/shared/tags/tags.constants';
-import { DEBUG_PAYWALL_MODAL_KEY } from '@/features/execution/executions/executions.constants';
+import {
+	DATA_FILE_LOAD_MODAL_KEY,
+	DEBUG_PAYWALL_MODAL_KEY,
+} from '@/features/execution/executions/executions.constants';
 import { COMMUNITY_PLUS_ENROLLMENT_MODAL } from '@/features/settings/usage/usage.constants';
 import { VARIABLE_MODAL_KEY } from '@/features/settings/environments.ee/environments.constants';
 import {
@@ -144,6 +148,7 @@ export const useUIStore = defineStore(STORES.UI, () => {
 				SOURCE_CONTROL_PULL_MODAL_KEY,
 				EXTERNAL_SECRETS_PROVIDER_MODAL_KEY,
 				DEBUG_PAYWALL_MODAL_KEY,
+				DATA_FILE_LOAD_MODAL_KEY,
 				WORKFLOW_HISTORY_VERSION_RESTORE,
 				SETUP_CREDENTIALS_MODAL_KEY,
 				PROJECT_MOVE_RESOURCE_MODAL,
@@ -151,6 +156,7 @@ export const useUIStore = defineStore(STORES.UI, () => {
 				IMPORT_WORKFLOW_URL_MODAL_KEY,
 				PRE_BUILT_AGENTS_MODAL_KEY,
 				WORKFLOW_DIFF_MODAL_KEY,
+				WORKFLOW_SYNC_MERGE_MODAL_KEY,
 				EXPERIMENT_TEMPLATE_RECO_V3_KEY,
 				VARIABLE_MODAL_KEY,
 				WORKFLOW_DESCRIPTION_MODAL_KEY,
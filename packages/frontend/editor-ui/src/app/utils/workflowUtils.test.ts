@@ -1,4 +1,4 @@
-import { removeWorkflowExecutionData } from './workflowUtils';
+import { removeWorkflowExecutionData, workflowFileToWorkflowDb } from './workflowUtils';
 import type { IWorkflowDb } from '@/Interface';
 import type { INodeIssues } from 'n8n-workflow';
 
@@ -123,4 +123,71 @@ describe('workflowUtils', () => {
 			});
 		});
 	});
+
+	describe('workflowFileToWorkflowDb', () => {
+		it('should fill in the fields a .n8n file does not store', () => {
+			const workflow = workflowFileToWorkflowDb({
+				name: 'Orders',
+				nodes: [
+					{ name: 'Trigger', type: 'n8n-nodes-base.manualTrigger' },
+					{
+						id: 'node-2',
+						name: 'Set',
+						type: 'n8n-nodes-base.set',
+						typeVersion: 3,
+						position: [200, 0],
+						parameters: { mode: 'raw' },
+					},
+				],
+				connections: {},
+				settings: { timezone: 'Europe/Berlin' },
+			});
+
+			expect(workflow).toEqual({
+				id: '',
+				name: 'Orders',
+				active: false,
+				activeVersionId: null,
+				isArchived: false,
+				createdAt: -1,
+				updatedAt: -1,
+				nodes: [
+					{
+						id: 'Trigger',
+						name: 'Trigger',
+						type: 'n8n-nodes-base.manualTrigger',
+						typeVersion: 1,
+						position: [0, 0],
+						parameters: {},
+					},
+					{
+						id: 'node-2',
+						name: 'Set',
+						type: 'n8n-nodes-base.set',
+						typeVersion: 3,
+						position: [200, 0],
+						parameters: { mode: 'raw' },
+					},
+				],
+				connections: {},
+				settings: { executionOrder: 'v1', timezone: 'Europe/Berlin' },
+				tags: [],
+				pinData: {},
+				versionId: '',
+				usedCredentials: [],
+			});
+		});
+
+		it('should keep the id and version the file is bound to', () => {
+			const workflow = workflowFileToWorkflowDb({
+				id: 'workflow-1',
+				versionId: 'version-1',
+				name: 'Orders',
+				nodes: [],
+				connections: {},
+			});
+
+			expect(workflow).toMatchObject({ id: 'workflow-1', versionId: 'version-1' });
+		});
+	});
 });
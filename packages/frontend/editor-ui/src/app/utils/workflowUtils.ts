@@ -1,4 +1,6 @@
 import type { IWorkflowDb, INodeUi } from '@/Interface';
+import type { WorkflowFile } from '@n8n/webview-protocol';
+import type { IPinData, IWorkflowSettings } from 'n8n-workflow';
 
 /**
  * Removes execution data from workflow nodes and workflow-level execution data
@@ -25,3 +27,38 @@ export function removeWorkflowExecutionData(
 
 	return sanitizedWorkflow;
 }
+
+/**
+ * Turns the content of a .n8n file into a workflow as the editor shows it, e.g. to
+ * compare it with the canvas. Fields the file does not store get the defaults of a
+ * workflow that was never saved.
+ */
+export function workflowFileToWorkflowDb(workflow: WorkflowFile): IWorkflowDb {
+	return {
+		id: workflow.id ?? '',
+		name: workflow.name,
+		active: false,
+		activeVersionId: null,
+		isArchived: false,
+		createdAt: -1,
+		updatedAt: -1,
+		nodes: workflow.nodes.map(
+			(node): INodeUi => ({
+				// Nodes are told apart by name when the file has no ids
+				id: node.name,
+				typeVersion: 1,
+				position: [0, 0],
+				parameters: {},
+				...(node as Partial<INodeUi>),
+				name: node.name,
+				type: node.type,
+			}),
+		),
+		connections: workflow.connections as IWorkflowDb['connections'],
+		settings: { executionOrder: 'v1', ...(workflow.settings as IWorkflowSettings | undefined) },
+		tags: [],
+		pinData: (workflow.pinData ?? {}) as IPinData,
+		versionId: workflow.versionId ?? '',
+		usedCredentials: [],
+	};
+}
@@ -0,0 +1,100 @@
+import { createTestingPinia } from '@pinia/testing';
+import userEvent from '@testing-library/user-event';
+import { within } from '@testing-library/vue';
+import type { IRunData, Workflow } from 'n8n-workflow';
+import { createComponentRenderer } from '@/__tests__/render';
+import { mockedStore } from '@/__tests__/utils';
+import type { INodeUi } from '@/Interface';
+import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { DATA_FILE_LOAD_MODAL_KEY } from '@/features/execution/executions/executions.constants';
+import DataFileLoadModal from './DataFileLoadModal.vue';
+
+const applyRunDataFromFile = vi.fn();
+vi.mock('@/features/execution/executions/composables/useExecutionDebugging', () => ({
+	useExecutionDebugging: () => ({
+		applyRunDataFromFile,
+	}),
+}));
+
+const ModalStub = {
+	template: `
+		<div>
+			<slot name="content" />
+			<slot name="footer" :close="() => {}" />
+		</div>
+	`,
+};
+
+const global = {
+	stubs: {
+		Modal: ModalStub,
+		NodeIcon: true,
+	},
+};
+
+const run = (value: number) => ({ data: { main: [[{ json: { value } }]] } });
+const runData = {
+	Trigger: [run(1)],
+	Set: [run(2), run(3)],
+	Removed: [run(4)],
+} as unknown as IRunData;
+
+const renderModal = createComponentRenderer(DataFileLoadModal, {
+	props: {
+		modalName: DATA_FILE_LOAD_MODAL_KEY,
+		data: { runData, filePath: '/workflows/orders.2026-03-10.data' },
+	},
+	global,
+});
+
+describe('DataFileLoadModal.vue', () => {
+	let pinia: ReturnType<typeof createTestingPinia>;
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		pinia = createTestingPinia();
+
+		const workflowsStore = mockedStore(useWorkflowsStore);
+		workflowsStore.getNodeByName.mockImplementation((name) =>
+			name === 'Removed' ? null : ({ name, type: 'n8n-nodes-base.set', typeVersion: 1 } as INodeUi),
+		);
+		workflowsStore.workflowObject = {
+			getParentNodes: vi.fn((name: string) => (name === 'Set' ? ['Trigger'] : [])),
+		} as unknown as Workflow;
+	});
+
+	it('should load all nodes of the workflow and pin the root nodes by default', async () => {
+		const { getByTestId, getAllByTestId, getByText } = renderModal({ pinia });
+
+		expect(getAllByTestId('data-file-load-node')).toHaveLength(3);
+		expect(getByText('Not in this workflow')).toBeInTheDocument();
+
+		await userEvent.click(getByTestId('submit-button'));
+
+		expect(applyRunDataFromFile).toHaveBeenCalledWith(runData, [
+			{ nodeName: 'Trigger', runIndex: undefined, pin: true },
+			{ nodeName: 'Set', runIndex: undefined, pin: false },
+		]);
+	});
+
+	it('should only load the nodes picked and pin the ones marked', async () => {
+		const { getByTestId, getAllByTestId } = renderModal({ pinia });
+		const [trigger, set] = getAllByTestId('data-file-load-node');
+
+		await userEvent.click(within(trigger).getAllByRole('checkbox')[0]);
+		await userEvent.click(within(set).getByText('Pin'));
+		await userEvent.click(getByTestId('submit-button'));
+
+		expect(applyRunDataFromFile).toHaveBeenCalledWith(runData, [
+			{ nodeName: 'Set', runIndex: undefined, pin: true },
+		]);
+	});
+
+	it('should not load anything once no node is picked', async () => {
+		const { getByTestId, getByText } = renderModal({ pinia });
+
+		await userEvent.click(getByText('Select none'));
+
+		expect(getByTestId('submit-button')).toBeDisabled();
+	});
+});
@@ -9,8 +9,11 @@ import {
 import { useExecutionDebugging } from './useExecutionDebugging';
 import type { INodeUi } from '@/Interface';
 import type { IExecutionResponse } from '../executions.types';
-import type { Workflow } from 'n8n-workflow';
+import type { IRunData, Workflow } from 'n8n-workflow';
 import { useToast } from '@/app/composables/useToast';
+import { STRIPPED_BINARY_DATA } from '@n8n/webview-protocol';
+import { useMessage } from '@/app/composables/useMessage';
+import { MODAL_CONFIRM } from '@/app/constants';
 
 vi.mock('@/app/composables/useToast', () => {
 	const showToast = vi.fn();
@@ -21,6 +24,15 @@ vi.mock('@/app/composables/useToast', () => {
 	};
 });
 
+vi.mock('@/app/composables/useMessage', () => {
+	const confirm = vi.fn(async () => MODAL_CONFIRM);
+	return {
+		useMessage: () => ({
+			confirm,
+		}),
+	};
+});
+
 vi.mock('@/app/composables/useWorkflowState', async () => {
 	const actual = await vi.importActual('@/app/composables/useWorkflowState');
 	return {
@@ -222,4 +234,113 @@ describe('useExecutionDebugging()', () => {
 		expect(setWorkflowExecutionData).toHaveBeenCalledWith(mockExecution);
 		expect(toast.showToast).toHaveBeenCalledTimes(1);
 	});
+
+	describe('applyRunDataFromFile', () => {
+		const run = (value: number) => ({ data: { main: [[{ json: { value } }]] } });
+		const runData = { Trigger: [run(1)], Set: [run(2), run(3)] } as unknown as IRunData;
+
+		let workflowStore: ReturnType<typeof mockedStore<typeof useWorkflowsStore>>;
+
+		beforeEach(() => {
+			workflowStore = mockedStore(useWorkflowsStore);
+			workflowStore.getNodes.mockReturnValue([{ name: 'Trigger' }, { name: 'Set' }] as INodeUi[]);
+			workflowStore.getNodeByName.mockImplementation((name) => ({ name }) as INodeUi);
+			workflowStore.workflowObject = {
+				pinData: {},
+				getParentNodes: vi.fn((name: string) => (name === 'Set' ? ['Trigger'] : [])),
+			} as unknown as Workflow;
+		});
+
+		it('should load all nodes and pin the root nodes by default', async () => {
+			const setWorkflowExecutionData = vi.spyOn(workflowState, 'setWorkflowExecutionData');
+
+			await executionDebugging.applyRunDataFromFile(runData);
+
+			expect(setWorkflowExecutionData).toHaveBeenCalledWith(
+				expect.objectContaining({
+					data: expect.objectContaining({ resultData: expect.objectContaining({ runData }) }),
+				}),
+			);
+			expect(workflowStore.pinData).toHaveBeenCalledTimes(1);
+			expect(workflowStore.pinData).toHaveBeenCalledWith({
+				node: { name: 'Trigger' },
+				data: [{ json: { value: 1 } }],
+				isRestoration: true,
+			});
+		});
+
+		it('should only load the selected run of the selected nodes', async () => {
+			const setWorkflowExecutionData = vi.spyOn(workflowState, 'setWorkflowExecutionData');
+
+			await executionDebugging.applyRunDataFromFile(runData, [
+				{ nodeName: 'Set', runIndex: 1, pin: true },
+			]);
+
+			expect(setWorkflowExecutionData).toHaveBeenCalledWith(
+				expect.objectContaining({
+					data: expect.objectContaining({
+						resultData: expect.objectContaining({ runData: { Set: [run(3)] } }),
+					}),
+				}),
+			);
+			expect(workflowStore.pinData).toHaveBeenCalledTimes(1);
+			expect(workflowStore.pinData).toHaveBeenCalledWith({
+				node: { name: 'Set' },
+				data: [{ json: { value: 3 } }],
+				isRestoration: true,
+			});
+		});
+
+		it('should only replace the pinned data of nodes the file pins', async () => {
+			workflowStore.workflow.pinData = {
+				Trigger: [{ json: { value: 0 } }],
+				Set: [{ json: { value: 0 } }],
+			};
+
+			await executionDebugging.applyRunDataFromFile(runData, [
+				{ nodeName: 'Trigger', pin: true },
+				{ nodeName: 'Set', pin: false },
+			]);
+
+			expect(useMessage().confirm).toHaveBeenCalledTimes(1);
+			expect(workflowStore.unpinData).toHaveBeenCalledTimes(1);
+			expect(workflowStore.unpinData).toHaveBeenCalledWith({ node: { name: 'Trigger' } });
+		});
+
+		it('should not ask to replace pinned data when the file pins no pinned node', async () => {
+			workflowStore.workflow.pinData = { Set: [{ json: { value: 0 } }] };
+
+			await executionDebugging.applyRunDataFromFile(runData, [{ nodeName: 'Set', pin: false }]);
+
+			expect(useMessage().confirm).not.toHaveBeenCalled();
+			expect(workflowStore.unpinData).not.toHaveBeenCalled();
+		});
+
+		it('should not pin binary data whose contents were left out of the file', async () => {
+			const stored = { id: 'filesystem-v2:1', data: 'filesystem-v2', mimeType: 'image/png' };
+			const item = (binary: Record<string, unknown>) => ({ json: { value: 1 }, binary });
+			const withBinary = {
+				Trigger: [
+					{
+						data: {
+							main: [
+								[
+									item({ file: { data: STRIPPED_BINARY_DATA, mimeType: 'text/plain' } }),
+									item({ file: { data: STRIPPED_BINARY_DATA, mimeType: 'text/plain' }, stored }),
+								],
+							],
+						},
+					},
+				],
+			} as unknown as IRunData;
+
+			await executionDebugging.applyRunDataFromFile(withBinary);
+
+			expect(workflowStore.pinData).toHaveBeenCalledWith({
+				node: { name: 'Trigger' },
+				data: [{ json: { value: 1 } }, item({ stored })],
+				isRestoration: true,
+			});
+		});
+	});
 });
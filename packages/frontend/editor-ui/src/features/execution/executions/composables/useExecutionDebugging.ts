@@ -16,9 +16,29 @@ import { isFullExecutionResponse } from '@/app/utils/typeGuards';
 import { sanitizeHtml } from '@/app/utils/htmlUtils';
 import { usePageRedirectionHelper } from '@/app/composables/usePageRedirectionHelper';
 import { useWorkflowFileSync } from '@/app/composables/useWorkflowFileSync';
-import { createRunExecutionData } from 'n8n-workflow';
+import { createRunExecutionData, type INodeExecutionData, type IRunData } from 'n8n-workflow';
+import { STRIPPED_BINARY_DATA } from '@n8n/webview-protocol';
 import type { IExecutionResponse } from '@/features/execution/executions/executions.types';
 
+/**
+ * Nodes to load from a .data file
+ * Without a `runIndex` all runs of the node are loaded, `pin` pins the first loaded run
+ */
+export type RunDataSelection = Array<{ nodeName: string; runIndex?: number; pin: boolean }>;
+
+/**
+ * Leave out binary data whose contents were stripped from the .data file
+ * Pinning the placeholder would pin invalid base64, binary data stored by n8n is kept
+ */
+function withoutStrippedBinaryData(items: INodeExecutionData[]): INodeExecutionData[] {
+	return items.map(({ binary, ...item }) => {
+		const kept = Object.entries(binary ?? {}).filter(
+			([, binaryData]) => binaryData.data !== STRIPPED_BINARY_DATA,
+		);
+		return kept.length > 0 ? { ...item, binary: Object.fromEntries(kept) } : item;
+	});
+}
+
 export const useExecutionDebugging = () => {
 	const telemetry = useTelemetry();
 
@@ -199,8 +219,13 @@ export const useExecutionDebugging = () => {
 	/**
 	 * Apply runData from a file (e.g., .data file) to the workflow
 	 * Similar to applyExecutionData but works with raw runData
+	 * By default loads all nodes with all their runs and pins the nodes without a parent node
+	 * @param selection - Load only these nodes, optionally a single run, and pin the ones marked
 	 */
-	const applyRunDataFromFile = async (runData: any): Promise<void> => {
+	const applyRunDataFromFile = async (
+		runData: IRunData,
+		selection?: RunDataSelection,
+	): Promise<void> => {
 		const workflowObject = workflowsStore.workflowObject;
 		const workflowNodes = workflowsStore.getNodes();
 
@@ -209,16 +234,30 @@ export const useExecutionDebugging = () => {
 			return;
 		}
 
-		const executionNodeNames = Object.keys(runData);
+		const selectedNodes: RunDataSelection =
+			selection ??
+			Object.keys(runData).map((nodeName) => ({
+				nodeName,
+				pin: !workflowObject.getParentNodes(nodeName).length,
+			}));
+		const selectedRunData: IRunData = Object.fromEntries(
+			selectedNodes.map(({ nodeName, runIndex }) => {
+				const runs = runData[nodeName] ?? [];
+				return [nodeName, runIndex === undefined ? runs : runs.slice(runIndex, runIndex + 1)];
+			}),
+		);
+
+		const executionNodeNames = Object.keys(selectedRunData);
 		const missingNodeNames = executionNodeNames.filter(
 			(name) => !workflowNodes.some((node) => node.name === name),
 		);
 
 		// Using the pinned data of the workflow to check if the node is pinned
+		// Only nodes the file pins replace their pinned data, the others keep it
 		const workflowPinnedNodeNames = Object.keys(workflowsStore.workflow.pinData ?? {});
-		const matchingPinnedNodeNames = executionNodeNames.filter((name) =>
-			workflowPinnedNodeNames.includes(name),
-		);
+		const matchingPinnedNodeNames = selectedNodes
+			.filter(({ nodeName, pin }) => pin && workflowPinnedNodeNames.includes(nodeName))
+			.map(({ nodeName }) => nodeName);
 
 		if (matchingPinnedNodeNames.length > 0) {
 			const confirmMessage = h('p', [
@@ -268,7 +307,7 @@ export const useExecutionDebugging = () => {
 			workflowId: workflowsStore.workflowId,
 			data: createRunExecutionData({
 				resultData: {
-					runData: runData,
+					runData: selectedRunData,
 				},
 			}),
 			workflowData: workflowsStore.workflow as any,
@@ -277,26 +316,19 @@ export const useExecutionDebugging = () => {
 		// Set execution data so UI can display it
 		workflowState.setWorkflowExecutionData(executionData);
 
-		// Pin data of all nodes which do not have a parent node
-		const pinnableNodes = workflowNodes.filter(
-			(node: INodeUi) => !workflowObject.getParentNodes(node.name).length,
-		);
-
-		let pinnings = 0;
-
-		pinnableNodes.forEach((node: INodeUi) => {
-			const taskData = runData[node.name]?.[0];
-			if (taskData?.data?.main) {
-				// Get the first main output that has data, preserving all execution data including binary
-				const nodeData = taskData.data.main.find((output) => output && output.length > 0);
-				if (nodeData) {
-					pinnings++;
-					workflowsStore.pinData({
-						node,
-						data: nodeData,
-						isRestoration: true,
-					});
-				}
+		selectedNodes.forEach(({ nodeName, pin }) => {
+			const node = workflowsStore.getNodeByName(nodeName);
+			const taskData = selectedRunData[nodeName]?.[0];
+			if (!pin || !node || !taskData?.data?.main) return;
+
+			// Get the first main output that has data
+			const nodeData = taskData.data.main.find((output) => output && output.length > 0);
+			if (nodeData) {
+				workflowsStore.pinData({
+					node,
+					data: withoutStrippedBinaryData(nodeData),
+					isRestoration: true,
+				});
 			}
 		});
 
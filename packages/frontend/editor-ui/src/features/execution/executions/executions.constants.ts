@@ -1 +1,2 @@
 export const DEBUG_PAYWALL_MODAL_KEY = 'debugPaywall';
+export const DATA_FILE_LOAD_MODAL_KEY = 'dataFileLoad';
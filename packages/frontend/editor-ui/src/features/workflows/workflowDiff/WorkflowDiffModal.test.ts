@@ -7,6 +7,7 @@ import { createEventBus } from '@n8n/utils/event-bus';
 import { useNodeTypesStore } from '@/app/stores/nodeTypes.store';
 import { useSourceControlStore } from '@/features/integrations/sourceControl.ee/sourceControl.store';
 import { useWorkflowsStore } from '@/app/stores/workflows.store';
+import { useUIStore } from '@/app/stores/ui.store';
 import { mockedStore, type MockedStore } from '@/__tests__/utils';
 import { reactive, ref } from 'vue';
 import { createTestWorkflow } from '@/__tests__/mocks';
@@ -756,4 +757,37 @@ describe('WorkflowDiffModal', () => {
 			});
 		});
 	});
+
+	describe('git revision diff', () => {
+		const revisionData = {
+			eventBus,
+			workflowId: 'test-workflow-id',
+			direction: 'push' as const,
+			revision: { name: 'HEAD', workflow: mockWorkflow },
+		};
+
+		it('should compare the canvas with the revision without fetching workflows', async () => {
+			workflowsStore.workflow = mockWorkflow;
+
+			const { findByText, getByText } = renderModal({ props: { data: revisionData } });
+
+			expect(await findByText('Git (HEAD)')).toBeInTheDocument();
+			expect(getByText('Canvas')).toBeInTheDocument();
+			expect(sourceControlStore.getRemoteWorkflow).not.toHaveBeenCalled();
+			expect(workflowsStore.fetchWorkflow).not.toHaveBeenCalled();
+		});
+
+		it('should close the modal without navigating', async () => {
+			const uiStore = mockedStore(useUIStore);
+
+			const { container } = renderModal({ props: { data: revisionData } });
+
+			const backButton = container.querySelector('[data-icon="arrow-left"]');
+			await userEvent.click(backButton!);
+
+			expect(uiStore.closeModal).toHaveBeenCalledWith('workflowDiff');
+			expect(mockRouterBack).not.toHaveBeenCalled();
+			expect(mockRouterReplace).not.toHaveBeenCalled();
+		});
+	});
 });
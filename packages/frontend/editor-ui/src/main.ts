@@ -26,6 +26,7 @@ import { GlobalDirectivesPlugin } from '@/app/plugins/directives';
 import { createPinia, PiniaVuePlugin } from 'pinia';
 import { ChartJSPlugin } from '@/app/plugins/chartjs';
 import { SentryPlugin } from '@/app/plugins/sentry';
+import { ExtensionsPlugin } from '@/app/plugins/extensions';
 import { registerModuleRoutes } from '@/app/moduleInitializer/moduleInitializer';
 
 import type { VueScanOptions } from 'z-vue-scan';
@@ -46,6 +47,7 @@ app.use(GlobalComponentsPlugin);
 app.use(GlobalDirectivesPlugin);
 app.use(pinia);
 app.use(router);
+app.use(ExtensionsPlugin, { router });
 
 // Expose router globally for VS Code webview click interceptor
 // This allows internal navigation links to work correctly without opening new tabs
@@ -83,6 +83,12 @@ export * from './node-parameters/parameter-type-validation';
 export * from './node-parameters/path-utils';
 export * from './evaluation-helpers';
 export * from './workflow-diff';
+export * from './workflow-merge';
+export * from './workflow-sync';
+export * from './workflow-serializer';
+export * from './workflow-directory';
+export * from './json-path';
+export * from './redaction';
 
 export type {
 	DocMetadata,
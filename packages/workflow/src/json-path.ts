@@ -0,0 +1,104 @@
+import { UserError } from './errors';
+import { isObject } from './utils';
+
+/**
+ * Location of a value, as keys and array indexes from the root.
+ */
+export type JsonPathLocation = Array<string | number>;
+
+type PathSegment =
+	| { type: 'key'; key: string; deep: boolean }
+	| { type: 'index'; index: number; deep: boolean }
+	| { type: 'wildcard'; deep: boolean };
+
+const PATH_SEGMENT =
+	/^(\.\.|\.)?(?:([A-Za-z_$][\w$-]*)|\*|\[\*\]|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\])/;
+
+function parseJsonPath(path: string): PathSegment[] {
+	if (!path.startsWith('$')) {
+		throw new UserError(`Invalid JSON path "${path}", it has to start with "$"`);
+	}
+
+	const segments: PathSegment[] = [];
+	let rest = path.slice(1);
+	while (rest.length > 0) {
+		const match = PATH_SEGMENT.exec(rest);
+		// Only brackets can follow without a dot, e.g. `$[0]`
+		if (!match || (match[1] === undefined && !match[0].startsWith('['))) {
+			throw new UserError(`Invalid JSON path "${path}" at "${rest}"`);
+		}
+
+		const [segment, dots, name, index, singleQuoted, doubleQuoted] = match;
+		const deep = dots === '..';
+		const key = name ?? singleQuoted ?? doubleQuoted;
+		if (key !== undefined) segments.push({ type: 'key', key, deep });
+		else if (index !== undefined) segments.push({ type: 'index', index: Number(index), deep });
+		else segments.push({ type: 'wildcard', deep });
+
+		rest = rest.slice(segment.length);
+	}
+	if (segments.length === 0) {
+		throw new UserError(`Invalid JSON path "${path}", it has to select a value`);
+	}
+	return segments;
+}
+
+export function formatJsonPath(location: JsonPathLocation): string {
+	return location.reduce<string>((formatted, key) => {
+		if (typeof key === 'number') return `${formatted}[${key}]`;
+		return /^[A-Za-z_$][\w$]*$/.test(key) ? `${formatted}.${key}` : `${formatted}['${key}']`;
+	}, '$');
+}
+
+export function getJsonChildren(value: unknown): Array<[string | number, unknown]> {
+	if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+	if (isObject(value)) return Object.entries(value);
+	return [];
+}
+
+function matchesSegment(segment: PathSegment, key: string | number): boolean {
+	if (segment.type === 'wildcard') return true;
+	if (segment.type === 'index') return key === segment.index;
+	return key === segment.key;
+}
+
+function findLocations(
+	value: unknown,
+	segments: PathSegment[],
+	location: JsonPathLocation = [],
+): JsonPathLocation[] {
+	if (segments.length === 0) return [location];
+
+	const [segment, ...rest] = segments;
+	return getJsonChildren(value).flatMap(([key, child]) => [
+		...(matchesSegment(segment, key) ? findLocations(child, rest, [...location, key]) : []),
+		...(segment.deep ? findLocations(child, segments, [...location, key]) : []),
+	]);
+}
+
+/**
+ * Find the values a JSON path selects. Supports `.key`, `['key']`, `[0]`, `*` and `..` for any depth,
+ * e.g. `$..json.customer.email`.
+ */
+export function queryJsonPath(
+	data: unknown,
+	path: string,
+): Array<{ location: JsonPathLocation; value: unknown }> {
+	return findLocations(data, parseJsonPath(path)).map((location) => ({
+		location,
+		value: location.reduce<unknown>(
+			(current, key) => (current as Record<string | number, unknown>)[key],
+			data,
+		),
+	}));
+}
+
+/**
+ * Replace the value at a location found with `queryJsonPath`, changing the data in place.
+ */
+export function setAtJsonPath(data: unknown, location: JsonPathLocation, value: unknown) {
+	const parent = location.slice(0, -1).reduce<unknown>((current, key) => {
+		return (current as Record<string | number, unknown>)[key];
+	}, data);
+	(parent as Record<string | number, unknown>)[location[location.length - 1]] = value;
+}
@@ -0,0 +1,180 @@
+import {
+	formatJsonPath,
+	getJsonChildren,
+	queryJsonPath,
+	setAtJsonPath,
+	type JsonPathLocation,
+} from './json-path';
+import { deepCopy, isObject } from './utils';
+
+/**
+ * Replaces masked values and the parts of strings matched by a detector.
+ */
+export const REDACTED_VALUE = '[REDACTED]';
+
+/**
+ * Field names whose values are masked wherever they appear, compared case-insensitively
+ * and ignoring `-`, `_` and spaces, so `X-API-Key` matches `apikey` as well.
+ */
+export const SENSITIVE_FIELD_NAMES = [
+	'authorization',
+	'proxyAuthorization',
+	'cookie',
+	'setCookie',
+	'password',
+	'passwd',
+	'secret',
+	'clientSecret',
+	'apiKey',
+	'xApiKey',
+	'token',
+	'accessToken',
+	'refreshToken',
+	'idToken',
+	'sessionToken',
+	'privateKey',
+];
+
+export type RedactionDetector = {
+	name: string;
+	/** Strings are compiled with the `g` flag */
+	pattern: string | RegExp;
+};
+
+export const DEFAULT_REDACTION_DETECTORS: RedactionDetector[] = [
+	{
+		name: 'privateKey',
+		pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/,
+	},
+	{ name: 'authorizationHeader', pattern: /\b(?:Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/ },
+	{ name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/ },
+	{ name: 'awsAccessKey', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+	{ name: 'githubToken', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+	{ name: 'slackToken', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+	{ name: 'secretKey', pattern: /\bsk-[A-Za-z0-9_-]{20,}/ },
+	{ name: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/ },
+];
+
+export type RedactionRules = {
+	/**
+	 * JSON paths of values to mask, e.g. `$..json.customer.email`.
+	 * Supports `.key`, `['key']`, `[0]`, `*` and `..` for any depth.
+	 */
+	paths?: string[];
+	/** Masked in addition to `SENSITIVE_FIELD_NAMES` */
+	fieldNames?: string[];
+	/** Applied in addition to `DEFAULT_REDACTION_DETECTORS` */
+	detectors?: RedactionDetector[];
+	/** Set to `false` to only apply the rules above, defaults to `true` */
+	useDefaults?: boolean;
+};
+
+export type RedactionReportEntry = {
+	/** JSON path of the masked value */
+	path: string;
+	reason: 'path' | 'field' | 'detector';
+	/** The path, field name or detector name that matched */
+	rule: string;
+};
+
+function normalizeFieldName(name: string): string {
+	return name.toLowerCase().replace(/[-_\s]/g, '');
+}
+
+function toGlobalRegExp(pattern: string | RegExp): RegExp {
+	if (typeof pattern === 'string') return new RegExp(pattern, 'g');
+	return new RegExp(
+		pattern.source,
+		pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`,
+	);
+}
+
+/**
+ * Mask secrets and personal data in run data or pinned data before it is written to a file.
+ * Values at the configured paths and of sensitive fields are replaced as a whole,
+ * detectors only replace the matching part of a string. The data passed in is not changed.
+ *
+ * @returns the masked copy of the data and where values were masked, without the values
+ */
+export function redactData<T>(
+	data: T,
+	{ paths = [], fieldNames = [], detectors = [], useDefaults = true }: RedactionRules = {},
+): { data: T; report: RedactionReportEntry[] } {
+	const redacted: unknown = deepCopy(data as object);
+	const report: RedactionReportEntry[] = [];
+
+	for (const rule of paths) {
+		for (const { location } of queryJsonPath(redacted, rule)) {
+			setAtJsonPath(redacted, location, REDACTED_VALUE);
+			report.push({ path: formatJsonPath(location), reason: 'path', rule });
+		}
+	}
+
+	const sensitiveFields = new Map(
+		[...(useDefaults ? SENSITIVE_FIELD_NAMES : []), ...fieldNames].map((name) => [
+			normalizeFieldName(name),
+			name,
+		]),
+	);
+	const patterns = [...(useDefaults ? DEFAULT_REDACTION_DETECTORS : []), ...detectors].map(
+		({ name, pattern }) => ({ name, regExp: toGlobalRegExp(pattern) }),
+	);
+
+	function redactValue(value: unknown, path: JsonPathLocation): unknown {
+		if (typeof value === 'string') {
+			return patterns.reduce((masked, { name, regExp }) => {
+				const replaced = masked.replace(regExp, REDACTED_VALUE);
+				if (replaced !== masked)
+					report.push({ path: formatJsonPath(path), reason: 'detector', rule: name });
+				return replaced;
+			}, value);
+		}
+
+		for (const [key, child] of getJsonChildren(value)) {
+			const field =
+				typeof key === 'string' ? sensitiveFields.get(normalizeFieldName(key)) : undefined;
+			let masked: unknown;
+			if (
+				field !== undefined &&
+				child !== null &&
+				child !== undefined &&
+				child !== REDACTED_VALUE
+			) {
+				masked = REDACTED_VALUE;
+				report.push({ path: formatJsonPath([...path, key]), reason: 'field', rule: field });
+			} else {
+				masked = redactValue(child, [...path, key]);
+			}
+			(value as Record<string | number, unknown>)[key] = masked;
+		}
+		return value;
+	}
+
+	return { data: redactValue(redacted, []) as T, report };
+}
+
+/**
+ * Take back values masked by `redactData` from the original data, so syncing a file with
+ * masked pinned data does not overwrite the pinned data in n8n.
+ * Values without an original of the same type stay masked.
+ */
+export function restoreRedactedData<T>(data: T, original: unknown): T {
+	if (typeof data === 'string') {
+		if (!data.includes(REDACTED_VALUE) || original === undefined) return data;
+		return (data === REDACTED_VALUE || typeof original === 'string' ? original : data) as T;
+	}
+	if (Array.isArray(data)) {
+		const originalItems: unknown[] = Array.isArray(original) ? original : [];
+		return data.map((item: unknown, index) => restoreRedactedData(item, originalItems[index])) as T;
+	}
+	if (isObject(data)) {
+		const originalObject = isObject(original) ? original : {};
+		return Object.fromEntries(
+			Object.entries(data).map(([key, value]) => [
+				key,
+				restoreRedactedData(value, originalObject[key]),
+			]),
+		) as T;
+	}
+	return data;
+}
@@ -0,0 +1,154 @@
+import { UserError } from './errors';
+import { isObject, jsonParse } from './utils';
+import { canonicalizeWorkflow, serializeWorkflow } from './workflow-serializer';
+
+/**
+ * Manifest of a workflow stored as a directory, holds everything but the externalized parameters.
+ */
+export const WORKFLOW_MANIFEST_FILE = 'workflow.json';
+
+/**
+ * Files of a workflow directory by their path relative to the directory, with `/` separators.
+ */
+export type WorkflowDirectoryFiles = Record<string, string>;
+
+/**
+ * Placeholder for a parameter value that lives in its own file.
+ */
+export type ExternalizedParameter = { $file: string };
+
+/**
+ * Parameters moved to their own file and the extension of that file, by parameter name.
+ */
+export const EXTERNALIZED_PARAMETERS: Record<string, string> = {
+	jsCode: 'js',
+	functionCode: 'js',
+	functionItemCode: 'js',
+	pythonCode: 'py',
+	query: 'sql',
+	sqlQuery: 'sql',
+	systemMessage: 'md',
+	prompt: 'md',
+	text: 'md',
+};
+
+export type WorkflowSplitOptions = {
+	/** Shorter single-line values stay in the manifest, defaults to 200 */
+	minLength?: number;
+};
+
+type WorkflowWithNodes = { nodes?: unknown };
+
+export function isExternalizedParameter(value: unknown): value is ExternalizedParameter {
+	return isObject(value) && typeof value.$file === 'string' && Object.keys(value).length === 1;
+}
+
+function toFileName(name: string): string {
+	// eslint-disable-next-line no-control-regex
+	return name.replace(/[/\\:*?"<>|\x00-\x1f]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '') || '_';
+}
+
+function shouldExternalize(key: string, value: unknown, minLength: number): value is string {
+	return (
+		key in EXTERNALIZED_PARAMETERS &&
+		typeof value === 'string' &&
+		(value.includes('\n') || value.length >= minLength)
+	);
+}
+
+function mapParameters(
+	value: unknown,
+	path: string[],
+	replace: (key: string, value: unknown, path: string[]) => unknown,
+): unknown {
+	if (Array.isArray(value)) {
+		return value.map((item, index) => mapParameters(item, [...path, String(index)], replace));
+	}
+	if (!isObject(value)) return value;
+
+	const mapped: Record<string, unknown> = {};
+	for (const [key, child] of Object.entries(value)) {
+		const childPath = [...path, key];
+		const replaced = replace(key, child, childPath);
+		mapped[key] = replaced === child ? mapParameters(child, childPath, replace) : replaced;
+	}
+	return mapped;
+}
+
+function assertSafePath(path: string) {
+	if (path.startsWith('/') || /^[a-zA-Z]:/.test(path) || path.split(/[/\\]/).includes('..')) {
+		throw new UserError(`Externalized parameter file "${path}" is outside the workflow directory`);
+	}
+}
+
+/**
+ * Split a workflow into the files of a workflow directory: a canonical manifest plus one file
+ * per large code, query or prompt parameter at `nodes/<node name>/<parameter path>.<extension>`.
+ * The manifest references those files with `{ "$file": "<path>" }`.
+ */
+export function splitWorkflow(
+	workflow: object,
+	{ minLength = 200 }: WorkflowSplitOptions = {},
+): WorkflowDirectoryFiles {
+	const files: WorkflowDirectoryFiles = {};
+	const canonical = canonicalizeWorkflow(workflow as WorkflowWithNodes);
+	const nodes = Array.isArray(canonical.nodes) ? canonical.nodes : [];
+	const directories = new Set<string>();
+
+	const manifestNodes = nodes.map((node: unknown) => {
+		if (!isObject(node) || !isObject(node.parameters)) return node;
+
+		let directory = `nodes/${toFileName(String(node.name))}`;
+		for (let suffix = 2; directories.has(directory); suffix++) {
+			directory = `nodes/${toFileName(String(node.name))} (${suffix})`;
+		}
+		directories.add(directory);
+
+		const parameters = mapParameters(node.parameters, [], (key, value, path) => {
+			if (!shouldExternalize(key, value, minLength)) return value;
+
+			const filePath = `${directory}/${path.join('.')}.${EXTERNALIZED_PARAMETERS[key]}`;
+			files[filePath] = value;
+			return { $file: filePath } satisfies ExternalizedParameter;
+		});
+
+		return { ...node, parameters };
+	});
+
+	files[WORKFLOW_MANIFEST_FILE] = serializeWorkflow({ ...canonical, nodes: manifestNodes });
+	return files;
+}
+
+/**
+ * Assemble a workflow from the files of a workflow directory, the reverse of `splitWorkflow`.
+ */
+export function assembleWorkflow<T extends object>(files: WorkflowDirectoryFiles): T {
+	const manifest = files[WORKFLOW_MANIFEST_FILE];
+	if (manifest === undefined) {
+		throw new UserError(`Workflow directory has no ${WORKFLOW_MANIFEST_FILE}`);
+	}
+
+	const workflow = jsonParse<WorkflowWithNodes>(manifest, {
+		errorMessage: `${WORKFLOW_MANIFEST_FILE} is not valid JSON`,
+	});
+	if (!Array.isArray(workflow.nodes)) return workflow as T;
+
+	const nodes = workflow.nodes.map((node: unknown) => {
+		if (!isObject(node) || !isObject(node.parameters)) return node;
+
+		const parameters = mapParameters(node.parameters, [], (_, value) => {
+			if (!isExternalizedParameter(value)) return value;
+
+			assertSafePath(value.$file);
+			const content = files[value.$file];
+			if (content === undefined) {
+				throw new UserError(`Externalized parameter file "${value.$file}" is missing`);
+			}
+			return content;
+		});
+
+		return { ...node, parameters };
+	});
+
+	return { ...workflow, nodes } as T;
+}
@@ -0,0 +1,285 @@
+import isEqual from 'lodash/isEqual';
+
+import type { IConnection, IConnections, INode } from '.';
+import { compareConnections, type INodeConnectionsDiff } from './connections-diff';
+import { deepCopy, isObject } from './utils';
+import {
+	compareNodes,
+	compareWorkflowsNodes,
+	NodeDiffStatus,
+	type DiffableNode,
+	type DiffableWorkflow,
+	type WorkflowDiff,
+} from './workflow-diff';
+
+export const enum MergeSide {
+	Local = 'local',
+	Remote = 'remote',
+}
+
+export const enum NodeMergeStatus {
+	/** Neither side changed the node */
+	Unchanged = 'unchanged',
+	/** Only the local side changed the node, its version is taken */
+	Local = 'local',
+	/** Only the remote side changed the node, its version is taken */
+	Remote = 'remote',
+	/** Both sides made the same change */
+	Both = 'both',
+	/** Both sides changed the node in different ways, a resolution is required */
+	Conflict = 'conflict',
+}
+
+export type NodeMerge<T> = {
+	id: string;
+	status: NodeMergeStatus;
+	/** Node status of the local side compared to the base */
+	localStatus: NodeDiffStatus;
+	/** Node status of the remote side compared to the base */
+	remoteStatus: NodeDiffStatus;
+	base?: T;
+	/** `undefined` when the node does not exist on the local side */
+	local?: T;
+	/** `undefined` when the node does not exist on the remote side */
+	remote?: T;
+};
+
+export type WorkflowMerge<T> = {
+	nodes: Map<string, NodeMerge<T>>;
+	/** Ids of nodes that need a resolution before the merge can be applied */
+	conflicts: string[];
+	/** Connections with the changes of both sides applied on top of the base */
+	connections: IConnections;
+};
+
+export type MergeResolutions = Record<string, MergeSide>;
+
+export type ValueConflict = {
+	/** Path of the conflicting value, relative to the merged value */
+	path: string[];
+	/** `undefined` when the value does not exist in the base */
+	base?: unknown;
+	/** `undefined` when the value was removed on the local side */
+	local?: unknown;
+	/** `undefined` when the value was removed on the remote side */
+	remote?: unknown;
+};
+
+export type ValueMerge = {
+	/** The merged value, holding the local side's value wherever there is a conflict */
+	value: unknown;
+	conflicts: ValueConflict[];
+};
+
+/**
+ * Like `compareNodes`, but also treats position moves as changes, so a node moved on one side
+ * and left untouched on the other keeps its new position after merging.
+ */
+export function compareNodesWithPosition<T extends DiffableNode>(
+	base: T | undefined,
+	target: T | undefined,
+): boolean {
+	return (
+		compareNodes(base, target) &&
+		isEqual(
+			(base as Partial<INode> | undefined)?.position,
+			(target as Partial<INode> | undefined)?.position,
+		)
+	);
+}
+
+function statusOf<T>(diff: WorkflowDiff<T>, id: string): NodeDiffStatus {
+	// Nodes missing from the diff exist neither in the base nor on that side
+	return diff.get(id)?.status ?? NodeDiffStatus.Eq;
+}
+
+function connectionKey(connection: IConnection) {
+	return JSON.stringify(connection);
+}
+
+function applyConnectionsDiff(
+	connections: IConnections,
+	diff: Record<string, INodeConnectionsDiff>,
+	mode: 'add' | 'remove',
+) {
+	for (const [nodeName, nodeDiff] of Object.entries(diff)) {
+		for (const [type, entries] of Object.entries(nodeDiff)) {
+			for (const { sourceIndex, value } of entries) {
+				if (!value) continue;
+
+				connections[nodeName] ??= {};
+				connections[nodeName][type] ??= [];
+				const outputs = connections[nodeName][type];
+				while (outputs.length <= sourceIndex) outputs.push([]);
+				const output = (outputs[sourceIndex] ??= []);
+
+				const key = connectionKey(value.connection);
+				const index = output.findIndex((connection) => connectionKey(connection) === key);
+				if (mode === 'add' && index === -1) {
+					output.push(value.connection);
+				} else if (mode === 'remove' && index !== -1) {
+					output.splice(index, 1);
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Merges the connection changes of both sides into the base connections.
+ * Connections are unordered per output, so non-overlapping rewiring never conflicts.
+ */
+export function mergeConnections(
+	base: IConnections,
+	local: IConnections,
+	remote: IConnections,
+): IConnections {
+	const merged = deepCopy(base);
+	const localDiff = compareConnections(base, local);
+	const remoteDiff = compareConnections(base, remote);
+
+	applyConnectionsDiff(merged, localDiff.removed, 'remove');
+	applyConnectionsDiff(merged, remoteDiff.removed, 'remove');
+	applyConnectionsDiff(merged, localDiff.added, 'add');
+	applyConnectionsDiff(merged, remoteDiff.added, 'add');
+
+	return merged;
+}
+
+/**
+ * Three-way merge of two diverged versions of a value. Objects are merged key by key, so
+ * changes to different keys, like a position move and a parameter edit, never conflict.
+ * Arrays and all other values are replaced as a whole.
+ */
+export function mergeValues(
+	base: unknown,
+	local: unknown,
+	remote: unknown,
+	path: string[] = [],
+): ValueMerge {
+	if (isEqual(local, remote) || isEqual(base, remote)) return { value: local, conflicts: [] };
+	if (isEqual(base, local)) return { value: remote, conflicts: [] };
+
+	if (!isObject(local) || !isObject(remote)) {
+		return { value: local, conflicts: [{ path, base, local, remote }] };
+	}
+
+	const baseObject = isObject(base) ? base : {};
+	const value: Record<string, unknown> = {};
+	const conflicts: ValueConflict[] = [];
+	for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+		const merged = mergeValues(baseObject[key], local[key], remote[key], [...path, key]);
+		if (merged.value !== undefined) value[key] = merged.value;
+		conflicts.push(...merged.conflicts);
+	}
+	return { value, conflicts };
+}
+
+/**
+ * Three-way merge of two diverged versions of a workflow.
+ * Nodes are matched by id; a node changed on only one side takes that side's version,
+ * a node changed on both sides in different ways is reported as a conflict.
+ */
+export function mergeWorkflows<T extends DiffableNode>(
+	base: DiffableWorkflow<T>,
+	local: DiffableWorkflow<T>,
+	remote: DiffableWorkflow<T>,
+	nodesEqual: (base: T | undefined, target: T | undefined) => boolean = compareNodesWithPosition,
+): WorkflowMerge<T> {
+	const localDiff = compareWorkflowsNodes(base.nodes, local.nodes, nodesEqual);
+	const remoteDiff = compareWorkflowsNodes(base.nodes, remote.nodes, nodesEqual);
+
+	const baseNodes = new Map(base.nodes.map((node) => [node.id, node]));
+	const localNodes = new Map(local.nodes.map((node) => [node.id, node]));
+	const remoteNodes = new Map(remote.nodes.map((node) => [node.id, node]));
+
+	const nodes = new Map<string, NodeMerge<T>>();
+	const conflicts: string[] = [];
+
+	for (const id of new Set([...localDiff.keys(), ...remoteDiff.keys()])) {
+		const localStatus = statusOf(localDiff, id);
+		const remoteStatus = statusOf(remoteDiff, id);
+		const localNode = localNodes.get(id);
+		const remoteNode = remoteNodes.get(id);
+
+		let status: NodeMergeStatus;
+		if (localStatus === NodeDiffStatus.Eq && remoteStatus === NodeDiffStatus.Eq) {
+			status = NodeMergeStatus.Unchanged;
+		} else if (remoteStatus === NodeDiffStatus.Eq) {
+			status = NodeMergeStatus.Local;
+		} else if (localStatus === NodeDiffStatus.Eq) {
+			status = NodeMergeStatus.Remote;
+		} else if (
+			(localNode === undefined && remoteNode === undefined) ||
+			(localNode !== undefined && remoteNode !== undefined && nodesEqual(localNode, remoteNode))
+		) {
+			status = NodeMergeStatus.Both;
+		} else {
+			status = NodeMergeStatus.Conflict;
+			conflicts.push(id);
+		}
+
+		nodes.set(id, {
+			id,
+			status,
+			localStatus,
+			remoteStatus,
+			base: baseNodes.get(id),
+			local: localNode,
+			remote: remoteNode,
+		});
+	}
+
+	return {
+		nodes,
+		conflicts,
+		connections: mergeConnections(base.connections, local.connections, remote.connections),
+	};
+}
+
+/**
+ * Builds the merged workflow, picking the side given in `resolutions` for every conflicting node.
+ * Connections to nodes that are not part of the result are dropped.
+ */
+export function applyMergeResolutions<T extends DiffableNode>(
+	merge: WorkflowMerge<T>,
+	resolutions: MergeResolutions = {},
+): DiffableWorkflow<T> {
+	const unresolved = merge.conflicts.filter((id) => resolutions[id] === undefined);
+	if (unresolved.length > 0) {
+		throw new Error(`Unresolved merge conflicts for nodes: ${unresolved.join(', ')}`);
+	}
+
+	const nodes: T[] = [];
+	for (const entry of merge.nodes.values()) {
+		let side: MergeSide;
+		switch (entry.status) {
+			case NodeMergeStatus.Remote:
+				side = MergeSide.Remote;
+				break;
+			case NodeMergeStatus.Conflict:
+				side = resolutions[entry.id];
+				break;
+			default:
+				side = MergeSide.Local;
+		}
+
+		const node = side === MergeSide.Local ? entry.local : entry.remote;
+		if (node) nodes.push(node);
+	}
+
+	const nodeNames = new Set(nodes.map((node) => node.name));
+	const connections: IConnections = {};
+	for (const [sourceName, nodeConnections] of Object.entries(merge.connections)) {
+		if (!nodeNames.has(sourceName)) continue;
+
+		for (const [type, outputs] of Object.entries(nodeConnections)) {
+			connections[sourceName] ??= {};
+			connections[sourceName][type] = outputs.map((output) =>
+				output ? output.filter((connection) => nodeNames.has(connection.node)) : output,
+			);
+		}
+	}
+
+	return { nodes, connections };
+}
@@ -0,0 +1,114 @@
+import { isObject } from './utils';
+
+/**
+ * Fields that change on every save without changing what the workflow does. The `versionId`
+ * changes on every save too, but stays as the base of three-way merges when syncing files.
+ */
+export const VOLATILE_WORKFLOW_FIELDS = {
+	workflow: ['versionCounter', 'createdAt', 'updatedAt'],
+	node: ['webhookId'],
+} as const;
+
+/** Leading keys of a workflow, all other keys follow in alphabetical order */
+const WORKFLOW_KEY_ORDER = ['id', 'name', 'nodes', 'connections', 'settings', 'pinData'];
+
+/** Leading keys of a node, all other keys follow in alphabetical order */
+const NODE_KEY_ORDER = ['id', 'name', 'type', 'typeVersion', 'position', 'parameters'];
+
+/**
+ * Values that keep their key order, because the editor displays them in that order.
+ */
+const ORDERED_NODE_KEYS = new Set(['parameters']);
+
+export type WorkflowSerializeOptions = {
+	/** Indentation passed to `JSON.stringify`, defaults to 2 spaces */
+	indent?: number | string;
+	/** Leave out `VOLATILE_WORKFLOW_FIELDS` */
+	omitVolatileFields?: boolean;
+};
+
+function compareKeys(order: readonly string[]) {
+	return (a: string, b: string) => {
+		const indexA = order.indexOf(a);
+		const indexB = order.indexOf(b);
+		if (indexA !== -1 || indexB !== -1) {
+			if (indexA === -1) return 1;
+			if (indexB === -1) return -1;
+			return indexA - indexB;
+		}
+		return a < b ? -1 : a > b ? 1 : 0;
+	};
+}
+
+function sortKeys(
+	value: Record<string, unknown>,
+	order: readonly string[] = [],
+	mapValue: (key: string, value: unknown) => unknown = (_, v) => sortKeysDeep(v),
+	omit: readonly string[] = [],
+): Record<string, unknown> {
+	const sorted: Record<string, unknown> = {};
+	for (const key of Object.keys(value).sort(compareKeys(order))) {
+		if (value[key] === undefined || omit.includes(key)) continue;
+		sorted[key] = mapValue(key, value[key]);
+	}
+	return sorted;
+}
+
+function sortKeysDeep(value: unknown): unknown {
+	if (Array.isArray(value)) return value.map(sortKeysDeep);
+	if (isObject(value)) return sortKeys(value);
+	return value;
+}
+
+function canonicalizeNode(node: unknown, omitVolatileFields: boolean): unknown {
+	if (!isObject(node)) return node;
+
+	return sortKeys(
+		node,
+		NODE_KEY_ORDER,
+		(key, value) => (ORDERED_NODE_KEYS.has(key) ? value : sortKeysDeep(value)),
+		omitVolatileFields ? VOLATILE_WORKFLOW_FIELDS.node : [],
+	);
+}
+
+function compareNodes(a: unknown, b: unknown) {
+	const nameA = isObject(a) ? String(a.name) : '';
+	const nameB = isObject(b) ? String(b.name) : '';
+	return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+}
+
+/**
+ * Bring a workflow into the canonical shape of a .n8n file: well-known keys first and all
+ * other keys sorted, nodes sorted by name. Node parameters and pinned items keep their order.
+ * Any workflow with the same content ends up with the same shape, so files only change
+ * where the workflow changed.
+ */
+export function canonicalizeWorkflow<T extends object>(
+	workflow: T,
+	{ omitVolatileFields = false }: Pick<WorkflowSerializeOptions, 'omitVolatileFields'> = {},
+): T {
+	return sortKeys(
+		workflow as Record<string, unknown>,
+		WORKFLOW_KEY_ORDER,
+		(key, value) => {
+			if (key === 'nodes' && Array.isArray(value)) {
+				return value.map((node) => canonicalizeNode(node, omitVolatileFields)).sort(compareNodes);
+			}
+			if (key === 'pinData' && isObject(value)) {
+				return sortKeys(value, [], (_, items) => items);
+			}
+			return sortKeysDeep(value);
+		},
+		omitVolatileFields ? VOLATILE_WORKFLOW_FIELDS.workflow : [],
+	) as T;
+}
+
+/**
+ * Serialize a workflow to the canonical content of a .n8n file, see `canonicalizeWorkflow`.
+ */
+export function serializeWorkflow(
+	workflow: object,
+	{ indent = 2, ...options }: WorkflowSerializeOptions = {},
+): string {
+	return `${JSON.stringify(canonicalizeWorkflow(workflow, options), null, indent)}\n`;
+}
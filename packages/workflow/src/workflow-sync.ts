@@ -0,0 +1,198 @@
+import isEqual from 'lodash/isEqual';
+
+import type { IConnections, INode } from './interfaces';
+import type { DiffableNode, DiffableWorkflow } from './workflow-diff';
+import { mergeWorkflows, type WorkflowMerge } from './workflow-merge';
+import { canonicalizeWorkflow } from './workflow-serializer';
+
+export type WorkflowSyncContent = {
+	nodes?: Array<
+		Pick<INode, 'name' | 'type' | 'typeVersion' | 'position' | 'parameters'> &
+			Partial<Pick<INode, 'credentials' | 'disabled'>>
+	>;
+	connections?: IConnections;
+};
+
+/** Nodes by name, files sort them by name while the backend keeps them in creation order */
+function toComparableNodes(nodes: NonNullable<WorkflowSyncContent['nodes']>) {
+	return Object.fromEntries(
+		nodes.map((n) => [
+			n.name,
+			{
+				type: n.type,
+				typeVersion: n.typeVersion,
+				position: n.position,
+				parameters: n.parameters,
+				credentials: n.credentials,
+				disabled: n.disabled,
+			},
+		]),
+	);
+}
+
+/**
+ * Check whether a workflow file and a stored workflow differ in a way that needs syncing.
+ * Only the node fields that define behaviour and layout are compared, so fields the backend
+ * adds on save (ids, webhook ids, ...) don't count as changes. The order of nodes and of
+ * object keys doesn't count either.
+ */
+export function hasWorkflowChanges(
+	existing: WorkflowSyncContent,
+	incoming: WorkflowSyncContent,
+): boolean {
+	// Handle cases where nodes might not be loaded
+	const existingNodes = existing.nodes ?? [];
+	const incomingNodes = incoming.nodes ?? [];
+
+	if (existingNodes.length !== incomingNodes.length) {
+		return true;
+	}
+
+	if (!isEqual(toComparableNodes(existingNodes), toComparableNodes(incomingNodes))) {
+		return true;
+	}
+
+	return !isEqual(existing.connections ?? {}, incoming.connections ?? {});
+}
+
+/**
+ * Workflow fields besides nodes and connections that syncing a file carries over.
+ * Workflow history only keeps nodes and connections, so files record checksums of these
+ * fields as last synced in `meta.syncChecksums`, the base to tell which side changed them.
+ */
+export const WORKFLOW_SYNC_FIELDS = ['name', 'settings', 'pinData'] as const;
+
+export type WorkflowSyncField = (typeof WORKFLOW_SYNC_FIELDS)[number];
+
+export type WorkflowSyncChecksums = Partial<Record<WorkflowSyncField, string>>;
+
+/** cyrb53, short and stable across the editor and the CLI, not meant to be secure */
+function checksum(value: string): string {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < value.length; i++) {
+		const char = value.charCodeAt(i);
+		h1 = Math.imul(h1 ^ char, 2654435761);
+		h2 = Math.imul(h2 ^ char, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Checksums of the synced fields of a workflow as written to a file,
+ * pinned data has to be masked already so it matches the file.
+ */
+export function getWorkflowSyncChecksums(
+	workflow: Partial<Record<WorkflowSyncField, unknown>>,
+): WorkflowSyncChecksums {
+	const canonical = canonicalizeWorkflow(
+		Object.fromEntries(WORKFLOW_SYNC_FIELDS.map((field) => [field, workflow[field]])),
+	);
+	return Object.fromEntries(
+		WORKFLOW_SYNC_FIELDS.map((field) => [
+			field,
+			checksum(JSON.stringify(canonical[field] ?? null)),
+		]),
+	);
+}
+
+/**
+ * Fields a file changed since it was last synced, going by the checksums it recorded.
+ * Files without checksums changed none of them, n8n keeps its values.
+ */
+export function getChangedWorkflowFields(
+	file: Partial<Record<WorkflowSyncField, unknown>>,
+	checksums: WorkflowSyncChecksums | undefined,
+): WorkflowSyncField[] {
+	if (!checksums) return [];
+
+	const current = getWorkflowSyncChecksums(file);
+	return WORKFLOW_SYNC_FIELDS.filter(
+		(field) => checksums[field] !== undefined && checksums[field] !== current[field],
+	);
+}
+
+type WorkflowSyncNode = DiffableNode & NonNullable<WorkflowSyncContent['nodes']>[number];
+
+/** Workflow as stored in a .n8n file, only the fields that tell which side changed */
+export type WorkflowSyncFile<T extends WorkflowSyncNode> = DiffableWorkflow<T> &
+	Partial<Record<WorkflowSyncField, unknown>> & {
+		/** Workflow the file is bound to */
+		id?: string;
+		/** Version the file was last synced with */
+		versionId?: string;
+		meta?: { syncChecksums?: WorkflowSyncChecksums };
+	};
+
+/** Stored workflow a .n8n file resolved to */
+export type WorkflowSyncExisting<T extends WorkflowSyncNode> = DiffableWorkflow<T> & {
+	id: string;
+	name: string;
+	versionId?: string;
+};
+
+/**
+ * How a .n8n file relates to the workflow it resolved to
+ * - `unchanged`: file and workflow hold the same content
+ * - `fileChanged`: only the file changed since the last sync
+ * - `backendChanged`: only the workflow changed since the last sync
+ * - `diverged`: both changed since the last sync
+ */
+export type WorkflowSyncClassification<T extends WorkflowSyncNode> = {
+	status: 'unchanged' | 'fileChanged' | 'backendChanged' | 'diverged';
+	/** Name, settings and pinData the file changed since its last sync */
+	changedFields: WorkflowSyncField[];
+	/**
+	 * Merge of the file and workflow nodes, only set for `diverged` when both sides changed nodes.
+	 * Without it only the changed fields of the file are saved on top of the workflow.
+	 */
+	merge?: WorkflowMerge<T>;
+};
+
+/**
+ * Check whether the workflow moved past the version the file was last synced with.
+ * Files synced before versions were tracked, or bound to another workflow, have no base.
+ */
+function isBackendChanged<T extends WorkflowSyncNode>(
+	file: WorkflowSyncFile<T>,
+	existing: WorkflowSyncExisting<T>,
+): boolean {
+	return (
+		file.id === existing.id && file.versionId !== undefined && file.versionId !== existing.versionId
+	);
+}
+
+/**
+ * Work out which side changed since a .n8n file was last synced, shared by the editor and
+ * the CLI so both agree on it. Without a base version every node changed on both sides
+ * is a merge conflict.
+ * @param findVersion - Loads the version the file was last synced with, `null` when it was pruned
+ */
+export async function classifyWorkflowSync<T extends WorkflowSyncNode>(
+	file: WorkflowSyncFile<T>,
+	existing: WorkflowSyncExisting<T>,
+	findVersion: (workflowId: string, versionId: string) => Promise<DiffableWorkflow<T> | null>,
+): Promise<WorkflowSyncClassification<T>> {
+	const changedFields = getChangedWorkflowFields(file, file.meta?.syncChecksums);
+
+	if (!isBackendChanged(file, existing)) {
+		const fileChanged =
+			existing.name !== file.name || changedFields.length > 0 || hasWorkflowChanges(existing, file);
+		return { status: fileChanged ? 'fileChanged' : 'unchanged', changedFields };
+	}
+
+	const base = await findVersion(existing.id, file.versionId!);
+	const nodesChanged = base === null || hasWorkflowChanges(base, file);
+	if (!nodesChanged || !hasWorkflowChanges(existing, file)) {
+		// The workflow keeps its nodes, only the fields changed in the file are saved
+		return { status: changedFields.length > 0 ? 'diverged' : 'backendChanged', changedFields };
+	}
+
+	return {
+		status: 'diverged',
+		changedFields,
+		merge: mergeWorkflows(base ?? { nodes: [], connections: {} }, file, existing),
+	};
+}
@@ -0,0 +1,34 @@
+import { formatJsonPath, queryJsonPath, setAtJsonPath } from '../src/json-path';
+
+describe('queryJsonPath', () => {
+	const items = [
+		{ json: { id: 1, customer: { email: 'a@example.com' }, 'order-id': 'A' } },
+		{ json: { id: 2, customer: { email: 'b@example.com' } } },
+	];
+
+	it('should select values by key, index, wildcard and any depth', () => {
+		expect(queryJsonPath(items, '$[1].json.id')).toEqual([
+			{ location: [1, 'json', 'id'], value: 2 },
+		]);
+		expect(queryJsonPath(items, "$[*].json['order-id']").map(({ value }) => value)).toEqual(['A']);
+		expect(
+			queryJsonPath(items, '$..email').map(({ location }) => formatJsonPath(location)),
+		).toEqual(['$[0].json.customer.email', '$[1].json.customer.email']);
+	});
+
+	it('should reject invalid paths', () => {
+		expect(() => queryJsonPath(items, 'json.id')).toThrow('it has to start with "$"');
+		expect(() => queryJsonPath(items, '$json')).toThrow('Invalid JSON path "$json" at "json"');
+		expect(() => queryJsonPath(items, '$')).toThrow('it has to select a value');
+	});
+});
+
+describe('setAtJsonPath', () => {
+	it('should replace the value at a location', () => {
+		const data = { json: { tags: ['a', 'b'] } };
+
+		setAtJsonPath(data, ['json', 'tags', 1], 'c');
+
+		expect(data).toEqual({ json: { tags: ['a', 'c'] } });
+	});
+});
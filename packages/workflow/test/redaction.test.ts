@@ -0,0 +1,106 @@
+import { REDACTED_VALUE, redactData, restoreRedactedData } from '../src/redaction';
+
+const runData = {
+	'HTTP Request': [
+		{
+			startTime: 0,
+			data: {
+				main: [
+					[
+						{
+							json: {
+								headers: { Authorization: 'Bearer abc.def', 'X-API-Key': 'key-1' },
+								customer: { name: 'Jane', email: 'jane@example.com' },
+								note: 'Write to jane@example.com or ops@example.com',
+							},
+						},
+					],
+				],
+			},
+		},
+	],
+};
+
+const item = (data: typeof runData) => data['HTTP Request'][0].data.main[0][0].json;
+
+describe('redactData', () => {
+	it('should mask sensitive fields and detected values and report them', () => {
+		const { data, report } = redactData(runData);
+
+		expect(item(data).headers).toEqual({
+			Authorization: REDACTED_VALUE,
+			'X-API-Key': REDACTED_VALUE,
+		});
+		expect(item(data).customer).toEqual({ name: 'Jane', email: REDACTED_VALUE });
+		expect(item(data).note).toBe(`Write to ${REDACTED_VALUE} or ${REDACTED_VALUE}`);
+		expect(report).toEqual([
+			{
+				path: "$['HTTP Request'][0].data.main[0][0].json.headers.Authorization",
+				reason: 'field',
+				rule: 'authorization',
+			},
+			{
+				path: "$['HTTP Request'][0].data.main[0][0].json.headers['X-API-Key']",
+				reason: 'field',
+				rule: 'xApiKey',
+			},
+			{
+				path: "$['HTTP Request'][0].data.main[0][0].json.customer.email",
+				reason: 'detector',
+				rule: 'email',
+			},
+			{
+				path: "$['HTTP Request'][0].data.main[0][0].json.note",
+				reason: 'detector',
+				rule: 'email',
+			},
+		]);
+		expect(item(runData).customer.email).toBe('jane@example.com');
+	});
+
+	it('should mask values at the configured paths', () => {
+		const { data, report } = redactData(runData, {
+			paths: ['$..customer.name', "$['HTTP Request'][*].startTime"],
+			useDefaults: false,
+		});
+
+		expect(item(data).customer).toEqual({ name: REDACTED_VALUE, email: 'jane@example.com' });
+		expect(data['HTTP Request'][0].startTime).toBe(REDACTED_VALUE);
+		expect(report.map(({ reason, rule }) => [reason, rule])).toEqual([
+			['path', '$..customer.name'],
+			['path', "$['HTTP Request'][*].startTime"],
+		]);
+	});
+
+	it('should apply configured field names and detectors', () => {
+		const { data } = redactData(runData, {
+			fieldNames: ['name'],
+			detectors: [{ name: 'ops', pattern: 'ops@[a-z.]+' }],
+			useDefaults: false,
+		});
+
+		expect(item(data).customer.name).toBe(REDACTED_VALUE);
+		expect(item(data).note).toBe(`Write to jane@example.com or ${REDACTED_VALUE}`);
+	});
+
+	it('should reject invalid paths', () => {
+		expect(() => redactData(runData, { paths: ['customer.email'] })).toThrow(
+			'it has to start with "$"',
+		);
+		expect(() => redactData(runData, { paths: ['$customer'] })).toThrow(
+			'Invalid JSON path "$customer"',
+		);
+	});
+});
+
+describe('restoreRedactedData', () => {
+	it('should take masked values from the original data', () => {
+		const pinData = { Webhook: [{ json: { token: 'secret', email: 'jane@example.com', id: 1 } }] };
+		const { data } = redactData(pinData);
+		data.Webhook.push({ json: { token: REDACTED_VALUE, email: 'new', id: 2 } });
+
+		expect(restoreRedactedData(data, pinData)).toEqual({
+			Webhook: [...pinData.Webhook, { json: { token: REDACTED_VALUE, email: 'new', id: 2 } }],
+		});
+	});
+});
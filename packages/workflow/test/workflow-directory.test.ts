@@ -0,0 +1,98 @@
+import type { INode } from '../src';
+import { jsonParse } from '../src/utils';
+import { assembleWorkflow, splitWorkflow, WORKFLOW_MANIFEST_FILE } from '../src/workflow-directory';
+import { canonicalizeWorkflow } from '../src/workflow-serializer';
+
+const createNode = (overrides: Partial<INode> = {}): INode => ({
+	id: 'node-1',
+	name: 'Node 1',
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+const jsCode = 'const items = $input.all();\nreturn items.map((item) => ({ json: item.json }));\n';
+const systemMessage = '=You are a helpful assistant.\nAnswer in {{ $json.language }}.';
+
+const createWorkflow = () => ({
+	id: 'wf-1',
+	name: 'My workflow',
+	nodes: [
+		createNode({ id: 'code', name: 'Code', type: 'n8n-nodes-base.code', parameters: { jsCode } }),
+		createNode({
+			id: 'agent',
+			name: 'AI Agent',
+			type: '@n8n/n8n-nodes-langchain.agent',
+			parameters: { text: 'Hi', options: { systemMessage } },
+		}),
+		createNode({
+			id: 'sql',
+			name: 'Run: report?',
+			type: 'n8n-nodes-base.postgres',
+			parameters: { query: `SELECT * FROM orders WHERE total > ${'9'.repeat(200)}` },
+		}),
+	],
+	connections: {},
+});
+
+describe('splitWorkflow', () => {
+	it('should move large code, query and prompt parameters to their own files', () => {
+		const files = splitWorkflow(createWorkflow());
+
+		expect(Object.keys(files).sort()).toEqual([
+			'nodes/AI Agent/options.systemMessage.md',
+			'nodes/Code/jsCode.js',
+			'nodes/Run_ report_/query.sql',
+			WORKFLOW_MANIFEST_FILE,
+		]);
+		expect(files['nodes/Code/jsCode.js']).toBe(jsCode);
+
+		const manifest = jsonParse<ReturnType<typeof createWorkflow>>(files[WORKFLOW_MANIFEST_FILE]);
+		expect(manifest.nodes[0].parameters).toEqual({
+			text: 'Hi',
+			options: { systemMessage: { $file: 'nodes/AI Agent/options.systemMessage.md' } },
+		});
+		expect(manifest.nodes[1].parameters).toEqual({ jsCode: { $file: 'nodes/Code/jsCode.js' } });
+	});
+
+	it('should keep node names that map to the same directory apart', () => {
+		const files = splitWorkflow({
+			nodes: [
+				createNode({ name: 'A/B', parameters: { jsCode } }),
+				createNode({ name: 'A:B', parameters: { jsCode } }),
+			],
+		});
+
+		expect(files['nodes/A_B/jsCode.js']).toBe(jsCode);
+		expect(files['nodes/A_B (2)/jsCode.js']).toBe(jsCode);
+	});
+});
+
+describe('assembleWorkflow', () => {
+	it('should restore the workflow split into files', () => {
+		const files = splitWorkflow(createWorkflow());
+
+		expect(assembleWorkflow(files)).toEqual(canonicalizeWorkflow(createWorkflow()));
+		expect(splitWorkflow(assembleWorkflow(files))).toEqual(files);
+	});
+
+	it('should reject missing files and paths outside the directory', () => {
+		const manifest = (file: string) =>
+			JSON.stringify({ nodes: [createNode({ parameters: { jsCode: { $file: file } } })] });
+
+		expect(() => assembleWorkflow({})).toThrow(
+			`Workflow directory has no ${WORKFLOW_MANIFEST_FILE}`,
+		);
+		expect(() => assembleWorkflow({ [WORKFLOW_MANIFEST_FILE]: manifest('code.js') })).toThrow(
+			'Externalized parameter file "code.js" is missing',
+		);
+		expect(() =>
+			assembleWorkflow({
+				[WORKFLOW_MANIFEST_FILE]: manifest('../secrets.js'),
+				'../secrets.js': '',
+			}),
+		).toThrow('is outside the workflow directory');
+	});
+});
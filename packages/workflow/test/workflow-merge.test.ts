@@ -0,0 +1,192 @@
+import type { IConnections, INode } from '../src';
+import { NodeDiffStatus } from '../src/workflow-diff';
+import {
+	applyMergeResolutions,
+	mergeConnections,
+	mergeValues,
+	mergeWorkflows,
+	MergeSide,
+	NodeMergeStatus,
+} from '../src/workflow-merge';
+
+const createNode = (overrides: Partial<INode> = {}): INode => ({
+	id: 'node-1',
+	name: 'Node 1',
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+const connect = (from: string, to: string): IConnections => ({
+	[from]: { main: [[{ node: to, type: 'main', index: 0 }]] },
+});
+
+describe('mergeWorkflows', () => {
+	const trigger = createNode({ id: 'trigger', name: 'Trigger' });
+	const set = createNode({ id: 'set', name: 'Set', parameters: { value: 'base' } });
+	const base = { nodes: [trigger, set], connections: connect('Trigger', 'Set') };
+
+	it('should take the changed side for nodes changed on one side only', () => {
+		const movedTrigger = { ...trigger, position: [100, 100] as [number, number] };
+		const editedSet = { ...set, parameters: { value: 'remote' } };
+
+		const merge = mergeWorkflows(
+			base,
+			{ nodes: [movedTrigger, set], connections: base.connections },
+			{ nodes: [trigger, editedSet], connections: base.connections },
+		);
+
+		expect(merge.conflicts).toEqual([]);
+		expect(merge.nodes.get('trigger')?.status).toBe(NodeMergeStatus.Local);
+		expect(merge.nodes.get('set')?.status).toBe(NodeMergeStatus.Remote);
+		expect(applyMergeResolutions(merge).nodes).toEqual([movedTrigger, editedSet]);
+	});
+
+	it('should report a conflict when both sides changed a node differently', () => {
+		const localSet = { ...set, parameters: { value: 'local' } };
+		const remoteSet = { ...set, parameters: { value: 'remote' } };
+
+		const merge = mergeWorkflows(
+			base,
+			{ nodes: [trigger, localSet], connections: base.connections },
+			{ nodes: [trigger, remoteSet], connections: base.connections },
+		);
+
+		expect(merge.conflicts).toEqual(['set']);
+		expect(merge.nodes.get('set')).toMatchObject({
+			status: NodeMergeStatus.Conflict,
+			localStatus: NodeDiffStatus.Modified,
+			remoteStatus: NodeDiffStatus.Modified,
+			base: set,
+			local: localSet,
+			remote: remoteSet,
+		});
+		expect(() => applyMergeResolutions(merge)).toThrow('Unresolved merge conflicts');
+		expect(applyMergeResolutions(merge, { set: MergeSide.Remote }).nodes).toEqual([
+			trigger,
+			remoteSet,
+		]);
+	});
+
+	it('should not report a conflict when both sides made the same change', () => {
+		const editedSet = { ...set, parameters: { value: 'same' } };
+
+		const merge = mergeWorkflows(
+			base,
+			{ nodes: [trigger, editedSet], connections: base.connections },
+			{ nodes: [trigger, { ...editedSet }], connections: base.connections },
+		);
+
+		expect(merge.conflicts).toEqual([]);
+		expect(merge.nodes.get('set')?.status).toBe(NodeMergeStatus.Both);
+	});
+
+	it('should report a conflict when a node is deleted on one side and modified on the other', () => {
+		const merge = mergeWorkflows(
+			base,
+			{ nodes: [trigger], connections: {} },
+			{ nodes: [trigger, { ...set, parameters: { value: 'remote' } }], connections: {} },
+		);
+
+		expect(merge.conflicts).toEqual(['set']);
+
+		const result = applyMergeResolutions(merge, { set: MergeSide.Local });
+		expect(result.nodes).toEqual([trigger]);
+		expect(result.connections).toEqual({ Trigger: { main: [[]] } });
+	});
+
+	it('should keep nodes added on either side', () => {
+		const localNode = createNode({ id: 'local', name: 'Local' });
+		const remoteNode = createNode({ id: 'remote', name: 'Remote' });
+
+		const merge = mergeWorkflows(
+			base,
+			{ nodes: [...base.nodes, localNode], connections: base.connections },
+			{ nodes: [...base.nodes, remoteNode], connections: base.connections },
+		);
+
+		expect(applyMergeResolutions(merge).nodes).toEqual([trigger, set, localNode, remoteNode]);
+	});
+});
+
+describe('mergeConnections', () => {
+	it('should apply connection changes of both sides', () => {
+		const base: IConnections = {
+			A: {
+				main: [
+					[
+						{ node: 'B', type: 'main', index: 0 },
+						{ node: 'C', type: 'main', index: 0 },
+					],
+				],
+			},
+		};
+		const local: IConnections = {
+			A: { main: [[{ node: 'C', type: 'main', index: 0 }]] },
+		};
+		const remote: IConnections = {
+			A: {
+				main: [
+					[
+						{ node: 'B', type: 'main', index: 0 },
+						{ node: 'C', type: 'main', index: 0 },
+						{ node: 'D', type: 'main', index: 0 },
+					],
+				],
+			},
+		};
+
+		expect(mergeConnections(base, local, remote)).toEqual({
+			A: {
+				main: [
+					[
+						{ node: 'C', type: 'main', index: 0 },
+						{ node: 'D', type: 'main', index: 0 },
+					],
+				],
+			},
+		});
+	});
+});
+
+describe('mergeValues', () => {
+	const base = createNode({ parameters: { url: 'https://base', options: { timeout: 10 } } });
+
+	it('should merge changes to different keys', () => {
+		const local = { ...base, position: [100, 100] };
+		const remote = { ...base, parameters: { ...base.parameters, url: 'https://remote' } };
+
+		expect(mergeValues(base, local, remote)).toEqual({
+			value: { ...local, parameters: remote.parameters },
+			conflicts: [],
+		});
+	});
+
+	it('should report conflicting changes by path', () => {
+		const local = { ...base, parameters: { url: 'https://local', options: { timeout: 10 } } };
+		const remote = { ...base, parameters: { url: 'https://remote', options: {} } };
+
+		expect(mergeValues(base, local, remote)).toEqual({
+			value: { ...base, parameters: { url: 'https://local', options: {} } },
+			conflicts: [
+				{
+					path: ['parameters', 'url'],
+					base: 'https://base',
+					local: 'https://local',
+					remote: 'https://remote',
+				},
+			],
+		});
+	});
+
+	it('should report a value removed on one side and changed on the other', () => {
+		const withNotes = { ...base, notes: 'base' };
+
+		expect(mergeValues(withNotes, base, { ...base, notes: 'remote' })).toEqual({
+			value: base,
+			conflicts: [{ path: ['notes'], base: 'base', local: undefined, remote: 'remote' }],
+		});
+	});
+});
@@ -0,0 +1,116 @@
+import type { IConnections, INode, IPinData } from '../src';
+import { jsonParse } from '../src/utils';
+import { canonicalizeWorkflow, serializeWorkflow } from '../src/workflow-serializer';
+
+const createNode = (overrides: Partial<INode> = {}): INode => ({
+	id: 'node-1',
+	name: 'Node 1',
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+const connections: IConnections = {
+	Webhook: { main: [[{ node: 'Set', type: 'main', index: 0 }]] },
+	Code: { main: [[{ node: 'Webhook', type: 'main', index: 0 }]] },
+};
+
+const pinData: IPinData = {
+	Webhook: [{ json: { zeta: 1, alpha: 2 } }],
+};
+
+const createWorkflow = () => ({
+	meta: { instanceId: 'instance-1', templateCredsSetupCompleted: true },
+	versionId: 'version-1',
+	connections,
+	nodes: [
+		createNode({ id: 'set', name: 'Set', parameters: { value: 'a', options: { b: 1, a: 2 } } }),
+		createNode({ id: 'webhook', name: 'Webhook', webhookId: 'webhook-1', type: 'webhook' }),
+		createNode({ id: 'code', name: 'Code', disabled: true }),
+	],
+	settings: { executionOrder: 'v1', callerPolicy: 'workflowsFromSameOwner' },
+	pinData,
+	name: 'My workflow',
+	id: 'wf-1',
+});
+
+describe('serializeWorkflow', () => {
+	it('should be a no-op to load and save a serialized workflow', () => {
+		const content = serializeWorkflow(createWorkflow());
+
+		const loaded = jsonParse<ReturnType<typeof createWorkflow>>(content);
+
+		expect(serializeWorkflow(loaded)).toBe(content);
+		expect(loaded).toEqual({
+			...createWorkflow(),
+			nodes: expect.arrayContaining(createWorkflow().nodes),
+		});
+	});
+
+	it('should not depend on the order of keys and nodes', () => {
+		const workflow = createWorkflow();
+		const shuffled = {
+			...Object.fromEntries(Object.entries(workflow).reverse()),
+			nodes: [...workflow.nodes]
+				.reverse()
+				.map((node) => Object.fromEntries(Object.entries(node).reverse())),
+		};
+
+		expect(serializeWorkflow(shuffled)).toBe(serializeWorkflow(workflow));
+	});
+
+	it('should put well-known keys first and sort nodes by name', () => {
+		const workflow = canonicalizeWorkflow(createWorkflow());
+
+		expect(Object.keys(workflow)).toEqual([
+			'id',
+			'name',
+			'nodes',
+			'connections',
+			'settings',
+			'pinData',
+			'meta',
+			'versionId',
+		]);
+		expect(workflow.nodes.map((node) => node.name)).toEqual(['Code', 'Set', 'Webhook']);
+		expect(Object.keys(workflow.nodes[0])).toEqual([
+			'id',
+			'name',
+			'type',
+			'typeVersion',
+			'position',
+			'parameters',
+			'disabled',
+		]);
+		expect(Object.keys(workflow.connections)).toEqual(['Code', 'Webhook']);
+	});
+
+	it('should keep the order of parameters and pinned items', () => {
+		const workflow = canonicalizeWorkflow(createWorkflow());
+
+		expect(Object.keys(workflow.nodes[1].parameters.options as object)).toEqual(['b', 'a']);
+		expect(Object.keys(workflow.pinData.Webhook[0].json)).toEqual(['zeta', 'alpha']);
+	});
+
+	it('should leave out volatile fields when asked to', () => {
+		const content = serializeWorkflow(
+			{ ...createWorkflow(), updatedAt: '2024-01-02T00:00:00.000Z' },
+			{ omitVolatileFields: true },
+		);
+		const workflow = jsonParse<ReturnType<typeof createWorkflow>>(content);
+
+		expect(workflow).not.toHaveProperty('updatedAt');
+		expect(workflow.nodes[2].webhookId).toBeUndefined();
+		// Files synced with n8n merge against the version they were saved at
+		expect(workflow.versionId).toBe('version-1');
+		expect(serializeWorkflow(workflow, { omitVolatileFields: true })).toBe(content);
+	});
+
+	it('should use the given indentation', () => {
+		expect(serializeWorkflow({ name: 'My workflow' }, { indent: '\t' })).toBe(
+			'{\n\t"name": "My workflow"\n}\n',
+		);
+	});
+});
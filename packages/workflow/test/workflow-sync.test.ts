@@ -0,0 +1,208 @@
+import type { IConnections, INode } from '../src';
+import {
+	classifyWorkflowSync,
+	getChangedWorkflowFields,
+	getWorkflowSyncChecksums,
+	hasWorkflowChanges,
+} from '../src/workflow-sync';
+
+const createNode = (overrides: Partial<INode> = {}): INode => ({
+	id: 'node-1',
+	name: 'Node 1',
+	type: 'n8n-nodes-base.set',
+	typeVersion: 1,
+	position: [0, 0],
+	parameters: {},
+	...overrides,
+});
+
+const connections: IConnections = {
+	Trigger: { main: [[{ node: 'Node 1', type: 'main', index: 0 }]] },
+};
+
+describe('hasWorkflowChanges', () => {
+	const workflow = { nodes: [createNode()], connections };
+
+	it('should ignore fields added by the backend', () => {
+		const stored = {
+			nodes: [{ ...createNode({ id: 'other-id' }), webhookId: 'webhook-1' }],
+			connections,
+		};
+
+		expect(hasWorkflowChanges(stored, workflow)).toBe(false);
+	});
+
+	it('should ignore the order of nodes and connections', () => {
+		const trigger = createNode({
+			id: 'node-0',
+			name: 'Trigger',
+			type: 'n8n-nodes-base.manualTrigger',
+		});
+		const stored = {
+			nodes: [trigger, createNode()],
+			connections: {
+				Trigger: { main: [[{ node: 'Node 1', type: 'main', index: 0 }]] },
+				'Node 1': { main: [[]] },
+			} as IConnections,
+		};
+		const file = {
+			nodes: [createNode(), trigger],
+			connections: {
+				'Node 1': { main: [[]] },
+				Trigger: { main: [[{ index: 0, node: 'Node 1', type: 'main' }]] },
+			} as IConnections,
+		};
+
+		expect(hasWorkflowChanges(stored, file)).toBe(false);
+		expect(
+			hasWorkflowChanges(stored, {
+				...file,
+				nodes: [createNode(), { ...trigger, disabled: true }],
+			}),
+		).toBe(true);
+	});
+
+	it('should detect changed, added and removed nodes', () => {
+		expect(
+			hasWorkflowChanges(workflow, { nodes: [createNode({ position: [10, 0] })], connections }),
+		).toBe(true);
+		expect(
+			hasWorkflowChanges(workflow, { nodes: [createNode({ disabled: true })], connections }),
+		).toBe(true);
+		expect(hasWorkflowChanges(workflow, { nodes: [], connections })).toBe(true);
+		expect(
+			hasWorkflowChanges(workflow, { nodes: [createNode({ name: 'Node 2' })], connections }),
+		).toBe(true);
+	});
+
+	it('should detect changed connections', () => {
+		expect(hasWorkflowChanges(workflow, { nodes: workflow.nodes, connections: {} })).toBe(true);
+	});
+
+	it('should treat missing nodes and connections as empty', () => {
+		expect(hasWorkflowChanges({}, { nodes: [], connections: {} })).toBe(false);
+	});
+});
+
+describe('getChangedWorkflowFields', () => {
+	const synced = {
+		name: 'Invoices',
+		settings: { timezone: 'UTC', executionOrder: 'v1' },
+		pinData: { Set: [{ json: { amount: 1 } }] },
+	};
+	const checksums = getWorkflowSyncChecksums(synced);
+
+	it('should report no changes for the synced fields in any key order', () => {
+		expect(
+			getChangedWorkflowFields(
+				{ ...synced, settings: { executionOrder: 'v1', timezone: 'UTC' } },
+				checksums,
+			),
+		).toEqual([]);
+	});
+
+	it('should report renamed workflows and changed settings and pinned data', () => {
+		expect(getChangedWorkflowFields({ ...synced, name: 'Invoices v2' }, checksums)).toEqual([
+			'name',
+		]);
+		expect(
+			getChangedWorkflowFields(
+				{ ...synced, settings: { timezone: 'Europe/Berlin' }, pinData: undefined },
+				checksums,
+			),
+		).toEqual(['settings', 'pinData']);
+	});
+
+	it('should report no changes for files without checksums', () => {
+		expect(getChangedWorkflowFields({ ...synced, name: 'Invoices v2' }, undefined)).toEqual([]);
+	});
+});
+
+describe('classifyWorkflowSync', () => {
+	const base = {
+		id: 'wf-1',
+		name: 'Invoices',
+		versionId: 'version-1',
+		nodes: [createNode()],
+		connections: {},
+	};
+	const file = {
+		...base,
+		meta: { syncChecksums: getWorkflowSyncChecksums(base) },
+	};
+	const changedNode = (parameters: INode['parameters']) => [createNode({ parameters })];
+	const findVersion = vi.fn().mockResolvedValue(base);
+
+	beforeEach(() => {
+		findVersion.mockClear();
+	});
+
+	it('should report unchanged files without loading the base', async () => {
+		expect(await classifyWorkflowSync(file, base, findVersion)).toEqual({
+			status: 'unchanged',
+			changedFields: [],
+		});
+		expect(findVersion).not.toHaveBeenCalled();
+	});
+
+	it('should report files changed on top of the current version', async () => {
+		const renamed = { ...file, name: 'Invoices v2' };
+		expect(await classifyWorkflowSync(renamed, base, findVersion)).toEqual({
+			status: 'fileChanged',
+			changedFields: ['name'],
+		});
+
+		const edited = { ...file, nodes: changedNode({ value: 1 }) };
+		expect(await classifyWorkflowSync(edited, base, findVersion)).toEqual({
+			status: 'fileChanged',
+			changedFields: [],
+		});
+	});
+
+	it('should keep the newer workflow when only it changed', async () => {
+		const existing = { ...base, versionId: 'version-2', nodes: changedNode({ value: 2 }) };
+
+		expect(await classifyWorkflowSync(file, existing, findVersion)).toEqual({
+			status: 'backendChanged',
+			changedFields: [],
+		});
+		expect(findVersion).toHaveBeenCalledWith('wf-1', 'version-1');
+	});
+
+	it('should save only the fields changed in the file when only the workflow changed nodes', async () => {
+		const existing = { ...base, versionId: 'version-2', nodes: changedNode({ value: 2 }) };
+
+		expect(
+			await classifyWorkflowSync({ ...file, name: 'Invoices v2' }, existing, findVersion),
+		).toEqual({ status: 'diverged', changedFields: ['name'] });
+	});
+
+	it('should merge nodes changed on both sides', async () => {
+		const existing = { ...base, versionId: 'version-2', nodes: changedNode({ value: 2 }) };
+		const edited = { ...file, nodes: changedNode({ value: 1 }) };
+
+		const result = await classifyWorkflowSync(edited, existing, findVersion);
+
+		expect(result.status).toBe('diverged');
+		expect(result.merge?.conflicts).toEqual(['node-1']);
+	});
+
+	it('should treat every changed node as a conflict without a base', async () => {
+		const existing = { ...base, versionId: 'version-2', nodes: changedNode({ value: 2 }) };
+		const edited = { ...file, nodes: changedNode({ value: 1 }) };
+
+		const result = await classifyWorkflowSync(edited, existing, vi.fn().mockResolvedValue(null));
+
+		expect(result.merge?.conflicts).toEqual(['node-1']);
+	});
+
+	it('should not load a base for files bound to another workflow', async () => {
+		const existing = { ...base, id: 'wf-2', versionId: 'version-2' };
+
+		expect(await classifyWorkflowSync(file, existing, findVersion)).toEqual({
+			status: 'unchanged',
+			changedFields: [],
+		});
+		expect(findVersion).not.toHaveBeenCalled();
+	});
+});